@@ -1,10 +1,202 @@
 const jwt = require('jsonwebtoken');
+const { hashToken } = require('../utils/tokens');
 
-// JWT Authentication Middleware
+// Roles a user can hold within a company (usercompanyroles."Role")
+const COMPANY_ROLES = ['Admin', 'Standard User', 'Read-Only User'];
+
+const READ_PERMISSIONS = [
+  'orders.read', 'invoices.read', 'bookings.read', 'documents.read', 'communications.read'
+];
+const WRITE_PERMISSIONS = [
+  'orders.write', 'invoices.write', 'bookings.write', 'documents.write', 'communications.write'
+];
+
+// Permissions an API key may carry - never user management
+const API_KEY_PERMISSIONS = [...READ_PERMISSIONS, ...WRITE_PERMISSIONS];
+
+// Platform support permissions - no role carries them and the admin API
+// cannot grant them; they are assigned directly in the database
+const SUPPORT_PERMISSIONS = ['support.impersonate'];
+
+// Hard-deleting orders is granted to individual users; no role carries it
+const PURGE_PERMISSIONS = ['orders.purge'];
+
+// Every permission the API checks; seeded into the permissions catalog at startup
+const PERMISSIONS = [
+  ...READ_PERMISSIONS, ...WRITE_PERMISSIONS, 'users.manage', 'partners.manage', ...PURGE_PERMISSIONS, ...SUPPORT_PERMISSIONS
+];
+
+// Permissions each company role carries; explicit userpermissions grants are added on top
+const ROLE_PERMISSIONS = {
+  'Admin': [...READ_PERMISSIONS, ...WRITE_PERMISSIONS, 'users.manage', 'partners.manage'],
+  'Standard User': [...READ_PERMISSIONS, ...WRITE_PERMISSIONS],
+  'Read-Only User': [...READ_PERMISSIONS]
+};
+
+// Every 403 goes out with the same body shape
+const sendForbidden = (res, error, details = {}) => {
+  return res.status(403).json({ error, code: 'FORBIDDEN', ...details });
+};
+
+// Load a user with their companies and permissions
+const loadUserProfile = async (pool, userId) => {
+  const userQuery = `
+    SELECT u.userid, u.username, u.email, u.firstname, u.lastname,
+           c.companyid, c.companyname, c.companytype,
+           ucr."Role",
+           p.permissionname
+    FROM users u
+    LEFT JOIN usercompanyroles ucr ON u.userid = ucr.userid
+    LEFT JOIN companies c ON ucr.companyid = c.companyid
+    LEFT JOIN userpermissions up ON u.userid = up.userid AND c.companyid = up.companyid
+    LEFT JOIN permissions p ON up.permissionid = p.permissionid
+    WHERE u.userid = $1 AND u.isactive = true
+    ORDER BY c.companyid
+  `;
+
+  const result = await pool.query(userQuery, [userId]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  // Structure user data
+  const userData = result.rows[0];
+  const user = {
+    userId: userData.userid,
+    username: userData.username,
+    email: userData.email,
+    firstName: userData.firstname,
+    lastName: userData.lastname,
+    companies: [],
+    permissions: []
+  };
+
+  // Group companies and permissions
+  const companiesMap = new Map();
+  result.rows.forEach(row => {
+    if (row.companyid && !companiesMap.has(row.companyid)) {
+      companiesMap.set(row.companyid, {
+        companyId: row.companyid,
+        companyName: row.companyname,
+        companyType: row.companytype,
+        role: row.Role,
+        permissions: [...(ROLE_PERMISSIONS[row.Role] || [])]
+      });
+    }
+    const company = companiesMap.get(row.companyid);
+    if (row.permissionname && company && !company.permissions.includes(row.permissionname)) {
+      company.permissions.push(row.permissionname);
+    }
+  });
+
+  user.companies = Array.from(companiesMap.values());
+
+  return withActiveCompany(user);
+};
+
+const findCompany = (user, companyId) => user.companies.find(c => c.companyId === parseInt(companyId));
+
+// Role and permissions come from the one company the request acts on; falls
+// back to the user's first company when none (or a stale one) is selected
+const withActiveCompany = (user, companyId) => {
+  const company = (companyId && findCompany(user, companyId)) || user.companies[0] || null;
+
+  user.activeCompanyId = company ? company.companyId : null;
+  user.role = company ? company.role : null;
+  user.permissions = company ? [...company.permissions] : [];
+
+  return user;
+};
+
+// Revoke every active session for a user (logout everywhere, deactivation)
+const revokeUserSessions = async (pool, userId, reason) => {
+  const result = await pool.query(`
+    UPDATE authsessions
+    SET revokedat = NOW(), revokedreason = $2
+    WHERE userid = $1 AND revokedat IS NULL
+  `, [userId, reason]);
+
+  return result.rowCount;
+};
+
+// Write an impersonation audit entry ('start', 'request' or 'end')
+const recordImpersonationEvent = async (pool, { sessionId, impersonatorId, userId, event, req, statusCode }) => {
+  await pool.query(`
+    INSERT INTO impersonationauditlog (sessionid, impersonatorid, userid, event, method, path, statuscode, ipaddress, createdat)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+  `, [sessionId, impersonatorId, userId, event, req.method, req.originalUrl.substring(0, 500), statusCode || null, req.ip]);
+};
+
+// Build the request principal for a company API key; the key acts for its
+// company only, with exactly the permissions it was issued
+const loadApiKeyPrincipal = async (pool, apiKey, ipAddress) => {
+  const result = await pool.query(`
+    UPDATE apikeys k
+    SET lastusedat = NOW(), lastusedip = $2
+    FROM companies c
+    WHERE k.keyhash = $1 AND c.companyid = k.companyid
+      AND k.revokedat IS NULL
+      AND (k.expiresat IS NULL OR k.expiresat > NOW())
+    RETURNING k.apikeyid, k.name, k.permissions, k.createdbyuserid,
+              c.companyid, c.companyname, c.companytype
+  `, [hashToken(apiKey), ipAddress]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const key = result.rows[0];
+  const permissions = key.permissions.filter(p => API_KEY_PERMISSIONS.includes(p));
+
+  return withActiveCompany({
+    userId: key.createdbyuserid,
+    username: `api-key:${key.name}`,
+    apiKeyId: key.apikeyid,
+    companies: [{
+      companyId: key.companyid,
+      companyName: key.companyname,
+      companyType: key.companytype,
+      role: null,
+      permissions
+    }]
+  });
+};
+
+// Pin the request to the principal's active company. X-Company-Id selects a
+// company for this request only; otherwise the token's companyId claim is used.
+const setActiveCompany = (req, res, user, tokenCompanyId) => {
+  const requestedCompanyId = req.headers['x-company-id'];
+
+  if (requestedCompanyId && !findCompany(user, requestedCompanyId)) {
+    sendForbidden(res, 'Access denied to this company', { requestedCompany: requestedCompanyId });
+    return false;
+  }
+
+  withActiveCompany(user, requestedCompanyId || tokenCompanyId);
+  req.user = user;
+  req.companyId = user.activeCompanyId;
+  return true;
+};
+
+// JWT Authentication Middleware - also accepts company API keys in X-API-Key
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    const apiKey = req.headers['x-api-key'];
+
+    if (!token && apiKey) {
+      const principal = await loadApiKeyPrincipal(req.app.locals.dbPool, apiKey, req.ip);
+      if (!principal) {
+        return res.status(401).json({ error: 'Invalid API key' });
+      }
+
+      if (setActiveCompany(req, res, principal)) {
+        next();
+      }
+      return;
+    }
 
     if (!token) {
       return res.status(401).json({ error: 'Access token required' });
@@ -12,61 +204,53 @@ const authenticateToken = async (req, res, next) => {
 
     // Verify JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Get user details from database
+
+    // Access tokens are bound to a server-side session so they can be revoked
+    if (!decoded.sid) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
     const pool = req.app.locals.dbPool;
-    const userQuery = `
-      SELECT u.userid, u.username, u.email, u.firstname, u.lastname,
-             c.companyid, c.companyname, c.companytype,
-             ucr."Role",
-             p.permissionname
-      FROM users u
-      LEFT JOIN usercompanyroles ucr ON u.userid = ucr.userid
-      LEFT JOIN companies c ON ucr.companyid = c.companyid
-      LEFT JOIN userpermissions up ON u.userid = up.userid AND c.companyid = up.companyid
-      LEFT JOIN permissions p ON up.permissionid = p.permissionid
-      WHERE u.userid = $1 AND u.isactive = true
-    `;
-
-    const result = await pool.query(userQuery, [decoded.userId]);
-
-    if (result.rows.length === 0) {
+    const sessionResult = await pool.query(`
+      SELECT sessionid, revokedat, expiresat, impersonatorid
+      FROM authsessions
+      WHERE sessionid = $1 AND userid = $2
+    `, [decoded.sid, decoded.userId]);
+
+    const session = sessionResult.rows[0];
+    if (!session || session.revokedat || new Date(session.expiresat) < new Date()) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+
+    // Get user details from database
+    const user = await loadUserProfile(pool, decoded.userId);
+
+    if (!user) {
       return res.status(401).json({ error: 'Invalid token - user not found' });
     }
 
-    // Structure user data
-    const userData = result.rows[0];
-    const user = {
-      userId: userData.userid,
-      username: userData.username,
-      email: userData.email,
-      firstName: userData.firstname,
-      lastName: userData.lastname,
-      companies: [],
-      permissions: []
-    };
-
-    // Group companies and permissions
-    const companiesMap = new Map();
-    result.rows.forEach(row => {
-      if (row.companyid && !companiesMap.has(row.companyid)) {
-        companiesMap.set(row.companyid, {
-          companyId: row.companyid,
-          companyName: row.companyname,
-          companyType: row.companytype,
-          role: row.Role
-        });
-      }
-      if (row.permissionname && !user.permissions.includes(row.permissionname)) {
-        user.permissions.push(row.permissionname);
-      }
-    });
+    user.sessionId = session.sessionid;
 
-    user.companies = Array.from(companiesMap.values());
+    // Impersonation is taken from the session row, never from the token alone,
+    // and every request made under it is audited once the response is sent
+    if (session.impersonatorid) {
+      user.impersonatedBy = session.impersonatorid;
+      res.on('finish', () => {
+        recordImpersonationEvent(pool, {
+          sessionId: session.sessionid,
+          impersonatorId: session.impersonatorid,
+          userId: user.userId,
+          event: 'request',
+          req,
+          statusCode: res.statusCode
+        }).catch(error => console.error('Impersonation audit error:', error));
+      });
+    }
 
     // Add user to request object
-    req.user = user;
-    next();
+    if (setActiveCompany(req, res, user, decoded.companyId)) {
+      next();
+    }
 
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -81,6 +265,31 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Account endpoints (sessions, 2FA...) need a real user login, not an API key
+const requireUserSession = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (req.user.apiKeyId) {
+    return sendForbidden(res, 'This endpoint requires a user login');
+  }
+
+  next();
+};
+
+// Sensitive account actions (passwords, 2FA, sessions, access management)
+// are never allowed on an impersonation token
+const blockImpersonation = (req, res, next) => {
+  if (req.user && req.user.impersonatedBy) {
+    return sendForbidden(res, 'This action is not allowed while impersonating a user', {
+      impersonatedBy: req.user.impersonatedBy
+    });
+  }
+
+  next();
+};
+
 // Permission check middleware
 const requirePermission = (permission) => {
   return (req, res, next) => {
@@ -89,11 +298,44 @@ const requirePermission = (permission) => {
     }
 
     if (!req.user.permissions.includes(permission)) {
-      return res.status(403).json({ 
-        error: 'Insufficient permissions',
-        required: permission,
-        userPermissions: req.user.permissions
-      });
+      return sendForbidden(res, 'Insufficient permissions', { required: permission });
+    }
+
+    next();
+  };
+};
+
+// Permission check scoped to the company in the route (:companyId)
+const requireCompanyPermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const companyId = parseInt(req.params.companyId);
+    const company = req.user.companies.find(c => c.companyId === companyId);
+
+    if (!company) {
+      return sendForbidden(res, 'Access denied to this company', { requestedCompany: req.params.companyId });
+    }
+
+    if (!company.permissions.includes(permission)) {
+      return sendForbidden(res, 'Insufficient permissions', { required: permission, companyId });
+    }
+
+    next();
+  };
+};
+
+// Platform-wide permission: granted in any of the user's companies
+const requireGlobalPermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!req.user.companies.some(company => company.permissions.includes(permission))) {
+      return sendForbidden(res, 'Insufficient permissions', { required: permission });
     }
 
     next();
@@ -114,11 +356,7 @@ const requireCompanyAccess = (req, res, next) => {
     );
 
     if (!hasAccess) {
-      return res.status(403).json({ 
-        error: 'Access denied to this company',
-        requestedCompany: companyId,
-        userCompanies: req.user.companies.map(c => c.companyId)
-      });
+      return sendForbidden(res, 'Access denied to this company', { requestedCompany: companyId });
     }
   }
 
@@ -128,5 +366,20 @@ const requireCompanyAccess = (req, res, next) => {
 module.exports = {
   authenticateToken,
   requirePermission,
-  requireCompanyAccess
+  requireCompanyPermission,
+  requireCompanyAccess,
+  requireUserSession,
+  requireGlobalPermission,
+  blockImpersonation,
+  loadUserProfile,
+  withActiveCompany,
+  revokeUserSessions,
+  recordImpersonationEvent,
+  sendForbidden,
+  COMPANY_ROLES,
+  API_KEY_PERMISSIONS,
+  SUPPORT_PERMISSIONS,
+  PURGE_PERMISSIONS,
+  PERMISSIONS,
+  ROLE_PERMISSIONS
 };
\ No newline at end of file
@@ -0,0 +1,198 @@
+const { sendForbidden } = require('./auth');
+
+// Orders belong to the user that created them, and a user belongs to companies
+// through usercompanyroles. Everything hanging off an order (invoices, lines,
+// milestones, communications, documents) inherits the order's visibility.
+// Requests act on the active company only (see setActiveCompany in auth.js).
+// Soft-deleted orders are out of scope everywhere except where a route opts
+// in with includeDeleted (restore, purge).
+// An order's exporter company (orders.exportercompanyid) also sees it while it
+// has an active trading partnership with a company of the order's owner;
+// routes that only the owning side may use opt out with includePartners: false.
+
+const scopedCompanyIds = (req) => (req.companyId ? [req.companyId] : []);
+
+// SQL condition: the user in `column` is a member of one of the companies bound to $paramIndex
+const scopedUserSql = (column, paramIndex) => `${column} IN (
+  SELECT scope_ucr.userid FROM usercompanyroles scope_ucr
+  WHERE scope_ucr.companyid = ANY($${paramIndex}::int[])
+)`;
+
+// SQL condition: the order's exporter company is bound to $paramIndex and is an
+// active trading partner of a company the order's owner belongs to
+const partnerOrderSql = (alias, paramIndex) => `(
+  ${alias}.exportercompanyid = ANY($${paramIndex}::int[])
+  AND EXISTS (
+    SELECT 1 FROM tradingpartners scope_tp
+    INNER JOIN usercompanyroles scope_owner ON scope_tp.importercompanyid = scope_owner.companyid
+    WHERE scope_tp.exportercompanyid = ${alias}.exportercompanyid
+      AND scope_owner.userid = ${alias}.userid
+      AND scope_tp.status = 'active'
+  )
+)`;
+
+const orderScopeSql = (alias, paramIndex, { includeDeleted = false, includePartners = true } = {}) => {
+  const visible = includePartners
+    ? `(${scopedUserSql(`${alias}.userid`, paramIndex)} OR ${partnerOrderSql(alias, paramIndex)})`
+    : scopedUserSql(`${alias}.userid`, paramIndex);
+
+  return includeDeleted ? visible : `(${visible} AND ${alias}.deletedat IS NULL)`;
+};
+
+// Existence/scope check for one order; a soft-deleted order does not exist unless included
+const orderAccessSql = (includeDeleted, includePartners) => `
+  SELECT ${orderScopeSql('o', 2, { includeDeleted: true, includePartners })} as inscope FROM orders o
+  WHERE o.orderid = $1 ${includeDeleted ? '' : 'AND o.deletedat IS NULL'}
+`;
+
+// A booking is visible when it was created in scope or is linked to an order in scope
+const bookingScopeSql = (alias, paramIndex) => `(
+  ${scopedUserSql(`${alias}.createdbyuserid`, paramIndex)}
+  OR EXISTS (
+    SELECT 1 FROM pobookinglink scope_bl
+    INNER JOIN orders scope_o ON scope_bl.orderid = scope_o.orderid
+    WHERE scope_bl.pobookingid = ${alias}.pobookingid AND ${orderScopeSql('scope_o', paramIndex)}
+  )
+)`;
+
+// Is this user a member of one of the acting user's companies?
+const isUserInScope = async (pool, req, userId) => {
+  const result = await pool.query(`
+    SELECT 1 FROM usercompanyroles
+    WHERE userid = $1 AND companyid = ANY($2::int[])
+  `, [userId, scopedCompanyIds(req)]);
+
+  return result.rows.length > 0;
+};
+
+// Id resolvers for requireOrderAccess / requireBookingAccess. They resolve to
+// undefined when the request carries no id (the route validates its own input)
+// and to null when the referenced child row does not exist.
+const idFrom = {
+  param: (name) => async (req) => req.params[name],
+  query: (name) => async (req) => req.query[name],
+  body: (name) => async (req) => req.body[name],
+  // The order a child row belongs to, e.g. orderOf('poinvoice', 'poinvoiceid', req => req.params.invoiceId)
+  orderOf: (table, keyColumn, getKey) => async (req, pool) => {
+    const key = getKey(req);
+    if (key === undefined || key === null || key === '') return undefined;
+    if (isNaN(parseInt(key))) return null;
+
+    const result = await pool.query(`SELECT orderid FROM ${table} WHERE ${keyColumn} = $1`, [key]);
+    return result.rows.length > 0 ? result.rows[0].orderid : null;
+  },
+  // The user a row belongs to, e.g. userOf('reports', 'id', req => req.params.id)
+  userOf: (table, keyColumn, getKey) => async (req, pool) => {
+    const key = getKey(req);
+    if (key === undefined || key === null || key === '') return undefined;
+    if (isNaN(parseInt(key))) return null;
+
+    const result = await pool.query(`SELECT userid FROM ${table} WHERE ${keyColumn} = $1`, [key]);
+    return result.rows.length > 0 ? result.rows[0].userid : null;
+  }
+};
+
+// { exists, inScope } for a single order
+const findOrderAccess = async (pool, req, orderId, { includeDeleted = false, includePartners = true } = {}) => {
+  const result = await pool.query(orderAccessSql(includeDeleted, includePartners), [orderId, scopedCompanyIds(req)]);
+
+  return {
+    exists: result.rows.length > 0,
+    inScope: result.rows.length > 0 && result.rows[0].inscope
+  };
+};
+
+const checkScoped = async (req, res, next, { id, label, notFound, query }) => {
+  if (id === undefined || id === '') {
+    return next();
+  }
+  if (id === null) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  if (isNaN(parseInt(id))) {
+    return res.status(400).json({ error: `Invalid ${label} ID provided` });
+  }
+
+  const pool = req.app.locals.dbPool;
+  const result = await pool.query(query, [id, scopedCompanyIds(req)]);
+
+  if (result.rows.length === 0) {
+    return res.status(404).json({ error: notFound });
+  }
+  if (!result.rows[0].inscope) {
+    return sendForbidden(res, `Access denied to this ${label}`, { [`${label}Id`]: parseInt(id) });
+  }
+
+  next();
+};
+
+// 404 when the order does not exist (or is deleted), 403 when it belongs to another company
+// (or, with includePartners: false, when the caller only sees it as its exporter)
+const requireOrderAccess = (resolveOrderId, { includeDeleted = false, includePartners = true } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const id = await resolveOrderId(req, req.app.locals.dbPool);
+      await checkScoped(req, res, next, {
+        id,
+        label: 'order',
+        notFound: 'Order not found',
+        query: orderAccessSql(includeDeleted, includePartners)
+      });
+    } catch (error) {
+      console.error('Order access check error:', error);
+      res.status(500).json({ error: 'Failed to check order access' });
+    }
+  };
+};
+
+const requireBookingAccess = (resolveBookingId) => {
+  return async (req, res, next) => {
+    try {
+      const id = await resolveBookingId(req, req.app.locals.dbPool);
+      await checkScoped(req, res, next, {
+        id,
+        label: 'booking',
+        notFound: 'Booking not found',
+        query: `SELECT ${bookingScopeSql('b', 2)} as inscope FROM pobooking b WHERE b.pobookingid = $1`
+      });
+    } catch (error) {
+      console.error('Booking access check error:', error);
+      res.status(500).json({ error: 'Failed to check booking access' });
+    }
+  };
+};
+
+// Per-user data (reports, saved imports): the caller's own, or that of a member of
+// the active company. 404 when the user does not exist, 403 for anyone else's.
+const requireUserAccess = (resolveUserId) => {
+  return async (req, res, next) => {
+    try {
+      const id = await resolveUserId(req, req.app.locals.dbPool);
+      if (id !== undefined && id !== null && parseInt(id) === req.user.userId) {
+        return next();
+      }
+      await checkScoped(req, res, next, {
+        id,
+        label: 'user',
+        notFound: 'User not found',
+        query: `SELECT ${scopedUserSql('u.userid', 2)} as inscope FROM users u WHERE u.userid = $1`
+      });
+    } catch (error) {
+      console.error('User access check error:', error);
+      res.status(500).json({ error: 'Failed to check user access' });
+    }
+  };
+};
+
+module.exports = {
+  scopedCompanyIds,
+  scopedUserSql,
+  orderScopeSql,
+  bookingScopeSql,
+  isUserInScope,
+  idFrom,
+  findOrderAccess,
+  requireOrderAccess,
+  requireBookingAccess,
+  requireUserAccess
+};
@@ -11,7 +11,65 @@ const handlebars = require('handlebars');
 const nodemailer = require('nodemailer');
 const crypto = require('crypto');
 const authRoutes = require('./routes/auth');
-const { authenticateToken, requireCompanyAccess } = require('./middleware/auth');
+const companyRoutes = require('./routes/companies');
+const adminRoutes = require('./routes/admin');
+const { authenticateToken, requireCompanyAccess, requirePermission, blockImpersonation, sendForbidden, PERMISSIONS } = require('./Middleware/auth');
+const {
+  scopedCompanyIds,
+  scopedUserSql,
+  orderScopeSql,
+  bookingScopeSql,
+  isUserInScope,
+  idFrom,
+  findOrderAccess,
+  requireOrderAccess,
+  requireBookingAccess,
+  requireUserAccess
+} = require('./Middleware/companyScope');
+const { ListQueryError, buildListQuery, fetchPage } = require('./utils/listQuery');
+const {
+  ORDER_INITIAL_STATUS,
+  ORDER_STATUSES,
+  ORDER_CREATE_STATUSES,
+  orderCreateStatusError,
+  allowedOrderTransitions,
+  checkOrderStatusChange
+} = require('./utils/orderStatus');
+const {
+  fetchOrderSnapshot,
+  fetchLineSnapshots,
+  diffSnapshots,
+  recordOrderHistory,
+  recordLineChanges
+} = require('./utils/orderHistory');
+const { planOrderSplit } = require('./utils/orderSplit');
+const { rowVersionEtag, checkIfMatch } = require('./utils/rowVersion');
+const { selectDossierSections, summarizeDossier } = require('./utils/orderDossier');
+const {
+  ORDER_DEADLINE_FIELDS,
+  ORDER_ALERT_STATES,
+  raiseOrderDeadlineAlerts,
+  emailOrderDeadlineAlerts,
+  parseSnooze
+} = require('./utils/orderAlerts');
+const { orderListConditions } = require('./utils/orderLifecycle');
+const {
+  ORDER_LINE_INPUT_COLUMNS,
+  validateOrderTemplate,
+  findOrderTemplate,
+  isTemplateNameTaken
+} = require('./utils/orderTemplates');
+const {
+  EXPORT_FORMATS,
+  ORDER_EXPORT_COLUMNS,
+  ORDER_LINE_EXPORT_COLUMNS,
+  ORDER_EXPORT_DEFAULT_COLUMNS,
+  ORDER_LINE_EXPORT_DEFAULT_COLUMNS,
+  parseExportColumns
+} = require('./utils/orderExport');
+const { IMPORT_MAX_ROWS, IMPORT_FILE_EXTENSIONS, parseImportMapping, buildImportOrders } = require('./utils/orderImport');
+const { SEARCH_VECTORS, SEARCH_TYPES, SearchQueryError, parseSearchParams, searchHeadlineSql } = require('./utils/search');
+const { SpreadsheetError, readSpreadsheet, createSpreadsheetWriter } = require('./utils/spreadsheet');
 const multer = require('multer');
 const app = express();
 
@@ -303,7 +361,8 @@ const cleanPostgreSQLData = (req, res, next) => {
 
 // Middleware
 app.use(bodyParser.json());
-app.use(cors());
+// ETag is exposed so browser clients can send it back in If-Match
+app.use(cors({ exposedHeaders: ['ETag'] }));
 app.use(cleanPostgreSQLData);
 
 
@@ -313,6 +372,12 @@ app.use(express.static(path.join(__dirname, 'public')));
 // Authentication routes
 app.use('/api/auth', authRoutes);
 
+// Company management routes (invitations)
+app.use('/api/companies', companyRoutes);
+
+// Admin user and permission management
+app.use('/api/admin', adminRoutes);
+
 // --- Test Endpoint for Debugging ---
 app.post('/test', (req, res) => {
   console.log("POST /test endpoint hit!");
@@ -384,223 +449,921 @@ async function connectDB() {
   }
 }
 
-// Check if OrderLines table exists and create if not - CONVERTED
-async function ensureOrderLinesTable() {
+/* ---------------------------------------------------------------
+   AUTHENTICATION SESSION TABLES
+   - authsessions: one row per login, consulted by authenticateToken
+   - refreshtokens: rotating refresh tokens (hashed) for each session
+---------------------------------------------------------------- */
+
+// Ensure AuthSessions table exists
+async function ensureAuthSessionsTable() {
   try {
-    // First check if Orders table exists
-    const ordersTableCheck = await pool.query(`
-      SELECT COUNT(*) as count FROM information_schema.tables 
-      WHERE table_schema = 'public' AND table_name = 'orders'
-    `);
-    
-    const ordersTableExists = parseInt(ordersTableCheck.rows[0].count) > 0;
-    
-    // Check if OrderLines table exists
-    const orderLinesTableCheck = await pool.query(`
+    const tableCheck = await pool.query(`
       SELECT COUNT(*) as count FROM information_schema.tables 
-      WHERE table_schema = 'public' AND table_name = 'orderlines'
+      WHERE table_schema = 'public' AND table_name = 'authsessions'
     `);
     
-    if (parseInt(orderLinesTableCheck.rows[0].count) === 0) {
-      console.log("Creating OrderLines table...");
-      
-      // If Orders table exists, create with foreign key constraint
-      if (ordersTableExists) {
-        await pool.query(`
-          CREATE TABLE orderlines (
-            lineid SERIAL PRIMARY KEY,
-            orderid INT NOT NULL,
-            poinvoiceid INT NULL,
-            ordernumber VARCHAR(255),
-            linenumber INT,
-            partnumber VARCHAR(255),
-            description TEXT,
-            quantity INT,
-            uom VARCHAR(50),
-            linestatus VARCHAR(50),
-            productid INT,
-            unitprice DECIMAL(10,2),
-            weight DECIMAL(10,2),
-            volume DECIMAL(10,2),
-            createdat TIMESTAMP DEFAULT NOW(),
-            updatedat TIMESTAMP DEFAULT NOW(),
-            CONSTRAINT fk_orderlines_order FOREIGN KEY (orderid) REFERENCES orders(orderid) ON DELETE CASCADE
-          )
-        `);
-      } else {
-        // Create without foreign key if Orders table doesn't exist
-        await pool.query(`
-          CREATE TABLE orderlines (
-            lineid SERIAL PRIMARY KEY,
-            orderid INT NOT NULL,
-            poinvoiceid INT NULL,
-            ordernumber VARCHAR(255),
-            linenumber INT,
-            partnumber VARCHAR(255),
-            description TEXT,
-            quantity INT,
-            uom VARCHAR(50),
-            linestatus VARCHAR(50),
-            productid INT,
-            unitprice DECIMAL(10,2),
-            weight DECIMAL(10,2),
-            volume DECIMAL(10,2),
-            createdat TIMESTAMP DEFAULT NOW(),
-            updatedat TIMESTAMP DEFAULT NOW()
-          )
-        `);
-        console.warn("Warning: Created OrderLines table without foreign key constraint because Orders table does not exist.");
-      }
-      
-      console.log("OrderLines table created successfully!");
-    } else {
-      console.log("OrderLines table already exists, checking columns...");
-      
-      // Check if POInvoiceID column exists
-      const columnCheck = await pool.query(`
-        SELECT COUNT(*) as count 
-        FROM information_schema.columns 
-        WHERE table_schema = 'public' AND table_name = 'orderlines' AND column_name = 'poinvoiceid'
+    if (parseInt(tableCheck.rows[0].count) === 0) {
+      console.log("Creating AuthSessions table...");
+      await pool.query(`
+        CREATE TABLE authsessions (
+          sessionid SERIAL PRIMARY KEY,
+          userid INT NOT NULL,
+          ipaddress VARCHAR(100),
+          useragent VARCHAR(500),
+          createdat TIMESTAMP DEFAULT NOW(),
+          lastusedat TIMESTAMP DEFAULT NOW(),
+          expiresat TIMESTAMP NOT NULL,
+          revokedat TIMESTAMP NULL,
+          revokedreason VARCHAR(100),
+          activecompanyid INT NULL,
+          impersonatorid INT NULL,
+          impersonationreason VARCHAR(500),
+          CONSTRAINT fk_authsessions_user FOREIGN KEY (userid) REFERENCES users(userid) ON DELETE CASCADE
+        );
+        
+        CREATE INDEX IF NOT EXISTS idx_authsessions_userid ON authsessions(userid);
       `);
-      
-      if (parseInt(columnCheck.rows[0].count) === 0) {
-        console.log("Adding poinvoiceid column to existing OrderLines table...");
-        await pool.query(`
-          ALTER TABLE orderlines 
-          ADD COLUMN poinvoiceid INT NULL
-        `);
-        console.log("poinvoiceid column added successfully!");
-      } else {
-        console.log("poinvoiceid column already exists.");
-      }
-      
-      // Check for other missing columns
-      const columnsToCheck = ['unitprice', 'weight', 'volume'];
+      console.log("AuthSessions table created successfully!");
+    } else {
+      console.log("AuthSessions table already exists.");
+
+      // The company a session acts on (switch-company) and, for support
+      // impersonation sessions, who is really behind it and why
+      const columnsToCheck = [
+        { name: 'activecompanyid', type: 'INT NULL' },
+        { name: 'impersonatorid', type: 'INT NULL' },
+        { name: 'impersonationreason', type: 'VARCHAR(500)' }
+      ];
+
       for (const column of columnsToCheck) {
-        const colCheck = await pool.query(`
+        const columnCheck = await pool.query(`
           SELECT COUNT(*) as count 
           FROM information_schema.columns 
-          WHERE table_schema = 'public' AND table_name = 'orderlines' AND column_name = $1
-        `, [column]);
-        
-        if (parseInt(colCheck.rows[0].count) === 0) {
-          console.log(`Adding ${column} column to OrderLines table...`);
-          await pool.query(`
-            ALTER TABLE orderlines 
-            ADD COLUMN ${column} DECIMAL(10,2) NULL
-          `);
-          console.log(`${column} column added successfully!`);
+          WHERE table_schema = 'public' AND table_name = 'authsessions' AND column_name = $1
+        `, [column.name]);
+
+        if (parseInt(columnCheck.rows[0].count) === 0) {
+          console.log(`Adding ${column.name} column to existing AuthSessions table...`);
+          await pool.query(`ALTER TABLE authsessions ADD COLUMN ${column.name} ${column.type}`);
+          console.log(`${column.name} column added successfully!`);
         }
       }
     }
   } catch (err) {
-    console.error("Error checking/creating OrderLines table:", err);
+    console.error("Error checking/creating AuthSessions table:", err);
   }
 }
 
-async function ensureProductsTable() {
+// Ensure RefreshTokens table exists
+async function ensureRefreshTokensTable() {
   try {
-    // Check if Products table exists
     const tableCheck = await pool.query(`
       SELECT COUNT(*) as count FROM information_schema.tables 
-      WHERE table_schema = 'public' AND table_name = 'products'
+      WHERE table_schema = 'public' AND table_name = 'refreshtokens'
     `);
     
     if (parseInt(tableCheck.rows[0].count) === 0) {
-      console.log("Creating Products table...");
+      console.log("Creating RefreshTokens table...");
       await pool.query(`
-        CREATE TABLE products (
-          productid SERIAL PRIMARY KEY,
-          name VARCHAR(255) NOT NULL,
-          sku VARCHAR(100),
-          category VARCHAR(100),
-          stock INT,
-          description TEXT,
-          unitprice DECIMAL(10,2),
-          weight DECIMAL(10,2),
-          volume DECIMAL(10,2),
-          sellbydate DATE,
+        CREATE TABLE refreshtokens (
+          refreshtokenid SERIAL PRIMARY KEY,
+          sessionid INT NOT NULL,
+          tokenhash VARCHAR(64) NOT NULL UNIQUE,
+          expiresat TIMESTAMP NOT NULL,
+          usedat TIMESTAMP NULL,
           createdat TIMESTAMP DEFAULT NOW(),
-          updatedat TIMESTAMP DEFAULT NOW()
-        )
+          CONSTRAINT fk_refreshtokens_session FOREIGN KEY (sessionid) REFERENCES authsessions(sessionid) ON DELETE CASCADE
+        );
+        
+        CREATE INDEX IF NOT EXISTS idx_refreshtokens_sessionid ON refreshtokens(sessionid);
       `);
-      console.log("Products table created successfully!");
+      console.log("RefreshTokens table created successfully!");
     } else {
-      console.log("Products table already exists.");
-      
-      // Check for missing columns and add them
-      const columnsToCheck = [
-        { name: 'unitprice', type: 'DECIMAL(10,2)' },
-        { name: 'weight', type: 'DECIMAL(10,2)' },
-        { name: 'volume', type: 'DECIMAL(10,2)' },
-        { name: 'sellbydate', type: 'DATE' }
-      ];
-
-      for (const column of columnsToCheck) {
-        const colCheck = await pool.query(`
-          SELECT COUNT(*) as count 
-          FROM information_schema.columns 
-          WHERE table_schema = 'public' AND table_name = 'products' AND column_name = $1
-        `, [column.name]);
+      console.log("RefreshTokens table already exists.");
+    }
+  } catch (err) {
+    console.error("Error checking/creating RefreshTokens table:", err);
+  }
+}
 
-        if (parseInt(colCheck.rows[0].count) === 0) {
-          console.log(`Adding ${column.name} column...`);
-          await pool.query(`ALTER TABLE products ADD COLUMN ${column.name} ${column.type}`);
-          console.log(`${column.name} column added successfully!`);
-        } else {
-          console.log(`${column.name} column already exists.`);
-        }
-      }
+// Ensure PasswordResetTokens table exists
+async function ensurePasswordResetTokensTable() {
+  try {
+    const tableCheck = await pool.query(`
+      SELECT COUNT(*) as count FROM information_schema.tables 
+      WHERE table_schema = 'public' AND table_name = 'passwordresettokens'
+    `);
+    
+    if (parseInt(tableCheck.rows[0].count) === 0) {
+      console.log("Creating PasswordResetTokens table...");
+      await pool.query(`
+        CREATE TABLE passwordresettokens (
+          resettokenid SERIAL PRIMARY KEY,
+          userid INT NOT NULL,
+          tokenhash VARCHAR(64) NOT NULL UNIQUE,
+          expiresat TIMESTAMP NOT NULL,
+          usedat TIMESTAMP NULL,
+          requestedip VARCHAR(100),
+          createdat TIMESTAMP DEFAULT NOW(),
+          CONSTRAINT fk_passwordresettokens_user FOREIGN KEY (userid) REFERENCES users(userid) ON DELETE CASCADE
+        );
+        
+        CREATE INDEX IF NOT EXISTS idx_passwordresettokens_userid ON passwordresettokens(userid);
+      `);
+      console.log("PasswordResetTokens table created successfully!");
+    } else {
+      console.log("PasswordResetTokens table already exists.");
     }
   } catch (err) {
-    console.error("Error checking/creating Products table:", err);
+    console.error("Error checking/creating PasswordResetTokens table:", err);
   }
 }
 
-// Email Notification Setup using MailDev
-const transporter = nodemailer.createTransport({
-  host: 'localhost',    // MailDev host
-  port: 1025,           // MailDev SMTP port
-  ignoreTLS: true       // No TLS needed for local dev
-});
+// Ensure users.emailverifiedat column and EmailVerificationTokens table exist
+async function ensureEmailVerificationTables() {
+  try {
+    const columnCheck = await pool.query(`
+      SELECT COUNT(*) as count 
+      FROM information_schema.columns 
+      WHERE table_schema = 'public' AND table_name = 'users' AND column_name = 'emailverifiedat'
+    `);
 
-// POST /notify - Send a notification email using MailDev
-app.post('/notify', async (req, res) => {
-  console.log("POST /notify endpoint hit!");
-  const { orderNumber, status, exporterEmail, consigneeEmail, message } = req.body;
-  
-  if (!orderNumber || !status || !exporterEmail || !consigneeEmail || !message) {
-    return res.status(400).json({ error: "Missing required notification fields" });
+    if (parseInt(columnCheck.rows[0].count) === 0) {
+      console.log("Adding emailverifiedat column to Users table...");
+      await pool.query(`ALTER TABLE users ADD COLUMN emailverifiedat TIMESTAMP NULL`);
+      // Every account that already exists is treated as verified - including deactivated
+      // ones, so verifying an email can never switch them back on
+      await pool.query(`UPDATE users SET emailverifiedat = NOW()`);
+      console.log("emailverifiedat column added successfully!");
+    }
+
+    // Earlier versions only backfilled active accounts. Unverified registrations cannot
+    // log in, so an unverified account with a login history is one of those.
+    await pool.query(`
+      UPDATE users SET emailverifiedat = COALESCE(createdat, NOW())
+      WHERE emailverifiedat IS NULL AND lastlogin IS NOT NULL
+    `);
+
+    const tableCheck = await pool.query(`
+      SELECT COUNT(*) as count FROM information_schema.tables 
+      WHERE table_schema = 'public' AND table_name = 'emailverificationtokens'
+    `);
+    
+    if (parseInt(tableCheck.rows[0].count) === 0) {
+      console.log("Creating EmailVerificationTokens table...");
+      await pool.query(`
+        CREATE TABLE emailverificationtokens (
+          verificationtokenid SERIAL PRIMARY KEY,
+          userid INT NOT NULL,
+          tokenhash VARCHAR(64) NOT NULL UNIQUE,
+          expiresat TIMESTAMP NOT NULL,
+          usedat TIMESTAMP NULL,
+          createdat TIMESTAMP DEFAULT NOW(),
+          CONSTRAINT fk_emailverificationtokens_user FOREIGN KEY (userid) REFERENCES users(userid) ON DELETE CASCADE
+        );
+        
+        CREATE INDEX IF NOT EXISTS idx_emailverificationtokens_userid ON emailverificationtokens(userid);
+      `);
+      console.log("EmailVerificationTokens table created successfully!");
+    } else {
+      console.log("EmailVerificationTokens table already exists.");
+    }
+  } catch (err) {
+    console.error("Error checking/creating EmailVerificationTokens table:", err);
   }
-  
-  const mailOptions = {
-    from: 'no-reply@example.com',
-    to: [exporterEmail, consigneeEmail].join(","),
-    subject: `Notification: Purchase Order ${orderNumber} Update`,
-    text: message,
-  };
+}
 
-  transporter.sendMail(mailOptions, (err, info) => {
-    if (err) {
-      console.error("Error sending notification email:", err);
-      return res.status(500).json({ error: "Failed to send notification email" });
+// Ensure CompanyInvitations table exists
+async function ensureCompanyInvitationsTable() {
+  try {
+    const tableCheck = await pool.query(`
+      SELECT COUNT(*) as count FROM information_schema.tables 
+      WHERE table_schema = 'public' AND table_name = 'companyinvitations'
+    `);
+    
+    if (parseInt(tableCheck.rows[0].count) === 0) {
+      console.log("Creating CompanyInvitations table...");
+      await pool.query(`
+        CREATE TABLE companyinvitations (
+          invitationid SERIAL PRIMARY KEY,
+          companyid INT NOT NULL,
+          email VARCHAR(255) NOT NULL,
+          role VARCHAR(100) NOT NULL,
+          tokenhash VARCHAR(64) NOT NULL UNIQUE,
+          invitedbyuserid INT NOT NULL,
+          expiresat TIMESTAMP NOT NULL,
+          acceptedat TIMESTAMP NULL,
+          acceptedbyuserid INT NULL,
+          revokedat TIMESTAMP NULL,
+          createdat TIMESTAMP DEFAULT NOW(),
+          CONSTRAINT fk_companyinvitations_company FOREIGN KEY (companyid) REFERENCES companies(companyid) ON DELETE CASCADE
+        );
+        
+        CREATE INDEX IF NOT EXISTS idx_companyinvitations_companyid ON companyinvitations(companyid);
+        CREATE INDEX IF NOT EXISTS idx_companyinvitations_email ON companyinvitations(email);
+      `);
+      console.log("CompanyInvitations table created successfully!");
+    } else {
+      console.log("CompanyInvitations table already exists.");
     }
-    console.log("Notification email sent:", info.response);
-    res.status(200).json({ message: "Notification email sent successfully", info });
-  });
-});
+  } catch (err) {
+    console.error("Error checking/creating CompanyInvitations table:", err);
+  }
+}
 
-/* ---------------------------------------------------------------
-   Invoice Generation Helper Function
-   - Reads the HTML template from "templates/invoiceTemplate.html"
-   - Compiles it using Handlebars with provided invoiceData
-   - Uses Puppeteer to render the HTML into a PDF buffer
----------------------------------------------------------------- */
-/*
-async function generateInvoicePDF(invoiceData) {
+// Ensure two-factor columns on Users and the UserRecoveryCodes table exist
+async function ensureTwoFactorTables() {
   try {
-    const templatePath = path.join(__dirname, 'templates', 'invoiceTemplate.html');
-    const templateContent = fs.readFileSync(templatePath, 'utf8');
+    const columnsToCheck = [
+      { name: 'twofactorenabled', type: 'BOOLEAN NOT NULL DEFAULT FALSE' },
+      { name: 'twofactorsecret', type: 'TEXT' },
+      { name: 'twofactorenabledat', type: 'TIMESTAMP' },
+      { name: 'twofactorlaststep', type: 'BIGINT' }
+    ];
+
+    for (const column of columnsToCheck) {
+      const colCheck = await pool.query(`
+        SELECT COUNT(*) as count 
+        FROM information_schema.columns 
+        WHERE table_schema = 'public' AND table_name = 'users' AND column_name = $1
+      `, [column.name]);
+
+      if (parseInt(colCheck.rows[0].count) === 0) {
+        console.log(`Adding ${column.name} column to Users table...`);
+        await pool.query(`ALTER TABLE users ADD COLUMN ${column.name} ${column.type}`);
+        console.log(`${column.name} column added successfully!`);
+      }
+    }
+
+    const tableCheck = await pool.query(`
+      SELECT COUNT(*) as count FROM information_schema.tables 
+      WHERE table_schema = 'public' AND table_name = 'userrecoverycodes'
+    `);
+    
+    if (parseInt(tableCheck.rows[0].count) === 0) {
+      console.log("Creating UserRecoveryCodes table...");
+      await pool.query(`
+        CREATE TABLE userrecoverycodes (
+          recoverycodeid SERIAL PRIMARY KEY,
+          userid INT NOT NULL,
+          codehash VARCHAR(64) NOT NULL,
+          usedat TIMESTAMP NULL,
+          createdat TIMESTAMP DEFAULT NOW(),
+          CONSTRAINT fk_userrecoverycodes_user FOREIGN KEY (userid) REFERENCES users(userid) ON DELETE CASCADE
+        );
+        
+        CREATE INDEX IF NOT EXISTS idx_userrecoverycodes_userid ON userrecoverycodes(userid);
+      `);
+      console.log("UserRecoveryCodes table created successfully!");
+    } else {
+      console.log("UserRecoveryCodes table already exists.");
+    }
+  } catch (err) {
+    console.error("Error checking/creating two-factor tables:", err);
+  }
+}
+
+// Ensure ApiKeys table exists (company-scoped keys for system integrations)
+async function ensureApiKeysTable() {
+  try {
+    const tableCheck = await pool.query(`
+      SELECT COUNT(*) as count FROM information_schema.tables 
+      WHERE table_schema = 'public' AND table_name = 'apikeys'
+    `);
+    
+    if (parseInt(tableCheck.rows[0].count) === 0) {
+      console.log("Creating ApiKeys table...");
+      await pool.query(`
+        CREATE TABLE apikeys (
+          apikeyid SERIAL PRIMARY KEY,
+          companyid INT NOT NULL,
+          name VARCHAR(100) NOT NULL,
+          keyprefix VARCHAR(20) NOT NULL,
+          keyhash VARCHAR(64) NOT NULL UNIQUE,
+          permissions TEXT[] NOT NULL DEFAULT '{}',
+          createdbyuserid INT NOT NULL,
+          createdat TIMESTAMP DEFAULT NOW(),
+          lastusedat TIMESTAMP NULL,
+          lastusedip VARCHAR(100) NULL,
+          expiresat TIMESTAMP NULL,
+          revokedat TIMESTAMP NULL,
+          revokedbyuserid INT NULL,
+          CONSTRAINT fk_apikeys_company FOREIGN KEY (companyid) REFERENCES companies(companyid) ON DELETE CASCADE,
+          CONSTRAINT fk_apikeys_user FOREIGN KEY (createdbyuserid) REFERENCES users(userid)
+        );
+        
+        CREATE INDEX IF NOT EXISTS idx_apikeys_companyid ON apikeys(companyid);
+      `);
+      console.log("ApiKeys table created successfully!");
+    } else {
+      console.log("ApiKeys table already exists.");
+    }
+  } catch (err) {
+    console.error("Error checking/creating ApiKeys table:", err);
+  }
+}
+
+// Ensure ImpersonationAuditLog table exists (every request made while impersonating a user)
+async function ensureImpersonationAuditTable() {
+  try {
+    const tableCheck = await pool.query(`
+      SELECT COUNT(*) as count FROM information_schema.tables 
+      WHERE table_schema = 'public' AND table_name = 'impersonationauditlog'
+    `);
+    
+    if (parseInt(tableCheck.rows[0].count) === 0) {
+      console.log("Creating ImpersonationAuditLog table...");
+      await pool.query(`
+        CREATE TABLE impersonationauditlog (
+          auditid SERIAL PRIMARY KEY,
+          sessionid INT NOT NULL,
+          impersonatorid INT NOT NULL,
+          userid INT NOT NULL,
+          event VARCHAR(20) NOT NULL,
+          method VARCHAR(10),
+          path VARCHAR(500),
+          statuscode INT NULL,
+          ipaddress VARCHAR(100),
+          createdat TIMESTAMP DEFAULT NOW()
+        );
+        
+        CREATE INDEX IF NOT EXISTS idx_impersonationauditlog_sessionid ON impersonationauditlog(sessionid);
+        CREATE INDEX IF NOT EXISTS idx_impersonationauditlog_userid ON impersonationauditlog(userid, createdat);
+      `);
+      console.log("ImpersonationAuditLog table created successfully!");
+    } else {
+      console.log("ImpersonationAuditLog table already exists.");
+    }
+  } catch (err) {
+    console.error("Error checking/creating ImpersonationAuditLog table:", err);
+  }
+}
+
+// Ensure the OIDC single sign-on tables exist (pending logins and linked IdP identities)
+async function ensureOidcTables() {
+  try {
+    const tableCheck = await pool.query(`
+      SELECT COUNT(*) as count FROM information_schema.tables 
+      WHERE table_schema = 'public' AND table_name = 'oidcloginstates'
+    `);
+    
+    if (parseInt(tableCheck.rows[0].count) === 0) {
+      console.log("Creating OidcLoginStates table...");
+      await pool.query(`
+        CREATE TABLE oidcloginstates (
+          stateid SERIAL PRIMARY KEY,
+          statehash VARCHAR(64) NOT NULL UNIQUE,
+          nonce VARCHAR(100) NOT NULL,
+          codeverifier VARCHAR(128) NOT NULL,
+          bindinghash VARCHAR(64) NULL,
+          ipaddress VARCHAR(100),
+          createdat TIMESTAMP DEFAULT NOW(),
+          expiresat TIMESTAMP NOT NULL,
+          usedat TIMESTAMP NULL
+        );
+      `);
+      console.log("OidcLoginStates table created successfully!");
+    } else {
+      console.log("OidcLoginStates table already exists.");
+    }
+
+    // Hash of the cookie that ties a pending login to the browser that started it
+    const bindingCheck = await pool.query(`
+      SELECT COUNT(*) as count 
+      FROM information_schema.columns 
+      WHERE table_schema = 'public' AND table_name = 'oidcloginstates' AND column_name = 'bindinghash'
+    `);
+
+    if (parseInt(bindingCheck.rows[0].count) === 0) {
+      console.log("Adding bindinghash column to OidcLoginStates table...");
+      await pool.query(`ALTER TABLE oidcloginstates ADD COLUMN bindinghash VARCHAR(64) NULL`);
+      console.log("bindinghash column added successfully!");
+    }
+
+    const identitiesCheck = await pool.query(`
+      SELECT COUNT(*) as count FROM information_schema.tables 
+      WHERE table_schema = 'public' AND table_name = 'useridentities'
+    `);
+    
+    if (parseInt(identitiesCheck.rows[0].count) === 0) {
+      console.log("Creating UserIdentities table...");
+      await pool.query(`
+        CREATE TABLE useridentities (
+          identityid SERIAL PRIMARY KEY,
+          userid INT NOT NULL,
+          issuer VARCHAR(255) NOT NULL,
+          subject VARCHAR(255) NOT NULL,
+          email VARCHAR(255),
+          createdat TIMESTAMP DEFAULT NOW(),
+          lastloginat TIMESTAMP NULL,
+          CONSTRAINT uq_useridentities_subject UNIQUE (issuer, subject),
+          CONSTRAINT fk_useridentities_user FOREIGN KEY (userid) REFERENCES users(userid) ON DELETE CASCADE
+        );
+        
+        CREATE INDEX IF NOT EXISTS idx_useridentities_userid ON useridentities(userid);
+      `);
+      console.log("UserIdentities table created successfully!");
+    } else {
+      console.log("UserIdentities table already exists.");
+    }
+  } catch (err) {
+    console.error("Error checking/creating OIDC tables:", err);
+  }
+}
+
+// Ensure every permission the API checks is in the catalog and grants record who made them
+async function ensurePermissionsCatalog() {
+  try {
+    const columnsToCheck = [
+      { name: 'grantedby', type: 'INT NULL' },
+      { name: 'granteddate', type: 'TIMESTAMP DEFAULT NOW()' }
+    ];
+
+    for (const column of columnsToCheck) {
+      const colCheck = await pool.query(`
+        SELECT COUNT(*) as count 
+        FROM information_schema.columns 
+        WHERE table_schema = 'public' AND table_name = 'userpermissions' AND column_name = $1
+      `, [column.name]);
+
+      if (parseInt(colCheck.rows[0].count) === 0) {
+        console.log(`Adding ${column.name} column to UserPermissions table...`);
+        await pool.query(`ALTER TABLE userpermissions ADD COLUMN ${column.name} ${column.type}`);
+        console.log(`${column.name} column added successfully!`);
+      }
+    }
+
+    const seeded = await pool.query(`
+      INSERT INTO permissions (permissionname)
+      SELECT name FROM unnest($1::text[]) AS name
+      WHERE NOT EXISTS (SELECT 1 FROM permissions p WHERE p.permissionname = name)
+      RETURNING permissionname
+    `, [PERMISSIONS]);
+
+    if (seeded.rows.length > 0) {
+      console.log(`Added permissions to catalog: ${seeded.rows.map(r => r.permissionname).join(', ')}`);
+    }
+  } catch (err) {
+    console.error("Error checking/seeding Permissions catalog:", err);
+  }
+}
+
+// Ensure login lockout columns, the LoginAttempts (login history) table and the UserLoginSecurity view exist
+async function ensureLoginAttemptsTable() {
+  try {
+    const columnsToCheck = [
+      { name: 'failedattempts', type: 'INT NOT NULL DEFAULT 0' },
+      { name: 'lastfailedlogin', type: 'TIMESTAMP' },
+      { name: 'lockeduntil', type: 'TIMESTAMP' }
+    ];
+
+    for (const column of columnsToCheck) {
+      const colCheck = await pool.query(`
+        SELECT COUNT(*) as count 
+        FROM information_schema.columns 
+        WHERE table_schema = 'public' AND table_name = 'users' AND column_name = $1
+      `, [column.name]);
+
+      if (parseInt(colCheck.rows[0].count) === 0) {
+        console.log(`Adding ${column.name} column to Users table...`);
+        await pool.query(`ALTER TABLE users ADD COLUMN ${column.name} ${column.type}`);
+        console.log(`${column.name} column added successfully!`);
+      }
+    }
+
+    const tableCheck = await pool.query(`
+      SELECT COUNT(*) as count FROM information_schema.tables 
+      WHERE table_schema = 'public' AND table_name = 'loginattempts'
+    `);
+    
+    if (parseInt(tableCheck.rows[0].count) === 0) {
+      console.log("Creating LoginAttempts table...");
+      await pool.query(`
+        CREATE TABLE loginattempts (
+          attemptid SERIAL PRIMARY KEY,
+          identifier VARCHAR(255),
+          userid INT NULL,
+          ipaddress VARCHAR(100),
+          success BOOLEAN NOT NULL,
+          reason VARCHAR(100),
+          useragent VARCHAR(500),
+          sessionid INT NULL,
+          attemptedat TIMESTAMP DEFAULT NOW()
+        );
+        
+        CREATE INDEX IF NOT EXISTS idx_loginattempts_identifier ON loginattempts(identifier, attemptedat);
+        CREATE INDEX IF NOT EXISTS idx_loginattempts_ipaddress ON loginattempts(ipaddress, attemptedat);
+        CREATE INDEX IF NOT EXISTS idx_loginattempts_userid ON loginattempts(userid, attemptedat);
+      `);
+      console.log("LoginAttempts table created successfully!");
+    } else {
+      console.log("LoginAttempts table already exists.");
+
+      // Login history needs the device and the session a successful login opened
+      for (const column of [{ name: 'useragent', type: 'VARCHAR(500)' }, { name: 'sessionid', type: 'INT NULL' }]) {
+        const colCheck = await pool.query(`
+          SELECT COUNT(*) as count 
+          FROM information_schema.columns 
+          WHERE table_schema = 'public' AND table_name = 'loginattempts' AND column_name = $1
+        `, [column.name]);
+
+        if (parseInt(colCheck.rows[0].count) === 0) {
+          console.log(`Adding ${column.name} column to LoginAttempts table...`);
+          await pool.query(`ALTER TABLE loginattempts ADD COLUMN ${column.name} ${column.type}`);
+        }
+      }
+    }
+
+    await pool.query(`
+      CREATE OR REPLACE VIEW userloginsecurity AS
+      SELECT userid, username, email, failedattempts, lastfailedlogin, lockeduntil,
+             (lockeduntil IS NOT NULL AND lockeduntil > NOW()) as islocked
+      FROM users
+    `);
+  } catch (err) {
+    console.error("Error checking/creating LoginAttempts table:", err);
+  }
+}
+
+// Soft delete / archive bookkeeping on orders; never copied, restored from history or imported
+const ORDER_LIFECYCLE_COLUMNS = ['deletedat', 'deletedbyuserid', 'archivedat', 'archivedbyuserid'];
+
+// Ensure soft delete and archive columns exist on Orders
+async function ensureOrderLifecycleColumns() {
+  try {
+    const columnsToCheck = [
+      { name: 'deletedat', type: 'TIMESTAMP NULL' },
+      { name: 'deletedbyuserid', type: 'INT NULL' },
+      { name: 'archivedat', type: 'TIMESTAMP NULL' },
+      { name: 'archivedbyuserid', type: 'INT NULL' }
+    ];
+
+    for (const column of columnsToCheck) {
+      const colCheck = await pool.query(`
+        SELECT COUNT(*) as count 
+        FROM information_schema.columns 
+        WHERE table_schema = 'public' AND table_name = 'orders' AND column_name = $1
+      `, [column.name]);
+
+      if (parseInt(colCheck.rows[0].count) === 0) {
+        console.log(`Adding ${column.name} column to Orders table...`);
+        await pool.query(`ALTER TABLE orders ADD COLUMN ${column.name} ${column.type}`);
+        console.log(`${column.name} column added successfully!`);
+      }
+    }
+  } catch (err) {
+    console.error("Error checking/adding Orders lifecycle columns:", err);
+  }
+}
+
+// Ensure the TradingPartners table and Orders.exportercompanyid exist.
+// A partnership is pending until the invited company accepts it; either side
+// may suspend it, and a suspended partnership is reopened with a new invite.
+async function ensureTradingPartnersTable() {
+  try {
+    const tableCheck = await pool.query(`
+      SELECT COUNT(*) as count FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = 'tradingpartners'
+    `);
+
+    if (parseInt(tableCheck.rows[0].count) === 0) {
+      console.log("Creating TradingPartners table...");
+      await pool.query(`
+        CREATE TABLE tradingpartners (
+          partnershipid SERIAL PRIMARY KEY,
+          exportercompanyid INT NOT NULL REFERENCES companies(companyid) ON DELETE CASCADE,
+          importercompanyid INT NOT NULL REFERENCES companies(companyid) ON DELETE CASCADE,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending',
+          invitedbycompanyid INT NOT NULL,
+          invitedbyuserid INT NULL,
+          acceptedbyuserid INT NULL,
+          acceptedat TIMESTAMP NULL,
+          suspendedbycompanyid INT NULL,
+          suspendedbyuserid INT NULL,
+          suspendedat TIMESTAMP NULL,
+          createdat TIMESTAMP DEFAULT NOW(),
+          updatedat TIMESTAMP DEFAULT NOW(),
+          CONSTRAINT uq_tradingpartners_pair UNIQUE (exportercompanyid, importercompanyid),
+          CONSTRAINT ck_tradingpartners_distinct CHECK (exportercompanyid <> importercompanyid)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_tradingpartners_importer ON tradingpartners(importercompanyid);
+      `);
+      console.log("TradingPartners table created successfully!");
+    } else {
+      console.log("TradingPartners table already exists.");
+    }
+
+    const colCheck = await pool.query(`
+      SELECT COUNT(*) as count
+      FROM information_schema.columns
+      WHERE table_schema = 'public' AND table_name = 'orders' AND column_name = 'exportercompanyid'
+    `);
+
+    if (parseInt(colCheck.rows[0].count) === 0) {
+      console.log("Adding exportercompanyid column to Orders table...");
+      await pool.query(`ALTER TABLE orders ADD COLUMN exportercompanyid INT NULL`);
+      await pool.query(`CREATE INDEX IF NOT EXISTS idx_orders_exportercompanyid ON orders(exportercompanyid)`);
+      console.log("exportercompanyid column added successfully!");
+    }
+  } catch (err) {
+    console.error("Error checking/creating TradingPartners table:", err);
+  }
+}
+
+// Ensure OrderHistory table exists (versioned order / order line changes)
+async function ensureOrderHistoryTable() {
+  try {
+    const tableCheck = await pool.query(`
+      SELECT COUNT(*) as count FROM information_schema.tables 
+      WHERE table_schema = 'public' AND table_name = 'orderhistory'
+    `);
+    
+    if (parseInt(tableCheck.rows[0].count) === 0) {
+      console.log("Creating OrderHistory table...");
+      // No foreign key to orders: the history must outlive a deleted order
+      await pool.query(`
+        CREATE TABLE orderhistory (
+          historyid SERIAL PRIMARY KEY,
+          orderid INT NOT NULL,
+          version INT NOT NULL,
+          entitytype VARCHAR(20) NOT NULL,
+          entityid INT NOT NULL,
+          action VARCHAR(20) NOT NULL,
+          changes JSONB NOT NULL DEFAULT '{}',
+          snapshot JSONB,
+          note VARCHAR(500),
+          changedbyuserid INT NULL,
+          apikeyid INT NULL,
+          impersonatedby INT NULL,
+          changedat TIMESTAMP DEFAULT NOW(),
+          CONSTRAINT uq_orderhistory_version UNIQUE (orderid, version)
+        );
+        
+        CREATE INDEX IF NOT EXISTS idx_orderhistory_entity ON orderhistory(entitytype, entityid);
+      `);
+      console.log("OrderHistory table created successfully!");
+    } else {
+      console.log("OrderHistory table already exists.");
+    }
+  } catch (err) {
+    console.error("Error checking/creating OrderHistory table:", err);
+  }
+}
+
+async function ensureOrderTemplatesTable() {
+  try {
+    const tableCheck = await pool.query(`
+      SELECT COUNT(*) as count FROM information_schema.tables 
+      WHERE table_schema = 'public' AND table_name = 'ordertemplates'
+    `);
+    
+    if (parseInt(tableCheck.rows[0].count) === 0) {
+      console.log("Creating OrderTemplates table...");
+      await pool.query(`
+        CREATE TABLE ordertemplates (
+          templateid SERIAL PRIMARY KEY,
+          companyid INT NOT NULL,
+          name VARCHAR(255) NOT NULL,
+          description VARCHAR(500),
+          fields JSONB NOT NULL DEFAULT '{}',
+          lines JSONB NOT NULL DEFAULT '[]',
+          createdbyuserid INT NULL,
+          createdat TIMESTAMP DEFAULT NOW(),
+          updatedat TIMESTAMP DEFAULT NOW(),
+          CONSTRAINT uq_ordertemplates_name UNIQUE (companyid, name)
+        )
+      `);
+      console.log("OrderTemplates table created successfully!");
+    } else {
+      console.log("OrderTemplates table already exists.");
+    }
+  } catch (err) {
+    console.error("Error checking/creating OrderTemplates table:", err);
+  }
+}
+
+// Check if OrderLines table exists and create if not - CONVERTED
+async function ensureOrderLinesTable() {
+  try {
+    // First check if Orders table exists
+    const ordersTableCheck = await pool.query(`
+      SELECT COUNT(*) as count FROM information_schema.tables 
+      WHERE table_schema = 'public' AND table_name = 'orders'
+    `);
+    
+    const ordersTableExists = parseInt(ordersTableCheck.rows[0].count) > 0;
+    
+    // Check if OrderLines table exists
+    const orderLinesTableCheck = await pool.query(`
+      SELECT COUNT(*) as count FROM information_schema.tables 
+      WHERE table_schema = 'public' AND table_name = 'orderlines'
+    `);
+    
+    if (parseInt(orderLinesTableCheck.rows[0].count) === 0) {
+      console.log("Creating OrderLines table...");
+      
+      // If Orders table exists, create with foreign key constraint
+      if (ordersTableExists) {
+        await pool.query(`
+          CREATE TABLE orderlines (
+            lineid SERIAL PRIMARY KEY,
+            orderid INT NOT NULL,
+            poinvoiceid INT NULL,
+            ordernumber VARCHAR(255),
+            linenumber INT,
+            partnumber VARCHAR(255),
+            description TEXT,
+            quantity INT,
+            uom VARCHAR(50),
+            linestatus VARCHAR(50),
+            productid INT,
+            unitprice DECIMAL(10,2),
+            weight DECIMAL(10,2),
+            volume DECIMAL(10,2),
+            createdat TIMESTAMP DEFAULT NOW(),
+            updatedat TIMESTAMP DEFAULT NOW(),
+            CONSTRAINT fk_orderlines_order FOREIGN KEY (orderid) REFERENCES orders(orderid) ON DELETE CASCADE
+          )
+        `);
+      } else {
+        // Create without foreign key if Orders table doesn't exist
+        await pool.query(`
+          CREATE TABLE orderlines (
+            lineid SERIAL PRIMARY KEY,
+            orderid INT NOT NULL,
+            poinvoiceid INT NULL,
+            ordernumber VARCHAR(255),
+            linenumber INT,
+            partnumber VARCHAR(255),
+            description TEXT,
+            quantity INT,
+            uom VARCHAR(50),
+            linestatus VARCHAR(50),
+            productid INT,
+            unitprice DECIMAL(10,2),
+            weight DECIMAL(10,2),
+            volume DECIMAL(10,2),
+            createdat TIMESTAMP DEFAULT NOW(),
+            updatedat TIMESTAMP DEFAULT NOW()
+          )
+        `);
+        console.warn("Warning: Created OrderLines table without foreign key constraint because Orders table does not exist.");
+      }
+      
+      console.log("OrderLines table created successfully!");
+    } else {
+      console.log("OrderLines table already exists, checking columns...");
+      
+      // Check if POInvoiceID column exists
+      const columnCheck = await pool.query(`
+        SELECT COUNT(*) as count 
+        FROM information_schema.columns 
+        WHERE table_schema = 'public' AND table_name = 'orderlines' AND column_name = 'poinvoiceid'
+      `);
+      
+      if (parseInt(columnCheck.rows[0].count) === 0) {
+        console.log("Adding poinvoiceid column to existing OrderLines table...");
+        await pool.query(`
+          ALTER TABLE orderlines 
+          ADD COLUMN poinvoiceid INT NULL
+        `);
+        console.log("poinvoiceid column added successfully!");
+      } else {
+        console.log("poinvoiceid column already exists.");
+      }
+      
+      // Check for other missing columns
+      const columnsToCheck = ['unitprice', 'weight', 'volume'];
+      for (const column of columnsToCheck) {
+        const colCheck = await pool.query(`
+          SELECT COUNT(*) as count 
+          FROM information_schema.columns 
+          WHERE table_schema = 'public' AND table_name = 'orderlines' AND column_name = $1
+        `, [column]);
+        
+        if (parseInt(colCheck.rows[0].count) === 0) {
+          console.log(`Adding ${column} column to OrderLines table...`);
+          await pool.query(`
+            ALTER TABLE orderlines 
+            ADD COLUMN ${column} DECIMAL(10,2) NULL
+          `);
+          console.log(`${column} column added successfully!`);
+        }
+      }
+    }
+  } catch (err) {
+    console.error("Error checking/creating OrderLines table:", err);
+  }
+}
+
+async function ensureProductsTable() {
+  try {
+    // Check if Products table exists
+    const tableCheck = await pool.query(`
+      SELECT COUNT(*) as count FROM information_schema.tables 
+      WHERE table_schema = 'public' AND table_name = 'products'
+    `);
+    
+    if (parseInt(tableCheck.rows[0].count) === 0) {
+      console.log("Creating Products table...");
+      await pool.query(`
+        CREATE TABLE products (
+          productid SERIAL PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          sku VARCHAR(100),
+          category VARCHAR(100),
+          stock INT,
+          description TEXT,
+          unitprice DECIMAL(10,2),
+          weight DECIMAL(10,2),
+          volume DECIMAL(10,2),
+          sellbydate DATE,
+          createdat TIMESTAMP DEFAULT NOW(),
+          updatedat TIMESTAMP DEFAULT NOW()
+        )
+      `);
+      console.log("Products table created successfully!");
+    } else {
+      console.log("Products table already exists.");
+      
+      // Check for missing columns and add them
+      const columnsToCheck = [
+        { name: 'unitprice', type: 'DECIMAL(10,2)' },
+        { name: 'weight', type: 'DECIMAL(10,2)' },
+        { name: 'volume', type: 'DECIMAL(10,2)' },
+        { name: 'sellbydate', type: 'DATE' }
+      ];
+
+      for (const column of columnsToCheck) {
+        const colCheck = await pool.query(`
+          SELECT COUNT(*) as count 
+          FROM information_schema.columns 
+          WHERE table_schema = 'public' AND table_name = 'products' AND column_name = $1
+        `, [column.name]);
+
+        if (parseInt(colCheck.rows[0].count) === 0) {
+          console.log(`Adding ${column.name} column...`);
+          await pool.query(`ALTER TABLE products ADD COLUMN ${column.name} ${column.type}`);
+          console.log(`${column.name} column added successfully!`);
+        } else {
+          console.log(`${column.name} column already exists.`);
+        }
+      }
+    }
+  } catch (err) {
+    console.error("Error checking/creating Products table:", err);
+  }
+}
+
+// Email Notification Setup using MailDev
+const transporter = nodemailer.createTransport({
+  host: 'localhost',    // MailDev host
+  port: 1025,           // MailDev SMTP port
+  ignoreTLS: true       // No TLS needed for local dev
+});
+
+// Share the transporter with the route modules (e.g. auth emails)
+app.locals.mailTransporter = transporter;
+
+// POST /notify - Send a notification email using MailDev
+app.post('/notify', authenticateToken, requirePermission('communications.write'), async (req, res) => {
+  console.log("POST /notify endpoint hit!");
+  const { orderNumber, status, exporterEmail, consigneeEmail, message } = req.body;
+  
+  if (!orderNumber || !status || !exporterEmail || !consigneeEmail || !message) {
+    return res.status(400).json({ error: "Missing required notification fields" });
+  }
+  
+  const mailOptions = {
+    from: 'no-reply@example.com',
+    to: [exporterEmail, consigneeEmail].join(","),
+    subject: `Notification: Purchase Order ${orderNumber} Update`,
+    text: message,
+  };
+
+  transporter.sendMail(mailOptions, (err, info) => {
+    if (err) {
+      console.error("Error sending notification email:", err);
+      return res.status(500).json({ error: "Failed to send notification email" });
+    }
+    console.log("Notification email sent:", info.response);
+    res.status(200).json({ message: "Notification email sent successfully", info });
+  });
+});
+
+/* ---------------------------------------------------------------
+   Invoice Generation Helper Function
+   - Reads the HTML template from "templates/invoiceTemplate.html"
+   - Compiles it using Handlebars with provided invoiceData
+   - Uses Puppeteer to render the HTML into a PDF buffer
+---------------------------------------------------------------- */
+/*
+async function generateInvoicePDF(invoiceData) {
+  try {
+    const templatePath = path.join(__dirname, 'templates', 'invoiceTemplate.html');
+    const templateContent = fs.readFileSync(templatePath, 'utf8');
     // Compile the template
     const template = handlebars.compile(templateContent);
     const html = template(invoiceData);
@@ -623,277 +1386,1698 @@ async function generateInvoicePDF(invoiceData) {
     await browser.close();
     return pdfBuffer;
   } catch (err) {
-    console.error("Error in generateInvoicePDF:", err);
-    throw err;
+    console.error("Error in generateInvoicePDF:", err);
+    throw err;
+  }
+}
+*/
+
+/* ---------------------------------------------------------------
+   Order History - versioned field-level changes (utils/orderHistory.js)
+---------------------------------------------------------------- */
+
+// Columns a restore never touches: identity, ownership (including the exporter
+// company, which grants partner access), and the status, which only moves
+// through its transitions
+const HISTORY_RESTORE_EXCLUDED_FIELDS = [
+  'orderid', 'userid', 'exportercompanyid', 'orderstatus', 'rowversion', ...ORDER_LIFECYCLE_COLUMNS
+];
+
+/* ---------------------------------------------------------------
+   Order Status - changes along the workflow in utils/orderStatus.js
+---------------------------------------------------------------- */
+
+// Move an order to a status inside the caller's transaction and record it in
+// the history. Returns { status, body } when the change is not allowed, else null.
+async function changeOrderStatus(db, req, orderId, toStatus, note) {
+  await db.query('SELECT 1 FROM orders WHERE orderid = $1 FOR UPDATE', [orderId]);
+  const before = await fetchOrderSnapshot(db, orderId);
+
+  const rejection = await checkOrderStatusChange(db, orderId, before.orderstatus, toStatus);
+  if (rejection) {
+    return rejection;
+  }
+
+  await db.query('UPDATE orders SET orderstatus = $2 WHERE orderid = $1', [orderId, toStatus]);
+  await recordOrderHistory(db, req, {
+    orderId: parseInt(orderId), action: 'update', before, after: await fetchOrderSnapshot(db, orderId), note
+  });
+  return null;
+}
+
+/* ---------------------------------------------------------------
+   Row Versions - optimistic concurrency with ETag / If-Match (utils/rowVersion.js)
+---------------------------------------------------------------- */
+
+// Tables whose rows carry a rowversion. A trigger bumps it on every UPDATE, so
+// milestone, status and merge updates also invalidate a copy a client holds.
+const ROW_VERSIONED_TABLES = ['orders', 'poinvoice'];
+
+// Ensure rowversion columns and their bump trigger exist
+async function ensureRowVersionColumns() {
+  try {
+    await pool.query(`
+      CREATE OR REPLACE FUNCTION bump_rowversion() RETURNS trigger AS $$
+      BEGIN
+        NEW.rowversion := OLD.rowversion + 1;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+
+    for (const table of ROW_VERSIONED_TABLES) {
+      const colCheck = await pool.query(`
+        SELECT COUNT(*) as count
+        FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = $1 AND column_name = 'rowversion'
+      `, [table]);
+
+      if (parseInt(colCheck.rows[0].count) === 0) {
+        console.log(`Adding rowversion column to ${table} table...`);
+        await pool.query(`ALTER TABLE ${table} ADD COLUMN rowversion INT NOT NULL DEFAULT 1`);
+        console.log("rowversion column added successfully!");
+      }
+
+      const triggerCheck = await pool.query(`
+        SELECT COUNT(*) as count FROM information_schema.triggers
+        WHERE event_object_schema = 'public' AND event_object_table = $1 AND trigger_name = $2
+      `, [table, `trg_${table}_rowversion`]);
+
+      if (parseInt(triggerCheck.rows[0].count) === 0) {
+        // Updates that change nothing keep the version, so they never cause a 412
+        await pool.query(`
+          CREATE TRIGGER trg_${table}_rowversion
+          BEFORE UPDATE ON ${table}
+          FOR EACH ROW WHEN (OLD.* IS DISTINCT FROM NEW.*)
+          EXECUTE PROCEDURE bump_rowversion()
+        `);
+        console.log(`rowversion trigger created on ${table} table!`);
+      }
+    }
+  } catch (err) {
+    console.error("Error checking/adding rowversion columns:", err);
+  }
+}
+
+/* ---------------------------------------------------------------
+   Orders Routes - CONVERTED TO POSTGRESQL
+--------------------------------------------------------------- */
+
+// Filters and sort keys GET /orders accepts (see utils/listQuery.js)
+const ORDER_LIST_SPEC = {
+  filters: {
+    orderstatus: { column: 'o.orderstatus', match: 'in' },
+    transportmode: { column: 'o.transportmode', match: 'in' },
+    exporter: { column: 'o.exporter', match: 'contains' },
+    shipmentconsignee: { column: 'o.shipmentconsignee', match: 'contains' },
+    portofloading: { column: 'o.portofloading', match: 'contains' },
+    portofdischarge: { column: 'o.portofdischarge', match: 'contains' }
+  },
+  ranges: {
+    orderdate: { column: 'o.orderdate' },
+    shipwindowstart: { column: 'o.shipwindowstart' },
+    shipwindowend: { column: 'o.shipwindowend' }
+  },
+  sortable: {
+    orderid: 'o.orderid',
+    ordernumber: 'o.ordernumber',
+    orderstatus: 'o.orderstatus',
+    orderdate: 'o.orderdate',
+    exporter: 'o.exporter',
+    shipmentconsignee: 'o.shipmentconsignee',
+    transportmode: 'o.transportmode',
+    shipwindowstart: 'o.shipwindowstart',
+    shipwindowend: 'o.shipwindowend',
+    requiredinstore: 'o.requiredinstore',
+    archivedat: 'o.archivedat',
+    deletedat: 'o.deletedat'
+  },
+  defaultSort: '-orderid',
+  tiebreaker: 'orderid'
+};
+
+// GET orders - filtered, sorted and cursor-paginated:
+// ?orderstatus=Draft,Confirmed&exporter=acme&orderdateFrom=2024-01-01&sort=-orderdate,ordernumber&limit=50&cursor=...
+// Archived orders are left out unless ?archived=include|only; ?deleted=only lists the trash.
+app.get('/orders', authenticateToken, requirePermission('orders.read'), async (req, res) => {
+  console.log("GET /orders called with query:", req.query);
+  try {
+    const list = buildListQuery(req.query, ORDER_LIST_SPEC, {
+      conditions: orderListConditions(req.query),
+      params: [scopedCompanyIds(req)]
+    });
+
+    const page = await fetchPage(pool, { select: 'o.*', from: 'FROM orders o' }, list);
+
+    console.log(`Records returned from /orders: ${page.data.length} of ${page.pagination.total}`);
+    res.status(200).json(page);
+  } catch (err) {
+    if (err instanceof ListQueryError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Error fetching orders:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ---------------------------------------------------------------
+   Order Exports - CSV / XLSX with the same filters as GET /orders (utils/orderExport.js)
+---------------------------------------------------------------- */
+
+// Rows are read from a server-side cursor in batches of this size
+const EXPORT_BATCH_SIZE = 500;
+
+// XLSX workbooks are zipped in memory, so they are capped; CSV streams any size
+const EXPORT_XLSX_MAX_ROWS = parseInt(process.env.EXPORT_XLSX_MAX_ROWS) || 50000;
+
+// GET /orders filters plus line filters; sorted by order then line by default
+const ORDER_LINE_EXPORT_SPEC = {
+  filters: {
+    ...ORDER_LIST_SPEC.filters,
+    linestatus: { column: 'ol.linestatus', match: 'in' },
+    partnumber: { column: 'ol.partnumber', match: 'contains' }
+  },
+  ranges: ORDER_LIST_SPEC.ranges,
+  sortable: {
+    ...ORDER_LIST_SPEC.sortable,
+    lineid: 'ol.lineid',
+    linenumber: 'ol.linenumber',
+    partnumber: 'ol.partnumber',
+    linestatus: 'ol.linestatus'
+  },
+  defaultSort: 'ordernumber,linenumber',
+  tiebreaker: 'lineid'
+};
+
+// Parse format, columns, filters and sort; throws ListQueryError for bad input
+function buildExportQuery(req, { catalog, defaults, spec }) {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new ListQueryError(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const columns = parseExportColumns(req.query.columns, catalog, defaults);
+
+  // Exports take every matching row: no page size or cursor
+  const list = buildListQuery({ ...req.query, limit: undefined, cursor: undefined }, spec, {
+    conditions: orderListConditions(req.query),
+    params: [scopedCompanyIds(req)]
+  });
+
+  return { format, columns, list };
+}
+
+// Stream the query's rows into a CSV / XLSX download through a cursor, so
+// large exports never sit in memory
+async function streamExport(res, { format, fileName, columns, from, list }) {
+  const selectSql = columns.map((column, i) => (
+    column.type === 'date' ? `to_char(${column.sql}, 'YYYY-MM-DD') as c${i}` : `${column.sql} as c${i}`
+  )).join(', ');
+
+  const client = await pool.connect();
+  let started = false;
+  try {
+    await client.query('BEGIN READ ONLY');
+
+    if (format === 'xlsx') {
+      const countResult = await client.query(`
+        SELECT COUNT(*) as count
+        ${from}
+        WHERE ${list.conditions.join(' AND ')}
+      `, list.params);
+      if (parseInt(countResult.rows[0].count) > EXPORT_XLSX_MAX_ROWS) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          error: `XLSX exports are limited to ${EXPORT_XLSX_MAX_ROWS} rows - narrow the filters or export as CSV`
+        });
+      }
+    }
+
+    await client.query(`
+      DECLARE export_rows NO SCROLL CURSOR FOR
+      SELECT ${selectSql}
+      ${from}
+      WHERE ${list.conditions.join(' AND ')}
+      ORDER BY ${list.orderBySql}
+    `, list.params);
+
+    const datedFileName = `${fileName}-${new Date().toISOString().substring(0, 10)}`;
+    const writer = await createSpreadsheetWriter(res, format, columns, datedFileName);
+    started = true;
+
+    let rowCount = 0;
+    for (;;) {
+      const batch = await client.query(`FETCH ${EXPORT_BATCH_SIZE} FROM export_rows`);
+      if (batch.rows.length === 0) break;
+
+      for (const row of batch.rows) {
+        await writer.writeRow(columns.map((column, i) => row[`c${i}`]));
+      }
+      rowCount += batch.rows.length;
+    }
+
+    await writer.end();
+    await client.query('COMMIT');
+    console.log(`Exported ${rowCount} rows to ${datedFileName}.${format}`);
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error("Export failed:", err);
+    // Once the download has started the only way to signal failure is to cut it off
+    if (started) {
+      res.destroy(err);
+    } else {
+      res.status(500).json({ error: err.message });
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// GET - Export orders as CSV or XLSX
+// ?format=csv|xlsx&columns=ordernumber,exporter,... plus any GET /orders filter and sort
+app.get('/orders/export', authenticateToken, requirePermission('orders.read'), async (req, res) => {
+  console.log("GET /orders/export called with query:", req.query);
+  let exportQuery;
+  try {
+    exportQuery = buildExportQuery(req, {
+      catalog: ORDER_EXPORT_COLUMNS, defaults: ORDER_EXPORT_DEFAULT_COLUMNS, spec: ORDER_LIST_SPEC
+    });
+  } catch (err) {
+    if (err instanceof ListQueryError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Error preparing export:", err);
+    return res.status(500).json({ error: err.message });
+  }
+
+  await streamExport(res, { ...exportQuery, fileName: 'orders', from: 'FROM orders o' });
+});
+
+// GET - Export order lines (one row per line, with order columns) as CSV or XLSX
+// Same filters as /orders/export plus linestatus and partnumber
+app.get('/orderLines/export', authenticateToken, requirePermission('orders.read'), async (req, res) => {
+  console.log("GET /orderLines/export called with query:", req.query);
+  let exportQuery;
+  try {
+    exportQuery = buildExportQuery(req, {
+      catalog: ORDER_LINE_EXPORT_COLUMNS, defaults: ORDER_LINE_EXPORT_DEFAULT_COLUMNS, spec: ORDER_LINE_EXPORT_SPEC
+    });
+  } catch (err) {
+    if (err instanceof ListQueryError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Error preparing export:", err);
+    return res.status(500).json({ error: err.message });
+  }
+
+  await streamExport(res, {
+    ...exportQuery,
+    fileName: 'order-lines',
+    from: 'FROM orderlines ol JOIN orders o ON ol.orderid = o.orderid'
+  });
+});
+
+// Columns a new order is created from (besides userid): POST /orders, order templates
+const ORDER_INSERT_COLUMNS = [
+  'orderstatus', 'ordernumber', 'splitnumber', 'goodsdescription', 'orderdate',
+  'exporter', 'shipmentconsignee', 'exportercontact', 'shipmentconsigneecontact',
+  'confirmationdate', 'followupdate', 'exworksrequiredby', 'requiredinstore',
+  'shipwindowstart', 'shipwindowend', 'apn', 'currency', 'packs', 'packtype', 'actualweightmeasure',
+  'actualvolumemeasure', 'additionaldetails', 'invoicenumber', 'invoicedate',
+  'transportmode', 'destination', 'origin', 'portofdischarge', 'portofloading',
+  'servicelevel', 'containermode', 'incoterm'
+];
+
+const ORDER_DATE_COLUMNS = [
+  'orderdate', 'confirmationdate', 'followupdate', 'exworksrequiredby', 'requiredinstore',
+  'shipwindowstart', 'shipwindowend', 'invoicedate'
+];
+
+// Insert an order from { column: value } (missing columns are NULL, the
+// status defaults to Draft); returns the new orderid
+async function insertOrder(db, userid, fields) {
+  const values = ORDER_INSERT_COLUMNS.map(column => {
+    if (column === 'orderstatus') return fields.orderstatus || ORDER_INITIAL_STATUS;
+    return ORDER_DATE_COLUMNS.includes(column) ? sanitizeDate(fields[column]) : fields[column];
+  });
+
+  const result = await db.query(`
+    INSERT INTO orders (userid, ${ORDER_INSERT_COLUMNS.join(', ')})
+    VALUES (${[userid, ...values].map((value, i) => `$${i + 1}`).join(', ')})
+    RETURNING orderid
+  `, [userid, ...values]);
+
+  return result.rows[0].orderid;
+}
+
+// POST - Create a new order including userID - CONVERTED
+// With templateid, the template's fields fill in whatever the body leaves out
+// and its lines are added to the new order.
+app.post('/orders', authenticateToken, requirePermission('orders.write'), async (req, res) => {
+  console.log("POST /orders called. Incoming body:", req.body);
+  const { templateid, userid = req.user.userId } = req.body;
+  
+  const client = await pool.connect();
+  try {
+    // Orders can only be raised for users in the caller's companies
+    if (!(await isUserInScope(pool, req, userid))) {
+      return sendForbidden(res, 'Cannot create orders for users outside your companies', { userId: userid });
+    }
+
+    let template = null;
+    if (templateid !== undefined && templateid !== null && templateid !== '') {
+      template = await findOrderTemplate(pool, req, templateid);
+      if (!template) {
+        return res.status(404).json({ error: 'Order template not found' });
+      }
+    }
+
+    const fields = {};
+    for (const column of ORDER_INSERT_COLUMNS) {
+      fields[column] = req.body[column] !== undefined ? req.body[column] : (template ? template.fields[column] : undefined);
+    }
+
+    if (fields.orderstatus && !ORDER_CREATE_STATUSES.includes(fields.orderstatus)) {
+      return res.status(400).json({
+        error: orderCreateStatusError(fields.orderstatus),
+        allowedStatuses: ORDER_CREATE_STATUSES
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const orderid = await insertOrder(client, userid, fields);
+
+    await recordOrderHistory(client, req, {
+      orderId: orderid, action: 'create', before: null, after: await fetchOrderSnapshot(client, orderid),
+      note: template ? `Created from template ${template.name}` : null
+    });
+
+    if (template && template.lines.length > 0) {
+      await insertOrderLines(client, orderid, fields.ordernumber, template.lines);
+      await recordLineChanges(client, req, orderid, new Map(), await fetchLineSnapshots(client, orderid));
+    }
+
+    await client.query('COMMIT');
+    console.log("Order created successfully!");
+    
+    res.status(201).json({ message: 'Order created successfully', orderid: orderid });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Order creation failed:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// GET a single order by ID - CONVERTED
+app.get('/orders/:id', authenticateToken, requirePermission('orders.read'), requireOrderAccess(idFrom.param('id')), async (req, res) => {
+  console.log("GET /orders/:id called, ID =", req.params.id);
+  const { id } = req.params;
+
+ // Add validation for undefined/invalid IDs
+  if (!id || id === 'undefined' || isNaN(parseInt(id))) {
+    console.log("Invalid order ID provided:", id);
+    return res.status(400).json({ error: 'Invalid order ID provided' });
+  }
+  
+  try {
+    const query = `SELECT * FROM orders WHERE orderid = $1`;
+    const result = await pool.query(query, [id]);
+
+    if (result.rows.length === 0) {
+      console.log("No order found with ID =", id);
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    console.log("Record returned:", result.rows[0]);
+    res.set('ETag', rowVersionEtag(result.rows[0].rowversion));
+    res.status(200).json(result.rows[0]);
+  } catch (err) {
+    console.error("Error fetching order:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT - Update an order - CONVERTED
+// Requires If-Match with the ETag from GET /orders/:id; a stale one gets 412.
+app.put('/orders/:id', authenticateToken, requirePermission('orders.write'), requireOrderAccess(idFrom.param('id')), async (req, res) => {
+  console.log("PUT /orders/:id called, ID =", req.params.id);
+  console.log("Incoming PUT body:", req.body);
+  const { id } = req.params;
+  const {
+    userid,
+    orderstatus,
+    ordernumber,
+    splitnumber,
+    goodsdescription,
+    orderdate,
+    exporter,
+    shipmentconsignee,
+    exportercontact,
+    shipmentconsigneecontact,
+    confirmationdate,
+    followupdate,
+    exworksrequiredby,
+    requiredinstore,
+    shipwindowstart,
+    shipwindowend,
+    apn,
+    currency,
+    packs,
+    packtype,
+    actualweightmeasure,
+    actualvolumemeasure,
+    additionaldetails,
+    invoicenumber,
+    invoicedate,
+    transportmode,
+    destination,
+    origin,
+    portofdischarge,
+    portofloading,
+    servicelevel,
+    containermode,
+    incoterm,
+    ordertype
+  } = req.body;
+
+  console.log('Raw values before cleaning:', { packs, actualweightmeasure, actualvolumemeasure });
+
+// Clean numeric fields that might be empty strings
+const cleanedPacks = (packs === '' || packs === undefined || packs === null) ? null : parseInt(packs) || null;
+const cleanedActualWeightMeasure = (actualweightmeasure === '' || actualweightmeasure === undefined || actualweightmeasure === null) ? null : parseFloat(actualweightmeasure) || null;
+const cleanedActualVolumeMeasure = (actualvolumemeasure === '' || actualvolumemeasure === undefined || actualvolumemeasure === null) ? null : parseFloat(actualvolumemeasure) || null;
+
+console.log('Cleaned values:', { 
+  cleanedPacks, 
+  cleanedActualWeightMeasure, 
+  cleanedActualVolumeMeasure 
+});
+
+const client = await pool.connect();
+try {
+    await client.query('BEGIN');
+    const current = (await client.query('SELECT * FROM orders WHERE orderid = $1 FOR UPDATE', [id])).rows[0];
+
+    // Ownership may only move between users in the caller's companies; leaving
+    // userid out (or an exporter partner sending it back unchanged) keeps the owner
+    if (userid && parseInt(userid) !== current.userid &&
+        !((await isUserInScope(pool, req, current.userid)) && (await isUserInScope(pool, req, userid)))) {
+      await client.query('ROLLBACK');
+      return sendForbidden(res, 'Cannot assign orders to users outside your companies', { userId: userid });
+    }
+
+    // Reject edits made against a stale copy instead of overwriting the other edit
+    const conflict = checkIfMatch(req, current);
+    if (conflict) {
+      await client.query('ROLLBACK');
+      res.set('ETag', rowVersionEtag(current.rowversion));
+      return res.status(conflict.status).json(conflict.body);
+    }
+
+    const before = await fetchOrderSnapshot(client, id);
+
+    // The status only moves along ORDER_STATUS_TRANSITIONS; leaving it out keeps the current one
+    const nextStatus = orderstatus || before.orderstatus;
+    const rejection = await checkOrderStatusChange(client, id, before.orderstatus, nextStatus);
+    if (rejection) {
+      await client.query('ROLLBACK');
+      return res.status(rejection.status).json(rejection.body);
+    }
+
+    const query = `
+      UPDATE orders
+      SET
+        userid = COALESCE($2, userid),
+        orderstatus = $3,
+        ordernumber = $4,
+        splitnumber = $5,
+        goodsdescription = $6,
+        orderdate = $7,
+        exporter = $8,
+        shipmentconsignee = $9,
+        exportercontact = $10,
+        shipmentconsigneecontact = $11,
+        confirmationdate = $12,
+        followupdate = $13,
+        exworksrequiredby = $14,
+        requiredinstore = $15,
+        shipwindowstart = $16,
+        shipwindowend = $17,
+        apn = $18,
+        currency = $19,
+        packs = $20,
+        packtype = $21,
+        actualweightmeasure = $22,
+        actualvolumemeasure = $23,
+        additionaldetails = $24,
+        invoicenumber = $25,
+        invoicedate = $26,
+        transportmode = $27,
+        destination = $28,
+        origin = $29,
+        portofdischarge = $30,
+        portofloading = $31,
+        servicelevel = $32,
+        containermode = $33,
+        incoterm = $34,
+        ordertype = $35
+      WHERE orderid = $1
+    `;
+
+    await client.query(query, [
+      id, userid || null, nextStatus, ordernumber, splitnumber, goodsdescription, sanitizeDate(orderdate),
+      exporter, shipmentconsignee, exportercontact, shipmentconsigneecontact,
+      sanitizeDate(confirmationdate), sanitizeDate(followupdate), sanitizeDate(exworksrequiredby), 
+      sanitizeDate(requiredinstore), sanitizeDate(shipwindowstart), sanitizeDate(shipwindowend), 
+      apn, currency, cleanedPacks, packtype, cleanedActualWeightMeasure, cleanedActualVolumeMeasure, additionaldetails, 
+      invoicenumber, sanitizeDate(invoicedate), transportmode, destination, origin, portofdischarge, 
+      portofloading, servicelevel, containermode, incoterm, ordertype || 'Export'
+    ]);
+
+    const after = await fetchOrderSnapshot(client, id);
+    const version = await recordOrderHistory(client, req, {
+      orderId: parseInt(id), action: 'update', before, after
+    });
+
+    await client.query('COMMIT');
+
+    console.log("Order updated successfully!");
+    res.set('ETag', rowVersionEtag(after.rowversion));
+    res.status(200).json({ message: 'Order updated successfully', version });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Order update failed:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// POST - Move an order to another status (e.g. Cancelled, On Hold and back)
+// Body: { status, note? }. Illegal transitions are rejected with 409.
+app.post('/orders/:id/status', authenticateToken, requirePermission('orders.write'), requireOrderAccess(idFrom.param('id')), async (req, res) => {
+  console.log("POST /orders/:id/status called, ID =", req.params.id, "body:", req.body);
+  const { status, note } = req.body;
+
+  if (!status) {
+    return res.status(400).json({ error: 'status is required', allowedStatuses: ORDER_STATUSES });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const rejection = await changeOrderStatus(client, req, req.params.id, status, note);
+    if (rejection) {
+      await client.query('ROLLBACK');
+      return res.status(rejection.status).json(rejection.body);
+    }
+
+    await client.query('COMMIT');
+
+    const order = await fetchOrderSnapshot(pool, req.params.id);
+    res.status(200).json({
+      message: 'Order status updated successfully',
+      orderstatus: order.orderstatus,
+      allowedStatuses: await allowedOrderTransitions(pool, req.params.id, order.orderstatus)
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Order status change failed:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// PUT - Set the exporter company of an order: { exportercompanyid } (null
+// clears it). The exporter must be an active trading partner of the caller's
+// company; its users can then see and work on the order. Requires If-Match like PUT.
+app.put('/orders/:id/exporter-company', authenticateToken, requirePermission('orders.write'), requireOrderAccess(idFrom.param('id'), { includePartners: false }), async (req, res) => {
+  console.log("PUT /orders/:id/exporter-company called, ID =", req.params.id, "body:", req.body);
+  const { id } = req.params;
+  const { exportercompanyid } = req.body;
+
+  if (exportercompanyid === undefined) {
+    return res.status(400).json({ error: 'exportercompanyid is required (null to clear it)' });
+  }
+  const exporterCompanyId = exportercompanyid === null ? null : parseInt(exportercompanyid);
+  if (exportercompanyid !== null && isNaN(exporterCompanyId)) {
+    return res.status(400).json({ error: 'exportercompanyid must be a company ID or null' });
+  }
+
+  const client = await pool.connect();
+  try {
+    if (exporterCompanyId !== null) {
+      const partnership = await client.query(`
+        SELECT 1 FROM tradingpartners
+        WHERE exportercompanyid = $1 AND importercompanyid = $2 AND status = 'active'
+      `, [exporterCompanyId, req.companyId]);
+
+      if (partnership.rows.length === 0) {
+        return res.status(409).json({
+          error: 'The exporter company has no active trading partnership with your company',
+          code: 'NO_ACTIVE_PARTNERSHIP',
+          exportercompanyid: exporterCompanyId
+        });
+      }
+    }
+
+    await client.query('BEGIN');
+
+    const current = (await client.query('SELECT * FROM orders WHERE orderid = $1 FOR UPDATE', [id])).rows[0];
+    const conflict = checkIfMatch(req, current);
+    if (conflict) {
+      await client.query('ROLLBACK');
+      res.set('ETag', rowVersionEtag(current.rowversion));
+      return res.status(conflict.status).json(conflict.body);
+    }
+
+    const before = await fetchOrderSnapshot(client, id);
+
+    await client.query('UPDATE orders SET exportercompanyid = $2 WHERE orderid = $1', [id, exporterCompanyId]);
+    const after = await fetchOrderSnapshot(client, id);
+    await recordOrderHistory(client, req, {
+      orderId: parseInt(id), action: 'update', before, after
+    });
+
+    await client.query('COMMIT');
+    res.set('ETag', rowVersionEtag(after.rowversion));
+    res.status(200).json({ message: 'Order exporter company updated successfully', exportercompanyid: exporterCompanyId });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Order exporter company update failed:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE - Move an order to the trash. Its lines, invoices, milestones,
+// communications and documents are kept and come back with POST /orders/:id/restore;
+// only DELETE /orders/:id/purge removes them. Requires If-Match like PUT.
+// Trash, archive, restore and purge are for the owning company, not its exporter.
+app.delete('/orders/:id', authenticateToken, requirePermission('orders.write'), requireOrderAccess(idFrom.param('id'), { includePartners: false }), async (req, res) => {
+  console.log("DELETE /orders/:id called, ID =", req.params.id);
+  const { id } = req.params;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const current = (await client.query('SELECT * FROM orders WHERE orderid = $1 FOR UPDATE', [id])).rows[0];
+    const conflict = checkIfMatch(req, current);
+    if (conflict) {
+      await client.query('ROLLBACK');
+      res.set('ETag', rowVersionEtag(current.rowversion));
+      return res.status(conflict.status).json(conflict.body);
+    }
+
+    const before = await fetchOrderSnapshot(client, id);
+    await client.query(
+      'UPDATE orders SET deletedat = NOW(), deletedbyuserid = $2 WHERE orderid = $1',
+      [id, req.user.userId]
+    );
+
+    await recordOrderHistory(client, req, {
+      orderId: parseInt(id), action: 'delete', before, after: await fetchOrderSnapshot(client, id)
+    });
+
+    await client.query('COMMIT');
+    console.log("Order moved to trash!");
+    res.status(200).json({ message: 'Order deleted successfully', restorable: true });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Order deletion failed:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// POST - Archive an order: it stays readable and editable but leaves the default lists
+app.post('/orders/:id/archive', authenticateToken, requirePermission('orders.write'), requireOrderAccess(idFrom.param('id'), { includePartners: false }), async (req, res) => {
+  console.log("POST /orders/:id/archive called, ID =", req.params.id);
+  const { id } = req.params;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query('SELECT 1 FROM orders WHERE orderid = $1 FOR UPDATE', [id]);
+    const before = await fetchOrderSnapshot(client, id);
+    if (before.archivedat) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Order is already archived' });
+    }
+
+    await client.query(
+      'UPDATE orders SET archivedat = NOW(), archivedbyuserid = $2 WHERE orderid = $1',
+      [id, req.user.userId]
+    );
+    await recordOrderHistory(client, req, {
+      orderId: parseInt(id), action: 'archive', before, after: await fetchOrderSnapshot(client, id)
+    });
+
+    await client.query('COMMIT');
+    res.status(200).json({ message: 'Order archived successfully' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Order archive failed:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// POST - Bring a deleted or archived order back to the active lists
+app.post('/orders/:id/restore', authenticateToken, requirePermission('orders.write'), requireOrderAccess(idFrom.param('id'), { includeDeleted: true, includePartners: false }), async (req, res) => {
+  console.log("POST /orders/:id/restore called, ID =", req.params.id);
+  const { id } = req.params;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query('SELECT 1 FROM orders WHERE orderid = $1 FOR UPDATE', [id]);
+    const before = await fetchOrderSnapshot(client, id);
+    if (!before.deletedat && !before.archivedat) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Order is neither deleted nor archived' });
+    }
+
+    await client.query(`
+      UPDATE orders
+      SET deletedat = NULL, deletedbyuserid = NULL, archivedat = NULL, archivedbyuserid = NULL
+      WHERE orderid = $1
+    `, [id]);
+    await recordOrderHistory(client, req, {
+      orderId: parseInt(id), action: 'restore', before, after: await fetchOrderSnapshot(client, id),
+      note: before.deletedat ? 'Restored from trash' : 'Restored from archive'
+    });
+
+    await client.query('COMMIT');
+    res.status(200).json({ message: 'Order restored successfully', order: await fetchOrderSnapshot(pool, id) });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Order restore failed:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE - Permanently remove a deleted order and everything hanging off it.
+// Needs orders.purge (granted per user) and cannot be done while impersonating.
+app.delete('/orders/:id/purge', authenticateToken, blockImpersonation, requirePermission('orders.purge'), requireOrderAccess(idFrom.param('id'), { includeDeleted: true, includePartners: false }), async (req, res) => {
+  console.log("DELETE /orders/:id/purge called, ID =", req.params.id);
+  const { id } = req.params;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query('SELECT 1 FROM orders WHERE orderid = $1 FOR UPDATE', [id]);
+    const before = await fetchOrderSnapshot(client, id);
+    if (!before.deletedat) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Only deleted orders can be purged; delete the order first' });
+    }
+
+    // Packing list references do not cascade: the order's own packing lists go with it
+    // unless another order has been linked to them, and links to it are dropped
+    const linkedPackingLists = await client.query(`
+      SELECT referencenumber FROM virtualpackinglistreferences
+      WHERE exportorderid = $1 AND importorderid IS NOT NULL AND importorderid <> $1
+    `, [id]);
+    if (linkedPackingLists.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'The order has packing lists linked to other orders and cannot be purged',
+        packingLists: linkedPackingLists.rows.map(row => row.referencenumber)
+      });
+    }
+    await client.query('DELETE FROM virtualpackinglistreferences WHERE exportorderid = $1', [id]);
+    await client.query('UPDATE virtualpackinglistreferences SET importorderid = NULL, linkedat = NULL WHERE importorderid = $1', [id]);
+
+    const documentsResult = await client.query('SELECT filepath FROM documents WHERE orderid = $1', [id]);
+
+    // Lines, invoices, milestones, communications and documents cascade
+    await client.query('DELETE FROM orders WHERE orderid = $1', [id]);
+
+    // The history has no foreign key and keeps the record of what was purged
+    await recordOrderHistory(client, req, { orderId: parseInt(id), action: 'purge', before, after: null });
+
+    await client.query('COMMIT');
+
+    for (const { filepath } of documentsResult.rows) {
+      if (filepath && fs.existsSync(filepath)) {
+        fs.unlinkSync(filepath);
+      }
+    }
+
+    console.log(`Order ${id} purged by user ${req.user.userId}`);
+    res.status(200).json({ message: 'Order permanently deleted' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Order purge failed:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+/* ---------------------------------------------------------------
+   Order Dossier - an order with its related collections in one call
+---------------------------------------------------------------- */
+
+// Sections GET /orders/:id/dossier can include (roll-ups in utils/orderDossier.js).
+// Each returns the same rows as the standalone endpoint it replaces and needs
+// that endpoint's permission.
+const ORDER_DOSSIER_SECTIONS = {
+  lines: {
+    permission: 'orders.read',
+    load: (db, orderId) => db.query(`
+      SELECT ol.*, p.weight, p.volume, p.unitprice as productunitprice
+      FROM orderlines ol
+      LEFT JOIN products p ON ol.productid = p.productid
+      WHERE ol.orderid = $1
+      ORDER BY ol.lineid
+    `, [orderId]).then(result => result.rows)
+  },
+  poInvoices: {
+    permission: 'invoices.read',
+    load: (db, orderId) => db.query(
+      'SELECT * FROM poinvoice WHERE orderid = $1 ORDER BY poinvoiceid DESC', [orderId]
+    ).then(result => result.rows)
+  },
+  // Only the bookings this order is linked to (GET /api/po-bookings also lists
+  // unlinked ones to pick from)
+  bookings: {
+    permission: 'bookings.read',
+    load: (db, orderId) => db.query(`
+      SELECT b.*, bl.bookedqty, bl.pobookinglinkid
+      FROM pobookinglink bl
+      INNER JOIN pobooking b ON bl.pobookingid = b.pobookingid
+      WHERE bl.orderid = $1
+      ORDER BY b.bookingdate DESC
+    `, [orderId]).then(result => result.rows.map(booking => ({
+      ...booking,
+      Status: mapStatusToString(booking.status)
+    })))
+  },
+  milestones: {
+    permission: 'orders.read',
+    load: (db, orderId) => db.query(`
+      SELECT m.*, u.username as completedbyusername
+      FROM milestones m
+      LEFT JOIN users u ON m.completedbyuserid = u.userid
+      WHERE m.orderid = $1 AND m.isvisible = TRUE
+      ORDER BY m.createdat ASC
+    `, [orderId]).then(result => result.rows)
+  },
+  communications: {
+    permission: 'communications.read',
+    load: (db, orderId) => db.query(`
+      SELECT c.*, u.username, u.firstname, u.lastname
+      FROM communications c
+      LEFT JOIN users u ON c.userid = u.userid
+      WHERE c.orderid = $1
+      ORDER BY c.createdat ASC
+    `, [orderId]).then(result => result.rows)
+  },
+  documents: {
+    permission: 'documents.read',
+    load: (db, orderId) => db.query(`
+      SELECT d.*, u.username as uploadedbyusername
+      FROM documents d
+      LEFT JOIN users u ON d.uploadedbyuserid = u.userid
+      WHERE d.orderid = $1 AND d.ispublic = TRUE
+      ORDER BY d.createdat DESC
+    `, [orderId]).then(result => result.rows)
+  },
+  finalInvoices: {
+    permission: 'invoices.read',
+    load: (db, orderId) => db.query(
+      'SELECT * FROM finalinvoice WHERE orderid = $1 ORDER BY finalinvoiceid DESC', [orderId]
+    ).then(result => result.rows.map(invoice => {
+      try {
+        invoice.customfields = invoice.customfields ? JSON.parse(invoice.customfields) : invoice.customfields;
+      } catch (err) {
+        invoice.customfields = {};
+      }
+      return invoice;
+    }))
+  }
+};
+
+// GET - An order with its lines, invoices, bookings, milestones, communications,
+// documents and final invoices plus roll-ups, read from one snapshot.
+// ?include=lines,bookings limits the sections; by default every section the
+// caller may read is returned and the others are listed in `omitted`.
+app.get('/orders/:id/dossier', authenticateToken, requirePermission('orders.read'), requireOrderAccess(idFrom.param('id')), async (req, res) => {
+  console.log("GET /orders/:id/dossier called, ID =", req.params.id, "query:", req.query);
+  const { id } = req.params;
+  const selection = selectDossierSections(req.query.include, ORDER_DOSSIER_SECTIONS, req.user.permissions);
+  if (selection.unknown) {
+    return res.status(400).json({
+      error: `Unknown include: ${selection.unknown.join(', ')}`,
+      allowedIncludes: Object.keys(ORDER_DOSSIER_SECTIONS)
+    });
+  }
+  if (selection.denied) {
+    return sendForbidden(res, `Insufficient permissions to include ${selection.denied}`, {
+      required: ORDER_DOSSIER_SECTIONS[selection.denied].permission
+    });
+  }
+  const { included, omitted } = selection;
+
+  const client = await pool.connect();
+  try {
+    // One snapshot so the roll-ups agree with the collections and the order
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+
+    const orderResult = await client.query('SELECT * FROM orders WHERE orderid = $1', [id]);
+    const order = orderResult.rows[0];
+
+    const dossier = { order };
+    for (const name of included) {
+      dossier[name] = await ORDER_DOSSIER_SECTIONS[name].load(client, id);
+    }
+
+    await client.query('COMMIT');
+
+    const summary = summarizeDossier(dossier, included);
+    summary.status = {
+      orderstatus: order.orderstatus,
+      allowedStatuses: await allowedOrderTransitions(pool, id, order.orderstatus)
+    };
+
+    res.status(200).json({ ...dossier, summary, included, omitted });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error fetching order dossier:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Columns never carried over when an order row is duplicated
+const ORDER_COPY_EXCLUDED_COLUMNS = ['orderid', 'splitnumber', 'rowversion', ...ORDER_LIFECYCLE_COLUMNS];
+
+// Insert a copy of an order (all current columns) with some columns overridden; returns the new row
+async function copyOrder(db, orderId, overrides = {}) {
+  const columnsResult = await db.query(`
+    SELECT column_name FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'orders'
+    ORDER BY ordinal_position
+  `);
+
+  const overrideColumns = Object.keys(overrides);
+  const copiedColumns = columnsResult.rows
+    .map(row => row.column_name)
+    .filter(column => !ORDER_COPY_EXCLUDED_COLUMNS.includes(column) && !overrideColumns.includes(column));
+
+  const result = await db.query(`
+    INSERT INTO orders (${[...copiedColumns, ...overrideColumns].join(', ')})
+    SELECT ${[...copiedColumns, ...overrideColumns.map((column, i) => `$${i + 2}`)].join(', ')}
+    FROM orders WHERE orderid = $1
+    RETURNING *
+  `, [orderId, ...Object.values(overrides)]);
+
+  return result.rows[0];
+}
+
+// Tables whose rows simply follow their order when orders are merged
+const ORDER_CHILD_TABLES = ['poinvoice', 'finalinvoice', 'milestones', 'communications', 'documents'];
+
+// Order lines that are partitions of the same original line (see split)
+const SAME_LINE_SQL = `
+  t.linenumber IS NOT DISTINCT FROM s.linenumber
+  AND t.partnumber IS NOT DISTINCT FROM s.partnumber
+  AND t.productid IS NOT DISTINCT FROM s.productid
+  AND t.unitprice IS NOT DISTINCT FROM s.unitprice
+  AND t.uom IS NOT DISTINCT FROM s.uom
+`;
+
+// POST - Split an order into child orders with the next split numbers
+// Body: { splits: [{ lines: [{ lineid, quantity? }], poinvoiceIds?: [], bookingLinkIds?: [] }] }
+// A line moves to the child whole, or - when a smaller quantity is given - is
+// partitioned: the parent keeps the rest. Selected invoices and booking links
+// are re-pointed to the child. Everything else stays with the parent.
+// Split, merge and clone are for the owning company, not its exporter.
+app.post('/orders/:id/split', authenticateToken, requirePermission('orders.write'), requireOrderAccess(idFrom.param('id'), { includePartners: false }), async (req, res) => {
+  console.log("POST /orders/:id/split called, ID =", req.params.id);
+  const orderId = parseInt(req.params.id);
+  const { splits } = req.body;
+
+  if (!Array.isArray(splits) || splits.length === 0) {
+    return res.status(400).json({ error: 'splits must be a non-empty array' });
+  }
+  for (const split of splits) {
+    if (!split || !Array.isArray(split.lines) || split.lines.length === 0) {
+      return res.status(400).json({ error: 'Every split needs at least one order line' });
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const parentResult = await client.query('SELECT * FROM orders WHERE orderid = $1 FOR UPDATE', [orderId]);
+    const parent = parentResult.rows[0];
+
+    const linesResult = await client.query('SELECT * FROM orderlines WHERE orderid = $1 FOR UPDATE', [orderId]);
+    const lines = new Map(linesResult.rows.map(line => [line.lineid, line]));
+    const parentLinesBefore = await fetchLineSnapshots(client, orderId);
+
+    // Validate every allocation against what the parent holds before changing anything
+    const plan = planOrderSplit(linesResult.rows, splits);
+    if (plan.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: plan.error });
+    }
+    const splitInvoiceIds = plan.invoiceIds;
+
+    const splitNumberResult = await client.query(`
+      SELECT COALESCE(MAX(CASE WHEN splitnumber ~ '^[0-9]+$' THEN splitnumber::int ELSE 0 END), 0) as maxsplit
+      FROM orders
+      WHERE orderid = $1 OR (ordernumber = $2 AND userid = $3)
+    `, [orderId, parent.ordernumber, parent.userid]);
+    let nextSplitNumber = parseInt(splitNumberResult.rows[0].maxsplit) + 1;
+
+    const children = [];
+    for (const [index, split] of splits.entries()) {
+      const child = await copyOrder(client, orderId, { splitnumber: String(nextSplitNumber++) });
+
+      for (const allocation of split.lines) {
+        const line = lines.get(parseInt(allocation.lineid));
+
+        if (allocation.quantity === undefined) {
+          await client.query('UPDATE orderlines SET orderid = $2, updatedat = NOW() WHERE lineid = $1', [line.lineid, child.orderid]);
+        } else {
+          const quantity = parseInt(allocation.quantity);
+          await client.query(`
+            INSERT INTO orderlines (
+              orderid, poinvoiceid, ordernumber, linenumber, partnumber, description,
+              quantity, uom, linestatus, productid, unitprice, weight, volume, createdat, updatedat
+            )
+            SELECT $2, poinvoiceid, ordernumber, linenumber, partnumber, description,
+                   $3, uom, linestatus, productid, unitprice, weight, volume, NOW(), NOW()
+            FROM orderlines WHERE lineid = $1
+          `, [line.lineid, child.orderid, quantity]);
+
+          // The parent keeps the remainder; a line allocated down to nothing is removed
+          await client.query(
+            'UPDATE orderlines SET quantity = quantity - $2, updatedat = NOW() WHERE lineid = $1',
+            [line.lineid, quantity]
+          );
+          await client.query('DELETE FROM orderlines WHERE lineid = $1 AND quantity = 0', [line.lineid]);
+        }
+      }
+
+      if (splitInvoiceIds[index].length > 0) {
+        const moved = await client.query(
+          'UPDATE poinvoice SET orderid = $2 WHERE poinvoiceid = ANY($1::int[]) AND orderid = $3',
+          [splitInvoiceIds[index], child.orderid, orderId]
+        );
+        if (moved.rowCount !== splitInvoiceIds[index].length) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'Every invoice must belong to the order being split' });
+        }
+      }
+
+      if ((split.bookingLinkIds || []).length > 0) {
+        const moved = await client.query(
+          'UPDATE pobookinglink SET orderid = $2 WHERE pobookinglinkid = ANY($1::int[]) AND orderid = $3',
+          [split.bookingLinkIds, child.orderid, orderId]
+        );
+        if (moved.rowCount !== split.bookingLinkIds.length) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'Every booking link must belong to the order being split' });
+        }
+      }
+
+      children.push(child);
+    }
+
+    const splitNote = `Split into orders ${children.map(c => c.orderid).join(', ')}`;
+    const parentSnapshot = await fetchOrderSnapshot(client, orderId);
+    await recordOrderHistory(client, req, { orderId, action: 'split', before: parentSnapshot, after: parentSnapshot, note: splitNote });
+    await recordLineChanges(client, req, orderId, parentLinesBefore, await fetchLineSnapshots(client, orderId), splitNote);
+
+    for (const child of children) {
+      const childNote = `Split from order ${orderId}`;
+      await recordOrderHistory(client, req, {
+        orderId: child.orderid, action: 'create', before: null, after: await fetchOrderSnapshot(client, child.orderid), note: childNote
+      });
+      await recordLineChanges(client, req, child.orderid, new Map(), await fetchLineSnapshots(client, child.orderid), childNote);
+    }
+
+    await client.query('COMMIT');
+
+    const updatedParent = await pool.query('SELECT * FROM orders WHERE orderid = $1', [orderId]);
+
+    console.log(`Order ${orderId} split into orders ${children.map(c => c.orderid).join(', ')}`);
+    res.status(201).json({
+      message: 'Order split successfully',
+      order: updatedParent.rows[0],
+      splits: children
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Order split failed:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
   }
-}
-*/
+});
 
-/* ---------------------------------------------------------------
-   Orders Routes - CONVERTED TO POSTGRESQL
---------------------------------------------------------------- */
+// POST - Merge orders into this one (the inverse of split). Body: { orderIds: [] }
+// Partitions of the same original line are recombined, duplicate booking links
+// are summed, all other child rows are re-pointed and the merged orders deleted.
+app.post('/orders/:id/merge', authenticateToken, requirePermission('orders.write'), requireOrderAccess(idFrom.param('id'), { includePartners: false }), async (req, res) => {
+  console.log("POST /orders/:id/merge called, ID =", req.params.id, "body:", req.body);
+  const targetId = parseInt(req.params.id);
+  const sourceIds = Array.isArray(req.body.orderIds) ? [...new Set(req.body.orderIds.map(id => parseInt(id)))] : [];
+
+  if (sourceIds.length === 0 || sourceIds.some(id => isNaN(id))) {
+    return res.status(400).json({ error: 'orderIds must be a non-empty array of order IDs' });
+  }
+  if (sourceIds.includes(targetId)) {
+    return res.status(400).json({ error: 'An order cannot be merged into itself' });
+  }
+
+  for (const sourceId of sourceIds) {
+    const access = await findOrderAccess(pool, req, sourceId, { includePartners: false });
+    if (!access.exists) {
+      return res.status(404).json({ error: `Order ${sourceId} not found` });
+    }
+    if (!access.inScope) {
+      return sendForbidden(res, 'Access denied to this order', { orderId: sourceId });
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const ordersResult = await client.query(
+      'SELECT orderid, ordernumber FROM orders WHERE orderid = ANY($1::int[]) ORDER BY orderid FOR UPDATE',
+      [[targetId, ...sourceIds]]
+    );
+    const target = ordersResult.rows.find(o => o.orderid === targetId);
+    if (ordersResult.rows.some(o => o.ordernumber !== target.ordernumber)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Only splits of the same order number can be merged' });
+    }
+
+    const targetLinesBefore = await fetchLineSnapshots(client, targetId);
+    const sourceSnapshots = new Map();
+    for (const sourceId of sourceIds) {
+      sourceSnapshots.set(sourceId, await fetchOrderSnapshot(client, sourceId));
+    }
+
+    // Recombine line partitions into the target's line, then combine the
+    // remaining partitions among the merged orders, then move the rest
+    await client.query(`
+      UPDATE orderlines t
+      SET quantity = COALESCE(t.quantity, 0) + sums.quantity, updatedat = NOW()
+      FROM (
+        SELECT t.lineid, SUM(COALESCE(s.quantity, 0)) as quantity
+        FROM orderlines t
+        INNER JOIN orderlines s ON s.orderid = ANY($2::int[]) AND ${SAME_LINE_SQL}
+        WHERE t.orderid = $1
+        GROUP BY t.lineid
+      ) sums
+      WHERE t.lineid = sums.lineid
+    `, [targetId, sourceIds]);
+    await client.query(`
+      DELETE FROM orderlines s
+      WHERE s.orderid = ANY($2::int[])
+        AND EXISTS (SELECT 1 FROM orderlines t WHERE t.orderid = $1 AND ${SAME_LINE_SQL})
+    `, [targetId, sourceIds]);
+    await client.query(`
+      WITH partitions AS (
+        SELECT MIN(lineid) as keepid, SUM(COALESCE(quantity, 0)) as quantity, COUNT(*) as parts
+        FROM orderlines WHERE orderid = ANY($1::int[])
+        GROUP BY linenumber, partnumber, productid, unitprice, uom
+      ), combined AS (
+        UPDATE orderlines l SET quantity = p.quantity, updatedat = NOW()
+        FROM partitions p
+        WHERE l.lineid = p.keepid AND p.parts > 1
+      )
+      DELETE FROM orderlines
+      WHERE orderid = ANY($1::int[]) AND lineid NOT IN (SELECT keepid FROM partitions)
+    `, [sourceIds]);
+    await client.query('UPDATE orderlines SET orderid = $1, updatedat = NOW() WHERE orderid = ANY($2::int[])', [targetId, sourceIds]);
+
+    // One booking link per booking, with quantities summed the same way
+    await client.query(`
+      UPDATE pobookinglink t
+      SET bookedqty = COALESCE(t.bookedqty, 0) + sums.bookedqty
+      FROM (
+        SELECT pobookingid, SUM(COALESCE(bookedqty, 0)) as bookedqty
+        FROM pobookinglink WHERE orderid = ANY($2::int[])
+        GROUP BY pobookingid
+      ) sums
+      WHERE t.orderid = $1 AND t.pobookingid = sums.pobookingid
+    `, [targetId, sourceIds]);
+    await client.query(`
+      DELETE FROM pobookinglink s
+      WHERE s.orderid = ANY($2::int[])
+        AND EXISTS (SELECT 1 FROM pobookinglink t WHERE t.orderid = $1 AND t.pobookingid = s.pobookingid)
+    `, [targetId, sourceIds]);
+    await client.query(`
+      WITH bookings AS (
+        SELECT MIN(pobookinglinkid) as keepid, SUM(COALESCE(bookedqty, 0)) as bookedqty, COUNT(*) as links
+        FROM pobookinglink WHERE orderid = ANY($1::int[])
+        GROUP BY pobookingid
+      ), combined AS (
+        UPDATE pobookinglink l SET bookedqty = b.bookedqty
+        FROM bookings b
+        WHERE l.pobookinglinkid = b.keepid AND b.links > 1
+      )
+      DELETE FROM pobookinglink
+      WHERE orderid = ANY($1::int[]) AND pobookinglinkid NOT IN (SELECT keepid FROM bookings)
+    `, [sourceIds]);
+    await client.query('UPDATE pobookinglink SET orderid = $1 WHERE orderid = ANY($2::int[])', [targetId, sourceIds]);
+
+    for (const table of ORDER_CHILD_TABLES) {
+      await client.query(`UPDATE ${table} SET orderid = $1 WHERE orderid = ANY($2::int[])`, [targetId, sourceIds]);
+    }
+    await client.query('UPDATE virtualpackinglistreferences SET exportorderid = $1 WHERE exportorderid = ANY($2::int[])', [targetId, sourceIds]);
+    await client.query('UPDATE virtualpackinglistreferences SET importorderid = $1 WHERE importorderid = ANY($2::int[])', [targetId, sourceIds]);
+
+    await client.query('DELETE FROM orders WHERE orderid = ANY($1::int[])', [sourceIds]);
+
+    const mergeNote = `Merged orders ${sourceIds.join(', ')} into this order`;
+    const targetSnapshot = await fetchOrderSnapshot(client, targetId);
+    await recordOrderHistory(client, req, { orderId: targetId, action: 'merge', before: targetSnapshot, after: targetSnapshot, note: mergeNote });
+    await recordLineChanges(client, req, targetId, targetLinesBefore, await fetchLineSnapshots(client, targetId), mergeNote);
+
+    for (const [sourceId, before] of sourceSnapshots) {
+      await recordOrderHistory(client, req, {
+        orderId: sourceId, action: 'delete', before, after: null, note: `Merged into order ${targetId}`
+      });
+    }
+
+    const mergedResult = await client.query('SELECT * FROM orders WHERE orderid = $1', [targetId]);
+
+    await client.query('COMMIT');
+
+    console.log(`Orders ${sourceIds.join(', ')} merged into order ${targetId}`);
+    res.status(200).json({
+      message: 'Orders merged successfully',
+      order: mergedResult.rows[0],
+      mergedOrderIds: sourceIds
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Order merge failed:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Columns a clone starts without - they describe the shipment that actually happened
+const ORDER_CLONE_RESET_COLUMNS = ['invoicenumber', 'invoicedate', 'actualweightmeasure', 'actualvolumemeasure'];
+
+// POST - Clone an order as a new draft order
+// Body: { ordernumber?, includeLines?: false, dateOffsetDays?: 0 }
+// Dates move by dateOffsetDays (e.g. 364 for the same weekday next season).
+app.post('/orders/:id/clone', authenticateToken, requirePermission('orders.write'), requireOrderAccess(idFrom.param('id'), { includePartners: false }), async (req, res) => {
+  console.log("POST /orders/:id/clone called, ID =", req.params.id, "body:", req.body);
+  const orderId = parseInt(req.params.id);
+  const { ordernumber, includeLines = false, dateOffsetDays = 0 } = req.body;
+
+  if (!Number.isInteger(dateOffsetDays)) {
+    return res.status(400).json({ error: 'dateOffsetDays must be a whole number of days' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
 
-// GET all orders - CONVERTED
-app.get('/orders', async (req, res) => {
-  console.log("GET /orders called.");
+    const overrides = { orderstatus: ORDER_INITIAL_STATUS };
+    for (const column of ORDER_CLONE_RESET_COLUMNS) {
+      overrides[column] = null;
+    }
+    if (ordernumber) {
+      overrides.ordernumber = ordernumber;
+    }
+
+    const clone = await copyOrder(client, orderId, overrides);
+
+    if (dateOffsetDays !== 0) {
+      const shifted = ORDER_DATE_COLUMNS.filter(column => !ORDER_CLONE_RESET_COLUMNS.includes(column));
+      await client.query(
+        `UPDATE orders SET ${shifted.map(column => `${column} = ${column} + $2::int`).join(', ')} WHERE orderid = $1`,
+        [clone.orderid, dateOffsetDays]
+      );
+    }
+
+    await recordOrderHistory(client, req, {
+      orderId: clone.orderid, action: 'create', before: null, after: await fetchOrderSnapshot(client, clone.orderid),
+      note: `Cloned from order ${orderId}`
+    });
+
+    if (includeLines) {
+      // Lines start over: no invoice allocation, status back to Pending
+      await client.query(`
+        INSERT INTO orderlines (
+          orderid, ordernumber, linenumber, partnumber, description, quantity,
+          uom, linestatus, productid, unitprice, weight, volume, createdat, updatedat
+        )
+        SELECT $2, $3, linenumber, partnumber, description, quantity,
+               uom, 'Pending', productid, unitprice, weight, volume, NOW(), NOW()
+        FROM orderlines
+        WHERE orderid = $1
+        ORDER BY lineid
+      `, [orderId, clone.orderid, clone.ordernumber]);
+
+      await recordLineChanges(client, req, clone.orderid, new Map(), await fetchLineSnapshots(client, clone.orderid),
+        `Cloned from order ${orderId}`);
+    }
+
+    await client.query('COMMIT');
+
+    console.log(`Order ${orderId} cloned as order ${clone.orderid}`);
+    res.status(201).json({
+      message: 'Order cloned successfully',
+      order: await fetchOrderSnapshot(pool, clone.orderid)
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Order clone failed:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// GET - Change history of an order and its lines, newest first
+// ?entityType=order|orderline&field=shipwindowend&includeSnapshots=true
+app.get('/orders/:id/history', authenticateToken, requirePermission('orders.read'), requireOrderAccess(idFrom.param('id')), async (req, res) => {
+  console.log("GET /orders/:id/history called, ID =", req.params.id);
   try {
-    const result = await pool.query('SELECT * FROM orders ORDER BY orderid DESC');
-    console.log("Records returned from /orders:", result.rows.length);
+    const params = [req.params.id];
+    let filters = '';
+
+    if (req.query.entityType) {
+      params.push(req.query.entityType);
+      filters += ` AND h.entitytype = $${params.length}`;
+    }
+    if (req.query.field) {
+      params.push(req.query.field);
+      filters += ` AND h.changes ? $${params.length}`;
+    }
+
+    const result = await pool.query(`
+      SELECT h.version, h.entitytype, h.entityid, h.action, h.changes, h.note,
+             ${req.query.includeSnapshots === 'true' ? 'h.snapshot,' : ''}
+             h.changedat, h.changedbyuserid, u.username as changedbyusername,
+             h.apikeyid, h.impersonatedby
+      FROM orderhistory h
+      LEFT JOIN users u ON h.changedbyuserid = u.userid
+      WHERE h.orderid = $1 ${filters}
+      ORDER BY h.version DESC
+    `, params);
+
     res.status(200).json(result.rows);
   } catch (err) {
-    console.error("Error fetching orders:", err);
+    console.error("Error fetching order history:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// POST - Create a new order including userID - CONVERTED
-app.post('/orders', async (req, res) => {
-  console.log("POST /orders called. Incoming body:", req.body);
-  const {
-    userid,
-    orderstatus,
-    ordernumber,
-    splitnumber,
-    goodsdescription,
-    orderdate,
-    exporter,
-    shipmentconsignee,
-    exportercontact,
-    shipmentconsigneecontact,
-    confirmationdate,
-    followupdate,
-    exworksrequiredby,
-    requiredinstore,
-    shipwindowstart,
-    shipwindowend,
-    apn,
-    currency,
-    packs,
-    packtype,
-    actualweightmeasure,
-    actualvolumemeasure,
-    additionaldetails,
-    invoicenumber,
-    invoicedate,
-    transportmode,
-    destination,
-    origin,
-    portofdischarge,
-    portofloading,
-    servicelevel,
-    containermode,
-    incoterm
-  } = req.body;
-  
+// POST - Restore the order's fields as they were at a version. Order lines
+// are not rolled back; their own history shows what to re-apply.
+app.post('/orders/:id/history/:version/restore', authenticateToken, requirePermission('orders.write'), requireOrderAccess(idFrom.param('id')), async (req, res) => {
+  console.log("POST /orders/:id/history/:version/restore called, ID =", req.params.id, "version =", req.params.version);
+  const orderId = parseInt(req.params.id);
+  const version = parseInt(req.params.version);
+
+  if (isNaN(version)) {
+    return res.status(400).json({ error: 'Invalid version provided' });
+  }
+
+  const client = await pool.connect();
   try {
-    const query = `
-      INSERT INTO orders (
-        userid, orderstatus, ordernumber, splitnumber, goodsdescription, orderdate,
-        exporter, shipmentconsignee, exportercontact, shipmentconsigneecontact,
-        confirmationdate, followupdate, exworksrequiredby, requiredinstore,
-        shipwindowstart, shipwindowend, apn, currency, packs, packtype, actualweightmeasure,
-        actualvolumemeasure, additionaldetails, invoicenumber, invoicedate,
-        transportmode, destination, origin, portofdischarge, portofloading,
-        servicelevel, containermode, incoterm
+    await client.query('BEGIN');
+
+    // The order as of that version is the latest order snapshot at or before it
+    const snapshotResult = await client.query(`
+      SELECT version, snapshot FROM orderhistory
+      WHERE orderid = $1 AND entitytype = 'order' AND version <= $2 AND snapshot IS NOT NULL
+      ORDER BY version DESC
+      LIMIT 1
+    `, [orderId, version]);
+
+    if (snapshotResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'No order version found to restore' });
+    }
+
+    const columnsResult = await client.query(`
+      SELECT column_name FROM information_schema.columns
+      WHERE table_schema = 'public' AND table_name = 'orders'
+    `);
+    const snapshot = snapshotResult.rows[0].snapshot;
+    const columns = columnsResult.rows
+      .map(row => row.column_name)
+      .filter(column => column in snapshot && !HISTORY_RESTORE_EXCLUDED_FIELDS.includes(column));
+
+    await client.query('SELECT 1 FROM orders WHERE orderid = $1 FOR UPDATE', [orderId]);
+    const before = await fetchOrderSnapshot(client, orderId);
+
+    await client.query(`
+      UPDATE orders
+      SET (${columns.join(', ')}) = (
+        SELECT ${columns.join(', ')} FROM jsonb_populate_record(NULL::orders, $2::jsonb)
       )
-      VALUES (
-        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, 
-        $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32, $33
-      ) RETURNING orderid
-    `;
+      WHERE orderid = $1
+    `, [orderId, JSON.stringify(snapshot)]);
 
-    const result = await pool.query(query, [
-      userid, orderstatus, ordernumber, splitnumber, goodsdescription, sanitizeDate(orderdate),
-      exporter, shipmentconsignee, exportercontact, shipmentconsigneecontact,
-      sanitizeDate(confirmationdate), sanitizeDate(followupdate), sanitizeDate(exworksrequiredby), 
-      sanitizeDate(requiredinstore), sanitizeDate(shipwindowstart), sanitizeDate(shipwindowend), 
-      apn, currency, packs, packtype, actualweightmeasure, actualvolumemeasure, additionaldetails, 
-      invoicenumber, sanitizeDate(invoicedate), transportmode, destination, origin, portofdischarge, 
-      portofloading, servicelevel, containermode, incoterm
+    const after = await fetchOrderSnapshot(client, orderId);
+    const newVersion = await recordOrderHistory(client, req, {
+      orderId, action: 'restore', before, after, note: `Restored version ${snapshotResult.rows[0].version}`
+    });
+
+    await client.query('COMMIT');
+
+    console.log(`Order ${orderId} restored to version ${snapshotResult.rows[0].version}`);
+    res.status(200).json({
+      message: 'Order restored successfully',
+      restoredVersion: snapshotResult.rows[0].version,
+      version: newVersion,
+      changes: diffSnapshots(before, after),
+      order: after
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Order restore failed:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+/* ---------------------------------------------------------------
+   Order Templates - saved order defaults per company (utils/orderTemplates.js)
+---------------------------------------------------------------- */
+
+// Order columns a template may preset; numbers, status, dates and actuals belong to each order
+const ORDER_TEMPLATE_COLUMNS = ORDER_INSERT_COLUMNS.filter(column =>
+  !ORDER_DATE_COLUMNS.includes(column) && !ORDER_CLONE_RESET_COLUMNS.includes(column) &&
+  !['orderstatus', 'ordernumber', 'splitnumber'].includes(column)
+);
+
+// Add lines to a new order, numbering unnumbered lines in order
+async function insertOrderLines(db, orderId, ordernumber, lines) {
+  for (const [index, line] of lines.entries()) {
+    await db.query(`
+      INSERT INTO orderlines (
+        orderid, ordernumber, linenumber, partnumber, description, quantity,
+        uom, linestatus, productid, unitprice, weight, volume, createdat, updatedat
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, 'Pending', $8, $9, $10, $11, NOW(), NOW())
+    `, [
+      orderId, ordernumber, line.linenumber || index + 1, line.partnumber, line.description, line.quantity,
+      line.uom || 'UNIT', line.productid, line.unitprice || 0, line.weight || null, line.volume || null
     ]);
+  }
+}
 
-    console.log("Order created successfully!");
-    
-    // Get the inserted ID
-    const orderid = result.rows[0].orderid;
-    
-    res.status(201).json({ message: 'Order created successfully', orderid: orderid });
+// GET - Order templates of the active company
+app.get('/order-templates', authenticateToken, requirePermission('orders.read'), async (req, res) => {
+  console.log("GET /order-templates called.");
+  try {
+    const result = await pool.query(`
+      SELECT t.*, u.username as createdbyusername
+      FROM ordertemplates t
+      LEFT JOIN users u ON t.createdbyuserid = u.userid
+      WHERE t.companyid = ANY($1)
+      ORDER BY t.name
+    `, [scopedCompanyIds(req)]);
+
+    res.status(200).json(result.rows);
   } catch (err) {
-    console.error("Order creation failed:", err);
+    console.error("Error fetching order templates:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// GET a single order by ID - CONVERTED
-app.get('/orders/:id', async (req, res) => {
-  console.log("GET /orders/:id called, ID =", req.params.id);
-  const { id } = req.params;
+// GET - A single order template
+app.get('/order-templates/:id', authenticateToken, requirePermission('orders.read'), async (req, res) => {
+  console.log("GET /order-templates/:id called, ID =", req.params.id);
+  try {
+    const template = await findOrderTemplate(pool, req, req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Order template not found' });
+    }
 
- // Add validation for undefined/invalid IDs
-  if (!id || id === 'undefined' || isNaN(parseInt(id))) {
-    console.log("Invalid order ID provided:", id);
-    return res.status(400).json({ error: 'Invalid order ID provided' });
+    res.status(200).json(template);
+  } catch (err) {
+    console.error("Error fetching order template:", err);
+    res.status(500).json({ error: err.message });
   }
-  
+});
+
+// POST - Save an order template
+// Body: { name, description?, fields?: { exporter, incoterm, ... }, lines?: [{ partnumber, quantity, ... }] }
+// or { name, description?, fromOrderId, includeLines? } to start from an existing order
+app.post('/order-templates', authenticateToken, requirePermission('orders.write'), async (req, res) => {
+  console.log("POST /order-templates called. Incoming body:", req.body);
+  const { name, description, fromOrderId, includeLines = false } = req.body;
+  let { fields = {}, lines = [] } = req.body;
+
+  const validationError = validateOrderTemplate({ name, fields, lines }, { requireName: true, templateColumns: ORDER_TEMPLATE_COLUMNS });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const sourceOrderId = fromOrderId === undefined ? undefined : parseInt(fromOrderId);
+  if (fromOrderId !== undefined && isNaN(sourceOrderId)) {
+    return res.status(400).json({ error: 'Invalid fromOrderId provided' });
+  }
+
   try {
-    const query = `SELECT * FROM orders WHERE orderid = $1`;
-    const result = await pool.query(query, [id]);
+    if (sourceOrderId !== undefined) {
+      const access = await findOrderAccess(pool, req, sourceOrderId);
+      if (!access.exists) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+      if (!access.inScope) {
+        return sendForbidden(res, 'Access denied to this order', { orderId: sourceOrderId });
+      }
 
-    if (result.rows.length === 0) {
-      console.log("No order found with ID =", id);
-      return res.status(404).json({ message: 'Order not found' });
+      const order = await fetchOrderSnapshot(pool, sourceOrderId);
+      fields = {};
+      for (const column of ORDER_TEMPLATE_COLUMNS) {
+        if (order[column] !== null && order[column] !== undefined) {
+          fields[column] = order[column];
+        }
+      }
+
+      if (includeLines) {
+        const linesResult = await pool.query(
+          `SELECT ${ORDER_LINE_INPUT_COLUMNS.join(', ')} FROM orderlines WHERE orderid = $1 ORDER BY linenumber, lineid`,
+          [sourceOrderId]
+        );
+        lines = linesResult.rows;
+      }
     }
 
-    console.log("Record returned:", result.rows[0]);
-    res.status(200).json(result.rows[0]);
+    if (await isTemplateNameTaken(pool, req.companyId, name)) {
+      return res.status(409).json({ error: 'An order template with this name already exists' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO ordertemplates (companyid, name, description, fields, lines, createdbyuserid)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [req.companyId, name.trim(), description || null, JSON.stringify(fields), JSON.stringify(lines), req.user.userId]);
+
+    console.log("Order template created with ID:", result.rows[0].templateid);
+    res.status(201).json({ message: 'Order template created successfully', template: result.rows[0] });
   } catch (err) {
-    console.error("Error fetching order:", err);
+    console.error("Failed to create order template:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// PUT - Update an order - CONVERTED
-app.put('/orders/:id', async (req, res) => {
-  console.log("PUT /orders/:id called, ID =", req.params.id);
-  console.log("Incoming PUT body:", req.body);
-  const { id } = req.params;
-  const {
-    userid,
-    orderstatus,
-    ordernumber,
-    splitnumber,
-    goodsdescription,
-    orderdate,
-    exporter,
-    shipmentconsignee,
-    exportercontact,
-    shipmentconsigneecontact,
-    confirmationdate,
-    followupdate,
-    exworksrequiredby,
-    requiredinstore,
-    shipwindowstart,
-    shipwindowend,
-    apn,
-    currency,
-    packs,
-    packtype,
-    actualweightmeasure,
-    actualvolumemeasure,
-    additionaldetails,
-    invoicenumber,
-    invoicedate,
-    transportmode,
-    destination,
-    origin,
-    portofdischarge,
-    portofloading,
-    servicelevel,
-    containermode,
-    incoterm,
-    ordertype
-  } = req.body;
+// PUT - Update an order template; omitted properties are left unchanged
+app.put('/order-templates/:id', authenticateToken, requirePermission('orders.write'), async (req, res) => {
+  console.log("PUT /order-templates/:id called, ID =", req.params.id, "body:", req.body);
+  const { name, description, fields, lines } = req.body;
 
-  console.log('Raw values before cleaning:', { packs, actualweightmeasure, actualvolumemeasure });
-
-// Clean numeric fields that might be empty strings
-const cleanedPacks = (packs === '' || packs === undefined || packs === null) ? null : parseInt(packs) || null;
-const cleanedActualWeightMeasure = (actualweightmeasure === '' || actualweightmeasure === undefined || actualweightmeasure === null) ? null : parseFloat(actualweightmeasure) || null;
-const cleanedActualVolumeMeasure = (actualvolumemeasure === '' || actualvolumemeasure === undefined || actualvolumemeasure === null) ? null : parseFloat(actualvolumemeasure) || null;
+  const validationError = validateOrderTemplate({ name, fields, lines }, { requireName: false, templateColumns: ORDER_TEMPLATE_COLUMNS });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
 
-console.log('Cleaned values:', { 
-  cleanedPacks, 
-  cleanedActualWeightMeasure, 
-  cleanedActualVolumeMeasure 
-});
+  try {
+    const template = await findOrderTemplate(pool, req, req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Order template not found' });
+    }
 
-try {
-    const query = `
-      UPDATE orders
-      SET
-        userid = $2,
-        orderstatus = $3,
-        ordernumber = $4,
-        splitnumber = $5,
-        goodsdescription = $6,
-        orderdate = $7,
-        exporter = $8,
-        shipmentconsignee = $9,
-        exportercontact = $10,
-        shipmentconsigneecontact = $11,
-        confirmationdate = $12,
-        followupdate = $13,
-        exworksrequiredby = $14,
-        requiredinstore = $15,
-        shipwindowstart = $16,
-        shipwindowend = $17,
-        apn = $18,
-        currency = $19,
-        packs = $20,
-        packtype = $21,
-        actualweightmeasure = $22,
-        actualvolumemeasure = $23,
-        additionaldetails = $24,
-        invoicenumber = $25,
-        invoicedate = $26,
-        transportmode = $27,
-        destination = $28,
-        origin = $29,
-        portofdischarge = $30,
-        portofloading = $31,
-        servicelevel = $32,
-        containermode = $33,
-        incoterm = $34,
-        ordertype = $35
-      WHERE orderid = $1
-    `;
+    if (name !== undefined && await isTemplateNameTaken(pool, template.companyid, name, template.templateid)) {
+      return res.status(409).json({ error: 'An order template with this name already exists' });
+    }
 
-    await pool.query(query, [
-      id, userid, orderstatus, ordernumber, splitnumber, goodsdescription, sanitizeDate(orderdate),
-      exporter, shipmentconsignee, exportercontact, shipmentconsigneecontact,
-      sanitizeDate(confirmationdate), sanitizeDate(followupdate), sanitizeDate(exworksrequiredby), 
-      sanitizeDate(requiredinstore), sanitizeDate(shipwindowstart), sanitizeDate(shipwindowend), 
-      apn, currency, cleanedPacks, packtype, cleanedActualWeightMeasure, cleanedActualVolumeMeasure, additionaldetails, 
-      invoicenumber, sanitizeDate(invoicedate), transportmode, destination, origin, portofdischarge, 
-      portofloading, servicelevel, containermode, incoterm, ordertype || 'Export'
+    const result = await pool.query(`
+      UPDATE ordertemplates
+      SET name = $2, description = $3, fields = $4, lines = $5, updatedat = NOW()
+      WHERE templateid = $1
+      RETURNING *
+    `, [
+      template.templateid,
+      name !== undefined ? name.trim() : template.name,
+      description !== undefined ? description : template.description,
+      JSON.stringify(fields !== undefined ? fields : template.fields),
+      JSON.stringify(lines !== undefined ? lines : template.lines)
     ]);
 
-    console.log("Order updated successfully!");
-    res.status(200).json({ message: 'Order updated successfully' });
+    res.status(200).json({ message: 'Order template updated successfully', template: result.rows[0] });
   } catch (err) {
-    console.error("Order update failed:", err);
+    console.error("Failed to update order template:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// DELETE - Delete an order - CONVERTED
-app.delete('/orders/:id', async (req, res) => {
-  console.log("DELETE /orders/:id called, ID =", req.params.id);
-  const { id } = req.params;
+// DELETE - Remove an order template (orders created from it are unaffected)
+app.delete('/order-templates/:id', authenticateToken, requirePermission('orders.write'), async (req, res) => {
+  console.log("DELETE /order-templates/:id called, ID =", req.params.id);
   try {
-    const query = `DELETE FROM orders WHERE orderid = $1`;
-    await pool.query(query, [id]);
-    console.log("Order deleted successfully!");
-    res.status(200).json({ message: 'Order deleted successfully' });
+    const template = await findOrderTemplate(pool, req, req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Order template not found' });
+    }
+
+    await pool.query('DELETE FROM ordertemplates WHERE templateid = $1', [template.templateid]);
+    res.status(200).json({ message: 'Order template deleted successfully' });
   } catch (err) {
-    console.error("Order deletion failed:", err);
+    console.error("Failed to delete order template:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
 // GET orders for authenticated user - CONVERTED
-app.get('/api/orders', authenticateToken, async (req, res) => {
+app.get('/api/orders', authenticateToken, requirePermission('orders.read'), async (req, res) => {
   console.log("GET /api/orders called for authenticated user:", req.user.userId);
   try {
     // Get user's company IDs from the authenticated token
-    const userCompanyIds = req.user.companies.map(c => c.companyId);
+    const userCompanyIds = scopedCompanyIds(req);
     
     if (userCompanyIds.length === 0) {
       return res.status(200).json([]);
     }
     
-    const query = `SELECT * FROM orders WHERE userid = $1 ORDER BY orderid DESC`;
-    const result = await pool.query(query, [req.user.userId]);
+    const query = `SELECT * FROM orders o WHERE ${orderScopeSql('o', 1)} ORDER BY o.orderid DESC`;
+    const result = await pool.query(query, [userCompanyIds]);
 
     console.log(`${result.rows.length} orders found for user ${req.user.userId}`);
     res.status(200).json(result.rows);
@@ -907,7 +3091,10 @@ app.get('/api/orders', authenticateToken, async (req, res) => {
    NEW: ORDER LINES ENDPOINTS - POSTGRESQL VERSION
 ---------------------------------------------------------------- */
 
-app.get('/orderLines', async (req, res) => {
+app.get('/orderLines', authenticateToken, requirePermission('orders.read'),
+  requireOrderAccess(idFrom.query('orderid')),
+  requireOrderAccess(idFrom.orderOf('poinvoice', 'poinvoiceid', req => req.query.poinvoiceid)),
+  async (req, res) => {
   console.log("GET /orderLines called with query:", req.query);
   try {
     // First check if the table exists
@@ -928,20 +3115,22 @@ app.get('/orderLines', async (req, res) => {
         p.volume,
         p.unitprice as productunitprice
       FROM orderlines ol 
+      INNER JOIN orders o ON ol.orderid = o.orderid
       LEFT JOIN products p ON ol.productid = p.productid
+      WHERE ${orderScopeSql('o', 1)}
     `;
     
-    let params = [];
+    let params = [scopedCompanyIds(req)];
     
     // Support filtering by POInvoiceID
     if (req.query.poinvoiceid) {
-      query += ' WHERE ol.poinvoiceid = $1';
+      query += ' AND ol.poinvoiceid = $2';
       params.push(req.query.poinvoiceid);
       console.log(`Filtering by poinvoiceid: ${req.query.poinvoiceid}`);
     }
     // Filter by OrderID if provided (legacy support)
     else if (req.query.orderid) {
-      query += ' WHERE ol.orderid = $1';
+      query += ' AND ol.orderid = $2';
       params.push(req.query.orderid);
       console.log(`Filtering by orderid: ${req.query.orderid}`);
     }
@@ -957,7 +3146,10 @@ app.get('/orderLines', async (req, res) => {
 });
 
 // POST /orderLines endpoint - CONVERTED
-app.post('/orderLines', async (req, res) => {
+app.post('/orderLines', authenticateToken, requirePermission('orders.write'),
+  requireOrderAccess(idFrom.body('orderid')),
+  requireOrderAccess(idFrom.orderOf('poinvoice', 'poinvoiceid', req => req.body.poinvoiceid)),
+  async (req, res) => {
   console.log("POST /orderLines called. Incoming body:", req.body);
   const {
     orderid,
@@ -975,9 +3167,12 @@ app.post('/orderLines', async (req, res) => {
     volume
   } = req.body;
   
+  const client = await pool.connect();
   try {
     // Check if the table exists first
     await ensureOrderLinesTable();
+
+    await client.query('BEGIN');
     
     const query = `
       INSERT INTO orderlines (
@@ -987,16 +3182,22 @@ app.post('/orderLines', async (req, res) => {
       VALUES (
         $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW(), NOW()
       )
-      RETURNING lineid
+      RETURNING lineid, to_jsonb(orderlines) as snapshot
     `;
 
-    const result = await pool.query(query, [
+    const result = await client.query(query, [
       orderid, poinvoiceid || null, ordernumber, linenumber || 0, partnumber,
       description, quantity, uom || 'UNIT', linestatus || 'Pending', productid,
       unitprice || 0, weight || null, volume || null
     ]);
     
     const lineId = result.rows[0].lineid;
+
+    await recordOrderHistory(client, req, {
+      orderId: parseInt(orderid), entityType: 'orderline', entityId: lineId, action: 'create', before: null, after: result.rows[0].snapshot
+    });
+
+    await client.query('COMMIT');
     
     console.log("Order line created successfully with ID:", lineId);
     res.status(201).json({ 
@@ -1004,13 +3205,19 @@ app.post('/orderLines', async (req, res) => {
       LineID: lineId 
     });
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error("Order line creation failed:", err);
     res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
   }
 });
 
 // PUT - Update an order line - CONVERTED
-app.put('/orderLines/:id', async (req, res) => {
+app.put('/orderLines/:id', authenticateToken, requirePermission('orders.write'),
+  requireOrderAccess(idFrom.orderOf('orderlines', 'lineid', req => req.params.id)),
+  requireOrderAccess(idFrom.body('orderid')),
+  async (req, res) => {
   console.log("PUT /orderLines/:id called, ID =", req.params.id);
   console.log("Incoming PUT body:", req.body);
   const { id } = req.params;
@@ -1029,6 +3236,7 @@ app.put('/orderLines/:id', async (req, res) => {
     volume
   } = req.body;
 
+  const client = await pool.connect();
   try {
     // Check if the table exists first
     const tableCheck = await pool.query(`
@@ -1042,6 +3250,14 @@ app.put('/orderLines/:id', async (req, res) => {
       return res.status(404).json({ message: 'Order line not found' });
     }
     
+    await client.query('BEGIN');
+
+    const beforeResult = await client.query(
+      'SELECT to_jsonb(ol) as snapshot FROM orderlines ol WHERE ol.lineid = $1 FOR UPDATE',
+      [id]
+    );
+    const before = beforeResult.rows.length > 0 ? beforeResult.rows[0].snapshot : null;
+
     const query = `
       UPDATE orderlines
       SET
@@ -1059,26 +3275,48 @@ app.put('/orderLines/:id', async (req, res) => {
         volume = $13,
         updatedat = NOW()
       WHERE lineid = $1
+      RETURNING to_jsonb(orderlines) as snapshot
     `;
 
-    await pool.query(query, [
+    const result = await client.query(query, [
     id, orderid, ordernumber, linenumber || 0, partnumber, description,
     quantity, uom || 'UNIT', linestatus || 'Pending', productid,
     unitprice || 0, weight || null, volume || null
   ]);
 
+    // A line moved to another order shows up in both orders' history
+    if (before) {
+      const after = result.rows[0].snapshot;
+      await recordOrderHistory(client, req, {
+        orderId: before.orderid, entityType: 'orderline', entityId: parseInt(id), action: 'update', before, after
+      });
+      if (after.orderid !== before.orderid) {
+        await recordOrderHistory(client, req, {
+          orderId: after.orderid, entityType: 'orderline', entityId: parseInt(id), action: 'update', before, after
+        });
+      }
+    }
+
+    await client.query('COMMIT');
+
     console.log("Order line updated successfully!");
     res.status(200).json({ message: 'Order line updated successfully' });
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error("Order line update failed:", err);
     res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
   }
 });
 
 // DELETE - Delete an order line - CONVERTED
-app.delete('/orderLines/:id', async (req, res) => {
+app.delete('/orderLines/:id', authenticateToken, requirePermission('orders.write'),
+  requireOrderAccess(idFrom.orderOf('orderlines', 'lineid', req => req.params.id)),
+  async (req, res) => {
   console.log("DELETE /orderLines/:id called, ID =", req.params.id);
   const { id } = req.params;
+  const client = await pool.connect();
   try {
     // Check if the table exists first
     const tableCheck = await pool.query(`
@@ -1091,22 +3329,39 @@ app.delete('/orderLines/:id', async (req, res) => {
       return res.status(200).json({ message: 'Order line deleted successfully' });
     }
 
-    const query = `DELETE FROM orderlines WHERE lineid = $1`;
-    await pool.query(query, [id]);
+    await client.query('BEGIN');
+
+    const query = `DELETE FROM orderlines ol WHERE ol.lineid = $1 RETURNING to_jsonb(ol) as snapshot`;
+    const result = await client.query(query, [id]);
+
+    if (result.rows.length > 0) {
+      const before = result.rows[0].snapshot;
+      await recordOrderHistory(client, req, {
+        orderId: before.orderid, entityType: 'orderline', entityId: parseInt(id), action: 'delete', before, after: null
+      });
+    }
+
+    await client.query('COMMIT');
     console.log("Order line deleted successfully!");
     res.status(200).json({ message: 'Order line deleted successfully' });
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error("Order line deletion failed:", err);
     res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
   }
 });
 
 /* ---------------------------------------------------------------
    Products (Inventory) Endpoints - CONVERTED TO POSTGRESQL
+   Products and product groups are one catalogue shared by every company
+   (they have no company column): reading takes orders.read, changing them
+   orders.write.
 ---------------------------------------------------------------- */
 
 // GET /products - Retrieve all products from the DB with optional date filtering - CONVERTED
-app.get('/products', async (req, res) => {
+app.get('/products', authenticateToken, requirePermission('orders.read'), async (req, res) => {
   console.log("GET /products called.");
   try {
     let queryStr = `SELECT 
@@ -1150,7 +3405,7 @@ app.get('/products', async (req, res) => {
 });
 
 // POST /products - Add a new product - CONVERTED
-app.post('/products', async (req, res) => {
+app.post('/products', authenticateToken, requirePermission('orders.write'), async (req, res) => {
   console.log("POST /products called. Incoming body:", req.body);
   const { name, sku, category, stock, description, sellByDate, unitPrice, weight, volume } = req.body;
   try {
@@ -1175,7 +3430,7 @@ app.post('/products', async (req, res) => {
 });
 
 // GET product by ID - CONVERTED
-app.get('/products/:id', async (req, res) => {
+app.get('/products/:id', authenticateToken, requirePermission('orders.read'), async (req, res) => {
   console.log("GET /products/:id called, ID =", req.params.id);
   const { id } = req.params;
   try {
@@ -1196,7 +3451,7 @@ app.get('/products/:id', async (req, res) => {
 });
 
 // PUT - Update a product - CONVERTED
-app.put('/products/:id', async (req, res) => {
+app.put('/products/:id', authenticateToken, requirePermission('orders.write'), async (req, res) => {
   console.log("PUT /products/:id called, ID =", req.params.id);
   console.log("Incoming PUT body:", req.body);
   const { id } = req.params;
@@ -1263,7 +3518,7 @@ app.put('/products/:id', async (req, res) => {
 });
 
 // DELETE - Delete a product with cascade handling - CONVERTED
-app.delete('/products/:id', async (req, res) => {
+app.delete('/products/:id', authenticateToken, requirePermission('orders.write'), async (req, res) => {
   console.log("DELETE /products/:id called, ID =", req.params.id);
   const { id } = req.params;
   
@@ -1390,7 +3645,7 @@ async function ensureVirtualShelvesTable() {
 }
 
 // GET all virtual shelves - CONVERTED
-app.get('/virtual-shelves', async (req, res) => {
+app.get('/virtual-shelves', authenticateToken, requirePermission('orders.read'), async (req, res) => {
   console.log("GET /virtual-shelves called.");
   try {
     // Ensure table exists before querying
@@ -1423,7 +3678,7 @@ app.get('/virtual-shelves', async (req, res) => {
 });
 
 // GET a specific virtual shelf by ID - CONVERTED
-app.get('/virtual-shelves/:id', async (req, res) => {
+app.get('/virtual-shelves/:id', authenticateToken, requirePermission('orders.read'), async (req, res) => {
   console.log("GET /virtual-shelves/:id called, ID =", req.params.id);
   const { id } = req.params;
   try {
@@ -1460,7 +3715,7 @@ app.get('/virtual-shelves/:id', async (req, res) => {
 });
 
 // POST - Create a new virtual shelf - CONVERTED
-app.post('/virtual-shelves', async (req, res) => {
+app.post('/virtual-shelves', authenticateToken, requirePermission('orders.write'), async (req, res) => {
   console.log("POST /virtual-shelves called. Incoming body:", req.body);
   const { name, location, description, products } = req.body;
   
@@ -1501,7 +3756,7 @@ app.post('/virtual-shelves', async (req, res) => {
 });
 
 // PUT - Update a virtual shelf - CONVERTED
-app.put('/virtual-shelves/:id', async (req, res) => {
+app.put('/virtual-shelves/:id', authenticateToken, requirePermission('orders.write'), async (req, res) => {
   console.log("PUT /virtual-shelves/:id called, ID =", req.params.id);
   console.log("Incoming PUT body:", req.body);
   const { id } = req.params;
@@ -1542,7 +3797,7 @@ app.put('/virtual-shelves/:id', async (req, res) => {
 });
 
 // DELETE - Delete a virtual shelf - CONVERTED
-app.delete('/virtual-shelves/:id', async (req, res) => {
+app.delete('/virtual-shelves/:id', authenticateToken, requirePermission('orders.write'), async (req, res) => {
   console.log("DELETE /virtual-shelves/:id called, ID =", req.params.id);
   const { id } = req.params;
   try {
@@ -1566,10 +3821,11 @@ app.delete('/virtual-shelves/:id', async (req, res) => {
 
 /* ---------------------------------------------------------------
    INVENTORY API ENDPOINTS (ALIASES TO PRODUCTS) - CONVERTED
+   Same permissions as /products, which these alias.
 ---------------------------------------------------------------- */
 
 // GET all inventory items - maps to products endpoint - CONVERTED
-app.get('/inventory', async (req, res) => {
+app.get('/inventory', authenticateToken, requirePermission('orders.read'), async (req, res) => {
   console.log("GET /inventory called - redirecting to products endpoint");
   try {
     // Just pass through any query params
@@ -1591,7 +3847,7 @@ app.get('/inventory', async (req, res) => {
 });
 
 // GET a single inventory item by ID - CONVERTED
-app.get('/inventory/:id', async (req, res) => {
+app.get('/inventory/:id', authenticateToken, requirePermission('orders.read'), async (req, res) => {
   console.log("GET /inventory/:id called, ID =", req.params.id);
   const { id } = req.params;
   try {
@@ -1612,7 +3868,7 @@ app.get('/inventory/:id', async (req, res) => {
 });
 
 // POST - Create a new inventory item - CONVERTED
-app.post('/inventory', async (req, res) => {
+app.post('/inventory', authenticateToken, requirePermission('orders.write'), async (req, res) => {
   console.log("POST /inventory called - redirecting to products endpoint");
   try {
     // Forward the request to the products endpoint
@@ -1643,7 +3899,7 @@ app.post('/inventory', async (req, res) => {
 });
 
 // PUT - Update an inventory item - CONVERTED
-app.put('/inventory/:id', async (req, res) => {
+app.put('/inventory/:id', authenticateToken, requirePermission('orders.write'), async (req, res) => {
   console.log("PUT /inventory/:id called, ID =", req.params.id);
   const { id } = req.params;
   try {
@@ -1672,7 +3928,7 @@ app.put('/inventory/:id', async (req, res) => {
 });
 
 // DELETE - Delete an inventory item - CONVERTED
-app.delete('/inventory/:id', async (req, res) => {
+app.delete('/inventory/:id', authenticateToken, requirePermission('orders.write'), async (req, res) => {
   console.log("DELETE /inventory/:id called, ID =", req.params.id);
   const { id } = req.params;
   try {
@@ -1788,12 +4044,54 @@ async function ensureSavedImportsTable() {
   }
 }
 
-// GET all reports - CONVERTED
-app.get('/reports', async (req, res) => {
+// Ensure ImportJobs table exists - one row per server-side order import (or dry run)
+async function ensureImportJobsTable() {
+  try {
+    const tableCheck = await pool.query(`
+      SELECT COUNT(*) as count FROM information_schema.tables 
+      WHERE table_schema = 'public' AND table_name = 'importjobs'
+    `);
+    
+    if (parseInt(tableCheck.rows[0].count) === 0) {
+      console.log("Creating ImportJobs table...");
+      await pool.query(`
+        CREATE TABLE importjobs (
+          importjobid SERIAL PRIMARY KEY,
+          companyid INT NOT NULL,
+          userid INT NOT NULL,
+          savedimportid INT NULL,
+          filename VARCHAR(255) NOT NULL,
+          dryrun BOOLEAN NOT NULL DEFAULT FALSE,
+          status VARCHAR(20) NOT NULL,
+          totalrows INT NOT NULL DEFAULT 0,
+          orderscreated INT NOT NULL DEFAULT 0,
+          linescreated INT NOT NULL DEFAULT 0,
+          errorcount INT NOT NULL DEFAULT 0,
+          errors JSONB NOT NULL DEFAULT '[]',
+          orderids JSONB NOT NULL DEFAULT '[]',
+          createdat TIMESTAMP DEFAULT NOW()
+        );
+        
+        CREATE INDEX IF NOT EXISTS idx_importjobs_company ON importjobs(companyid, createdat);
+      `);
+      console.log("✅ ImportJobs table created successfully!");
+    } else {
+      console.log("ImportJobs table already exists.");
+    }
+  } catch (err) {
+    console.error("❌ Error checking/creating ImportJobs table:", err);
+  }
+}
+
+// GET all reports of the active company's users - CONVERTED
+app.get('/reports', authenticateToken, async (req, res) => {
   console.log("GET /reports called.");
   try {
     await ensureReportsTable();
-    const result = await pool.query('SELECT * FROM reports ORDER BY id DESC');
+    const result = await pool.query(
+      `SELECT * FROM reports WHERE ${scopedUserSql('userid', 1)} ORDER BY id DESC`,
+      [scopedCompanyIds(req)]
+    );
     console.log("Records returned from /reports:", result.rows.length);
     res.status(200).json(result.rows);
   } catch (err) {
@@ -1803,7 +4101,7 @@ app.get('/reports', async (req, res) => {
 });
 
 // GET reports for a specific user - CONVERTED
-app.get('/reports/user/:userId', async (req, res) => {
+app.get('/reports/user/:userId', authenticateToken, requireUserAccess(idFrom.param('userId')), async (req, res) => {
   console.log("GET /reports/user/:userId called, userId =", req.params.userId);
   const { userId } = req.params;
   try {
@@ -1820,7 +4118,7 @@ app.get('/reports/user/:userId', async (req, res) => {
 });
 
 // POST - Create a new report - CONVERTED
-app.post('/reports', async (req, res) => {
+app.post('/reports', authenticateToken, requireUserAccess(idFrom.body('userId')), async (req, res) => {
   console.log("POST /reports called. Incoming body:", req.body);
   const {
     userId, name, type, format, description, columns, filters, 
@@ -1841,7 +4139,7 @@ app.post('/reports', async (req, res) => {
     `;
 
     const result = await pool.query(query, [
-      userId, name, type, format, description, JSON.stringify(columns),
+      userId || req.user.userId, name, type, format, description, JSON.stringify(columns),
       JSON.stringify(filters), created ? new Date(created) : new Date(), 
       lastRun ? new Date(lastRun) : null, dataSource
     ]);
@@ -1860,7 +4158,7 @@ app.post('/reports', async (req, res) => {
 });
 
 // GET a single report by ID - CONVERTED
-app.get('/reports/:id', async (req, res) => {
+app.get('/reports/:id', authenticateToken, requireUserAccess(idFrom.userOf('reports', 'id', req => req.params.id)), async (req, res) => {
   console.log("GET /reports/:id called, ID =", req.params.id);
   const { id } = req.params;
   try {
@@ -1900,7 +4198,7 @@ app.get('/reports/:id', async (req, res) => {
 });
 
 // PUT - Update a report - CONVERTED
-app.put('/reports/:id', async (req, res) => {
+app.put('/reports/:id', authenticateToken, requireUserAccess(idFrom.userOf('reports', 'id', req => req.params.id)), requireUserAccess(idFrom.body('userId')), async (req, res) => {
   console.log("PUT /reports/:id called, ID =", req.params.id);
   console.log("Incoming PUT body:", req.body);
   const { id } = req.params;
@@ -1913,7 +4211,7 @@ app.put('/reports/:id', async (req, res) => {
     const query = `
       UPDATE reports
       SET
-        userid = $2,
+        userid = COALESCE($2, userid),
         name = $3,
         type = $4,
         format = $5,
@@ -1927,7 +4225,7 @@ app.put('/reports/:id', async (req, res) => {
     `;
 
     await pool.query(query, [
-      id, userId, name, type, format, description, JSON.stringify(columns),
+      id, userId || null, name, type, format, description, JSON.stringify(columns),
       JSON.stringify(filters), lastRun ? new Date(lastRun) : null, dataSource
     ]);
 
@@ -1940,7 +4238,7 @@ app.put('/reports/:id', async (req, res) => {
 });
 
 // DELETE - Delete a report - CONVERTED
-app.delete('/reports/:id', async (req, res) => {
+app.delete('/reports/:id', authenticateToken, requireUserAccess(idFrom.userOf('reports', 'id', req => req.params.id)), async (req, res) => {
   console.log("DELETE /reports/:id called, ID =", req.params.id);
   const { id } = req.params;
   try {
@@ -1980,9 +4278,12 @@ app.get('/data-sources', (req, res) => {
 });
 
 // GET user preferences - CONVERTED
-app.get('/user-preferences/:userId', async (req, res) => {
+app.get('/user-preferences/:userId', authenticateToken, async (req, res) => {
   console.log("GET /user-preferences/:userId called, userId =", req.params.userId);
   const { userId } = req.params;
+  if (parseInt(userId) !== req.user.userId) {
+    return sendForbidden(res, 'Preferences belong to their own user', { userId: parseInt(userId) });
+  }
   try {
     await ensureUserPreferencesTable();
     const query = `SELECT * FROM userpreferences WHERE userid = $1`;
@@ -2030,11 +4331,14 @@ app.get('/user-preferences/:userId', async (req, res) => {
 });
 
 // PUT user preferences - CONVERTED
-app.put('/user-preferences/:userId', async (req, res) => {
+app.put('/user-preferences/:userId', authenticateToken, async (req, res) => {
   console.log("PUT /user-preferences/:userId called, userId =", req.params.userId);
   console.log("Incoming PUT body:", req.body);
   const { userId } = req.params;
   const { defaultDateRange, defaultReportType, favoriteReports, recentReports } = req.body;
+  if (parseInt(userId) !== req.user.userId) {
+    return sendForbidden(res, 'Preferences belong to their own user', { userId: parseInt(userId) });
+  }
 
   try {
     await ensureUserPreferencesTable();
@@ -2082,7 +4386,7 @@ app.put('/user-preferences/:userId', async (req, res) => {
 });
 
 // GET saved imports - CONVERTED
-app.get('/saved-imports/:userId', async (req, res) => {
+app.get('/saved-imports/:userId', authenticateToken, requireUserAccess(idFrom.param('userId')), async (req, res) => {
   console.log("GET /saved-imports/:userId called, userId =", req.params.userId);
   const { userId } = req.params;
   try {
@@ -2138,7 +4442,7 @@ app.get('/saved-imports/:userId', async (req, res) => {
 });
 
 // POST save a new import - CONVERTED
-app.post('/saved-imports', async (req, res) => {
+app.post('/saved-imports', authenticateToken, requireUserAccess(idFrom.body('userId')), async (req, res) => {
   console.log("POST /saved-imports called. Incoming body:", req.body);
   const { userId, fileName, dateImported, rowCount, mappings, schema } = req.body;
   
@@ -2156,7 +4460,7 @@ app.post('/saved-imports', async (req, res) => {
     `;
 
     const result = await pool.query(query, [
-      userId, fileName, dateImported ? new Date(dateImported) : new Date(),
+      userId || req.user.userId, fileName, dateImported ? new Date(dateImported) : new Date(),
       rowCount, JSON.stringify(mappings), JSON.stringify(schema)
     ]);
 
@@ -2226,7 +4530,7 @@ async function ensureProductGroupsTable() {
 }
 
 // GET /product-groups - Retrieve all groups with their associated product IDs - CONVERTED
-app.get('/product-groups', async (req, res) => {
+app.get('/product-groups', authenticateToken, requirePermission('orders.read'), async (req, res) => {
   try {
     await ensureProductGroupsTable();
     
@@ -2262,7 +4566,7 @@ app.get('/product-groups', async (req, res) => {
 });
 
 // POST /product-groups - Create a new group with a name and an array of product IDs - CONVERTED
-app.post('/product-groups', async (req, res) => {
+app.post('/product-groups', authenticateToken, requirePermission('orders.write'), async (req, res) => {
   const { groupName, userID, productIDs } = req.body;
   if (!groupName) {
     return res.status(400).json({ error: "Group name is required." });
@@ -2301,7 +4605,7 @@ app.post('/product-groups', async (req, res) => {
 });
 
 // PUT /product-groups/:groupID - Update a group's name and its associated product IDs - CONVERTED
-app.put('/product-groups/:groupID', async (req, res) => {
+app.put('/product-groups/:groupID', authenticateToken, requirePermission('orders.write'), async (req, res) => {
   const { groupID } = req.params;
   const { groupName, productIDs } = req.body;
   
@@ -2335,7 +4639,7 @@ app.put('/product-groups/:groupID', async (req, res) => {
 });
 
 // DELETE /product-groups/:groupID - Delete a group and its product mappings - CONVERTED
-app.delete('/product-groups/:groupID', async (req, res) => {
+app.delete('/product-groups/:groupID', authenticateToken, requirePermission('orders.write'), async (req, res) => {
   const { groupID } = req.params;
   
   const client = await pool.connect();
@@ -2362,8 +4666,9 @@ app.delete('/product-groups/:groupID', async (req, res) => {
 
 /* ---------------------------------------------------------------
    NEW: DATABASE CHECK ENDPOINT (FOR DEBUGGING) - CONVERTED
+   Lists the schema, so it is for company admins only.
 ---------------------------------------------------------------- */
-app.get('/api/check-db', async (req, res) => {
+app.get('/api/check-db', authenticateToken, requirePermission('users.manage'), async (req, res) => {
   try {
     // Test a simple query
     const result = await pool.query('SELECT version()');
@@ -2569,7 +4874,7 @@ async function ensurePOInvoiceTable() {
 }
 
 // GET commercial invoices for an order - CONVERTED
-app.get('/api/po-invoices', async (req, res) => {
+app.get('/api/po-invoices', authenticateToken, requirePermission('invoices.read'), requireOrderAccess(idFrom.query('orderid')), async (req, res) => {
   console.log("GET /api/po-invoices called with query:", req.query);
   try {
     const { orderid } = req.query;
@@ -2593,7 +4898,7 @@ app.get('/api/po-invoices', async (req, res) => {
         invoicedate,
         roedate,
         createdat, updatedat,
-        expectedstockstatus
+        expectedstockstatus, rowversion
       FROM poinvoice 
       WHERE orderid = $1 
       ORDER BY poinvoiceid DESC
@@ -2610,8 +4915,32 @@ app.get('/api/po-invoices', async (req, res) => {
   }
 });
 
+// GET a single commercial invoice; its ETag goes in If-Match on PUT / DELETE
+app.get('/api/po-invoices/:invoiceId', authenticateToken, requirePermission('invoices.read'),
+  requireOrderAccess(idFrom.orderOf('poinvoice', 'poinvoiceid', req => req.params.invoiceId)),
+  async (req, res) => {
+  console.log("GET /api/po-invoices/:invoiceId called, ID =", req.params.invoiceId);
+  try {
+    await ensurePOInvoiceTable();
+
+    const result = await pool.query('SELECT * FROM poinvoice WHERE poinvoiceid = $1', [req.params.invoiceId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Invoice not found' });
+    }
+
+    res.set('ETag', rowVersionEtag(result.rows[0].rowversion));
+    res.status(200).json(result.rows[0]);
+  } catch (err) {
+    console.error("Error fetching invoice:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 // POST - Create new invoice - CONVERTED
-app.post('/api/po-invoices', async (req, res) => {
+app.post('/api/po-invoices', authenticateToken, requirePermission('invoices.write'),
+  requireOrderAccess(idFrom.body('orderid')),
+  requireOrderAccess(idFrom.orderOf('poinvoice', 'poinvoiceid', req => req.body.poinvoiceid)),
+  async (req, res) => {
   console.log("POST /api/po-invoices called with body:", req.body);
   try {
     await ensurePOInvoiceTable();
@@ -2733,14 +5062,28 @@ app.post('/api/po-invoices', async (req, res) => {
 });
 
 // PUT - Update an invoice - CONVERTED
-app.put('/api/po-invoices/:invoiceId', async (req, res) => {
+// Requires If-Match with the invoice's ETag; a stale one gets 412.
+app.put('/api/po-invoices/:invoiceId', authenticateToken, requirePermission('invoices.write'),
+  requireOrderAccess(idFrom.orderOf('poinvoice', 'poinvoiceid', req => req.params.invoiceId)),
+  async (req, res) => {
   console.log("PUT /api/po-invoices/:invoiceId called, ID =", req.params.invoiceId);
+  const { invoiceId } = req.params;
+  const invoiceData = req.body;
+
+  await ensurePOInvoiceTable();
+
+  const client = await pool.connect();
   try {
-    const { invoiceId } = req.params;
-    const invoiceData = req.body;
-    
-    await ensurePOInvoiceTable();
-    
+    await client.query('BEGIN');
+
+    const current = (await client.query('SELECT * FROM poinvoice WHERE poinvoiceid = $1 FOR UPDATE', [invoiceId])).rows[0];
+    const conflict = checkIfMatch(req, current);
+    if (conflict) {
+      await client.query('ROLLBACK');
+      res.set('ETag', rowVersionEtag(current.rowversion));
+      return res.status(conflict.status).json({ success: false, ...conflict.body });
+    }
+
     const query = `
       UPDATE poinvoice SET
         vendorref = $2,
@@ -2776,9 +5119,10 @@ app.put('/api/po-invoices/:invoiceId', async (req, res) => {
         expectedstockstatus = $32,
         updatedat = NOW()
       WHERE poinvoiceid = $1
+      RETURNING rowversion
     `;
 
-    await pool.query(query, [
+    const result = await client.query(query, [
       invoiceId,
       invoiceData.vendorref || '',
       invoiceData.vendorid ? parseInt(invoiceData.vendorid) : null,
@@ -2813,29 +5157,53 @@ app.put('/api/po-invoices/:invoiceId', async (req, res) => {
       invoiceData.expectedstockstatus || 'planning'
     ]);
 
+    await client.query('COMMIT');
+
     console.log("Complete invoice updated successfully!");
+    res.set('ETag', rowVersionEtag(result.rows[0].rowversion));
     res.status(200).json({ success: true, message: 'Complete invoice updated successfully' });
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error("Complete invoice update failed:", err);
     res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
   }
 });
 
 // DELETE - Delete an invoice - CONVERTED
-app.delete('/api/po-invoices/:invoiceId', async (req, res) => {
+// Requires If-Match like PUT, so nobody deletes an invoice they have not seen
+app.delete('/api/po-invoices/:invoiceId', authenticateToken, requirePermission('invoices.write'),
+  requireOrderAccess(idFrom.orderOf('poinvoice', 'poinvoiceid', req => req.params.invoiceId)),
+  async (req, res) => {
   console.log("DELETE /api/po-invoices/:invoiceId called, ID =", req.params.invoiceId);
+  const { invoiceId } = req.params;
+
+  await ensurePOInvoiceTable();
+
+  const client = await pool.connect();
   try {
-    const { invoiceId } = req.params;
-    
-    await ensurePOInvoiceTable();
-    const query = `DELETE FROM poinvoice WHERE poinvoiceid = $1`;
-    await pool.query(query, [invoiceId]);
-    
+    await client.query('BEGIN');
+
+    const current = (await client.query('SELECT * FROM poinvoice WHERE poinvoiceid = $1 FOR UPDATE', [invoiceId])).rows[0];
+    const conflict = checkIfMatch(req, current);
+    if (conflict) {
+      await client.query('ROLLBACK');
+      res.set('ETag', rowVersionEtag(current.rowversion));
+      return res.status(conflict.status).json({ success: false, ...conflict.body });
+    }
+
+    await client.query('DELETE FROM poinvoice WHERE poinvoiceid = $1', [invoiceId]);
+    await client.query('COMMIT');
+
     console.log("Po-invoice deleted successfully!");
     res.status(200).json({ success: true, message: 'Invoice deleted successfully' });
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error("Po-invoice deletion failed:", err);
     res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
   }
 });
 
@@ -2844,43 +5212,60 @@ app.delete('/api/po-invoices/:invoiceId', async (req, res) => {
 ---------------------------------------------------------------- */
 
 // PUT - Update Expected Stock Status for an invoice - CONVERTED
-app.put('/api/expected-stock-status/:invoiceId', async (req, res) => {
+// Requires If-Match with the invoice's ETag, like PUT /api/po-invoices/:invoiceId
+app.put('/api/expected-stock-status/:invoiceId', authenticateToken, requirePermission('invoices.write'),
+  requireOrderAccess(idFrom.orderOf('poinvoice', 'poinvoiceid', req => req.params.invoiceId)),
+  async (req, res) => {
   console.log("PUT /api/expected-stock-status/:invoiceId called, ID =", req.params.invoiceId);
   console.log("Status update body:", req.body);
+  const { invoiceId } = req.params;
+  const { status } = req.body;
   
+  // Validate status value
+  const validStatuses = ['planning', 'confirmed', 'shipped', 'arrived', 'completed'];
+  if (!validStatuses.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
+    });
+  }
+
+  await ensurePOInvoiceTable();
+
+  const client = await pool.connect();
   try {
-    const { invoiceId } = req.params;
-    const { status } = req.body;
-    
-    // Validate status value
-    const validStatuses = ['planning', 'confirmed', 'shipped', 'arrived', 'completed'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
+    await client.query('BEGIN');
+
+    const current = (await client.query('SELECT * FROM poinvoice WHERE poinvoiceid = $1 FOR UPDATE', [invoiceId])).rows[0];
+    if (!current) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
         success: false,
-        error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
+        error: 'Invoice not found'
       });
     }
-    
-    await ensurePOInvoiceTable();
-    
+
+    const conflict = checkIfMatch(req, current);
+    if (conflict) {
+      await client.query('ROLLBACK');
+      res.set('ETag', rowVersionEtag(current.rowversion));
+      return res.status(conflict.status).json({ success: false, ...conflict.body });
+    }
+
     const query = `
       UPDATE poinvoice 
       SET expectedstockstatus = $2,
-          updatedat = NOW()
-      WHERE poinvoiceid = $1
-    `;
-    
-    const result = await pool.query(query, [invoiceId, status]);
-    
-    if (result.rowCount === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Invoice not found'
-      });
-    }
+          updatedat = NOW()
+      WHERE poinvoiceid = $1
+      RETURNING rowversion
+    `;
+    
+    const result = await client.query(query, [invoiceId, status]);
+    await client.query('COMMIT');
     
     console.log(`Updated ExpectedStockStatus to '${status}' for invoice ${invoiceId}`);
     
+    res.set('ETag', rowVersionEtag(result.rows[0].rowversion));
     res.status(200).json({
       success: true,
       message: `Status updated to '${status}' successfully`,
@@ -2889,16 +5274,21 @@ app.put('/api/expected-stock-status/:invoiceId', async (req, res) => {
     });
     
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error("Error updating expected stock status:", error);
     res.status(500).json({
       success: false,
       error: error.message
     });
+  } finally {
+    client.release();
   }
 });
 
 // GET - Get Expected Stock Status for an invoice - CONVERTED
-app.get('/api/expected-stock-status/:invoiceId', async (req, res) => {
+app.get('/api/expected-stock-status/:invoiceId', authenticateToken, requirePermission('invoices.read'),
+  requireOrderAccess(idFrom.orderOf('poinvoice', 'poinvoiceid', req => req.params.invoiceId)),
+  async (req, res) => {
   console.log("GET /api/expected-stock-status/:invoiceId called, ID =", req.params.invoiceId);
   
   try {
@@ -2907,7 +5297,7 @@ app.get('/api/expected-stock-status/:invoiceId', async (req, res) => {
     await ensurePOInvoiceTable();
     
     const query = `
-      SELECT expectedstockstatus, poinvoiceid, invoiceno, updatedat
+      SELECT expectedstockstatus, poinvoiceid, invoiceno, updatedat, rowversion
       FROM poinvoice 
       WHERE poinvoiceid = $1
     `;
@@ -2923,6 +5313,7 @@ app.get('/api/expected-stock-status/:invoiceId', async (req, res) => {
     
     const invoice = result.rows[0];
     
+    res.set('ETag', rowVersionEtag(invoice.rowversion));
     res.status(200).json({
       success: true,
       invoiceId: invoice.poinvoiceid,
@@ -2972,6 +5363,7 @@ async function ensurePOBookingTable() {
           estimatedpickup TIMESTAMP,
           status INT DEFAULT 1,
           shipcarrier VARCHAR(255),
+          createdbyuserid INT NULL,
           createdat TIMESTAMP DEFAULT NOW(),
           updatedat TIMESTAMP DEFAULT NOW()
         )
@@ -2979,6 +5371,19 @@ async function ensurePOBookingTable() {
       console.log("POBooking table created successfully!");
     } else {
       console.log("POBooking table already exists.");
+
+      // Bookings are scoped by their creator until they are linked to an order
+      const columnCheck = await pool.query(`
+        SELECT COUNT(*) as count 
+        FROM information_schema.columns 
+        WHERE table_schema = 'public' AND table_name = 'pobooking' AND column_name = 'createdbyuserid'
+      `);
+
+      if (parseInt(columnCheck.rows[0].count) === 0) {
+        console.log("Adding CreatedByUserID column to existing POBooking table...");
+        await pool.query(`ALTER TABLE pobooking ADD COLUMN createdbyuserid INT NULL`);
+        console.log("CreatedByUserID column added successfully!");
+      }
     }
   } catch (err) {
     console.error("Error checking/creating POBooking table:", err);
@@ -3016,7 +5421,7 @@ async function ensurePOBookingLinkTable() {
 }
 
 // GET bookings for a specific order - CONVERTED
-app.get('/api/po-bookings', async (req, res) => {
+app.get('/api/po-bookings', authenticateToken, requirePermission('bookings.read'), requireOrderAccess(idFrom.query('orderid')), async (req, res) => {
   console.log("GET /api/po-bookings called with query:", req.query);
   try {
     await ensurePOBookingTable();
@@ -3049,10 +5454,11 @@ app.get('/api/po-bookings', async (req, res) => {
           CASE WHEN bl.pobookinglinkid IS NOT NULL THEN 1 ELSE 0 END as islinked
         FROM pobooking b
         LEFT JOIN pobookinglink bl ON b.pobookingid = bl.pobookingid AND bl.orderid = $1
+        WHERE ${bookingScopeSql('b', 2)}
         ORDER BY b.bookingdate DESC
       `;
       
-      const result = await pool.query(query, [orderid]);
+      const result = await pool.query(query, [orderid, scopedCompanyIds(req)]);
       console.log(`${result.rows.length} bookings found for orderID=${orderid}`);
 
       // Map integer status back to strings for frontend
@@ -3065,9 +5471,10 @@ app.get('/api/po-bookings', async (req, res) => {
     } else {
       // Get all bookings (no order filter)
       const result = await pool.query(`
-        SELECT * FROM pobooking 
-        ORDER BY bookingdate DESC
-      `);
+        SELECT * FROM pobooking b
+        WHERE ${bookingScopeSql('b', 1)}
+        ORDER BY b.bookingdate DESC
+      `, [scopedCompanyIds(req)]);
       console.log("All bookings returned:", result.rows.length);
       
       // Map integer status back to strings for frontend
@@ -3087,7 +5494,7 @@ app.get('/api/po-bookings', async (req, res) => {
 });
 
 // POST - Create new booking - CONVERTED
-app.post('/api/po-bookings', async (req, res) => {
+app.post('/api/po-bookings', authenticateToken, requirePermission('bookings.write'), requireOrderAccess(idFrom.body('orderid')), async (req, res) => {
   console.log("POST /api/po-bookings called. Incoming body:", req.body);
   const {
     bookingreference, bookingdate, loadtype, tptdetail1, tptdetail2,
@@ -3105,10 +5512,10 @@ app.post('/api/po-bookings', async (req, res) => {
         bookingreference, bookingdate, loadtype, tptdetail1, tptdetail2,
         masterno, houseno, firstvessel, vesselcallsign, portofloading,
         destination, estimatedarrival, estimatedpickup, status, shipcarrier,
-        createdat, updatedat
+        createdbyuserid, createdat, updatedat
       )
       VALUES (
-        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW(), NOW()
+        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, NOW(), NOW()
       )
       RETURNING pobookingid
     `;
@@ -3128,7 +5535,8 @@ app.post('/api/po-bookings', async (req, res) => {
       sanitizeDate(estimatedarrival),
       sanitizeDate(estimatedpickup),
       mapStatusToInt(status),
-      shipcarrier
+      shipcarrier,
+      req.user.userId
     ]);
 
     const bookingId = result.rows[0].pobookingid;
@@ -3156,7 +5564,7 @@ app.post('/api/po-bookings', async (req, res) => {
 });
 
 // PUT - Update a booking - CONVERTED
-app.put('/api/po-bookings/:bookingId', async (req, res) => {
+app.put('/api/po-bookings/:bookingId', authenticateToken, requirePermission('bookings.write'), requireBookingAccess(idFrom.param('bookingId')), async (req, res) => {
   console.log("PUT /api/po-bookings/:bookingId called, ID =", req.params.bookingId);
   const { bookingId } = req.params;
   const {
@@ -3221,7 +5629,7 @@ app.put('/api/po-bookings/:bookingId', async (req, res) => {
 });
 
 // DELETE - Delete a booking - CONVERTED
-app.delete('/api/po-bookings/:bookingId', async (req, res) => {
+app.delete('/api/po-bookings/:bookingId', authenticateToken, requirePermission('bookings.write'), requireBookingAccess(idFrom.param('bookingId')), async (req, res) => {
   console.log("DELETE /api/po-bookings/:bookingId called, ID =", req.params.bookingId);
   const { bookingId } = req.params;
   
@@ -3253,7 +5661,10 @@ app.delete('/api/po-bookings/:bookingId', async (req, res) => {
 });
 
 // POST - Link booking to order - CONVERTED
-app.post('/api/po-booking-links', async (req, res) => {
+app.post('/api/po-booking-links', authenticateToken, requirePermission('bookings.write'),
+  requireOrderAccess(idFrom.body('orderid')),
+  requireBookingAccess(idFrom.body('pobookingid')),
+  async (req, res) => {
   console.log("POST /api/po-booking-links called. Incoming body:", req.body);
   const { orderid, pobookingid, bookedqty } = req.body;
   
@@ -3296,7 +5707,9 @@ app.post('/api/po-booking-links', async (req, res) => {
 });
 
 // DELETE - Unlink booking from order - CONVERTED
-app.delete('/api/po-booking-links/:linkId', async (req, res) => {
+app.delete('/api/po-booking-links/:linkId', authenticateToken, requirePermission('bookings.write'),
+  requireOrderAccess(idFrom.orderOf('pobookinglink', 'pobookinglinkid', req => req.params.linkId)),
+  async (req, res) => {
   console.log("DELETE /api/po-booking-links/:linkId called, ID =", req.params.linkId);
   const { linkId } = req.params;
   try {
@@ -3317,7 +5730,7 @@ app.delete('/api/po-booking-links/:linkId', async (req, res) => {
 });
 
 // GET - Get all booking links for an order - CONVERTED
-app.get('/api/po-booking-links', async (req, res) => {
+app.get('/api/po-booking-links', authenticateToken, requirePermission('bookings.read'), requireOrderAccess(idFrom.query('orderid')), async (req, res) => {
   console.log("GET /api/po-booking-links called with query:", req.query);
   const { orderid } = req.query;
   
@@ -3343,7 +5756,11 @@ app.get('/api/po-booking-links', async (req, res) => {
 
       res.status(200).json(bookingsWithStringStatus);
     } else {
-      const result = await pool.query('SELECT * FROM pobookinglink');
+      const result = await pool.query(`
+        SELECT bl.* FROM pobookinglink bl
+        INNER JOIN orders o ON bl.orderid = o.orderid
+        WHERE ${orderScopeSql('o', 1)}
+      `, [scopedCompanyIds(req)]);
       console.log("All booking links returned:", result.rows.length);
       
       const bookingsWithStringStatus = result.rows.map(booking => ({
@@ -3411,7 +5828,7 @@ async function ensureFinalInvoiceTable() {
 }
 
 // GET final invoices for a specific order - CONVERTED
-app.get('/api/final-invoices', async (req, res) => {
+app.get('/api/final-invoices', authenticateToken, requirePermission('invoices.read'), requireOrderAccess(idFrom.query('orderid')), async (req, res) => {
   console.log("GET /api/final-invoices called with query:", req.query);
   try {
     const { orderid } = req.query;
@@ -3462,6 +5879,8 @@ app.get('/api/final-invoices', async (req, res) => {
 
 /* ---------------------------------------------------------------
    STOCK COLLECTION API ENDPOINTS - CONVERTED TO POSTGRESQL
+   Like products and virtual shelves, collections are not tied to a
+   company: reading takes orders.read, changing them orders.write.
 ---------------------------------------------------------------- */
 
 // Ensure Stock Collection tables exist
@@ -3523,7 +5942,7 @@ async function ensureStockCollectionTables() {
 }
 
 // GET all stock collections - CONVERTED
-app.get('/api/stock-collections', async (req, res) => {
+app.get('/api/stock-collections', authenticateToken, requirePermission('orders.read'), async (req, res) => {
   console.log("GET /api/stock-collections called");
   try {
     await ensureStockCollectionTables();
@@ -3542,7 +5961,7 @@ app.get('/api/stock-collections', async (req, res) => {
 });
 
 // GET specific stock collection by ID - CONVERTED
-app.get('/api/stock-collections/:id', async (req, res) => {
+app.get('/api/stock-collections/:id', authenticateToken, requirePermission('orders.read'), async (req, res) => {
   console.log("GET /api/stock-collections/:id called, ID =", req.params.id);
   const { id } = req.params;
   try {
@@ -3563,7 +5982,7 @@ app.get('/api/stock-collections/:id', async (req, res) => {
 });
 
 // POST - Create new stock collection - CONVERTED
-app.post('/api/stock-collections', async (req, res) => {
+app.post('/api/stock-collections', authenticateToken, requirePermission('orders.write'), async (req, res) => {
   console.log("POST /api/stock-collections called. Incoming body:", req.body);
   const { drivername, collectiondate, status } = req.body;
   
@@ -3596,7 +6015,7 @@ app.post('/api/stock-collections', async (req, res) => {
 });
 
 // PUT - Update stock collection - CONVERTED
-app.put('/api/stock-collections/:id', async (req, res) => {
+app.put('/api/stock-collections/:id', authenticateToken, requirePermission('orders.write'), async (req, res) => {
   console.log("PUT /api/stock-collections/:id called, ID =", req.params.id);
   const { id } = req.params;
   const { drivername, collectiondate, status } = req.body;
@@ -3627,7 +6046,7 @@ app.put('/api/stock-collections/:id', async (req, res) => {
 });
 
 // PUT - Bulk update collection items (Mark All/Clear All) - CONVERTED
-app.put('/api/collection-items/bulk/:collectionId', async (req, res) => {
+app.put('/api/collection-items/bulk/:collectionId', authenticateToken, requirePermission('orders.write'), async (req, res) => {
   console.log("PUT /api/collection-items/bulk/:collectionId called");
   const { collectionId } = req.params;
   const { action } = req.body; // 'mark_all' or 'clear_all'
@@ -3672,7 +6091,7 @@ app.put('/api/collection-items/bulk/:collectionId', async (req, res) => {
 });
 
 // DELETE - Delete stock collection - CONVERTED
-app.delete('/api/stock-collections/:id', async (req, res) => {
+app.delete('/api/stock-collections/:id', authenticateToken, requirePermission('orders.write'), async (req, res) => {
   console.log("DELETE /api/stock-collections/:id called, ID =", req.params.id);
   const { id } = req.params;
   try {
@@ -3693,7 +6112,7 @@ app.delete('/api/stock-collections/:id', async (req, res) => {
 });
 
 // GET collection items for a specific collection - CONVERTED
-app.get('/api/collection-items/:collectionId', async (req, res) => {
+app.get('/api/collection-items/:collectionId', authenticateToken, requirePermission('orders.read'), async (req, res) => {
   console.log("GET /api/collection-items/:collectionId called, ID =", req.params.collectionId);
   const { collectionId } = req.params;
   try {
@@ -3711,7 +6130,7 @@ app.get('/api/collection-items/:collectionId', async (req, res) => {
 });
 
 // POST - Add item to collection - CONVERTED
-app.post('/api/collection-items', async (req, res) => {
+app.post('/api/collection-items', authenticateToken, requirePermission('orders.write'), async (req, res) => {
   console.log("POST /api/collection-items called. Incoming body:", req.body);
   const { collectionid, sku, productname, expectedquantity, collectedquantity, iscollected, discrepancynote } = req.body;
   
@@ -3753,7 +6172,7 @@ app.post('/api/collection-items', async (req, res) => {
 });
 
 // PUT - Update collection item - CONVERTED
-app.put('/api/collection-items/:id', async (req, res) => {
+app.put('/api/collection-items/:id', authenticateToken, requirePermission('orders.write'), async (req, res) => {
   console.log("PUT /api/collection-items/:id called, ID =", req.params.id);
   const { id } = req.params;
   const { iscollected, collectedquantity, discrepancynote } = req.body;
@@ -3785,7 +6204,7 @@ app.put('/api/collection-items/:id', async (req, res) => {
 });
 
 // DELETE - Delete collection item - CONVERTED
-app.delete('/api/collection-items/:id', async (req, res) => {
+app.delete('/api/collection-items/:id', authenticateToken, requirePermission('orders.write'), async (req, res) => {
   console.log("DELETE /api/collection-items/:id called, ID =", req.params.id);
   const { id } = req.params;
   try {
@@ -3969,7 +6388,7 @@ async function ensureCommunicationsHubTables() {
 ---------------------------------------------------------------- */
 
 // GET milestones for an order - CONVERTED
-app.get('/api/milestones', async (req, res) => {
+app.get('/api/milestones', authenticateToken, requirePermission('orders.read'), requireOrderAccess(idFrom.query('orderid')), async (req, res) => {
   console.log("GET /api/milestones called with query:", req.query);
   const { orderid } = req.query;
   
@@ -4000,7 +6419,7 @@ app.get('/api/milestones', async (req, res) => {
 });
 
 // POST - Create new milestone - CONVERTED
-app.post('/api/milestones', async (req, res) => {
+app.post('/api/milestones', authenticateToken, requirePermission('orders.write'), requireOrderAccess(idFrom.body('orderid')), async (req, res) => {
   console.log("POST /api/milestones called. Incoming body:", req.body);
   const {
     orderid, userid, milestonetype, title, description, 
@@ -4048,7 +6467,9 @@ app.post('/api/milestones', async (req, res) => {
 });
 
 // PUT - Update milestone status - CONVERTED
-app.put('/api/milestones/:milestoneId', async (req, res) => {
+app.put('/api/milestones/:milestoneId', authenticateToken, requirePermission('orders.write'),
+  requireOrderAccess(idFrom.orderOf('milestones', 'milestoneid', req => req.params.milestoneId)),
+  async (req, res) => {
   console.log("PUT /api/milestones/:milestoneId called, ID =", req.params.milestoneId);
   const { milestoneId } = req.params;
   const { status, completedbyuserid } = req.body;
@@ -4102,7 +6523,7 @@ app.put('/api/milestones/:milestoneId', async (req, res) => {
 ---------------------------------------------------------------- */
 
 // GET communications for an order - CONVERTED
-app.get('/api/communications', async (req, res) => {
+app.get('/api/communications', authenticateToken, requirePermission('communications.read'), requireOrderAccess(idFrom.query('orderid')), async (req, res) => {
   console.log("GET /api/communications called with query:", req.query);
   const { orderid } = req.query;
   
@@ -4143,7 +6564,7 @@ app.get('/api/communications', async (req, res) => {
 });
 
 // POST - Send message/communication - CONVERTED
-app.post('/api/communications', async (req, res) => {
+app.post('/api/communications', authenticateToken, requirePermission('communications.write'), requireOrderAccess(idFrom.body('orderid')), async (req, res) => {
   console.log("POST /api/communications called. Incoming body:", req.body);
   const { orderid, userid, messagetype, subject, messagebody, priority = 'normal' } = req.body;
   
@@ -4184,7 +6605,7 @@ app.post('/api/communications', async (req, res) => {
 });
 
 // POST /api/communications/typing endpoint (for typing indicators)
-app.post('/api/communications/typing', (req, res) => {
+app.post('/api/communications/typing', authenticateToken, requirePermission('communications.write'), requireOrderAccess(idFrom.body('orderid')), (req, res) => {
   console.log("POST /api/communications/typing called");
   console.log("Typing data:", req.body);
   
@@ -4197,7 +6618,7 @@ app.post('/api/communications/typing', (req, res) => {
 });
 
 // POST /api/communications/external-notify endpoint (for external notifications)
-app.post('/api/communications/external-notify', (req, res) => {
+app.post('/api/communications/external-notify', authenticateToken, requirePermission('communications.write'), requireOrderAccess(idFrom.body('orderid')), (req, res) => {
   console.log("POST /api/communications/external-notify called");
   console.log("Notification data:", req.body);
   
@@ -4218,7 +6639,7 @@ app.post('/api/communications/external-notify', (req, res) => {
 ---------------------------------------------------------------- */
 
 // POST - Confirm Order - CONVERTED
-app.post('/api/milestones/confirm-order', async (req, res) => {
+app.post('/api/milestones/confirm-order', authenticateToken, requirePermission('orders.write'), requireOrderAccess(idFrom.body('orderid')), async (req, res) => {
   console.log("POST /api/milestones/confirm-order called");
   const { orderid, userid } = req.body;
   
@@ -4241,6 +6662,12 @@ app.post('/api/milestones/confirm-order', async (req, res) => {
       await client.query('ROLLBACK');
       return res.status(400).json({ error: "Order already confirmed" });
     }
+
+    const statusRejection = await changeOrderStatus(client, req, orderid, 'Confirmed', 'Milestone: Order Confirmed');
+    if (statusRejection) {
+      await client.query('ROLLBACK');
+      return res.status(statusRejection.status).json(statusRejection.body);
+    }
     
     // Create milestone for order confirmation
     const milestoneQuery = `
@@ -4259,10 +6686,6 @@ app.post('/api/milestones/confirm-order', async (req, res) => {
     const milestoneResult = await client.query(milestoneQuery, [orderid, userid]);
     const milestoneId = milestoneResult.rows[0].milestoneid;
     
-    // Update order status
-    const orderQuery = `UPDATE orders SET orderstatus = 'Confirmed' WHERE orderid = $1`;
-    await client.query(orderQuery, [orderid]);
-    
     // Create communication record
     const commQuery = `
       INSERT INTO communications (
@@ -4294,7 +6717,7 @@ app.post('/api/milestones/confirm-order', async (req, res) => {
 });
 
 // POST - Ready to Ship (Step 3 - Exporter milestone) - CONVERTED
-app.post('/api/milestones/ready-to-ship', async (req, res) => {
+app.post('/api/milestones/ready-to-ship', authenticateToken, requirePermission('orders.write'), requireOrderAccess(idFrom.body('orderid')), async (req, res) => {
   console.log("POST /api/milestones/ready-to-ship called");
   const { orderid, userid } = req.body;
   
@@ -4314,6 +6737,12 @@ app.post('/api/milestones/ready-to-ship', async (req, res) => {
         error: "Order must be confirmed before marking as ready to ship" 
       });
     }
+
+    const statusRejection = await changeOrderStatus(client, req, orderid, 'Ready', 'Milestone: Ready to Ship');
+    if (statusRejection) {
+      await client.query('ROLLBACK');
+      return res.status(statusRejection.status).json(statusRejection.body);
+    }
     
     // Update all invoices to "confirmed" status (production complete)
     const invoiceQuery = `
@@ -4365,7 +6794,7 @@ app.post('/api/milestones/ready-to-ship', async (req, res) => {
 });
 
 // POST - Goods Shipped (Step 4 - Exporter milestone) - CONVERTED
-app.post('/api/milestones/goods-shipped', async (req, res) => {
+app.post('/api/milestones/goods-shipped', authenticateToken, requirePermission('orders.write'), requireOrderAccess(idFrom.body('orderid')), async (req, res) => {
   console.log("POST /api/milestones/goods-shipped called");
   const { orderid, userid } = req.body;
   
@@ -4385,6 +6814,12 @@ app.post('/api/milestones/goods-shipped', async (req, res) => {
         error: "Goods must be marked as 'Ready to Ship' before shipping" 
       });
     }
+
+    const statusRejection = await changeOrderStatus(client, req, orderid, 'Shipped', 'Milestone: Goods Shipped');
+    if (statusRejection) {
+      await client.query('ROLLBACK');
+      return res.status(statusRejection.status).json(statusRejection.body);
+    }
     
     // Update all invoices to "shipped" status
     const invoiceQuery = `
@@ -4408,10 +6843,6 @@ app.post('/api/milestones/goods-shipped', async (req, res) => {
     `;
     await client.query(milestoneQuery, [orderid, userid]);
     
-    // Update order status to shipped
-    const orderQuery = `UPDATE orders SET orderstatus = 'Shipped' WHERE orderid = $1`;
-    await client.query(orderQuery, [orderid]);
-    
     // Create communication
     const commQuery = `
       INSERT INTO communications (
@@ -4440,7 +6871,7 @@ app.post('/api/milestones/goods-shipped', async (req, res) => {
 });
 
 // POST - Goods Arrived (Step 5 - Importer milestone) - CONVERTED
-app.post('/api/milestones/goods-arrived', async (req, res) => {
+app.post('/api/milestones/goods-arrived', authenticateToken, requirePermission('orders.write'), requireOrderAccess(idFrom.body('orderid')), async (req, res) => {
   console.log("POST /api/milestones/goods-arrived called");
   const { orderid, userid } = req.body;
   
@@ -4460,6 +6891,12 @@ app.post('/api/milestones/goods-arrived', async (req, res) => {
         error: "Goods must be shipped before they can arrive" 
       });
     }
+
+    const statusRejection = await changeOrderStatus(client, req, orderid, 'Arrived', 'Milestone: Goods Arrived');
+    if (statusRejection) {
+      await client.query('ROLLBACK');
+      return res.status(statusRejection.status).json(statusRejection.body);
+    }
     
     // Update all invoices to "arrived" status
     const invoiceQuery = `
@@ -4511,7 +6948,7 @@ app.post('/api/milestones/goods-arrived', async (req, res) => {
 });
 
 // POST - Goods Received (Step 6 - Importer milestone) - CONVERTED
-app.post('/api/milestones/goods-received', async (req, res) => {
+app.post('/api/milestones/goods-received', authenticateToken, requirePermission('orders.write'), requireOrderAccess(idFrom.body('orderid')), async (req, res) => {
   console.log("POST /api/milestones/goods-received called");
   const { orderid, userid } = req.body;
   
@@ -4531,6 +6968,12 @@ app.post('/api/milestones/goods-received', async (req, res) => {
         error: "Goods must arrive before they can be received" 
       });
     }
+
+    const statusRejection = await changeOrderStatus(client, req, orderid, 'Completed', 'Milestone: Goods Received');
+    if (statusRejection) {
+      await client.query('ROLLBACK');
+      return res.status(statusRejection.status).json(statusRejection.body);
+    }
     
     // Update all invoices to "completed" status
     const invoiceQuery = `
@@ -4554,10 +6997,6 @@ app.post('/api/milestones/goods-received', async (req, res) => {
     `;
     await client.query(milestoneQuery, [orderid, userid]);
     
-    // Update order status to completed
-    const orderQuery = `UPDATE orders SET orderstatus = 'Completed' WHERE orderid = $1`;
-    await client.query(orderQuery, [orderid]);
-    
     // Create communication
     const commQuery = `
       INSERT INTO communications (
@@ -4643,7 +7082,7 @@ const upload = multer({
 });
 
 // POST - Upload documents - CONVERTED
-app.post('/api/upload-document', upload.array('files', 10), async (req, res) => {
+app.post('/api/upload-document', authenticateToken, requirePermission('documents.write'), upload.array('files', 10), async (req, res) => {
   console.log("POST /api/upload-document called");
   console.log("Files received:", req.files?.length || 0);
   console.log("Body:", req.body);
@@ -4672,6 +7111,20 @@ app.post('/api/upload-document', upload.array('files', 10), async (req, res) =>
       });
     }
 
+    // multer only parses the body once the files are on disk, so the order check happens here
+    const access = await findOrderAccess(pool, req, orderid);
+    if (!access.inScope) {
+      req.files.forEach(file => {
+        if (fs.existsSync(file.path)) {
+          fs.unlinkSync(file.path);
+        }
+      });
+
+      return access.exists
+        ? sendForbidden(res, 'Access denied to this order', { orderId: parseInt(orderid) })
+        : res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
     await ensureCommunicationsHubTables();
 
     const uploadedFiles = [];
@@ -4692,7 +7145,7 @@ app.post('/api/upload-document', upload.array('files', 10), async (req, res) =>
 
       const result = await pool.query(query, [
         orderid, userid, file.filename, file.originalname, file.path,
-        file.size, file.mimetype, documentType || 'other', description || ''
+        file.size, file.mimetype, documenttype || 'other', description || ''
       ]);
 
       const documentId = result.rows[0].documentid;
@@ -4747,7 +7200,7 @@ app.post('/api/upload-document', upload.array('files', 10), async (req, res) =>
 });
 
 // GET - Fetch documents for an order - CONVERTED
-app.get('/api/documents', async (req, res) => {
+app.get('/api/documents', authenticateToken, requirePermission('documents.read'), requireOrderAccess(idFrom.query('orderid')), async (req, res) => {
   console.log("GET /api/documents called with query:", req.query);
   const { orderid } = req.query;
 
@@ -4783,7 +7236,9 @@ app.get('/api/documents', async (req, res) => {
 });
 
 // GET - Download a document - CONVERTED
-app.get('/api/documents/download/:documentId', async (req, res) => {
+app.get('/api/documents/download/:documentId', authenticateToken, requirePermission('documents.read'),
+  requireOrderAccess(idFrom.orderOf('documents', 'documentid', req => req.params.documentId)),
+  async (req, res) => {
   console.log("GET /api/documents/download/:documentId called");
   const { documentId } = req.params;
 
@@ -4825,7 +7280,9 @@ app.get('/api/documents/download/:documentId', async (req, res) => {
 });
 
 // DELETE - Delete a document - CONVERTED
-app.delete('/api/documents/:documentId', async (req, res) => {
+app.delete('/api/documents/:documentId', authenticateToken, requirePermission('documents.write'),
+  requireOrderAccess(idFrom.orderOf('documents', 'documentid', req => req.params.documentId)),
+  async (req, res) => {
   console.log("DELETE /api/documents/:documentId called");
   const { documentId } = req.params;
 
@@ -4865,6 +7322,446 @@ app.delete('/api/documents/:documentId', async (req, res) => {
   }
 });
 
+/* ---------------------------------------------------------------
+   ORDER DEADLINE ALERTS - upcoming and missed order dates (utils/orderAlerts.js)
+---------------------------------------------------------------- */
+
+const ALERT_JOB_ENABLED = process.env.ALERT_JOB_ENABLED !== 'false';
+const ALERT_JOB_INTERVAL_MINUTES = parseInt(process.env.ALERT_JOB_INTERVAL_MINUTES) || 60;
+
+// Advisory lock key so only one server instance runs the job at a time
+const ORDER_ALERT_JOB_LOCK_KEY = 4102;
+
+// Ensure OrderAlerts table exists
+async function ensureOrderAlertsTable() {
+  try {
+    const tableCheck = await pool.query(`
+      SELECT COUNT(*) as count FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = 'orderalerts'
+    `);
+
+    if (parseInt(tableCheck.rows[0].count) === 0) {
+      console.log("Creating OrderAlerts table...");
+      // One alert per order date value and type; a moved date raises a new one
+      await pool.query(`
+        CREATE TABLE orderalerts (
+          alertid SERIAL PRIMARY KEY,
+          orderid INT NOT NULL,
+          datefield VARCHAR(50) NOT NULL,
+          duedate DATE NOT NULL,
+          alerttype VARCHAR(20) NOT NULL,
+          communicationid INT NULL,
+          emailedat TIMESTAMP NULL,
+          snoozeduntil TIMESTAMP NULL,
+          snoozedbyuserid INT NULL,
+          acknowledgedat TIMESTAMP NULL,
+          acknowledgedbyuserid INT NULL,
+          resolvedat TIMESTAMP NULL,
+          createdat TIMESTAMP DEFAULT NOW(),
+          CONSTRAINT fk_orderalerts_order FOREIGN KEY (orderid) REFERENCES orders(orderid) ON DELETE CASCADE,
+          CONSTRAINT uq_orderalerts_date UNIQUE (orderid, datefield, duedate, alerttype)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_orderalerts_open ON orderalerts(orderid) WHERE acknowledgedat IS NULL AND resolvedat IS NULL;
+      `);
+      console.log("OrderAlerts table created successfully!");
+    } else {
+      console.log("OrderAlerts table already exists.");
+    }
+  } catch (err) {
+    console.error("Error checking/creating OrderAlerts table:", err);
+  }
+}
+
+async function runOrderDeadlineAlertJob() {
+  const lockClient = await pool.connect();
+  try {
+    const lock = await lockClient.query('SELECT pg_try_advisory_lock($1) as locked', [ORDER_ALERT_JOB_LOCK_KEY]);
+    if (!lock.rows[0].locked) {
+      console.log("Deadline alert job already running elsewhere, skipping.");
+      return;
+    }
+
+    try {
+      let created = 0;
+      let resolved = 0;
+      for (const field of Object.keys(ORDER_DEADLINE_FIELDS)) {
+        const counts = await raiseOrderDeadlineAlerts(pool, field);
+        created += counts.created;
+        resolved += counts.resolved;
+      }
+      const emailed = await emailOrderDeadlineAlerts(pool, transporter);
+
+      console.log(`Deadline alert job: ${created} raised, ${resolved} resolved, ${emailed} emailed`);
+    } finally {
+      await lockClient.query('SELECT pg_advisory_unlock($1)', [ORDER_ALERT_JOB_LOCK_KEY]);
+    }
+  } catch (err) {
+    console.error("Deadline alert job failed:", err);
+  } finally {
+    lockClient.release();
+  }
+}
+
+function startOrderDeadlineAlertJob() {
+  if (!ALERT_JOB_ENABLED) {
+    console.log("Deadline alert job disabled (ALERT_JOB_ENABLED=false).");
+    return;
+  }
+
+  runOrderDeadlineAlertJob();
+  setInterval(runOrderDeadlineAlertJob, ALERT_JOB_INTERVAL_MINUTES * 60 * 1000);
+  console.log(`Deadline alert job scheduled every ${ALERT_JOB_INTERVAL_MINUTES} minutes.`);
+}
+
+// Filters and sort keys GET /api/alerts accepts (see utils/listQuery.js)
+const ORDER_ALERT_LIST_SPEC = {
+  filters: {
+    orderid: { column: 'a.orderid', match: 'in' },
+    alerttype: { column: 'a.alerttype', match: 'in' },
+    datefield: { column: 'a.datefield', match: 'in' }
+  },
+  ranges: {
+    duedate: { column: 'a.duedate' }
+  },
+  sortable: {
+    duedate: 'a.duedate',
+    createdat: 'a.createdat',
+    alertid: 'a.alertid'
+  },
+  defaultSort: 'duedate',
+  tiebreaker: 'alertid'
+};
+
+const ORDER_ALERT_SELECT = `
+  a.*, o.ordernumber, o.orderstatus, o.userid as owneruserid,
+  CASE a.datefield ${Object.entries(ORDER_DEADLINE_FIELDS).map(([field, { label }]) => `WHEN '${field}' THEN '${label}'`).join(' ')} END as label
+`;
+
+async function fetchOrderAlert(db, alertId) {
+  const result = await db.query(`
+    SELECT ${ORDER_ALERT_SELECT} FROM orderalerts a INNER JOIN orders o ON a.orderid = o.orderid WHERE a.alertid = $1
+  `, [alertId]);
+  return result.rows[0];
+}
+
+// GET - Deadline alerts on orders in the caller's companies.
+// ?state=open (default) | snoozed | acknowledged | resolved | all, ?mine=true
+// for orders the caller owns, plus the filters and sort keys in the spec above.
+app.get('/api/alerts', authenticateToken, requirePermission('orders.read'), async (req, res) => {
+  console.log("GET /api/alerts called with query:", req.query);
+  const state = req.query.state || 'open';
+
+  if (!ORDER_ALERT_STATES.hasOwnProperty(state)) {
+    return res.status(400).json({ error: `state must be one of: ${Object.keys(ORDER_ALERT_STATES).join(', ')}` });
+  }
+
+  try {
+    const conditions = [orderScopeSql('o', 1)];
+    const params = [scopedCompanyIds(req)];
+    if (ORDER_ALERT_STATES[state]) {
+      conditions.push(ORDER_ALERT_STATES[state]);
+    }
+    if (req.query.mine === 'true') {
+      params.push(req.user.userId);
+      conditions.push(`o.userid = $${params.length}`);
+    }
+
+    const list = buildListQuery(req.query, ORDER_ALERT_LIST_SPEC, { conditions, params });
+
+    const page = await fetchPage(pool, {
+      select: ORDER_ALERT_SELECT,
+      from: 'FROM orderalerts a INNER JOIN orders o ON a.orderid = o.orderid'
+    }, list);
+
+    res.status(200).json(page);
+  } catch (err) {
+    if (err instanceof ListQueryError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Error fetching alerts:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST - Acknowledge an alert: it leaves the open list and is not emailed again
+app.post('/api/alerts/:id/acknowledge', authenticateToken, requirePermission('orders.write'),
+  requireOrderAccess(idFrom.orderOf('orderalerts', 'alertid', req => req.params.id)),
+  async (req, res) => {
+  console.log("POST /api/alerts/:id/acknowledge called, ID =", req.params.id);
+  try {
+    const result = await pool.query(`
+      UPDATE orderalerts SET acknowledgedat = NOW(), acknowledgedbyuserid = $2
+      WHERE alertid = $1 AND acknowledgedat IS NULL
+      RETURNING communicationid
+    `, [req.params.id, req.user.userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'Alert is already acknowledged' });
+    }
+    if (result.rows[0].communicationid) {
+      await pool.query('UPDATE communications SET isread = TRUE WHERE communicationid = $1', [result.rows[0].communicationid]);
+    }
+
+    res.status(200).json({ message: 'Alert acknowledged', alert: await fetchOrderAlert(pool, req.params.id) });
+  } catch (err) {
+    console.error("Error acknowledging alert:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST - Snooze an alert until a time ({ until }) or for a number of hours
+// ({ hours }); it is emailed again once the snooze runs out
+app.post('/api/alerts/:id/snooze', authenticateToken, requirePermission('orders.write'),
+  requireOrderAccess(idFrom.orderOf('orderalerts', 'alertid', req => req.params.id)),
+  async (req, res) => {
+  console.log("POST /api/alerts/:id/snooze called, ID =", req.params.id, "body:", req.body);
+  const { snoozeUntil, error: snoozeError } = parseSnooze(req.body);
+  if (snoozeError) {
+    return res.status(400).json({ error: snoozeError });
+  }
+
+  try {
+    const result = await pool.query(`
+      UPDATE orderalerts SET snoozeduntil = $2, snoozedbyuserid = $3
+      WHERE alertid = $1 AND acknowledgedat IS NULL AND resolvedat IS NULL
+      RETURNING alertid
+    `, [req.params.id, snoozeUntil, req.user.userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'Only open alerts can be snoozed' });
+    }
+
+    res.status(200).json({ message: 'Alert snoozed', alert: await fetchOrderAlert(pool, req.params.id) });
+  } catch (err) {
+    console.error("Error snoozing alert:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ---------------------------------------------------------------
+   ORDER IMPORT JOBS - CSV / XLSX through a saved mapping (utils/orderImport.js)
+---------------------------------------------------------------- */
+
+// Order columns an import can fill and how their dates are read
+const ORDER_IMPORT_COLUMNS = { orderColumns: ORDER_INSERT_COLUMNS, dateColumns: ORDER_DATE_COLUMNS, parseDate: sanitizeDate };
+
+async function recordImportJob(db, req, job) {
+  const result = await db.query(`
+    INSERT INTO importjobs (
+      companyid, userid, savedimportid, filename, dryrun, status, totalrows,
+      orderscreated, linescreated, errorcount, errors, orderids
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    RETURNING importjobid, status, dryrun, createdat
+  `, [
+    req.companyId, req.user.userId, job.savedImportId, job.fileName, job.dryRun, job.status, job.totalRows,
+    job.ordersCreated || 0, job.linesCreated || 0, job.errors.length, JSON.stringify(job.errors),
+    JSON.stringify(job.orderIds || [])
+  ]);
+  return result.rows[0];
+}
+
+// POST - Import orders and order lines from a CSV / XLSX upload
+// multipart/form-data: file, plus savedImportId (use its mappings) or mappings (JSON),
+// and dryRun=true to only validate. Without dryRun either every order is created
+// or - when any row is invalid - none are (422 with the row errors).
+app.post('/api/import-jobs', authenticateToken, requirePermission('orders.write'), upload.single('file'), async (req, res) => {
+  console.log("POST /api/import-jobs called. Body:", req.body, "File:", req.file && req.file.originalname);
+  const file = req.file;
+
+  if (!file) {
+    return res.status(400).json({ error: 'A CSV or XLSX file is required' });
+  }
+
+  try {
+    if (!IMPORT_FILE_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      return res.status(400).json({ error: 'Only CSV and XLSX files can be imported' });
+    }
+
+    const dryRun = req.body.dryRun === 'true';
+    let savedImportId = null;
+    let mappings;
+
+    if (req.body.savedImportId) {
+      await ensureSavedImportsTable();
+      const savedResult = await pool.query('SELECT * FROM savedimports WHERE id = $1', [parseInt(req.body.savedImportId) || 0]);
+      const saved = savedResult.rows[0];
+
+      if (!saved || !(await isUserInScope(pool, req, saved.userid))) {
+        return res.status(404).json({ error: 'Saved import not found' });
+      }
+
+      savedImportId = saved.id;
+      try {
+        mappings = JSON.parse(saved.mappings);
+      } catch (parseErr) {
+        return res.status(400).json({ error: 'Saved import has no readable mapping' });
+      }
+    } else if (req.body.mappings) {
+      try {
+        mappings = JSON.parse(req.body.mappings);
+      } catch (parseErr) {
+        return res.status(400).json({ error: 'mappings must be valid JSON' });
+      }
+    } else {
+      return res.status(400).json({ error: 'savedImportId or mappings is required' });
+    }
+
+    const { mapping, error: mappingError } = parseImportMapping(mappings, ORDER_IMPORT_COLUMNS);
+    if (mappingError) {
+      return res.status(400).json({ error: mappingError });
+    }
+
+    let sheet;
+    try {
+      sheet = await readSpreadsheet(file.path, file.originalname);
+    } catch (readErr) {
+      if (readErr instanceof SpreadsheetError) {
+        return res.status(400).json({ error: readErr.message });
+      }
+      throw readErr;
+    }
+
+    const missing = mapping.filter(m => !sheet.headers.includes(m.source)).map(m => m.source);
+    if (missing.length > 0) {
+      return res.status(400).json({ error: 'Mapped columns are missing from the file', columns: missing });
+    }
+    if (sheet.rows.length === 0) {
+      return res.status(400).json({ error: 'File has no data rows' });
+    }
+    if (sheet.rows.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({ error: `Files are limited to ${IMPORT_MAX_ROWS} rows` });
+    }
+
+    const { orders, errors } = buildImportOrders(sheet.rows, mapping, ORDER_IMPORT_COLUMNS);
+
+    // Order numbers already used in the caller's companies are not imported again
+    const existingResult = await pool.query(`
+      SELECT DISTINCT o.ordernumber FROM orders o
+      WHERE o.ordernumber = ANY($1) AND ${orderScopeSql('o', 2)}
+    `, [orders.map(order => String(order.fields.ordernumber)), scopedCompanyIds(req)]);
+
+    for (const { ordernumber } of existingResult.rows) {
+      const order = orders.find(o => String(o.fields.ordernumber) === ordernumber);
+      errors.push({
+        row: order.rowNumber,
+        column: mapping.find(m => m.target === 'ordernumber').source,
+        field: 'ordernumber',
+        error: `Order ${ordernumber} already exists`
+      });
+    }
+    errors.sort((a, b) => a.row - b.row);
+
+    const summary = {
+      totalRows: sheet.rows.length,
+      orders: orders.length,
+      lines: orders.reduce((count, order) => count + order.lines.length, 0)
+    };
+    const jobDetails = { savedImportId, fileName: file.originalname, dryRun, totalRows: summary.totalRows, errors };
+
+    if (dryRun || errors.length > 0) {
+      const job = await recordImportJob(pool, req, {
+        ...jobDetails, status: dryRun ? (errors.length > 0 ? 'invalid' : 'validated') : 'failed'
+      });
+
+      return res.status(dryRun ? 200 : 422).json({
+        job,
+        valid: errors.length === 0,
+        summary,
+        errors,
+        orders: orders.map(order => ({
+          row: order.rowNumber, ordernumber: order.fields.ordernumber, lines: order.lines.length
+        }))
+      });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const orderIds = [];
+      for (const order of orders) {
+        const orderId = await insertOrder(client, req.user.userId, order.fields);
+        const note = `Imported from ${file.originalname}`;
+
+        await recordOrderHistory(client, req, {
+          orderId, action: 'create', before: null, after: await fetchOrderSnapshot(client, orderId), note
+        });
+
+        if (order.lines.length > 0) {
+          await insertOrderLines(client, orderId, order.fields.ordernumber, order.lines);
+          await recordLineChanges(client, req, orderId, new Map(), await fetchLineSnapshots(client, orderId), note);
+        }
+        orderIds.push(orderId);
+      }
+
+      const job = await recordImportJob(client, req, {
+        ...jobDetails, status: 'completed', ordersCreated: orderIds.length, linesCreated: summary.lines, orderIds
+      });
+
+      await client.query('COMMIT');
+
+      console.log(`Import job ${job.importjobid}: ${orderIds.length} orders created from ${file.originalname}`);
+      res.status(201).json({ message: 'Import completed successfully', job, summary, orderIds });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error("Order import failed:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    // The upload is only needed while the job runs
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  }
+});
+
+// GET - Import jobs of the active company, newest first
+app.get('/api/import-jobs', authenticateToken, requirePermission('orders.read'), async (req, res) => {
+  console.log("GET /api/import-jobs called.");
+  try {
+    const result = await pool.query(`
+      SELECT j.importjobid, j.userid, u.username, j.savedimportid, j.filename, j.dryrun, j.status,
+             j.totalrows, j.orderscreated, j.linescreated, j.errorcount, j.createdat
+      FROM importjobs j
+      LEFT JOIN users u ON j.userid = u.userid
+      WHERE j.companyid = ANY($1)
+      ORDER BY j.createdat DESC, j.importjobid DESC
+      LIMIT 100
+    `, [scopedCompanyIds(req)]);
+
+    res.status(200).json(result.rows);
+  } catch (err) {
+    console.error("Error fetching import jobs:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET - A single import job with its row errors and created order ids
+app.get('/api/import-jobs/:id', authenticateToken, requirePermission('orders.read'), async (req, res) => {
+  console.log("GET /api/import-jobs/:id called, ID =", req.params.id);
+  try {
+    const result = await pool.query(
+      'SELECT * FROM importjobs WHERE importjobid = $1 AND companyid = ANY($2)',
+      [parseInt(req.params.id) || 0, scopedCompanyIds(req)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Import job not found' });
+    }
+
+    res.status(200).json(result.rows[0]);
+  } catch (err) {
+    console.error("Error fetching import job:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /* ---------------------------------------------------------------
    VIRTUAL PACKING LIST GENERATION & VERIFICATION - CONVERTED
 ---------------------------------------------------------------- */
@@ -4923,7 +7820,9 @@ async function ensureVPLReferencesTable() {
 }
 
 // POST - Generate Virtual Packing List with security hash - CONVERTED
-app.post('/api/generate-vpl', async (req, res) => {
+app.post('/api/generate-vpl', authenticateToken, requirePermission('orders.read'),
+  requireOrderAccess(async (req) => req.body.orderData ? req.body.orderData.Orderid : undefined),
+  async (req, res) => {
   console.log("POST /api/generate-vpl called");
   try {
     const {
@@ -5075,7 +7974,7 @@ app.post('/api/generate-vpl', async (req, res) => {
 });
 
 // POST - Verify uploaded VPL security - CONVERTED
-app.post('/api/verify-vpl', async (req, res) => {
+app.post('/api/verify-vpl', authenticateToken, async (req, res) => {
   console.log("POST /api/verify-vpl called");
   try {
     const { vplData } = req.body;
@@ -5117,17 +8016,131 @@ app.post('/api/verify-vpl', async (req, res) => {
   }
 });
 
+/* ---------------------------------------------------------------
+   FULL-TEXT SEARCH - ORDERS, ORDER LINES AND PRODUCTS
+---------------------------------------------------------------- */
+
+// Ensure the GIN expression indexes full-text search relies on exist
+async function ensureSearchIndexes() {
+  try {
+    for (const table of SEARCH_TYPES) {
+      await pool.query(`CREATE INDEX IF NOT EXISTS idx_${table}_search ON ${table} USING GIN (${SEARCH_VECTORS[table]('')})`);
+    }
+    console.log("Search indexes verified.");
+  } catch (err) {
+    console.error("Error checking/creating search indexes:", err);
+  }
+}
+
+// GET /api/search?q=acme "blue widget" -red&types=orders,orderlines&limit=20
+// q uses web search syntax: quoted phrases, OR, and -term to exclude
+app.get('/api/search', authenticateToken, requirePermission('orders.read'), async (req, res) => {
+  try {
+    const { q, types, limit } = parseSearchParams(req.query);
+    const companyIds = scopedCompanyIds(req);
+    const tsQuery = `websearch_to_tsquery('simple', $1)`;
+    const hits = [];
+
+    if (types.includes('orders')) {
+      const result = await pool.query(`
+        SELECT o.orderid, o.ordernumber, o.orderstatus, o.exporter, o.shipmentconsignee,
+               ts_rank(${SEARCH_VECTORS.orders('o.')}, ${tsQuery}) as rank,
+               ${searchHeadlineSql(`concat_ws(' | ', o.ordernumber, o.exporter, o.shipmentconsignee, o.goodsdescription)`, tsQuery)} as snippet
+        FROM orders o
+        WHERE ${SEARCH_VECTORS.orders('o.')} @@ ${tsQuery}
+          AND ${orderScopeSql('o', 2)}
+        ORDER BY rank DESC, o.orderid DESC
+        LIMIT $3
+      `, [q, companyIds, limit]);
+
+      hits.push(...result.rows.map(row => ({
+        type: 'order',
+        id: row.orderid,
+        orderId: row.orderid,
+        title: row.ordernumber,
+        rank: row.rank,
+        snippet: row.snippet,
+        order: { orderstatus: row.orderstatus, exporter: row.exporter, shipmentconsignee: row.shipmentconsignee }
+      })));
+    }
+
+    if (types.includes('orderlines')) {
+      const result = await pool.query(`
+        SELECT ol.lineid, ol.orderid, ol.linenumber, ol.partnumber, o.ordernumber,
+               ts_rank(${SEARCH_VECTORS.orderlines('ol.')}, ${tsQuery}) as rank,
+               ${searchHeadlineSql(`concat_ws(' | ', ol.partnumber, ol.description)`, tsQuery)} as snippet
+        FROM orderlines ol
+        INNER JOIN orders o ON ol.orderid = o.orderid
+        WHERE ${SEARCH_VECTORS.orderlines('ol.')} @@ ${tsQuery}
+          AND ${orderScopeSql('o', 2)}
+        ORDER BY rank DESC, ol.lineid DESC
+        LIMIT $3
+      `, [q, companyIds, limit]);
+
+      hits.push(...result.rows.map(row => ({
+        type: 'orderline',
+        id: row.lineid,
+        orderId: row.orderid,
+        title: `${row.ordernumber || row.orderid} / line ${row.linenumber || row.lineid}: ${row.partnumber || ''}`.trim(),
+        rank: row.rank,
+        snippet: row.snippet
+      })));
+    }
+
+    // The product catalog is shared, so products are not company-scoped
+    if (types.includes('products')) {
+      const result = await pool.query(`
+        SELECT p.productid, p.name, p.sku,
+               ts_rank(${SEARCH_VECTORS.products('p.')}, ${tsQuery}) as rank,
+               ${searchHeadlineSql(`concat_ws(' | ', p.sku, p.name)`, tsQuery)} as snippet
+        FROM products p
+        WHERE ${SEARCH_VECTORS.products('p.')} @@ ${tsQuery}
+        ORDER BY rank DESC, p.productid DESC
+        LIMIT $2
+      `, [q, limit]);
+
+      hits.push(...result.rows.map(row => ({
+        type: 'product',
+        id: row.productid,
+        orderId: null,
+        title: row.sku ? `${row.sku} - ${row.name}` : row.name,
+        rank: row.rank,
+        snippet: row.snippet
+      })));
+    }
+
+    hits.sort((a, b) => b.rank - a.rank);
+
+    res.status(200).json({
+      query: q,
+      types,
+      hits: hits.slice(0, limit)
+    });
+
+  } catch (err) {
+    if (err instanceof SearchQueryError) {
+      return res.status(400).json({ error: err.message, ...err.details });
+    }
+    console.error("Search error:", err);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
 /* ---------------------------------------------------------------
    USER ORDERS API FOR GLOBAL CHAT SYSTEM - CONVERTED
 ---------------------------------------------------------------- */
 
 // GET /api/user-orders - Get all orders for a user (for global chat) - CONVERTED
-app.get('/api/user-orders', authenticateToken, async (req, res) => {
+app.get('/api/user-orders', authenticateToken, requirePermission('orders.read'), async (req, res) => {
   try {
     const { userID } = req.query;
     
     // Use the authenticated user's ID if userID not provided in query
     const targetUserID = userID || req.user.userId;
+
+    if (!(await isUserInScope(pool, req, targetUserID))) {
+      return sendForbidden(res, 'Access denied to this user', { userId: parseInt(targetUserID) });
+    }
     
     const query = `
       SELECT 
@@ -5136,7 +8149,7 @@ app.get('/api/user-orders', authenticateToken, async (req, res) => {
         po.goodsdescription,
         po.orderstatus
       FROM orders po
-      WHERE po.userid = $1 
+      WHERE po.userid = $1 AND po.deletedat IS NULL
       ORDER BY po.orderid DESC
     `;
     
@@ -5151,7 +8164,7 @@ app.get('/api/user-orders', authenticateToken, async (req, res) => {
 });
 
 // GET /api/communications/unread-count - Get unread message count for an order/user - CONVERTED
-app.get('/api/communications/unread-count', async (req, res) => {
+app.get('/api/communications/unread-count', authenticateToken, requirePermission('communications.read'), requireOrderAccess(idFrom.query('orderid')), async (req, res) => {
   try {
     const { orderid, userid } = req.query;
     
@@ -5254,7 +8267,7 @@ app.get('/invoice/:id', async (req, res) => {
 ---------------------------------------------------------------- */
 
 // POST - Create a new final invoice - CONVERTED
-app.post('/api/final-invoices', async (req, res) => {
+app.post('/api/final-invoices', authenticateToken, requirePermission('invoices.write'), requireOrderAccess(idFrom.body('purchaseorderid')), async (req, res) => {
   console.log("POST /api/final-invoices called. Incoming body:", req.body);
   const invoiceData = req.body;
   
@@ -5312,7 +8325,9 @@ app.post('/api/final-invoices', async (req, res) => {
 });
 
 // PUT - Update a final invoice - CONVERTED
-app.put('/api/final-invoices/:invoiceId', async (req, res) => {
+app.put('/api/final-invoices/:invoiceId', authenticateToken, requirePermission('invoices.write'),
+  requireOrderAccess(idFrom.orderOf('finalinvoice', 'finalinvoiceid', req => req.params.invoiceId)),
+  async (req, res) => {
   console.log("PUT /api/final-invoices/:invoiceId called, ID =", req.params.invoiceId);
   const { invoiceId } = req.params;
   const invoiceData = req.body;
@@ -5381,7 +8396,9 @@ app.put('/api/final-invoices/:invoiceId', async (req, res) => {
 });
 
 // DELETE - Delete a final invoice - CONVERTED
-app.delete('/api/final-invoices/:invoiceId', async (req, res) => {
+app.delete('/api/final-invoices/:invoiceId', authenticateToken, requirePermission('invoices.write'),
+  requireOrderAccess(idFrom.orderOf('finalinvoice', 'finalinvoiceid', req => req.params.invoiceId)),
+  async (req, res) => {
   console.log("DELETE /api/final-invoices/:invoiceId called, ID =", req.params.invoiceId);
   const { invoiceId } = req.params;
   try {
@@ -5474,9 +8491,26 @@ function rankEntry(entry, lowerQuery) {
     if (poolConnection) {
       console.log("=== INITIALIZING COMPLETE DATABASE SCHEMA ===");
       
+      // Authentication sessions
+      await ensureAuthSessionsTable();
+      await ensureRefreshTokensTable();
+      await ensurePasswordResetTokensTable();
+      await ensureEmailVerificationTables();
+      await ensureCompanyInvitationsTable();
+      await ensureTwoFactorTables();
+      await ensureLoginAttemptsTable();
+      await ensurePermissionsCatalog();
+      await ensureApiKeysTable();
+      await ensureOidcTables();
+      await ensureImpersonationAuditTable();
+      
       // Core tables
       await ensureProductsTable();
       await ensureOrderLinesTable();
+      await ensureOrderLifecycleColumns();
+      await ensureTradingPartnersTable();
+      await ensureOrderHistoryTable();
+      await ensureOrderTemplatesTable();
       await ensureVirtualShelvesTable();
       await ensureClientsTable();
       await ensureSuppliersTable();
@@ -5485,10 +8519,12 @@ function rankEntry(entry, lowerQuery) {
       await ensureReportsTable();
       await ensureUserPreferencesTable();
       await ensureSavedImportsTable();
+      await ensureImportJobsTable();
       await ensureProductGroupsTable();
       
       // Invoice and booking system
       await ensurePOInvoiceTable();
+      await ensureRowVersionColumns();
       await ensurePOBookingTable();
       await ensurePOBookingLinkTable(); 
       await ensureFinalInvoiceTable();
@@ -5499,11 +8535,17 @@ function rankEntry(entry, lowerQuery) {
       // Communications hub
       await ensureCommunicationsTable();
       await ensureCommunicationsHubTables();
+      await ensureOrderAlertsTable();
       
       // VPL system
       await ensureVPLReferencesTable();
       
+      // Full-text search
+      await ensureSearchIndexes();
+      
       console.log("=== ALL DATABASE TABLES VERIFIED AND READY ===");
+
+      startOrderDeadlineAlertJob();
       
     } else {
       console.log("Database connection failed - some features may not work.");
@@ -0,0 +1,469 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const {
+  authenticateToken,
+  requirePermission,
+  requireCompanyPermission,
+  blockImpersonation,
+  revokeUserSessions,
+  sendForbidden,
+  COMPANY_ROLES,
+  SUPPORT_PERMISSIONS,
+  ROLE_PERMISSIONS
+} = require('../Middleware/auth');
+
+const router = express.Router();
+
+// Every admin route acts on one company the caller administers - never while impersonating
+const requireCompanyAdmin = [authenticateToken, blockImpersonation, requireCompanyPermission('users.manage')];
+
+// The target user's membership of the company, or null
+const findMembership = async (db, companyId, userId) => {
+  const result = await db.query(`
+    SELECT ucr.usercompanyroleid, ucr."Role", u.userid, u.username, u.isactive, u.emailverifiedat
+    FROM usercompanyroles ucr
+    INNER JOIN users u ON ucr.userid = u.userid
+    WHERE ucr.companyid = $1 AND ucr.userid = $2
+  `, [companyId, userId]);
+
+  return result.rows[0] || null;
+};
+
+const countActiveAdmins = async (db, companyId) => {
+  const result = await db.query(`
+    SELECT COUNT(*) as count
+    FROM usercompanyroles ucr
+    INNER JOIN users u ON ucr.userid = u.userid
+    WHERE ucr.companyid = $1 AND ucr."Role" = 'Admin' AND u.isactive = true
+  `, [companyId]);
+
+  return parseInt(result.rows[0].count);
+};
+
+// Account status is global - only a company that has the user to itself may change it
+const belongsToOtherCompanies = async (db, companyId, userId) => {
+  const result = await db.query(
+    'SELECT 1 FROM usercompanyroles WHERE userid = $1 AND companyid <> $2 LIMIT 1',
+    [userId, companyId]
+  );
+
+  return result.rows.length > 0;
+};
+
+// Permission catalog
+router.get('/permissions', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const pool = req.app.locals.dbPool;
+    const result = await pool.query('SELECT permissionid, permissionname FROM permissions ORDER BY permissionname');
+
+    res.json({
+      permissions: result.rows,
+      rolePermissions: ROLE_PERMISSIONS
+    });
+
+  } catch (error) {
+    console.error('List permissions error:', error);
+    res.status(500).json({ error: 'Failed to fetch permissions' });
+  }
+});
+
+// List the users of a company with their role and explicit grants
+router.get('/companies/:companyId/users', requireCompanyAdmin, async (req, res) => {
+  try {
+    const pool = req.app.locals.dbPool;
+    const result = await pool.query(`
+      SELECT u.userid, u.username, u.email, u.firstname, u.lastname, u.isactive,
+             u.emailverifiedat, u.lastlogin, u.createdat,
+             ucr."Role" as role, ucr.assigneddate,
+             COALESCE(
+               json_agg(json_build_object(
+                 'permissionId', p.permissionid,
+                 'permissionName', p.permissionname,
+                 'grantedBy', up.grantedby,
+                 'grantedDate', up.granteddate
+               ) ORDER BY p.permissionname) FILTER (WHERE p.permissionid IS NOT NULL),
+               '[]'
+             ) as permissions
+      FROM usercompanyroles ucr
+      INNER JOIN users u ON ucr.userid = u.userid
+      LEFT JOIN userpermissions up ON up.userid = u.userid AND up.companyid = ucr.companyid
+      LEFT JOIN permissions p ON up.permissionid = p.permissionid
+      WHERE ucr.companyid = $1
+      GROUP BY u.userid, ucr.usercompanyroleid
+      ORDER BY u.username
+    `, [req.params.companyId]);
+
+    res.json(result.rows);
+
+  } catch (error) {
+    console.error('List company users error:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// Deactivate a user - blocks login and ends every session
+router.post('/companies/:companyId/users/:userId/deactivate', requireCompanyAdmin, async (req, res) => {
+  try {
+    const pool = req.app.locals.dbPool;
+    if (isNaN(parseInt(req.params.userId))) {
+      return res.status(400).json({ error: 'Invalid user ID provided' });
+    }
+
+    const companyId = parseInt(req.params.companyId);
+    const userId = parseInt(req.params.userId);
+
+    const member = await findMembership(pool, companyId, userId);
+    if (!member) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (userId === req.user.userId) {
+      return res.status(400).json({ error: 'You cannot deactivate your own account' });
+    }
+
+    if (!member.isactive) {
+      return res.status(400).json({ error: 'User is already inactive' });
+    }
+
+    if (await belongsToOtherCompanies(pool, companyId, userId)) {
+      return res.status(409).json({ error: 'User belongs to other companies and cannot be deactivated from this one' });
+    }
+
+    // Never leave a company without an active admin
+    if (member.Role === 'Admin' && (await countActiveAdmins(pool, companyId)) <= 1) {
+      return res.status(400).json({ error: 'A company must keep at least one active admin' });
+    }
+
+    await pool.query('UPDATE users SET isactive = false WHERE userid = $1', [userId]);
+    const revokedSessions = await revokeUserSessions(pool, userId, 'user_deactivated');
+
+    res.json({ message: 'User deactivated successfully', revokedSessions });
+
+  } catch (error) {
+    console.error('Deactivate user error:', error);
+    res.status(500).json({ error: 'Failed to deactivate user' });
+  }
+});
+
+// Reactivate a previously deactivated user
+router.post('/companies/:companyId/users/:userId/reactivate', requireCompanyAdmin, async (req, res) => {
+  try {
+    const pool = req.app.locals.dbPool;
+    if (isNaN(parseInt(req.params.userId))) {
+      return res.status(400).json({ error: 'Invalid user ID provided' });
+    }
+
+    const member = await findMembership(pool, req.params.companyId, parseInt(req.params.userId));
+    if (!member) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (member.isactive) {
+      return res.status(400).json({ error: 'User is already active' });
+    }
+
+    if (await belongsToOtherCompanies(pool, req.params.companyId, member.userid)) {
+      return res.status(409).json({ error: 'User belongs to other companies and cannot be reactivated from this one' });
+    }
+
+    // Accounts waiting on email verification are activated by verifying, not by an admin
+    if (!member.emailverifiedat) {
+      return res.status(400).json({ error: 'User has not verified their email address' });
+    }
+
+    await pool.query('UPDATE users SET isactive = true WHERE userid = $1', [member.userid]);
+
+    res.json({ message: 'User reactivated successfully' });
+
+  } catch (error) {
+    console.error('Reactivate user error:', error);
+    res.status(500).json({ error: 'Failed to reactivate user' });
+  }
+});
+
+// Change a user's role within the company
+router.put('/companies/:companyId/users/:userId/role', requireCompanyAdmin, [
+  body('role').isIn(COMPANY_ROLES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (isNaN(parseInt(req.params.userId))) {
+      return res.status(400).json({ error: 'Invalid user ID provided' });
+    }
+
+    const pool = req.app.locals.dbPool;
+    const companyId = parseInt(req.params.companyId);
+    const { role } = req.body;
+
+    const member = await findMembership(pool, companyId, parseInt(req.params.userId));
+    if (!member) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Never leave a company without an active admin
+    if (member.Role === 'Admin' && role !== 'Admin' && member.isactive && (await countActiveAdmins(pool, companyId)) <= 1) {
+      return res.status(400).json({ error: 'A company must keep at least one active admin' });
+    }
+
+    await pool.query(
+      'UPDATE usercompanyroles SET "Role" = $1, assigneddate = NOW() WHERE usercompanyroleid = $2',
+      [role, member.usercompanyroleid]
+    );
+
+    res.json({ message: 'Role updated successfully', previousRole: member.Role, role });
+
+  } catch (error) {
+    console.error('Change role error:', error);
+    res.status(500).json({ error: 'Failed to change role' });
+  }
+});
+
+// Explicit permission grants for a user in the company
+router.get('/companies/:companyId/users/:userId/permissions', requireCompanyAdmin, async (req, res) => {
+  try {
+    const pool = req.app.locals.dbPool;
+    if (isNaN(parseInt(req.params.userId))) {
+      return res.status(400).json({ error: 'Invalid user ID provided' });
+    }
+
+    const member = await findMembership(pool, req.params.companyId, parseInt(req.params.userId));
+    if (!member) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const result = await pool.query(`
+      SELECT p.permissionid, p.permissionname, up.grantedby, g.username as grantedbyusername, up.granteddate
+      FROM userpermissions up
+      INNER JOIN permissions p ON up.permissionid = p.permissionid
+      LEFT JOIN users g ON up.grantedby = g.userid
+      WHERE up.userid = $1 AND up.companyid = $2
+      ORDER BY p.permissionname
+    `, [member.userid, req.params.companyId]);
+
+    res.json({
+      role: member.Role,
+      rolePermissions: ROLE_PERMISSIONS[member.Role] || [],
+      grants: result.rows
+    });
+
+  } catch (error) {
+    console.error('List user permissions error:', error);
+    res.status(500).json({ error: 'Failed to fetch permissions' });
+  }
+});
+
+// Grant a permission from the catalog
+router.post('/companies/:companyId/users/:userId/permissions', requireCompanyAdmin, [
+  body('permission').isString().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (isNaN(parseInt(req.params.userId))) {
+      return res.status(400).json({ error: 'Invalid user ID provided' });
+    }
+
+    const pool = req.app.locals.dbPool;
+    const companyId = parseInt(req.params.companyId);
+
+    const member = await findMembership(pool, companyId, parseInt(req.params.userId));
+    if (!member) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const permissionResult = await pool.query(
+      'SELECT permissionid, permissionname FROM permissions WHERE permissionname = $1',
+      [req.body.permission]
+    );
+    if (permissionResult.rows.length === 0) {
+      return res.status(400).json({ error: 'Unknown permission' });
+    }
+    const permission = permissionResult.rows[0];
+
+    if (SUPPORT_PERMISSIONS.includes(permission.permissionname)) {
+      return sendForbidden(res, 'Support permissions cannot be granted through the admin API');
+    }
+
+    const existing = await pool.query(`
+      SELECT 1 FROM userpermissions
+      WHERE userid = $1 AND companyid = $2 AND permissionid = $3
+    `, [member.userid, companyId, permission.permissionid]);
+
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: 'Permission already granted' });
+    }
+
+    await pool.query(`
+      INSERT INTO userpermissions (userid, companyid, permissionid, grantedby, granteddate)
+      VALUES ($1, $2, $3, $4, NOW())
+    `, [member.userid, companyId, permission.permissionid, req.user.userId]);
+
+    res.status(201).json({
+      message: 'Permission granted successfully',
+      permissionId: permission.permissionid,
+      permissionName: permission.permissionname
+    });
+
+  } catch (error) {
+    console.error('Grant permission error:', error);
+    res.status(500).json({ error: 'Failed to grant permission' });
+  }
+});
+
+// Revoke an explicit grant (role permissions are changed through the role)
+router.delete('/companies/:companyId/users/:userId/permissions/:permissionId', requireCompanyAdmin, async (req, res) => {
+  try {
+    const pool = req.app.locals.dbPool;
+    if (isNaN(parseInt(req.params.userId)) || isNaN(parseInt(req.params.permissionId))) {
+      return res.status(400).json({ error: 'Invalid user or permission ID provided' });
+    }
+
+    const result = await pool.query(`
+      DELETE FROM userpermissions
+      WHERE userid = $1 AND companyid = $2 AND permissionid = $3
+    `, [parseInt(req.params.userId), req.params.companyId, parseInt(req.params.permissionId)]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Permission grant not found' });
+    }
+
+    res.json({ message: 'Permission revoked successfully' });
+
+  } catch (error) {
+    console.error('Revoke permission error:', error);
+    res.status(500).json({ error: 'Failed to revoke permission' });
+  }
+});
+
+// Login events for the users of a company
+router.get('/companies/:companyId/login-events', requireCompanyAdmin, async (req, res) => {
+  try {
+    const pool = req.app.locals.dbPool;
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 100, 500));
+    const params = [req.params.companyId, limit];
+    let filters = '';
+
+    if (req.query.userId) {
+      if (isNaN(parseInt(req.query.userId))) {
+        return res.status(400).json({ error: 'Invalid user ID provided' });
+      }
+      params.push(parseInt(req.query.userId));
+      filters += ` AND la.userid = $${params.length}`;
+    }
+    if (req.query.success === 'true' || req.query.success === 'false') {
+      params.push(req.query.success === 'true');
+      filters += ` AND la.success = $${params.length}`;
+    }
+
+    const result = await pool.query(`
+      SELECT la.attemptid, la.attemptedat, la.userid, u.username, la.ipaddress,
+             la.useragent, la.success, la.reason, la.sessionid
+      FROM loginattempts la
+      INNER JOIN users u ON la.userid = u.userid
+      WHERE la.userid IN (SELECT userid FROM usercompanyroles WHERE companyid = $1)
+        ${filters}
+      ORDER BY la.attemptedat DESC
+      LIMIT $2
+    `, params);
+
+    res.json(result.rows);
+
+  } catch (error) {
+    console.error('List login events error:', error);
+    res.status(500).json({ error: 'Failed to fetch login events' });
+  }
+});
+
+// Active sessions across the users of a company
+router.get('/companies/:companyId/sessions', requireCompanyAdmin, async (req, res) => {
+  try {
+    const pool = req.app.locals.dbPool;
+    const result = await pool.query(`
+      SELECT s.sessionid, s.userid, u.username, s.ipaddress, s.useragent,
+             s.createdat, s.lastusedat, s.expiresat
+      FROM authsessions s
+      INNER JOIN users u ON s.userid = u.userid
+      WHERE s.userid IN (SELECT userid FROM usercompanyroles WHERE companyid = $1)
+        AND s.revokedat IS NULL AND s.expiresat > NOW()
+      ORDER BY s.lastusedat DESC
+    `, [req.params.companyId]);
+
+    res.json(result.rows);
+
+  } catch (error) {
+    console.error('List company sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Support impersonation of the company's users, newest first
+router.get('/companies/:companyId/impersonations', requireCompanyAdmin, async (req, res) => {
+  try {
+    const pool = req.app.locals.dbPool;
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 100, 500));
+    const params = [req.params.companyId, limit];
+    let filters = '';
+
+    if (req.query.sessionId) {
+      if (isNaN(parseInt(req.query.sessionId))) {
+        return res.status(400).json({ error: 'Invalid session ID provided' });
+      }
+      params.push(parseInt(req.query.sessionId));
+      filters += ` AND ial.sessionid = $${params.length}`;
+    }
+
+    const result = await pool.query(`
+      SELECT ial.auditid, ial.createdat, ial.event, ial.sessionid,
+             ial.userid, u.username, ial.impersonatorid, imp.username as impersonatorusername,
+             s.impersonationreason, ial.method, ial.path, ial.statuscode, ial.ipaddress
+      FROM impersonationauditlog ial
+      INNER JOIN users u ON ial.userid = u.userid
+      INNER JOIN users imp ON ial.impersonatorid = imp.userid
+      LEFT JOIN authsessions s ON ial.sessionid = s.sessionid
+      WHERE ial.userid IN (SELECT userid FROM usercompanyroles WHERE companyid = $1)
+        ${filters}
+      ORDER BY ial.createdat DESC, ial.auditid DESC
+      LIMIT $2
+    `, params);
+
+    res.json(result.rows);
+
+  } catch (error) {
+    console.error('List impersonations error:', error);
+    res.status(500).json({ error: 'Failed to fetch impersonation log' });
+  }
+});
+
+// End a single session of a company user
+router.delete('/companies/:companyId/sessions/:sessionId', requireCompanyAdmin, async (req, res) => {
+  try {
+    const pool = req.app.locals.dbPool;
+    if (isNaN(parseInt(req.params.sessionId))) {
+      return res.status(400).json({ error: 'Invalid session ID provided' });
+    }
+
+    const result = await pool.query(`
+      UPDATE authsessions
+      SET revokedat = NOW(), revokedreason = 'admin_revoked'
+      WHERE sessionid = $1 AND revokedat IS NULL
+        AND userid IN (SELECT userid FROM usercompanyroles WHERE companyid = $2)
+    `, [req.params.sessionId, req.params.companyId]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Active session not found' });
+    }
+
+    res.json({ message: 'Session ended successfully' });
+
+  } catch (error) {
+    console.error('End company session error:', error);
+    res.status(500).json({ error: 'Failed to end session' });
+  }
+});
+
+module.exports = router;
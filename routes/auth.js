@@ -2,25 +2,262 @@ const express = require('express');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
+const {
+  authenticateToken,
+  requirePermission,
+  requireUserSession,
+  requireGlobalPermission,
+  blockImpersonation,
+  loadUserProfile,
+  withActiveCompany,
+  revokeUserSessions,
+  recordImpersonationEvent,
+  sendForbidden,
+  COMPANY_ROLES,
+  SUPPORT_PERMISSIONS
+} = require('../Middleware/auth');
+const { isUserInScope, scopedCompanyIds } = require('../Middleware/companyScope');
+const { sendTemplatedEmail } = require('../utils/email');
+const { generateOpaqueToken, hashToken } = require('../utils/tokens');
+const totp = require('../utils/totp');
+const oidc = require('../utils/oidc');
 
 const router = express.Router();
 console.log('JWT_SECRET loaded:', process.env.JWT_SECRET ? 'YES' : 'NO');
 console.log('JWT_EXPIRES_IN loaded:', process.env.JWT_EXPIRES_IN);
 
+// Access tokens are short-lived; refresh tokens keep the session alive
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+const APP_BASE_URL = process.env.APP_BASE_URL || 'http://localhost:3000';
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Blue Moon';
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
+
+// Brute-force protection for /login
+const LOGIN_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOGIN_IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const LOGIN_ATTEMPT_WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15;
+const LOGIN_MAX_DELAY_MS = 8000;
+
+// Support impersonation sessions are short and cannot be refreshed
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 30;
+
+// OIDC single sign-on; users unknown to us are only provisioned when a JIT company is configured
+const OIDC_STATE_TTL_MINUTES = 10;
+const OIDC_BINDING_COOKIE = 'oidc_login';
+const OIDC_JIT_COMPANY_ID = parseInt(process.env.OIDC_JIT_COMPANY_ID) || null;
+const OIDC_JIT_ROLE = process.env.OIDC_JIT_ROLE || 'Read-Only User';
+const OIDC_JIT_EMAIL_DOMAINS = (process.env.OIDC_JIT_EMAIL_DOMAINS || '')
+  .split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean);
+
 // Generate JWT token
-const generateToken = (userId, companies, permissions) => {
+const generateToken = (user, sessionId, expiresIn = ACCESS_TOKEN_EXPIRES_IN) => {
   return jwt.sign(
     { 
-      userId, 
-      companies: companies.map(c => c.companyId),
-      permissions 
+      userId: user.userId, 
+      sid: sessionId,
+      companyId: user.activeCompanyId,
+      companies: user.companies.map(c => c.companyId),
+      permissions: user.permissions,
+      ...(user.impersonatedBy ? { impersonatedBy: user.impersonatedBy } : {})
     },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN }
+    { expiresIn }
+  );
+};
+
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Store a new refresh token for a session and return the raw value
+const createRefreshToken = async (db, sessionId) => {
+  const refreshToken = generateOpaqueToken(48);
+  const expiresAt = refreshTokenExpiry();
+
+  await db.query(`
+    INSERT INTO refreshtokens (sessionid, tokenhash, expiresat, createdat)
+    VALUES ($1, $2, $3, NOW())
+  `, [sessionId, hashToken(refreshToken), expiresAt]);
+
+  await db.query(
+    'UPDATE authsessions SET expiresat = $2, lastusedat = NOW() WHERE sessionid = $1',
+    [sessionId, expiresAt]
+  );
+
+  return refreshToken;
+};
+
+// Open a new session for a user and issue an access/refresh token pair
+const issueSession = async (req, user) => {
+  const pool = req.app.locals.dbPool;
+
+  const sessionResult = await pool.query(`
+    INSERT INTO authsessions (userid, ipaddress, useragent, createdat, lastusedat, expiresat, activecompanyid)
+    VALUES ($1, $2, $3, NOW(), NOW(), $4, $5)
+    RETURNING sessionid
+  `, [user.userId, req.ip, (req.headers['user-agent'] || '').substring(0, 500), refreshTokenExpiry(), user.activeCompanyId]);
+
+  const sessionId = sessionResult.rows[0].sessionid;
+  const refreshToken = await createRefreshToken(pool, sessionId);
+  const token = generateToken(user, sessionId);
+
+  return { token, refreshToken, expiresIn: ACCESS_TOKEN_EXPIRES_IN, sessionId };
+};
+
+// Check a TOTP code (or an unused recovery code) for a user with 2FA set up.
+// Codes from an already-used time step are rejected to stop replays.
+const verifySecondFactor = async (db, userId, { code, recoveryCode }) => {
+  const result = await db.query(
+    'SELECT twofactorsecret, twofactorlaststep FROM users WHERE userid = $1',
+    [userId]
+  );
+  const userData = result.rows[0];
+
+  if (!userData || !userData.twofactorsecret) {
+    return false;
+  }
+
+  if (code) {
+    const step = totp.verifyTotpCode(totp.decryptTotpSecret(userData.twofactorsecret), code);
+    if (step === null || (userData.twofactorlaststep && step <= parseInt(userData.twofactorlaststep))) {
+      return false;
+    }
+    await db.query('UPDATE users SET twofactorlaststep = $2 WHERE userid = $1', [userId, step]);
+    return true;
+  }
+
+  if (recoveryCode) {
+    const used = await db.query(`
+      UPDATE userrecoverycodes SET usedat = NOW()
+      WHERE userid = $1 AND codehash = $2 AND usedat IS NULL
+      RETURNING recoverycodeid
+    `, [userId, hashToken(totp.normalizeRecoveryCode(recoveryCode))]);
+    return used.rowCount > 0;
+  }
+
+  return false;
+};
+
+// Replace a user's recovery codes and return the new plain-text codes (shown once)
+const regenerateRecoveryCodes = async (db, userId) => {
+  const codes = totp.generateRecoveryCodes();
+
+  await db.query('DELETE FROM userrecoverycodes WHERE userid = $1', [userId]);
+  for (const code of codes) {
+    await db.query(`
+      INSERT INTO userrecoverycodes (userid, codehash, createdat)
+      VALUES ($1, $2, NOW())
+    `, [userId, hashToken(totp.normalizeRecoveryCode(code))]);
+  }
+
+  return codes;
+};
+
+// Record every login attempt - drives throttling and is the user's login history
+const recordLoginAttempt = async (pool, { identifier, userId, req, success, reason, sessionId }) => {
+  await pool.query(`
+    INSERT INTO loginattempts (identifier, userid, ipaddress, useragent, success, reason, sessionid, attemptedat)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+  `, [
+    identifier ? identifier.toLowerCase() : null,
+    userId || null,
+    req.ip,
+    (req.headers['user-agent'] || '').substring(0, 500),
+    success,
+    reason || null,
+    sessionId || null
+  ]);
+};
+
+// Recent failures for this username and for this IP address
+const getRecentLoginFailures = async (pool, identifier, ipAddress) => {
+  const result = await pool.query(`
+    SELECT
+      COUNT(*) FILTER (WHERE identifier = $1) as identifierfailures,
+      COUNT(*) FILTER (WHERE ipaddress = $2) as ipfailures
+    FROM loginattempts
+    WHERE success = false
+      AND attemptedat > NOW() - ($3 || ' minutes')::interval
+      AND (identifier = $1 OR ipaddress = $2)
+  `, [identifier.toLowerCase(), ipAddress, LOGIN_ATTEMPT_WINDOW_MINUTES]);
+
+  return {
+    identifierFailures: parseInt(result.rows[0].identifierfailures),
+    ipFailures: parseInt(result.rows[0].ipfailures)
+  };
+};
+
+// Recent bad 2FA codes for this user and failures of any kind from this IP address
+const getRecentTwoFactorFailures = async (pool, userId, ipAddress) => {
+  const result = await pool.query(`
+    SELECT
+      COUNT(*) FILTER (WHERE userid = $1 AND reason = 'invalid_2fa_code') as userfailures,
+      COUNT(*) FILTER (WHERE ipaddress = $2) as ipfailures
+    FROM loginattempts
+    WHERE success = false
+      AND attemptedat > NOW() - ($3 || ' minutes')::interval
+      AND (userid = $1 OR ipaddress = $2)
+  `, [userId, ipAddress, LOGIN_ATTEMPT_WINDOW_MINUTES]);
+
+  return {
+    userFailures: parseInt(result.rows[0].userfailures),
+    ipFailures: parseInt(result.rows[0].ipfailures)
+  };
+};
+
+// Exponential back-off: 0.5s, 1s, 2s, 4s... capped
+const progressiveDelay = (failures) => {
+  if (failures <= 0) return Promise.resolve();
+  const delay = Math.min(500 * 2 ** (failures - 1), LOGIN_MAX_DELAY_MS);
+  return new Promise(resolve => setTimeout(resolve, delay));
+};
+
+// Count a failed password/2FA attempt against the account and lock it when over the limit
+const registerFailedLogin = async (pool, userId) => {
+  const result = await pool.query(`
+    UPDATE users
+    SET failedattempts = COALESCE(failedattempts, 0) + 1,
+        lastfailedlogin = NOW(),
+        lockeduntil = CASE
+          WHEN COALESCE(failedattempts, 0) + 1 >= $2 THEN NOW() + ($3 || ' minutes')::interval
+          ELSE lockeduntil
+        END
+    WHERE userid = $1
+    RETURNING failedattempts, lockeduntil
+  `, [userId, LOGIN_MAX_FAILED_ATTEMPTS, LOGIN_LOCKOUT_MINUTES]);
+
+  return result.rows[0];
+};
+
+const clearFailedLogins = async (pool, userId) => {
+  await pool.query(
+    'UPDATE users SET failedattempts = 0, lockeduntil = NULL WHERE userid = $1',
+    [userId]
   );
 };
 
+const accountLockedResponse = (res, lockedUntil) => {
+  const retryAfter = Math.max(1, Math.ceil((new Date(lockedUntil) - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    error: 'Account temporarily locked due to too many failed login attempts',
+    lockedUntil
+  });
+};
+
+// With 2FA enabled a first factor (password or SSO) only earns a short-lived challenge token
+const twoFactorChallenge = (userId) => ({
+  message: 'Two-factor authentication required',
+  twoFactorRequired: true,
+  challengeToken: jwt.sign(
+    { userId, purpose: '2fa_challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN }
+  )
+});
+
 // User Login
 router.post('/login', [
   body('username').trim().escape(),
@@ -34,73 +271,70 @@ router.post('/login', [
 
     const { username, password } = req.body;
 
-    // Get user with companies and permissions - FIXED for PostgreSQL
     const pool = req.app.locals.dbPool;
-    const userQuery = `
-    SELECT u.userid, u.username, u.email, u.passwordhash, u.firstname, u.lastname,
-           c.companyid, c.companyname, c.companytype,
-           ucr."Role",
-           p.permissionname
-    FROM users u
-    LEFT JOIN usercompanyroles ucr ON u.userid = ucr.userid
-    LEFT JOIN companies c ON ucr.companyid = c.companyid
-    LEFT JOIN userpermissions up ON u.userid = up.userid AND c.companyid = up.companyid
-    LEFT JOIN permissions p ON up.permissionid = p.permissionid
-    WHERE (u.username = $1 OR u.email = $1) AND u.isactive = true
-  `;
 
-    const result = await pool.query(userQuery, [username]);
+    // Per-IP throttle, then slow down repeated guesses against one username
+    const { identifierFailures, ipFailures } = await getRecentLoginFailures(pool, username, req.ip);
+    if (ipFailures >= LOGIN_IP_MAX_FAILURES) {
+      res.set('Retry-After', String(LOGIN_ATTEMPT_WINDOW_MINUTES * 60));
+      return res.status(429).json({ error: 'Too many failed login attempts. Please try again later.' });
+    }
+    await progressiveDelay(Math.max(identifierFailures, ipFailures));
+
+    const result = await pool.query(`
+      SELECT userid, passwordhash, twofactorenabled, lockeduntil
+      FROM users
+      WHERE (username = $1 OR email = $1) AND isactive = true
+    `, [username]);
 
     if (result.rows.length === 0) {
+      await recordLoginAttempt(pool, { identifier: username, req, success: false, reason: 'unknown_user' });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
     const userData = result.rows[0];
 
+    if (userData.lockeduntil && new Date(userData.lockeduntil) > new Date()) {
+      await recordLoginAttempt(pool, { identifier: username, userId: userData.userid, req, success: false, reason: 'account_locked' });
+      return accountLockedResponse(res, userData.lockeduntil);
+    }
+
     // Verify password
     const validPassword = await bcrypt.compare(password, userData.passwordhash);
     if (!validPassword) {
+      await recordLoginAttempt(pool, { identifier: username, userId: userData.userid, req, success: false, reason: 'invalid_password' });
+      const failure = await registerFailedLogin(pool, userData.userid);
+      if (failure.lockeduntil && new Date(failure.lockeduntil) > new Date()) {
+        return accountLockedResponse(res, failure.lockeduntil);
+      }
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    // With 2FA enabled the password only earns a short-lived challenge token;
+    // the failure counter is left alone until the second factor succeeds
+    if (userData.twofactorenabled) {
+      await recordLoginAttempt(pool, { identifier: username, userId: userData.userid, req, success: true, reason: 'password_ok_2fa_pending' });
+      return res.json(twoFactorChallenge(userData.userid));
+    }
+
+    await clearFailedLogins(pool, userData.userid);
+
     // Update last login
     await pool.query('UPDATE users SET lastlogin = NOW() WHERE userid = $1', [userData.userid]);
 
-    // Structure user data
-    const user = {
-      userId: userData.userid,
-      username: userData.username,
-      email: userData.email,
-      firstName: userData.firstname,
-      lastName: userData.lastname,
-      companies: [],
-      permissions: []
-    };
-
-    // Group companies and permissions
-    const companiesMap = new Map();
-    result.rows.forEach(row => {
-      if (row.companyid && !companiesMap.has(row.companyid)) {
-        companiesMap.set(row.companyid, {
-          companyId: row.companyid,
-          companyName: row.companyname,
-          companyType: row.companytype,
-          role: row.Role
-        });
-      }
-      if (row.permissionname && !user.permissions.includes(row.permissionname)) {
-        user.permissions.push(row.permissionname);
-      }
-    });
+    // Get user with companies and permissions
+    const user = await loadUserProfile(pool, userData.userid);
 
-    user.companies = Array.from(companiesMap.values());
+    // Generate access and refresh tokens
+    const { token, refreshToken, expiresIn, sessionId } = await issueSession(req, user);
 
-    // Generate JWT token
-    const token = generateToken(user.userId, user.companies, user.permissions);
+    await recordLoginAttempt(pool, { identifier: username, userId: userData.userid, req, success: true, sessionId });
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
+      expiresIn,
       user
     });
 
@@ -110,21 +344,243 @@ router.post('/login', [
   }
 });
 
-// Get current user info
-router.get('/me', authenticateToken, (req, res) => {
-  res.json({
-    user: req.user
-  });
+// Complete a 2FA login with a TOTP code or a recovery code
+router.post('/2fa/verify', [
+  body('challengeToken').isString().notEmpty(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let challenge;
+    try {
+      challenge = jwt.verify(req.body.challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+
+    if (challenge.purpose !== '2fa_challenge') {
+      return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+
+    const pool = req.app.locals.dbPool;
+    const { code, recoveryCode } = req.body;
+
+    // Same throttling as /login, keyed on the challenged user and the caller's IP
+    const { userFailures, ipFailures } = await getRecentTwoFactorFailures(pool, challenge.userId, req.ip);
+    if (ipFailures >= LOGIN_IP_MAX_FAILURES || userFailures >= LOGIN_MAX_FAILED_ATTEMPTS) {
+      res.set('Retry-After', String(LOGIN_ATTEMPT_WINDOW_MINUTES * 60));
+      return res.status(429).json({ error: 'Too many failed login attempts. Please try again later.' });
+    }
+    await progressiveDelay(Math.max(userFailures, ipFailures));
+
+    // Guessing codes counts towards the same lockout as guessing passwords
+    const lockResult = await pool.query('SELECT username, lockeduntil FROM users WHERE userid = $1', [challenge.userId]);
+    const lockState = lockResult.rows[0];
+    if (lockState && lockState.lockeduntil && new Date(lockState.lockeduntil) > new Date()) {
+      return accountLockedResponse(res, lockState.lockeduntil);
+    }
+
+    const verified = await verifySecondFactor(pool, challenge.userId, { code, recoveryCode });
+    if (!verified) {
+      await recordLoginAttempt(pool, { identifier: lockState && lockState.username, userId: challenge.userId, req, success: false, reason: 'invalid_2fa_code' });
+      const failure = await registerFailedLogin(pool, challenge.userId);
+      if (failure.lockeduntil && new Date(failure.lockeduntil) > new Date()) {
+        return accountLockedResponse(res, failure.lockeduntil);
+      }
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    // Only a completed second factor resets the lockout counter
+    await clearFailedLogins(pool, challenge.userId);
+
+    const user = await loadUserProfile(pool, challenge.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    // Update last login
+    await pool.query('UPDATE users SET lastlogin = NOW() WHERE userid = $1', [user.userId]);
+
+    const { token, refreshToken, expiresIn, sessionId } = await issueSession(req, user);
+
+    await recordLoginAttempt(pool, {
+      identifier: lockState && lockState.username, userId: challenge.userId, req, success: true, reason: '2fa_verified', sessionId
+    });
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      expiresIn,
+      user
+    });
+
+  } catch (error) {
+    console.error('2FA verification error:', error);
+    res.status(500).json({ error: 'Two-factor verification failed' });
+  }
 });
 
-// User Registration
-router.post('/register', [
-  body('username').isLength({ min: 3 }).trim().escape(),
-  body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 6 }),
-  body('firstName').optional().trim().escape(),
-  body('lastName').optional().trim().escape(),
-  body('companyId').isInt()
+// Username for a just-in-time SSO user: the email, else its local part, else the
+// local part with a number. Names that are some other user's email are skipped
+// too, as /login accepts either. Null when every candidate is taken.
+const availableOidcUsername = async (db, email) => {
+  const localPart = email.split('@')[0];
+  const candidates = [email, localPart];
+  for (let n = 2; n < 100; n++) {
+    candidates.push(`${localPart}${n}`);
+  }
+
+  const taken = await db.query(`
+    SELECT LOWER(username) as name FROM users WHERE LOWER(username) = ANY($1)
+    UNION
+    SELECT LOWER(email) FROM users WHERE LOWER(email) = ANY($1)
+  `, [candidates.map(candidate => candidate.toLowerCase())]);
+
+  const takenNames = new Set(taken.rows.map(row => row.name));
+  return candidates.find(candidate => !takenNames.has(candidate.toLowerCase())) || null;
+};
+
+// Find the local user for an IdP identity: by linked subject first, then by
+// verified email (linking the identity), then by just-in-time provisioning
+const resolveOidcUser = async (pool, issuer, claims) => {
+  const linked = await pool.query(`
+    UPDATE useridentities SET lastloginat = NOW(), email = COALESCE($3, email)
+    WHERE issuer = $1 AND subject = $2
+    RETURNING userid
+  `, [issuer, claims.sub, claims.email || null]);
+
+  if (linked.rows.length > 0) {
+    return { userId: linked.rows[0].userid, provisioned: false };
+  }
+
+  // Only an email the IdP vouches for may be matched to an existing account
+  const email = claims.email && claims.email_verified === true ? claims.email.toLowerCase() : null;
+  if (!email) {
+    return null;
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const existingUser = await client.query('SELECT userid FROM users WHERE LOWER(email) = $1', [email]);
+    let userId;
+    let provisioned = false;
+
+    if (existingUser.rows.length > 0) {
+      userId = existingUser.rows[0].userid;
+    } else {
+      const domain = email.split('@')[1];
+      const canProvision = OIDC_JIT_COMPANY_ID && COMPANY_ROLES.includes(OIDC_JIT_ROLE) &&
+        (OIDC_JIT_EMAIL_DOMAINS.length === 0 || OIDC_JIT_EMAIL_DOMAINS.includes(domain));
+
+      if (!canProvision) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const username = await availableOidcUsername(client, email);
+      if (!username) {
+        await client.query('ROLLBACK');
+        return { userId: null, usernameUnavailable: true };
+      }
+
+      // SSO users get an unusable random password; they can set one via forgot-password
+      const saltRounds = 12;
+      const passwordHash = await bcrypt.hash(generateOpaqueToken(), saltRounds);
+
+      const userResult = await client.query(`
+        INSERT INTO users (username, email, passwordhash, firstname, lastname, isactive, emailverifiedat, createdat)
+        VALUES ($1, $2, $3, $4, $5, true, NOW(), NOW())
+        RETURNING userid
+      `, [username, email, passwordHash, claims.given_name || '', claims.family_name || '']);
+
+      userId = userResult.rows[0].userid;
+      provisioned = true;
+
+      await client.query(`
+        INSERT INTO usercompanyroles (userid, companyid, "Role", assigneddate)
+        VALUES ($1, $2, $3, NOW())
+      `, [userId, OIDC_JIT_COMPANY_ID, OIDC_JIT_ROLE]);
+    }
+
+    await client.query(`
+      INSERT INTO useridentities (userid, issuer, subject, email, createdat, lastloginat)
+      VALUES ($1, $2, $3, $4, NOW(), NOW())
+    `, [userId, issuer, claims.sub, email]);
+
+    await client.query('COMMIT');
+    return { userId, provisioned };
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// The state alone could be replayed into someone else's browser (login CSRF), so a
+// pending login is also bound to an HttpOnly cookie on the browser that started it
+const oidcBindingCookieOptions = () => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: APP_BASE_URL.startsWith('https://'),
+  path: '/api/auth/oidc'
+});
+
+const readCookie = (req, name) => {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator > 0 && part.substring(0, separator).trim() === name) {
+      return decodeURIComponent(part.substring(separator + 1).trim());
+    }
+  }
+  return null;
+};
+
+// Start an SSO login - returns the IdP authorization URL for the browser to visit
+router.get('/oidc/authorize', async (req, res) => {
+  try {
+    if (!oidc.isOidcConfigured()) {
+      return res.status(404).json({ error: 'Single sign-on is not configured' });
+    }
+
+    const state = generateOpaqueToken();
+    const nonce = generateOpaqueToken(16);
+    const binding = generateOpaqueToken();
+    const { codeVerifier, codeChallenge } = oidc.createPkcePair();
+
+    const pool = req.app.locals.dbPool;
+    await pool.query(`
+      INSERT INTO oidcloginstates (statehash, nonce, codeverifier, bindinghash, ipaddress, createdat, expiresat)
+      VALUES ($1, $2, $3, $4, $5, NOW(), NOW() + ($6 || ' minutes')::interval)
+    `, [hashToken(state), nonce, codeVerifier, hashToken(binding), req.ip, OIDC_STATE_TTL_MINUTES]);
+
+    const authorizationUrl = await oidc.buildAuthorizationUrl({ state, nonce, codeChallenge });
+
+    res.cookie(OIDC_BINDING_COOKIE, binding, { ...oidcBindingCookieOptions(), maxAge: OIDC_STATE_TTL_MINUTES * 60 * 1000 });
+    res.json({ authorizationUrl, state });
+
+  } catch (error) {
+    console.error('OIDC authorize error:', error);
+    res.status(502).json({ error: 'Failed to start single sign-on' });
+  }
+});
+
+// Finish an SSO login - the frontend posts back the code and state the IdP
+// redirected with (from the browser that called /oidc/authorize) and gets the
+// same response as a password login, including the 2FA challenge when the
+// user has local 2FA enabled.
+router.post('/oidc/callback', [
+  body('code').isString().notEmpty(),
+  body('state').isString().notEmpty()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -132,46 +588,1196 @@ router.post('/register', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { username, email, password, firstName, lastName, companyId, role = 'Read-Only User' } = req.body;
+    if (!oidc.isOidcConfigured()) {
+      return res.status(404).json({ error: 'Single sign-on is not configured' });
+    }
 
-    // Check if user already exists
     const pool = req.app.locals.dbPool;
-    const existingUser = await pool.query(
-      'SELECT userid FROM users WHERE username = $1 OR email = $2', 
-      [username, email]
-    );
 
-    if (existingUser.rows.length > 0) {
-      return res.status(400).json({ error: 'Username or email already exists' });
+    const binding = readCookie(req, OIDC_BINDING_COOKIE);
+    res.clearCookie(OIDC_BINDING_COOKIE, oidcBindingCookieOptions());
+    if (!binding) {
+      return res.status(400).json({ error: 'Single sign-on must be finished in the browser that started it' });
     }
 
-    // Hash password
-    const saltRounds = 12;
-    const passwordHash = await bcrypt.hash(password, saltRounds);
+    // Each state is single-use and only valid together with its browser's cookie
+    const stateResult = await pool.query(`
+      UPDATE oidcloginstates SET usedat = NOW()
+      WHERE statehash = $1 AND bindinghash = $2 AND usedat IS NULL AND expiresat > NOW()
+      RETURNING nonce, codeverifier
+    `, [hashToken(req.body.state), hashToken(binding)]);
 
-    // Create user
-    const result = await pool.query(`
-      INSERT INTO users (username, email, passwordhash, firstname, lastname, isactive, createdat)
-      VALUES ($1, $2, $3, $4, $5, true, NOW())
-      RETURNING userid
-    `, [username, email, passwordHash, firstName || '', lastName || '']);
+    if (stateResult.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid or expired login state' });
+    }
+
+    const { nonce, codeverifier } = stateResult.rows[0];
+    const { issuer } = oidc.getOidcConfig();
+
+    let claims;
+    try {
+      const tokenSet = await oidc.exchangeCode(req.body.code, codeverifier);
+      claims = await oidc.verifyIdToken(tokenSet.id_token, nonce);
+    } catch (error) {
+      console.error('OIDC token validation error:', error.message);
+      await recordLoginAttempt(pool, { identifier: null, req, success: false, reason: 'oidc_invalid_token' });
+      return res.status(401).json({ error: 'Single sign-on failed' });
+    }
+
+    const identity = await resolveOidcUser(pool, issuer, claims);
+    if (!identity) {
+      await recordLoginAttempt(pool, { identifier: claims.email, req, success: false, reason: 'oidc_no_account' });
+      return sendForbidden(res, 'No account is linked to this identity');
+    }
+
+    if (identity.usernameUnavailable) {
+      await recordLoginAttempt(pool, { identifier: claims.email, req, success: false, reason: 'oidc_username_unavailable' });
+      return res.status(409).json({ error: 'No free username could be derived for this identity; ask an administrator to create the account' });
+    }
+
+    const user = await loadUserProfile(pool, identity.userId);
+    if (!user) {
+      await recordLoginAttempt(pool, { identifier: claims.email, userId: identity.userId, req, success: false, reason: 'account_inactive' });
+      return sendForbidden(res, 'Account is inactive');
+    }
+
+    // Local 2FA applies to SSO logins as well
+    const twoFactor = await pool.query('SELECT twofactorenabled FROM users WHERE userid = $1', [user.userId]);
+    if (twoFactor.rows[0].twofactorenabled) {
+      await recordLoginAttempt(pool, { identifier: user.username, userId: user.userId, req, success: true, reason: 'oidc_2fa_pending' });
+      return res.json({ ...twoFactorChallenge(user.userId), provisioned: identity.provisioned });
+    }
+
+    await pool.query('UPDATE users SET lastlogin = NOW() WHERE userid = $1', [user.userId]);
+
+    const { token, refreshToken, expiresIn, sessionId } = await issueSession(req, user);
+
+    await recordLoginAttempt(pool, {
+      identifier: user.username, userId: user.userId, req, success: true, reason: 'oidc', sessionId
+    });
 
-    const userId = result.rows[0].userid;
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      expiresIn,
+      user,
+      provisioned: identity.provisioned
+    });
+
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    res.status(500).json({ error: 'Single sign-on failed' });
+  }
+});
 
-    // Assign user to company with role
+// Start 2FA enrolment - generates a secret for the user's authenticator app
+router.post('/2fa/enroll', authenticateToken, requireUserSession, blockImpersonation, async (req, res) => {
+  try {
+    const pool = req.app.locals.dbPool;
+    const status = await pool.query('SELECT twofactorenabled FROM users WHERE userid = $1', [req.user.userId]);
+
+    if (status.rows[0].twofactorenabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = totp.generateTotpSecret();
+
+    // Stored as pending until the user proves their app generates valid codes
     await pool.query(`
-      INSERT INTO usercompanyroles (userid, companyid, "Role", assigneddate)
-      VALUES ($1, $2, $3, NOW())
-    `, [userId, companyId, role]);
+      UPDATE users SET twofactorsecret = $2, twofactorlaststep = NULL
+      WHERE userid = $1
+    `, [req.user.userId, totp.encryptTotpSecret(secret)]);
 
-    res.status(201).json({
-      message: 'User registered successfully',
-      userId: userId
+    res.json({
+      secret,
+      otpauthUrl: totp.buildOtpauthUrl(secret, req.user.email || req.user.username, TWO_FACTOR_ISSUER)
     });
 
   } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Registration failed' });
+    console.error('2FA enrolment error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor enrolment' });
+  }
+});
+
+// Confirm 2FA enrolment with a code from the app - enables 2FA and issues recovery codes
+router.post('/2fa/confirm', authenticateToken, requireUserSession, blockImpersonation, [
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const pool = req.app.locals.dbPool;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const status = await client.query(
+      'SELECT twofactorenabled FROM users WHERE userid = $1 FOR UPDATE',
+      [req.user.userId]
+    );
+
+    if (status.rows[0].twofactorenabled) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const verified = await verifySecondFactor(client, req.user.userId, { code: req.body.code });
+    if (!verified) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    await client.query(`
+      UPDATE users SET twofactorenabled = true, twofactorenabledat = NOW()
+      WHERE userid = $1
+    `, [req.user.userId]);
+
+    const recoveryCodes = await regenerateRecoveryCodes(client, req.user.userId);
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('2FA confirm error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  } finally {
+    client.release();
+  }
+});
+
+// Replace recovery codes (requires a current TOTP code)
+router.post('/2fa/recovery-codes', authenticateToken, requireUserSession, blockImpersonation, [
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const pool = req.app.locals.dbPool;
+    const status = await pool.query('SELECT twofactorenabled FROM users WHERE userid = $1', [req.user.userId]);
+
+    if (!status.rows[0].twofactorenabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const verified = await verifySecondFactor(pool, req.user.userId, { code: req.body.code });
+    if (!verified) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(pool, req.user.userId);
+
+    res.json({ recoveryCodes });
+
+  } catch (error) {
+    console.error('Recovery code regeneration error:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+});
+
+// Disable 2FA - requires the password plus a TOTP or recovery code
+router.post('/2fa/disable', authenticateToken, requireUserSession, blockImpersonation, [
+  body('password').notEmpty(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const pool = req.app.locals.dbPool;
+
+    // A stolen session must not be able to guess its way past the second factor,
+    // so this is throttled and locked out exactly like /2fa/verify
+    const { userFailures, ipFailures } = await getRecentTwoFactorFailures(pool, req.user.userId, req.ip);
+    if (ipFailures >= LOGIN_IP_MAX_FAILURES || userFailures >= LOGIN_MAX_FAILED_ATTEMPTS) {
+      res.set('Retry-After', String(LOGIN_ATTEMPT_WINDOW_MINUTES * 60));
+      return res.status(429).json({ error: 'Too many failed login attempts. Please try again later.' });
+    }
+    await progressiveDelay(Math.max(userFailures, ipFailures));
+
+    const result = await pool.query(
+      'SELECT username, passwordhash, twofactorenabled, lockeduntil FROM users WHERE userid = $1',
+      [req.user.userId]
+    );
+    const userData = result.rows[0];
+
+    if (userData.lockeduntil && new Date(userData.lockeduntil) > new Date()) {
+      return accountLockedResponse(res, userData.lockeduntil);
+    }
+
+    if (!userData.twofactorenabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const failed = async (reason, message) => {
+      await recordLoginAttempt(pool, { identifier: userData.username, userId: req.user.userId, req, success: false, reason });
+      const failure = await registerFailedLogin(pool, req.user.userId);
+      if (failure.lockeduntil && new Date(failure.lockeduntil) > new Date()) {
+        return accountLockedResponse(res, failure.lockeduntil);
+      }
+      return res.status(401).json({ error: message });
+    };
+
+    const validPassword = await bcrypt.compare(req.body.password, userData.passwordhash);
+    if (!validPassword) {
+      return failed('invalid_password', 'Invalid credentials');
+    }
+
+    const { code, recoveryCode } = req.body;
+    const verified = await verifySecondFactor(pool, req.user.userId, { code, recoveryCode });
+    if (!verified) {
+      return failed('invalid_2fa_code', 'Invalid authentication code');
+    }
+
+    await clearFailedLogins(pool, req.user.userId);
+
+    await pool.query(`
+      UPDATE users
+      SET twofactorenabled = false, twofactorsecret = NULL,
+          twofactorenabledat = NULL, twofactorlaststep = NULL
+      WHERE userid = $1
+    `, [req.user.userId]);
+    await pool.query('DELETE FROM userrecoverycodes WHERE userid = $1', [req.user.userId]);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+// Exchange a refresh token for a new access token (rotates the refresh token)
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const pool = req.app.locals.dbPool;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const tokenResult = await client.query(`
+      SELECT rt.refreshtokenid, rt.usedat, rt.expiresat,
+             s.sessionid, s.userid, s.revokedat, s.activecompanyid
+      FROM refreshtokens rt
+      INNER JOIN authsessions s ON rt.sessionid = s.sessionid
+      WHERE rt.tokenhash = $1
+      FOR UPDATE OF rt, s
+    `, [hashToken(req.body.refreshToken)]);
+
+    const stored = tokenResult.rows[0];
+
+    if (!stored || stored.revokedat || new Date(stored.expiresat) < new Date()) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    // A refresh token that was already rotated is being replayed - kill the session
+    if (stored.usedat) {
+      await client.query(`
+        UPDATE authsessions SET revokedat = NOW(), revokedreason = 'refresh_token_reuse'
+        WHERE sessionid = $1
+      `, [stored.sessionid]);
+      await client.query('COMMIT');
+      console.warn(`Refresh token reuse detected for session ${stored.sessionid}`);
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const profile = await loadUserProfile(client, stored.userid);
+    if (!profile) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    // Keep the session's company, unless the user has since left it
+    const user = withActiveCompany(profile, stored.activecompanyid);
+    if (user.activeCompanyId !== stored.activecompanyid) {
+      await client.query('UPDATE authsessions SET activecompanyid = $1 WHERE sessionid = $2', [user.activeCompanyId, stored.sessionid]);
+    }
+
+    await client.query('UPDATE refreshtokens SET usedat = NOW() WHERE refreshtokenid = $1', [stored.refreshtokenid]);
+    const refreshToken = await createRefreshToken(client, stored.sessionid);
+
+    await client.query('COMMIT');
+
+    res.json({
+      token: generateToken(user, stored.sessionid),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Token refresh failed' });
+  } finally {
+    client.release();
+  }
+});
+
+// Logout - revoke the current session
+router.post('/logout', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const pool = req.app.locals.dbPool;
+    await pool.query(`
+      UPDATE authsessions SET revokedat = NOW(), revokedreason = 'logout'
+      WHERE sessionid = $1 AND revokedat IS NULL
+    `, [req.user.sessionId]);
+
+    res.json({ message: 'Logged out successfully' });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Logout everywhere - revoke all of the current user's sessions
+router.post('/logout-all', authenticateToken, requireUserSession, blockImpersonation, async (req, res) => {
+  try {
+    const pool = req.app.locals.dbPool;
+    const revoked = await revokeUserSessions(pool, req.user.userId, 'logout_all');
+
+    res.json({ message: 'All sessions logged out', revokedSessions: revoked });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Admin - revoke all sessions for a user in one of the admin's companies
+router.post('/users/:userId/revoke-sessions', authenticateToken, blockImpersonation, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const pool = req.app.locals.dbPool;
+    const userId = parseInt(req.params.userId);
+
+    if (!(await isUserInScope(pool, req, userId))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const revoked = await revokeUserSessions(pool, userId, 'admin_revoked');
+
+    res.json({ message: 'User sessions revoked', revokedSessions: revoked });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+// Admin - clear a lockout and the failed attempt counter
+router.post('/users/:userId/unlock', authenticateToken, blockImpersonation, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const pool = req.app.locals.dbPool;
+    const userId = parseInt(req.params.userId);
+
+    if (!(await isUserInScope(pool, req, userId))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await clearFailedLogins(pool, userId);
+
+    res.json({ message: 'User account unlocked' });
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ error: 'Failed to unlock user' });
+  }
+});
+
+// Support: act as another user. The token is clearly marked (impersonatedBy),
+// expires after IMPERSONATION_TTL_MINUTES and cannot be refreshed.
+router.post('/impersonate', authenticateToken, requireUserSession, blockImpersonation,
+  requireGlobalPermission('support.impersonate'), [
+  body('userId').isInt(),
+  body('reason').isString().trim().isLength({ min: 5, max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const targetUserId = parseInt(req.body.userId);
+    if (targetUserId === req.user.userId) {
+      return res.status(400).json({ error: 'You cannot impersonate yourself' });
+    }
+
+    const pool = req.app.locals.dbPool;
+    const user = await loadUserProfile(pool, targetUserId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found or inactive' });
+    }
+
+    const isSupportUser = user.companies.some(company =>
+      company.permissions.some(permission => SUPPORT_PERMISSIONS.includes(permission))
+    );
+    if (isSupportUser) {
+      return sendForbidden(res, 'Support users cannot be impersonated');
+    }
+
+    const sessionResult = await pool.query(`
+      INSERT INTO authsessions (userid, ipaddress, useragent, createdat, lastusedat, expiresat,
+                                activecompanyid, impersonatorid, impersonationreason)
+      VALUES ($1, $2, $3, NOW(), NOW(), NOW() + ($4 || ' minutes')::interval, $5, $6, $7)
+      RETURNING sessionid
+    `, [
+      user.userId,
+      req.ip,
+      (req.headers['user-agent'] || '').substring(0, 500),
+      IMPERSONATION_TTL_MINUTES,
+      user.activeCompanyId,
+      req.user.userId,
+      req.body.reason
+    ]);
+
+    const sessionId = sessionResult.rows[0].sessionid;
+    user.impersonatedBy = req.user.userId;
+
+    await recordImpersonationEvent(pool, {
+      sessionId, impersonatorId: req.user.userId, userId: user.userId, event: 'start', req
+    });
+
+    res.status(201).json({
+      message: `Now impersonating ${user.username}`,
+      token: generateToken(user, sessionId, `${IMPERSONATION_TTL_MINUTES}m`),
+      expiresIn: `${IMPERSONATION_TTL_MINUTES}m`,
+      user
+    });
+
+  } catch (error) {
+    console.error('Impersonate error:', error);
+    res.status(500).json({ error: 'Failed to start impersonation' });
+  }
+});
+
+// End the impersonation session the request is made with
+router.post('/impersonate/stop', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.impersonatedBy) {
+      return res.status(400).json({ error: 'This session is not an impersonation session' });
+    }
+
+    const pool = req.app.locals.dbPool;
+    await pool.query(`
+      UPDATE authsessions
+      SET revokedat = NOW(), revokedreason = 'impersonation_ended'
+      WHERE sessionid = $1 AND revokedat IS NULL
+    `, [req.user.sessionId]);
+
+    await recordImpersonationEvent(pool, {
+      sessionId: req.user.sessionId, impersonatorId: req.user.impersonatedBy, userId: req.user.userId, event: 'end', req
+    });
+
+    res.json({ message: 'Impersonation ended' });
+
+  } catch (error) {
+    console.error('Stop impersonation error:', error);
+    res.status(500).json({ error: 'Failed to end impersonation' });
+  }
+});
+
+// Forgot password - email a single-use reset link
+router.post('/forgot-password', [
+  body('email').trim().isEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Same response whether or not the account exists, to avoid leaking emails
+    const genericResponse = {
+      message: 'If an account exists for that email, a password reset link has been sent'
+    };
+
+    const pool = req.app.locals.dbPool;
+    // Addresses are matched as stored, ignoring case only
+    const userResult = await pool.query(
+      'SELECT userid, username, email, firstname FROM users WHERE LOWER(email) = LOWER($1) AND isactive = true',
+      [req.body.email]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.json(genericResponse);
+    }
+
+    const user = userResult.rows[0];
+    const resetToken = generateOpaqueToken();
+
+    // Only the most recent link is valid
+    await pool.query('DELETE FROM passwordresettokens WHERE userid = $1 AND usedat IS NULL', [user.userid]);
+    await pool.query(`
+      INSERT INTO passwordresettokens (userid, tokenhash, expiresat, requestedip, createdat)
+      VALUES ($1, $2, NOW() + ($3 || ' minutes')::interval, $4, NOW())
+    `, [user.userid, hashToken(resetToken), PASSWORD_RESET_TTL_MINUTES, req.ip]);
+
+    // A failed send must not answer differently from an unknown address
+    try {
+      await sendTemplatedEmail(req, {
+        to: user.email,
+        subject: 'Reset your password',
+        template: 'passwordResetEmail.html',
+        data: {
+          firstName: user.firstname || user.username,
+          username: user.username,
+          resetUrl: `${APP_BASE_URL}/reset-password?token=${resetToken}`,
+          expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+        }
+      });
+    } catch (error) {
+      console.error('Password reset email error:', error);
+    }
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to process password reset request' });
+  }
+});
+
+// Reset password using the emailed token
+router.post('/reset-password', [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 6 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const pool = req.app.locals.dbPool;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const tokenResult = await client.query(`
+      SELECT resettokenid, userid
+      FROM passwordresettokens
+      WHERE tokenhash = $1 AND usedat IS NULL AND expiresat > NOW()
+      FOR UPDATE
+    `, [hashToken(req.body.token)]);
+
+    if (tokenResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const { resettokenid, userid } = tokenResult.rows[0];
+
+    // Hash password
+    const saltRounds = 12;
+    const passwordHash = await bcrypt.hash(req.body.password, saltRounds);
+
+    await client.query('UPDATE users SET passwordhash = $2 WHERE userid = $1', [userid, passwordHash]);
+    await client.query('UPDATE passwordresettokens SET usedat = NOW() WHERE resettokenid = $1', [resettokenid]);
+
+    // Anyone holding the old password's sessions is logged out
+    await revokeUserSessions(client, userid, 'password_reset');
+
+    await client.query('COMMIT');
+
+    res.json({ message: 'Password has been reset successfully' });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Password reset failed' });
+  } finally {
+    client.release();
+  }
+});
+
+// Change the caller's password; every other session is logged out
+router.post('/change-password', authenticateToken, requireUserSession, blockImpersonation, [
+  body('currentPassword').isString().notEmpty(),
+  body('newPassword').isLength({ min: 6 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const pool = req.app.locals.dbPool;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const userResult = await client.query(
+      'SELECT passwordhash FROM users WHERE userid = $1 FOR UPDATE',
+      [req.user.userId]
+    );
+
+    const isValidPassword = await bcrypt.compare(req.body.currentPassword, userResult.rows[0].passwordhash);
+    if (!isValidPassword) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const saltRounds = 12;
+    const passwordHash = await bcrypt.hash(req.body.newPassword, saltRounds);
+
+    await client.query('UPDATE users SET passwordhash = $2 WHERE userid = $1', [req.user.userId, passwordHash]);
+
+    await client.query(`
+      UPDATE authsessions
+      SET revokedat = NOW(), revokedreason = 'password_changed'
+      WHERE userid = $1 AND sessionid <> $2 AND revokedat IS NULL
+    `, [req.user.userId, req.user.sessionId]);
+
+    await client.query('COMMIT');
+
+    res.json({ message: 'Password changed successfully' });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  } finally {
+    client.release();
+  }
+});
+
+// List the caller's active sessions
+router.get('/sessions', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const pool = req.app.locals.dbPool;
+    const result = await pool.query(`
+      SELECT sessionid, ipaddress, useragent, createdat, lastusedat, expiresat
+      FROM authsessions
+      WHERE userid = $1 AND revokedat IS NULL AND expiresat > NOW()
+      ORDER BY lastusedat DESC
+    `, [req.user.userId]);
+
+    res.json(result.rows.map(session => ({
+      ...session,
+      current: session.sessionid === req.user.sessionId
+    })));
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// End one of the caller's sessions (e.g. a lost device)
+router.delete('/sessions/:sessionId', authenticateToken, requireUserSession, blockImpersonation, async (req, res) => {
+  try {
+    const pool = req.app.locals.dbPool;
+    if (isNaN(parseInt(req.params.sessionId))) {
+      return res.status(400).json({ error: 'Invalid session ID provided' });
+    }
+
+    const result = await pool.query(`
+      UPDATE authsessions
+      SET revokedat = NOW(), revokedreason = 'user_revoked'
+      WHERE sessionid = $1 AND userid = $2 AND revokedat IS NULL
+    `, [req.params.sessionId, req.user.userId]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Active session not found' });
+    }
+
+    res.json({ message: 'Session ended successfully' });
+
+  } catch (error) {
+    console.error('End session error:', error);
+    res.status(500).json({ error: 'Failed to end session' });
+  }
+});
+
+// The caller's own login history
+router.get('/login-history', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 50, 200));
+    const pool = req.app.locals.dbPool;
+    const result = await pool.query(`
+      SELECT attemptid, attemptedat, ipaddress, useragent, success, reason, sessionid
+      FROM loginattempts
+      WHERE userid = $1
+      ORDER BY attemptedat DESC
+      LIMIT $2
+    `, [req.user.userId, limit]);
+
+    res.json(result.rows);
+
+  } catch (error) {
+    console.error('Login history error:', error);
+    res.status(500).json({ error: 'Failed to fetch login history' });
+  }
+});
+
+// Switch the company this session acts on; returns a new access token for it
+router.post('/switch-company', authenticateToken, requireUserSession, [
+  body('companyId').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const companyId = parseInt(req.body.companyId);
+    const company = req.user.companies.find(c => c.companyId === companyId);
+    if (!company) {
+      return sendForbidden(res, 'Access denied to this company', { requestedCompany: companyId });
+    }
+
+    const pool = req.app.locals.dbPool;
+    await pool.query('UPDATE authsessions SET activecompanyid = $1 WHERE sessionid = $2', [companyId, req.user.sessionId]);
+
+    const user = withActiveCompany(req.user, companyId);
+
+    res.json({
+      message: 'Active company switched',
+      token: generateToken(user, user.sessionId),
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      activeCompany: company,
+      permissions: user.permissions
+    });
+
+  } catch (error) {
+    console.error('Switch company error:', error);
+    res.status(500).json({ error: 'Failed to switch company' });
+  }
+});
+
+// Get current user info - admins also get the login security view for their active company
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.permissions.includes('users.manage')) {
+      return res.json({ user: req.user });
+    }
+
+    const pool = req.app.locals.dbPool;
+    const securityResult = await pool.query(`
+      SELECT DISTINCT uls.userid, uls.username, uls.failedattempts, uls.lastfailedlogin,
+             uls.lockeduntil, uls.islocked
+      FROM userloginsecurity uls
+      INNER JOIN usercompanyroles ucr ON uls.userid = ucr.userid
+      WHERE ucr.companyid = ANY($1::int[])
+        AND (uls.failedattempts > 0 OR uls.islocked)
+      ORDER BY uls.lastfailedlogin DESC NULLS LAST
+    `, [scopedCompanyIds(req)]);
+
+    res.json({
+      user: req.user,
+      loginSecurity: securityResult.rows
+    });
+
+  } catch (error) {
+    console.error('Get current user error:', error);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
+// Email a verification link to a newly registered (inactive) user
+const sendVerificationEmail = async (req, user) => {
+  const pool = req.app.locals.dbPool;
+  const verificationToken = generateOpaqueToken();
+
+  await pool.query('DELETE FROM emailverificationtokens WHERE userid = $1 AND usedat IS NULL', [user.userid]);
+  await pool.query(`
+    INSERT INTO emailverificationtokens (userid, tokenhash, expiresat, createdat)
+    VALUES ($1, $2, NOW() + ($3 || ' hours')::interval, NOW())
+  `, [user.userid, hashToken(verificationToken), EMAIL_VERIFICATION_TTL_HOURS]);
+
+  await sendTemplatedEmail(req, {
+    to: user.email,
+    subject: 'Confirm your email address',
+    template: 'verifyEmail.html',
+    data: {
+      firstName: user.firstname || user.username,
+      username: user.username,
+      verifyUrl: `${APP_BASE_URL}/verify-email?token=${verificationToken}`,
+      expiresInHours: EMAIL_VERIFICATION_TTL_HOURS
+    }
+  });
+};
+
+// User Registration - creates an inactive account until the email is confirmed.
+// Company membership and roles are only granted through invitations.
+router.post('/register', [
+  body('username').isLength({ min: 3 }).trim().escape(),
+  body('email').isEmail().normalizeEmail(),
+  body('password').isLength({ min: 6 }),
+  body('firstName').optional().trim().escape(),
+  body('lastName').optional().trim().escape()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { username, email, password, firstName, lastName } = req.body;
+
+    // Check if user already exists
+    const pool = req.app.locals.dbPool;
+    const existingUser = await pool.query(
+      'SELECT userid FROM users WHERE username = $1 OR email = $2', 
+      [username, email]
+    );
+
+    if (existingUser.rows.length > 0) {
+      return res.status(400).json({ error: 'Username or email already exists' });
+    }
+
+    // Hash password
+    const saltRounds = 12;
+    const passwordHash = await bcrypt.hash(password, saltRounds);
+
+    // Create user (inactive until verified)
+    const result = await pool.query(`
+      INSERT INTO users (username, email, passwordhash, firstname, lastname, isactive, createdat)
+      VALUES ($1, $2, $3, $4, $5, false, NOW())
+      RETURNING userid, username, email, firstname
+    `, [username, email, passwordHash, firstName || '', lastName || '']);
+
+    const newUser = result.rows[0];
+
+    await sendVerificationEmail(req, newUser);
+
+    res.status(201).json({
+      message: 'User registered successfully. Please check your email to verify your account.',
+      userId: newUser.userid
+    });
+
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ error: 'Registration failed' });
+  }
+});
+
+// Confirm an email address and activate the account
+router.post('/verify-email', [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const pool = req.app.locals.dbPool;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const tokenResult = await client.query(`
+      SELECT verificationtokenid, userid
+      FROM emailverificationtokens
+      WHERE tokenhash = $1 AND usedat IS NULL AND expiresat > NOW()
+      FOR UPDATE
+    `, [hashToken(req.body.token)]);
+
+    if (tokenResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    const { verificationtokenid, userid } = tokenResult.rows[0];
+
+    await client.query(
+      'UPDATE emailverificationtokens SET usedat = NOW() WHERE verificationtokenid = $1',
+      [verificationtokenid]
+    );
+
+    // Only a registration that was never verified is activated here
+    const activated = await client.query(
+      'UPDATE users SET isactive = true, emailverifiedat = NOW() WHERE userid = $1 AND emailverifiedat IS NULL',
+      [userid]
+    );
+
+    await client.query('COMMIT');
+
+    if (activated.rowCount === 0) {
+      return res.status(400).json({ error: 'Email address is already verified' });
+    }
+
+    res.json({ message: 'Email verified successfully. You can now log in.' });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Email verification error:', error);
+    res.status(500).json({ error: 'Email verification failed' });
+  } finally {
+    client.release();
+  }
+});
+
+// Resend the verification email for an account that has not been verified yet
+router.post('/resend-verification', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const pool = req.app.locals.dbPool;
+    const userResult = await pool.query(`
+      SELECT userid, username, email, firstname FROM users
+      WHERE email = $1 AND emailverifiedat IS NULL
+    `, [req.body.email]);
+
+    if (userResult.rows.length > 0) {
+      await sendVerificationEmail(req, userResult.rows[0]);
+    }
+
+    res.json({ message: 'If an unverified account exists for that email, a new verification link has been sent' });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to resend verification email' });
+  }
+});
+
+// Look up a pending invitation so the frontend can show who is inviting whom
+const findPendingInvitation = async (db, token, forUpdate = false) => {
+  const result = await db.query(`
+    SELECT ci.invitationid, ci.companyid, ci.email, ci.role, ci.expiresat, c.companyname
+    FROM companyinvitations ci
+    INNER JOIN companies c ON ci.companyid = c.companyid
+    WHERE ci.tokenhash = $1 AND ci.acceptedat IS NULL AND ci.revokedat IS NULL AND ci.expiresat > NOW()
+    ${forUpdate ? 'FOR UPDATE OF ci' : ''}
+  `, [hashToken(token)]);
+
+  return result.rows[0] || null;
+};
+
+// Get invitation details
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req.app.locals.dbPool, req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found or expired' });
+    }
+
+    res.json({
+      email: invitation.email,
+      role: invitation.role,
+      companyId: invitation.companyid,
+      companyName: invitation.companyname,
+      expiresAt: invitation.expiresat
+    });
+
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({ error: 'Failed to fetch invitation' });
+  }
+});
+
+// Accept an invitation - creates the invitee's account with the invited role, or adds
+// the invited company to an existing account once its password has been confirmed
+router.post('/accept-invitation', [
+  body('token').isString().notEmpty(),
+  body('username').optional().isLength({ min: 3 }).trim().escape(),
+  body('password').isLength({ min: 6 }),
+  body('firstName').optional().trim().escape(),
+  body('lastName').optional().trim().escape()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { token, username, password, firstName, lastName } = req.body;
+  const pool = req.app.locals.dbPool;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const invitation = await findPendingInvitation(client, token, true);
+    if (!invitation) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid or expired invitation' });
+    }
+
+    const invitedUser = await client.query(
+      'SELECT userid, username, passwordhash, isactive, lockeduntil, emailverifiedat FROM users WHERE email = $1',
+      [invitation.email]
+    );
+
+    // A registration nobody has verified does not own the address; the
+    // invitation link does, so it takes that account over with the new password
+    if (invitedUser.rows.length > 0 && !invitedUser.rows[0].emailverifiedat) {
+      const account = invitedUser.rows[0];
+
+      if (username && username !== account.username) {
+        const takenUsername = await client.query(
+          'SELECT userid FROM users WHERE username = $1 AND userid <> $2',
+          [username, account.userid]
+        );
+        if (takenUsername.rows.length > 0) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'Username already exists' });
+        }
+      }
+
+      const saltRounds = 12;
+      const passwordHash = await bcrypt.hash(password, saltRounds);
+
+      await client.query(`
+        UPDATE users
+        SET username = COALESCE($2, username), passwordhash = $3,
+            firstname = COALESCE($4, firstname), lastname = COALESCE($5, lastname),
+            isactive = true, emailverifiedat = NOW(), failedattempts = 0, lockeduntil = NULL
+        WHERE userid = $1
+      `, [account.userid, username || null, passwordHash, firstName || null, lastName || null]);
+
+      await client.query(
+        'UPDATE emailverificationtokens SET usedat = NOW() WHERE userid = $1 AND usedat IS NULL',
+        [account.userid]
+      );
+      await revokeUserSessions(client, account.userid, 'account_claimed_by_invitation');
+
+      await client.query(`
+        INSERT INTO usercompanyroles (userid, companyid, "Role", assigneddate)
+        VALUES ($1, $2, $3, NOW())
+      `, [account.userid, invitation.companyid, invitation.role]);
+
+      await client.query(`
+        UPDATE companyinvitations SET acceptedat = NOW(), acceptedbyuserid = $2
+        WHERE invitationid = $1
+      `, [invitation.invitationid, account.userid]);
+
+      await client.query('COMMIT');
+
+      return res.status(201).json({
+        message: 'Invitation accepted successfully. You can now log in.',
+        userId: account.userid,
+        companyId: invitation.companyid
+      });
+    }
+
+    if (invitedUser.rows.length > 0) {
+      const account = invitedUser.rows[0];
+
+      if (!account.isactive) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'The account for this email address is not active' });
+      }
+
+      if (account.lockeduntil && new Date(account.lockeduntil) > new Date()) {
+        await client.query('ROLLBACK');
+        return accountLockedResponse(res, account.lockeduntil);
+      }
+
+      // Joining with an existing account needs that account's password
+      if (!(await bcrypt.compare(password, account.passwordhash))) {
+        await client.query('ROLLBACK');
+        await recordLoginAttempt(pool, { identifier: account.username, userId: account.userid, req, success: false, reason: 'invalid_password' });
+        const failure = await registerFailedLogin(pool, account.userid);
+        if (failure.lockeduntil && new Date(failure.lockeduntil) > new Date()) {
+          return accountLockedResponse(res, failure.lockeduntil);
+        }
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+
+      const membership = await client.query(
+        'SELECT 1 FROM usercompanyroles WHERE userid = $1 AND companyid = $2',
+        [account.userid, invitation.companyid]
+      );
+      if (membership.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'You are already a member of this company' });
+      }
+
+      await client.query(`
+        INSERT INTO usercompanyroles (userid, companyid, "Role", assigneddate)
+        VALUES ($1, $2, $3, NOW())
+      `, [account.userid, invitation.companyid, invitation.role]);
+
+      await client.query(`
+        UPDATE companyinvitations SET acceptedat = NOW(), acceptedbyuserid = $2
+        WHERE invitationid = $1
+      `, [invitation.invitationid, account.userid]);
+
+      await client.query('COMMIT');
+
+      return res.json({
+        message: 'Invitation accepted successfully. The company has been added to your account.',
+        userId: account.userid,
+        companyId: invitation.companyid
+      });
+    }
+
+    if (!username) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Username is required to create an account' });
+    }
+
+    const existingUser = await client.query(
+      'SELECT userid FROM users WHERE username = $1',
+      [username]
+    );
+
+    if (existingUser.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Username already exists' });
+    }
+
+    // Hash password
+    const saltRounds = 12;
+    const passwordHash = await bcrypt.hash(password, saltRounds);
+
+    // The invitation link proves ownership of the email address
+    const userResult = await client.query(`
+      INSERT INTO users (username, email, passwordhash, firstname, lastname, isactive, emailverifiedat, createdat)
+      VALUES ($1, $2, $3, $4, $5, true, NOW(), NOW())
+      RETURNING userid
+    `, [username, invitation.email, passwordHash, firstName || '', lastName || '']);
+
+    const userId = userResult.rows[0].userid;
+
+    // Assign user to company with the role fixed by the inviter
+    await client.query(`
+      INSERT INTO usercompanyroles (userid, companyid, "Role", assigneddate)
+      VALUES ($1, $2, $3, NOW())
+    `, [userId, invitation.companyid, invitation.role]);
+
+    await client.query(`
+      UPDATE companyinvitations SET acceptedat = NOW(), acceptedbyuserid = $2
+      WHERE invitationid = $1
+    `, [invitation.invitationid, userId]);
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      message: 'Invitation accepted successfully. You can now log in.',
+      userId: userId,
+      companyId: invitation.companyid
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  } finally {
+    client.release();
   }
 });
 
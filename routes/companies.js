@@ -0,0 +1,426 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const {
+  authenticateToken,
+  requireCompanyPermission,
+  requireCompanyAccess,
+  requireUserSession,
+  blockImpersonation,
+  COMPANY_ROLES,
+  API_KEY_PERMISSIONS
+} = require('../Middleware/auth');
+const { sendTemplatedEmail } = require('../utils/email');
+const { generateOpaqueToken, hashToken } = require('../utils/tokens');
+
+const router = express.Router();
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS) || 7;
+const APP_BASE_URL = process.env.APP_BASE_URL || 'http://localhost:3000';
+const API_KEY_PREFIX = 'bmk_';
+
+// Invite a user to join a company with a fixed role
+router.post('/:companyId/invitations', authenticateToken, blockImpersonation, requireCompanyPermission('users.manage'), [
+  body('email').isEmail().normalizeEmail(),
+  body('role').isIn(COMPANY_ROLES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const companyId = parseInt(req.params.companyId);
+    const { email, role } = req.body;
+    const pool = req.app.locals.dbPool;
+
+    const companyResult = await pool.query('SELECT companyname FROM companies WHERE companyid = $1', [companyId]);
+    if (companyResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    // Already a member of this company?
+    const memberCheck = await pool.query(`
+      SELECT 1 FROM users u
+      INNER JOIN usercompanyroles ucr ON u.userid = ucr.userid
+      WHERE u.email = $1 AND ucr.companyid = $2
+    `, [email, companyId]);
+
+    if (memberCheck.rows.length > 0) {
+      return res.status(400).json({ error: 'User is already a member of this company' });
+    }
+
+    // Re-inviting replaces any outstanding invitation for the same email
+    await pool.query(`
+      UPDATE companyinvitations SET revokedat = NOW()
+      WHERE companyid = $1 AND email = $2 AND acceptedat IS NULL AND revokedat IS NULL
+    `, [companyId, email]);
+
+    const inviteToken = generateOpaqueToken();
+    const result = await pool.query(`
+      INSERT INTO companyinvitations (companyid, email, role, tokenhash, invitedbyuserid, expiresat, createdat)
+      VALUES ($1, $2, $3, $4, $5, NOW() + ($6 || ' days')::interval, NOW())
+      RETURNING invitationid, expiresat
+    `, [companyId, email, role, hashToken(inviteToken), req.user.userId, INVITATION_TTL_DAYS]);
+
+    await sendTemplatedEmail(req, {
+      to: email,
+      subject: `You have been invited to ${companyResult.rows[0].companyname}`,
+      template: 'companyInvitationEmail.html',
+      data: {
+        companyName: companyResult.rows[0].companyname,
+        inviterName: [req.user.firstName, req.user.lastName].filter(Boolean).join(' ') || req.user.username,
+        role,
+        inviteUrl: `${APP_BASE_URL}/accept-invitation?token=${inviteToken}`,
+        expiresInDays: INVITATION_TTL_DAYS
+      }
+    });
+
+    res.status(201).json({
+      message: 'Invitation sent successfully',
+      invitationId: result.rows[0].invitationid,
+      expiresAt: result.rows[0].expiresat
+    });
+
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ error: 'Failed to create invitation' });
+  }
+});
+
+// List invitations for a company
+router.get('/:companyId/invitations', authenticateToken, requireCompanyPermission('users.manage'), async (req, res) => {
+  try {
+    const pool = req.app.locals.dbPool;
+    const result = await pool.query(`
+      SELECT ci.invitationid, ci.email, ci.role, ci.createdat, ci.expiresat,
+             ci.acceptedat, ci.revokedat, u.username as invitedbyusername,
+             CASE
+               WHEN ci.acceptedat IS NOT NULL THEN 'accepted'
+               WHEN ci.revokedat IS NOT NULL THEN 'revoked'
+               WHEN ci.expiresat < NOW() THEN 'expired'
+               ELSE 'pending'
+             END as status
+      FROM companyinvitations ci
+      LEFT JOIN users u ON ci.invitedbyuserid = u.userid
+      WHERE ci.companyid = $1
+      ORDER BY ci.createdat DESC
+    `, [req.params.companyId]);
+
+    res.json(result.rows);
+
+  } catch (error) {
+    console.error('List invitations error:', error);
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+// Revoke a pending invitation
+router.delete('/:companyId/invitations/:invitationId', authenticateToken, blockImpersonation, requireCompanyPermission('users.manage'), async (req, res) => {
+  try {
+    const pool = req.app.locals.dbPool;
+
+    if (isNaN(parseInt(req.params.invitationId))) {
+      return res.status(400).json({ error: 'Invalid invitation ID provided' });
+    }
+
+    const result = await pool.query(`
+      UPDATE companyinvitations SET revokedat = NOW()
+      WHERE invitationid = $1 AND companyid = $2 AND acceptedat IS NULL AND revokedat IS NULL
+    `, [parseInt(req.params.invitationId), req.params.companyId]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Pending invitation not found' });
+    }
+
+    res.json({ message: 'Invitation revoked successfully' });
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
+
+// Parts a company plays in a trading partnership. An order's exporter company
+// sees the importer's order while their partnership is active.
+const PARTNER_ROLES = ['exporter', 'importer'];
+
+// A partnership involving the company in the route, seen from that company's side
+const findPartnership = async (pool, partnershipId, companyId) => {
+  if (isNaN(parseInt(partnershipId))) return null;
+
+  const result = await pool.query(`
+    SELECT tp.*,
+           CASE WHEN tp.exportercompanyid = $2 THEN 'exporter' ELSE 'importer' END as ourrole,
+           CASE WHEN tp.exportercompanyid = $2 THEN tp.importercompanyid ELSE tp.exportercompanyid END as partnercompanyid,
+           c.companyname as partnercompanyname
+    FROM tradingpartners tp
+    INNER JOIN companies c
+      ON c.companyid = CASE WHEN tp.exportercompanyid = $2 THEN tp.importercompanyid ELSE tp.exportercompanyid END
+    WHERE tp.partnershipid = $1 AND $2 IN (tp.exportercompanyid, tp.importercompanyid)
+  `, [partnershipId, companyId]);
+
+  return result.rows[0] || null;
+};
+
+// Invite another company to a trading partnership. partnerRole is the part the
+// other company plays; a suspended partnership is reopened as a new invitation.
+router.post('/:companyId/partners', authenticateToken, blockImpersonation, requireCompanyPermission('partners.manage'), [
+  body('partnerCompanyId').isInt({ min: 1 }).toInt(),
+  body('partnerRole').isIn(PARTNER_ROLES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const companyId = parseInt(req.params.companyId);
+    const { partnerCompanyId, partnerRole } = req.body;
+    const pool = req.app.locals.dbPool;
+
+    if (partnerCompanyId === companyId) {
+      return res.status(400).json({ error: 'A company cannot partner with itself' });
+    }
+
+    const companyResult = await pool.query('SELECT 1 FROM companies WHERE companyid = $1', [partnerCompanyId]);
+    if (companyResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Partner company not found' });
+    }
+
+    const [exporterCompanyId, importerCompanyId] = partnerRole === 'exporter'
+      ? [partnerCompanyId, companyId]
+      : [companyId, partnerCompanyId];
+
+    const existing = await pool.query(`
+      SELECT partnershipid, status FROM tradingpartners
+      WHERE exportercompanyid = $1 AND importercompanyid = $2
+    `, [exporterCompanyId, importerCompanyId]);
+
+    let partnershipId;
+    if (existing.rows.length > 0) {
+      const { partnershipid, status } = existing.rows[0];
+      if (status !== 'suspended') {
+        return res.status(409).json({ error: `Partnership is already ${status}`, partnershipId: partnershipid });
+      }
+
+      await pool.query(`
+        UPDATE tradingpartners SET status = 'pending', invitedbycompanyid = $2, invitedbyuserid = $3,
+               acceptedbyuserid = NULL, acceptedat = NULL, updatedat = NOW()
+        WHERE partnershipid = $1
+      `, [partnershipid, companyId, req.user.userId]);
+      partnershipId = partnershipid;
+    } else {
+      const result = await pool.query(`
+        INSERT INTO tradingpartners (exportercompanyid, importercompanyid, status, invitedbycompanyid, invitedbyuserid, createdat, updatedat)
+        VALUES ($1, $2, 'pending', $3, $4, NOW(), NOW())
+        RETURNING partnershipid
+      `, [exporterCompanyId, importerCompanyId, companyId, req.user.userId]);
+      partnershipId = result.rows[0].partnershipid;
+    }
+
+    res.status(201).json({
+      message: 'Partnership invitation sent successfully',
+      partnership: await findPartnership(pool, partnershipId, companyId)
+    });
+
+  } catch (error) {
+    console.error('Create partnership error:', error);
+    res.status(500).json({ error: 'Failed to create partnership' });
+  }
+});
+
+// List a company's trading partnerships (?status=pending|active|suspended)
+router.get('/:companyId/partners', authenticateToken, requireCompanyAccess, async (req, res) => {
+  try {
+    const pool = req.app.locals.dbPool;
+    const companyId = parseInt(req.params.companyId);
+    const params = [companyId];
+    let statusFilter = '';
+
+    if (req.query.status) {
+      params.push(req.query.status);
+      statusFilter = `AND tp.status = $${params.length}`;
+    }
+
+    const result = await pool.query(`
+      SELECT tp.partnershipid, tp.status, tp.createdat, tp.acceptedat, tp.suspendedat,
+             CASE WHEN tp.exportercompanyid = $1 THEN 'exporter' ELSE 'importer' END as ourrole,
+             CASE WHEN tp.exportercompanyid = $1 THEN tp.importercompanyid ELSE tp.exportercompanyid END as partnercompanyid,
+             c.companyname as partnercompanyname,
+             (tp.status = 'pending' AND tp.invitedbycompanyid <> $1) as awaitingouracceptance
+      FROM tradingpartners tp
+      INNER JOIN companies c
+        ON c.companyid = CASE WHEN tp.exportercompanyid = $1 THEN tp.importercompanyid ELSE tp.exportercompanyid END
+      WHERE $1 IN (tp.exportercompanyid, tp.importercompanyid) ${statusFilter}
+      ORDER BY c.companyname, tp.partnershipid
+    `, params);
+
+    res.json(result.rows);
+
+  } catch (error) {
+    console.error('List partnerships error:', error);
+    res.status(500).json({ error: 'Failed to fetch partnerships' });
+  }
+});
+
+// Accept a pending partnership the other company invited this one to
+router.post('/:companyId/partners/:partnershipId/accept', authenticateToken, blockImpersonation, requireCompanyPermission('partners.manage'), async (req, res) => {
+  try {
+    const pool = req.app.locals.dbPool;
+    const companyId = parseInt(req.params.companyId);
+    const partnership = await findPartnership(pool, req.params.partnershipId, companyId);
+
+    if (!partnership) {
+      return res.status(404).json({ error: 'Partnership not found' });
+    }
+    if (partnership.status !== 'pending') {
+      return res.status(409).json({ error: `Partnership is ${partnership.status}, not pending` });
+    }
+    if (partnership.invitedbycompanyid === companyId) {
+      return res.status(409).json({ error: 'The invited company has to accept the partnership' });
+    }
+
+    await pool.query(`
+      UPDATE tradingpartners SET status = 'active', acceptedbyuserid = $2, acceptedat = NOW(),
+             suspendedbycompanyid = NULL, suspendedbyuserid = NULL, suspendedat = NULL, updatedat = NOW()
+      WHERE partnershipid = $1
+    `, [partnership.partnershipid, req.user.userId]);
+
+    res.json({
+      message: 'Partnership accepted successfully',
+      partnership: await findPartnership(pool, partnership.partnershipid, companyId)
+    });
+
+  } catch (error) {
+    console.error('Accept partnership error:', error);
+    res.status(500).json({ error: 'Failed to accept partnership' });
+  }
+});
+
+// Suspend a pending or active partnership from either side. The exporter
+// loses access to the importer's orders until a new invitation is accepted.
+router.post('/:companyId/partners/:partnershipId/suspend', authenticateToken, blockImpersonation, requireCompanyPermission('partners.manage'), async (req, res) => {
+  try {
+    const pool = req.app.locals.dbPool;
+    const companyId = parseInt(req.params.companyId);
+    const partnership = await findPartnership(pool, req.params.partnershipId, companyId);
+
+    if (!partnership) {
+      return res.status(404).json({ error: 'Partnership not found' });
+    }
+    if (partnership.status === 'suspended') {
+      return res.status(409).json({ error: 'Partnership is already suspended' });
+    }
+
+    await pool.query(`
+      UPDATE tradingpartners SET status = 'suspended', suspendedbycompanyid = $2, suspendedbyuserid = $3,
+             suspendedat = NOW(), updatedat = NOW()
+      WHERE partnershipid = $1
+    `, [partnership.partnershipid, companyId, req.user.userId]);
+
+    res.json({
+      message: 'Partnership suspended successfully',
+      partnership: await findPartnership(pool, partnership.partnershipid, companyId)
+    });
+
+  } catch (error) {
+    console.error('Suspend partnership error:', error);
+    res.status(500).json({ error: 'Failed to suspend partnership' });
+  }
+});
+
+// Create an API key for system-to-system access. The plain key is only returned here.
+router.post('/:companyId/api-keys', authenticateToken, requireUserSession, blockImpersonation, requireCompanyPermission('users.manage'), [
+  body('name').isString().trim().isLength({ min: 1, max: 100 }),
+  body('permissions').isArray({ min: 1 }),
+  body('permissions.*').isIn(API_KEY_PERMISSIONS),
+  body('expiresInDays').optional().isInt({ min: 1, max: 3650 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const companyId = parseInt(req.params.companyId);
+    const { name, expiresInDays } = req.body;
+    const permissions = [...new Set(req.body.permissions)];
+    const pool = req.app.locals.dbPool;
+
+    const apiKey = `${API_KEY_PREFIX}${generateOpaqueToken(24)}`;
+    const result = await pool.query(`
+      INSERT INTO apikeys (companyid, name, keyprefix, keyhash, permissions, createdbyuserid, expiresat, createdat)
+      VALUES ($1, $2, $3, $4, $5, $6,
+              CASE WHEN $7::int IS NULL THEN NULL ELSE NOW() + ($7 || ' days')::interval END,
+              NOW())
+      RETURNING apikeyid, keyprefix, expiresat, createdat
+    `, [companyId, name, apiKey.substring(0, 12), hashToken(apiKey), permissions, req.user.userId, expiresInDays || null]);
+
+    res.status(201).json({
+      message: 'API key created. Store it now - it will not be shown again.',
+      apiKey,
+      apiKeyId: result.rows[0].apikeyid,
+      keyPrefix: result.rows[0].keyprefix,
+      permissions,
+      expiresAt: result.rows[0].expiresat
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// List a company's API keys (never the keys themselves)
+router.get('/:companyId/api-keys', authenticateToken, requireCompanyPermission('users.manage'), async (req, res) => {
+  try {
+    const pool = req.app.locals.dbPool;
+    const result = await pool.query(`
+      SELECT k.apikeyid, k.name, k.keyprefix, k.permissions, k.createdat, k.lastusedat,
+             k.lastusedip, k.expiresat, k.revokedat, u.username as createdbyusername,
+             CASE
+               WHEN k.revokedat IS NOT NULL THEN 'revoked'
+               WHEN k.expiresat IS NOT NULL AND k.expiresat < NOW() THEN 'expired'
+               ELSE 'active'
+             END as status
+      FROM apikeys k
+      LEFT JOIN users u ON k.createdbyuserid = u.userid
+      WHERE k.companyid = $1
+      ORDER BY k.createdat DESC
+    `, [req.params.companyId]);
+
+    res.json(result.rows);
+
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+// Revoke an API key
+router.delete('/:companyId/api-keys/:apiKeyId', authenticateToken, blockImpersonation, requireCompanyPermission('users.manage'), async (req, res) => {
+  try {
+    const pool = req.app.locals.dbPool;
+
+    if (isNaN(parseInt(req.params.apiKeyId))) {
+      return res.status(400).json({ error: 'Invalid API key ID provided' });
+    }
+
+    const result = await pool.query(`
+      UPDATE apikeys SET revokedat = NOW(), revokedbyuserid = $3
+      WHERE apikeyid = $1 AND companyid = $2 AND revokedat IS NULL
+    `, [parseInt(req.params.apiKeyId), req.params.companyId, req.user.userId]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Active API key not found' });
+    }
+
+    res.json({ message: 'API key revoked successfully' });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
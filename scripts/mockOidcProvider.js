@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+// Minimal OpenID Connect provider for trying out SSO locally - every
+// authorization request is signed in straight away as the user named by
+// login_hint (or the first configured user), there is no login page.
+//
+//   OIDC_ISSUER=http://localhost:4010 OIDC_CLIENT_ID=bluemoon node scripts/mockOidcProvider.js
+//
+// then start the API with the same OIDC_ISSUER / OIDC_CLIENT_ID.
+const DEFAULT_USERS = [
+  { sub: 'mock-user-1', email: 'sso.user@example.com', given_name: 'Sso', family_name: 'User' }
+];
+
+const CODE_TTL_MS = 60 * 1000;
+const ID_TOKEN_TTL_SECONDS = 300;
+
+const base64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const createMockOidcProvider = ({ issuer, clientId, clientSecret = null, users = DEFAULT_USERS }) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = base64Url(crypto.randomBytes(8));
+  const codes = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: [clientSecret ? 'client_secret_basic' : 'none']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { response_type, client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint } = req.query;
+
+    if (client_id !== clientId || response_type !== 'code' || !redirect_uri) {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+    if (!code_challenge || code_challenge_method !== 'S256') {
+      return res.status(400).json({ error: 'invalid_request', error_description: 'PKCE with S256 is required' });
+    }
+
+    const user = login_hint ? users.find(u => u.email === login_hint || u.sub === login_hint) : users[0];
+    if (!user) {
+      return res.status(400).json({ error: 'access_denied', error_description: 'Unknown login_hint' });
+    }
+
+    const code = base64Url(crypto.randomBytes(24));
+    codes.set(code, { user, nonce, redirectUri: redirect_uri, codeChallenge: code_challenge, expiresAt: Date.now() + CODE_TTL_MS });
+
+    const location = new URL(redirect_uri);
+    location.searchParams.set('code', code);
+    if (state) {
+      location.searchParams.set('state', state);
+    }
+    res.redirect(302, location.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    let requestClientId = req.body.client_id;
+    const authorization = req.get('authorization') || '';
+
+    if (authorization.startsWith('Basic ')) {
+      const [id, secret] = Buffer.from(authorization.substring(6), 'base64').toString().split(':').map(decodeURIComponent);
+      if (secret !== clientSecret) {
+        return res.status(401).json({ error: 'invalid_client' });
+      }
+      requestClientId = id;
+    } else if (clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    if (requestClientId !== clientId) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+    if (req.body.grant_type !== 'authorization_code') {
+      return res.status(400).json({ error: 'unsupported_grant_type' });
+    }
+
+    // Codes are single-use
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    const verifierChallenge = base64Url(crypto.createHash('sha256').update(req.body.code_verifier || '').digest());
+    if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== req.body.redirect_uri || grant.codeChallenge !== verifierChallenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const { sub, email, given_name, family_name, email_verified = true } = grant.user;
+    const idToken = jwt.sign(
+      { sub, email, email_verified, given_name, family_name, nonce: grant.nonce },
+      privateKey,
+      { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: ID_TOKEN_TTL_SECONDS }
+    );
+
+    res.json({ access_token: base64Url(crypto.randomBytes(24)), token_type: 'Bearer', expires_in: ID_TOKEN_TTL_SECONDS, id_token: idToken });
+  });
+
+  return app;
+};
+
+module.exports = { createMockOidcProvider };
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_OIDC_PORT) || 4010;
+  const issuer = (process.env.OIDC_ISSUER || `http://localhost:${port}`).replace(/\/$/, '');
+  const users = process.env.MOCK_OIDC_USERS ? JSON.parse(process.env.MOCK_OIDC_USERS) : DEFAULT_USERS;
+
+  createMockOidcProvider({
+    issuer,
+    clientId: process.env.OIDC_CLIENT_ID || 'bluemoon',
+    clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+    users
+  }).listen(port, () => {
+    console.log(`Mock OIDC provider listening on ${issuer}`);
+  });
+}
@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { createFakePool, startServer, request, profileRows } = require('./helpers');
+
+const adminRoutes = require('../routes/admin');
+
+let server;
+let pool;
+
+// User 1 is an Admin of company 1
+before(async () => {
+  pool = createFakePool([
+    [/FROM authsessions/, () => [{ sessionid: 10, revokedat: null, expiresat: new Date(Date.now() + 60000), impersonatorid: null }]],
+    [/FROM users u/, () => profileRows(1, [{ companyId: 1, role: 'Admin' }])],
+    [/DELETE FROM userpermissions/, () => ({ rows: [], rowCount: 1 })],
+    [/FROM loginattempts la/, () => [{ attemptid: 1, userid: 2, success: false }]],
+    [/revokedreason = 'admin_revoked'/, ([sessionId]) => ({ rows: [], rowCount: sessionId === '30' ? 1 : 0 })]
+  ]);
+  server = await startServer('/api/admin', adminRoutes, pool);
+});
+
+after(() => server.close());
+
+const headers = { authorization: `Bearer ${jwt.sign({ userId: 1, sid: 10, companyId: 1 }, process.env.JWT_SECRET, { expiresIn: '5m' })}` };
+
+test('non-numeric user and permission ids are rejected before reaching the database', async () => {
+  for (const [method, path] of [
+    ['POST', '/api/admin/companies/1/users/abc/deactivate'],
+    ['POST', '/api/admin/companies/1/users/abc/reactivate'],
+    ['PUT', '/api/admin/companies/1/users/abc/role'],
+    ['GET', '/api/admin/companies/1/users/abc/permissions'],
+    ['POST', '/api/admin/companies/1/users/abc/permissions'],
+    ['DELETE', '/api/admin/companies/1/users/abc/permissions/5'],
+    ['DELETE', '/api/admin/companies/1/users/2/permissions/abc']
+  ]) {
+    const body = method === 'PUT' ? { role: 'Read-Only User' } : method === 'POST' && path.endsWith('permissions') ? { permission: 'orders.read' } : undefined;
+    const response = await request(server.url, method, path, { body, headers });
+    assert.strictEqual(response.status, 400, `${method} ${path}`);
+  }
+
+  assert.ok(!pool.ran(/WHERE ucr.companyid = \$1 AND ucr.userid = \$2|DELETE FROM userpermissions/));
+});
+
+test('revoking a grant passes numeric ids to the database', async () => {
+  const response = await request(server.url, 'DELETE', '/api/admin/companies/1/users/2/permissions/5', { headers });
+  assert.strictEqual(response.status, 200);
+
+  const revoke = pool.queries.find(q => /DELETE FROM userpermissions/.test(q.sql));
+  assert.deepStrictEqual(revoke.params, [2, '1', 5]);
+});
+
+test('login events are limited to the company\'s users and filter by user', async () => {
+  const response = await request(server.url, 'GET', '/api/admin/companies/1/login-events?userId=2&success=false&limit=1000', { headers });
+  assert.strictEqual(response.status, 200);
+
+  const events = pool.queries.find(q => /FROM loginattempts la/.test(q.sql));
+  assert.match(events.sql, /usercompanyroles WHERE companyid = \$1/);
+  assert.deepStrictEqual(events.params, ['1', 500, 2, false]);
+
+  const invalid = await request(server.url, 'GET', '/api/admin/companies/1/login-events?userId=abc', { headers });
+  assert.strictEqual(invalid.status, 400);
+});
+
+test('admins end sessions of their own company\'s users only', async () => {
+  const ended = await request(server.url, 'DELETE', '/api/admin/companies/1/sessions/30', { headers });
+  assert.strictEqual(ended.status, 200);
+  const revoke = pool.queries.find(q => /admin_revoked/.test(q.sql));
+  assert.deepStrictEqual(revoke.params, ['30', '1']);
+
+  const missing = await request(server.url, 'DELETE', '/api/admin/companies/1/sessions/31', { headers });
+  assert.strictEqual(missing.status, 404);
+
+  const otherCompany = await request(server.url, 'DELETE', '/api/admin/companies/2/sessions/30', { headers });
+  assert.strictEqual(otherCompany.status, 403);
+});
@@ -0,0 +1,69 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { createFakePool, startServer, request, profileRows } = require('./helpers');
+const { hashToken } = require('../utils/tokens');
+
+const companyRoutes = require('../routes/companies');
+
+let server;
+let pool;
+
+// User 1 is an Admin of company 1 and Read-Only in company 2
+before(async () => {
+  pool = createFakePool([
+    [/FROM authsessions/, () => [{ sessionid: 10, revokedat: null, expiresat: new Date(Date.now() + 60000), impersonatorid: null }]],
+    [/FROM users u/, () => profileRows(1, [{ companyId: 1, role: 'Admin' }, { companyId: 2, role: 'Read-Only User' }])],
+    [/INSERT INTO apikeys/, ([companyid, name, keyprefix]) => [{ apikeyid: 5, keyprefix, expiresat: null, createdat: new Date() }]],
+    [/FROM apikeys k/, () => [{ apikeyid: 5, name: 'erp', keyprefix: 'bmk_abcdefgh', status: 'active' }]],
+    [/UPDATE apikeys SET revokedat/, ([apiKeyId, companyId]) => ({ rows: [], rowCount: apiKeyId === 5 && companyId === '1' ? 1 : 0 })]
+  ]);
+  server = await startServer('/api/companies', companyRoutes, pool);
+});
+
+beforeEach(() => { pool.queries.length = 0; });
+
+after(() => server.close());
+
+const headers = { authorization: `Bearer ${jwt.sign({ userId: 1, sid: 10, companyId: 1 }, process.env.JWT_SECRET, { expiresIn: '5m' })}` };
+const createKey = (companyId, body) => request(server.url, 'POST', `/api/companies/${companyId}/api-keys`, { body, headers });
+
+test('a new API key is shown once and only its hash is stored', async () => {
+  const response = await createKey(1, { name: 'erp', permissions: ['orders.write', 'orders.read', 'orders.write'], expiresInDays: 90 });
+  assert.strictEqual(response.status, 201);
+  assert.match(response.body.apiKey, /^bmk_/);
+  assert.deepStrictEqual(response.body.permissions, ['orders.write', 'orders.read']);
+
+  const [companyId, name, keyprefix, keyhash, permissions, createdBy, expiresInDays] = pool.queries.find(q => /INSERT INTO apikeys/.test(q.sql)).params;
+  assert.deepStrictEqual([companyId, name, createdBy, expiresInDays], [1, 'erp', 1, 90]);
+  assert.strictEqual(keyprefix, response.body.apiKey.substring(0, 12));
+  assert.strictEqual(keyhash, hashToken(response.body.apiKey));
+  assert.deepStrictEqual(permissions, ['orders.write', 'orders.read']);
+});
+
+test('keys only carry integration permissions', async () => {
+  for (const permissions of [[], ['users.manage'], ['orders.purge'], 'orders.read']) {
+    const response = await createKey(1, { name: 'erp', permissions });
+    assert.strictEqual(response.status, 400, JSON.stringify(permissions));
+  }
+  assert.ok(!pool.ran(/INSERT INTO apikeys/));
+});
+
+test('only company user managers create and list keys, and listings never show the key', async () => {
+  const denied = await createKey(2, { name: 'erp', permissions: ['orders.read'] });
+  assert.strictEqual(denied.status, 403);
+
+  const listed = await request(server.url, 'GET', '/api/companies/1/api-keys', { headers });
+  assert.strictEqual(listed.status, 200);
+  assert.doesNotMatch(pool.queries.find(q => /FROM apikeys k/.test(q.sql)).sql, /keyhash/);
+});
+
+test('keys are revoked within their own company only', async () => {
+  assert.strictEqual((await request(server.url, 'DELETE', '/api/companies/1/api-keys/5', { headers })).status, 200);
+  assert.strictEqual((await request(server.url, 'DELETE', '/api/companies/1/api-keys/6', { headers })).status, 404);
+  assert.strictEqual((await request(server.url, 'DELETE', '/api/companies/2/api-keys/5', { headers })).status, 403);
+
+  const invalid = await request(server.url, 'DELETE', '/api/companies/1/api-keys/abc', { headers });
+  assert.strictEqual(invalid.status, 400);
+  assert.deepStrictEqual(invalid.body, { error: 'Invalid API key ID provided' });
+});
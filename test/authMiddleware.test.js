@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { createFakePool, runMiddleware, profileRows } = require('./helpers');
+const {
+  authenticateToken,
+  requirePermission,
+  requireCompanyPermission,
+  requireUserSession,
+  blockImpersonation,
+  ROLE_PERMISSIONS
+} = require('../Middleware/auth');
+
+const accessToken = (claims) => jwt.sign(claims, process.env.JWT_SECRET, { expiresIn: '5m' });
+const bearer = (claims) => ({ authorization: `Bearer ${accessToken(claims)}` });
+
+// User 1 is an Admin of company 1 and Read-Only in company 2
+const sessionPool = (session = {}) => createFakePool([
+  [/FROM authsessions/, () => [{ sessionid: 10, revokedat: null, expiresat: new Date(Date.now() + 60000), impersonatorid: null, ...session }]],
+  [/FROM users u/, () => profileRows(1, [{ companyId: 1, role: 'Admin' }, { companyId: 2, role: 'Read-Only User' }])]
+]);
+
+test('authenticateToken requires a token', async () => {
+  const { res, passed } = await runMiddleware(authenticateToken, {});
+  assert.strictEqual(passed, false);
+  assert.strictEqual(res.statusCode, 401);
+});
+
+test('authenticateToken rejects tokens that are not bound to a session', async () => {
+  const { res, passed } = await runMiddleware(authenticateToken, { headers: bearer({ userId: 1 }) }, sessionPool());
+  assert.strictEqual(passed, false);
+  assert.strictEqual(res.statusCode, 401);
+});
+
+test('authenticateToken rejects tokens signed with another secret', async () => {
+  const forged = jwt.sign({ userId: 1, sid: 10 }, 'not-the-secret');
+  const { res, passed } = await runMiddleware(authenticateToken, { headers: { authorization: `Bearer ${forged}` } }, sessionPool());
+  assert.strictEqual(passed, false);
+  assert.deepStrictEqual(res.body, { error: 'Invalid token' });
+});
+
+test('authenticateToken rejects revoked and expired sessions', async () => {
+  for (const session of [{ revokedat: new Date() }, { expiresat: new Date(Date.now() - 1000) }]) {
+    const { res, passed } = await runMiddleware(authenticateToken, { headers: bearer({ userId: 1, sid: 10 }) }, sessionPool(session));
+    assert.strictEqual(passed, false);
+    assert.deepStrictEqual(res.body, { error: 'Session has been revoked' });
+  }
+});
+
+test('authenticateToken loads the user with the company from the token', async () => {
+  const pool = sessionPool();
+  const { req, passed } = await runMiddleware(authenticateToken, { headers: bearer({ userId: 1, sid: 10, companyId: 2 }) }, pool);
+
+  assert.strictEqual(passed, true);
+  assert.deepStrictEqual(pool.queries[0].params, [10, 1]);
+  assert.strictEqual(req.companyId, 2);
+  assert.strictEqual(req.user.role, 'Read-Only User');
+  assert.strictEqual(req.user.sessionId, 10);
+  assert.ok(!req.user.permissions.includes('orders.write'));
+});
+
+test('X-Company-Id switches to another of the user\'s companies only', async () => {
+  const own = await runMiddleware(authenticateToken, {
+    headers: { ...bearer({ userId: 1, sid: 10, companyId: 2 }), 'x-company-id': '1' }
+  }, sessionPool());
+  assert.strictEqual(own.passed, true);
+  assert.strictEqual(own.req.companyId, 1);
+  assert.ok(own.req.user.permissions.includes('users.manage'));
+
+  const foreign = await runMiddleware(authenticateToken, {
+    headers: { ...bearer({ userId: 1, sid: 10 }), 'x-company-id': '3' }
+  }, sessionPool());
+  assert.strictEqual(foreign.passed, false);
+  assert.strictEqual(foreign.res.statusCode, 403);
+  assert.strictEqual(foreign.res.body.code, 'FORBIDDEN');
+});
+
+test('API keys act for their company with their own permissions only', async () => {
+  const pool = createFakePool([
+    [/UPDATE apikeys/, () => [{
+      apikeyid: 5, name: 'erp', permissions: ['orders.read', 'users.manage'], createdbyuserid: 1,
+      companyid: 1, companyname: 'Company 1', companytype: 'Importer'
+    }]]
+  ]);
+  const { req, passed } = await runMiddleware(authenticateToken, { headers: { 'x-api-key': 'key' } }, pool);
+
+  assert.strictEqual(passed, true);
+  assert.strictEqual(req.companyId, 1);
+  assert.deepStrictEqual(req.user.permissions, ['orders.read']);
+
+  const session = await runMiddleware(requireUserSession, { user: req.user });
+  assert.strictEqual(session.res.statusCode, 403);
+
+  const unknown = await runMiddleware(authenticateToken, { headers: { 'x-api-key': 'nope' } });
+  assert.strictEqual(unknown.res.statusCode, 401);
+});
+
+test('requirePermission checks the active company\'s permissions', async () => {
+  const allowed = await runMiddleware(requirePermission('orders.write'), { user: { permissions: ['orders.write'] } });
+  assert.strictEqual(allowed.passed, true);
+
+  const denied = await runMiddleware(requirePermission('orders.write'), { user: { permissions: ['orders.read'] } });
+  assert.strictEqual(denied.passed, false);
+  assert.deepStrictEqual(denied.res.body, { error: 'Insufficient permissions', code: 'FORBIDDEN', required: 'orders.write' });
+
+  const anonymous = await runMiddleware(requirePermission('orders.read'), {});
+  assert.strictEqual(anonymous.res.statusCode, 401);
+});
+
+test('purging orders needs an explicit grant that no role carries', async () => {
+  assert.ok(Object.values(ROLE_PERMISSIONS).every(permissions => !permissions.includes('orders.purge')));
+
+  const grantPool = (permission) => createFakePool([
+    [/FROM authsessions/, () => [{ sessionid: 10, revokedat: null, expiresat: new Date(Date.now() + 60000), impersonatorid: null }]],
+    [/FROM users u/, () => profileRows(1, [{ companyId: 1, role: 'Admin', permission }])]
+  ]);
+  for (const [permission, allowed] of [[null, false], ['orders.purge', true]]) {
+    const { req } = await runMiddleware(authenticateToken, { headers: bearer({ userId: 1, sid: 10 }) }, grantPool(permission));
+    assert.strictEqual((await runMiddleware(requirePermission('orders.purge'), { user: req.user })).passed, allowed);
+  }
+});
+
+test('requireCompanyPermission checks the company in the route', async () => {
+  const user = { companies: [{ companyId: 1, permissions: ['users.manage'] }, { companyId: 2, permissions: [] }] };
+  const middleware = requireCompanyPermission('users.manage');
+
+  assert.strictEqual((await runMiddleware(middleware, { user, params: { companyId: '1' } })).passed, true);
+  assert.strictEqual((await runMiddleware(middleware, { user, params: { companyId: '2' } })).res.statusCode, 403);
+  assert.strictEqual((await runMiddleware(middleware, { user, params: { companyId: '3' } })).res.body.error, 'Access denied to this company');
+});
+
+test('blockImpersonation refuses impersonated sessions', async () => {
+  assert.strictEqual((await runMiddleware(blockImpersonation, { user: { userId: 2 } })).passed, true);
+
+  const { res, passed } = await runMiddleware(blockImpersonation, { user: { userId: 2, impersonatedBy: 1 } });
+  assert.strictEqual(passed, false);
+  assert.strictEqual(res.body.impersonatedBy, 1);
+});
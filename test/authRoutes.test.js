@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { createFakePool, startServer, request, profileRows } = require('./helpers');
+const { hashToken } = require('../utils/tokens');
+
+const authRoutes = require('../routes/auth');
+
+let server;
+let pool;
+let refreshTokens;
+
+// A minimal authsessions/refreshtokens store for the refresh endpoint
+before(async () => {
+  refreshTokens = new Map();
+  pool = createFakePool([
+    [/FROM refreshtokens rt/, ([tokenHash]) => {
+      const stored = refreshTokens.get(tokenHash);
+      return stored ? [{ ...stored, sessionid: 10, userid: 1, revokedat: stored.sessionRevoked ? new Date() : null, activecompanyid: 1 }] : [];
+    }],
+    [/INSERT INTO refreshtokens/, ([sessionId, tokenHash, expiresAt]) => {
+      refreshTokens.set(tokenHash, { refreshtokenid: refreshTokens.size + 1, usedat: null, expiresat: expiresAt });
+      return [];
+    }],
+    [/UPDATE refreshtokens SET usedat/, ([refreshTokenId]) => {
+      for (const stored of refreshTokens.values()) {
+        if (stored.refreshtokenid === refreshTokenId) stored.usedat = new Date();
+      }
+      return [];
+    }],
+    [/revokedreason = 'refresh_token_reuse'/, () => {
+      for (const stored of refreshTokens.values()) stored.sessionRevoked = true;
+      return [];
+    }],
+    [/FROM users u/, () => profileRows(1, [{ companyId: 1, role: 'Admin' }])]
+  ]);
+  server = await startServer('/api/auth', authRoutes, pool);
+});
+
+after(() => server.close());
+
+const seedRefreshToken = (value) => {
+  refreshTokens.clear();
+  refreshTokens.set(hashToken(value), { refreshtokenid: 1, usedat: null, expiresat: new Date(Date.now() + 60000) });
+};
+
+test('refresh rotates the refresh token and issues an access token for the session', async () => {
+  seedRefreshToken('first-token');
+
+  const response = await request(server.url, 'POST', '/api/auth/refresh', { body: { refreshToken: 'first-token' } });
+
+  assert.strictEqual(response.status, 200);
+  assert.notStrictEqual(response.body.refreshToken, 'first-token');
+  assert.ok(refreshTokens.has(hashToken(response.body.refreshToken)));
+  assert.ok(refreshTokens.get(hashToken('first-token')).usedat);
+
+  const claims = jwt.verify(response.body.token, process.env.JWT_SECRET);
+  assert.strictEqual(claims.sid, 10);
+  assert.strictEqual(claims.companyId, 1);
+});
+
+test('reusing a rotated refresh token revokes the whole session', async () => {
+  seedRefreshToken('first-token');
+
+  const first = await request(server.url, 'POST', '/api/auth/refresh', { body: { refreshToken: 'first-token' } });
+  assert.strictEqual(first.status, 200);
+
+  const replay = await request(server.url, 'POST', '/api/auth/refresh', { body: { refreshToken: 'first-token' } });
+  assert.strictEqual(replay.status, 401);
+  assert.ok(pool.ran(/revokedreason = 'refresh_token_reuse'/));
+
+  // The token issued by the legitimate rotation dies with the session
+  const rotated = await request(server.url, 'POST', '/api/auth/refresh', { body: { refreshToken: first.body.refreshToken } });
+  assert.strictEqual(rotated.status, 401);
+});
+
+test('unknown and expired refresh tokens are rejected', async () => {
+  seedRefreshToken('first-token');
+  refreshTokens.get(hashToken('first-token')).expiresat = new Date(Date.now() - 1000);
+
+  const expired = await request(server.url, 'POST', '/api/auth/refresh', { body: { refreshToken: 'first-token' } });
+  assert.strictEqual(expired.status, 401);
+
+  const unknown = await request(server.url, 'POST', '/api/auth/refresh', { body: { refreshToken: 'never-issued' } });
+  assert.strictEqual(unknown.status, 401);
+});
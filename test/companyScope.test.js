@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createFakePool, runMiddleware } = require('./helpers');
+const {
+  orderScopeSql,
+  isUserInScope,
+  idFrom,
+  findOrderAccess,
+  requireOrderAccess,
+  requireBookingAccess,
+  requireUserAccess
+} = require('../Middleware/companyScope');
+
+const orderPool = (row) => createFakePool([[/FROM orders o/, () => (row ? [row] : [])]]);
+const acting = { user: { userId: 1 }, companyId: 7 };
+
+test('requireOrderAccess passes orders in the active company', async () => {
+  const pool = orderPool({ inscope: true });
+  const { passed } = await runMiddleware(requireOrderAccess(idFrom.param('id')), { ...acting, params: { id: '12' } }, pool);
+
+  assert.strictEqual(passed, true);
+  assert.deepStrictEqual(pool.queries[0].params, ['12', [7]]);
+  assert.match(pool.queries[0].sql, /o\.deletedat IS NULL/);
+});
+
+test('requireOrderAccess answers 403 for other companies\' orders and 404 for missing ones', async () => {
+  const foreign = await runMiddleware(requireOrderAccess(idFrom.param('id')), { ...acting, params: { id: '12' } }, orderPool({ inscope: false }));
+  assert.strictEqual(foreign.passed, false);
+  assert.deepStrictEqual(foreign.res.body, { error: 'Access denied to this order', code: 'FORBIDDEN', orderId: 12 });
+
+  const missing = await runMiddleware(requireOrderAccess(idFrom.param('id')), { ...acting, params: { id: '12' } }, orderPool(null));
+  assert.strictEqual(missing.res.statusCode, 404);
+
+  const invalid = await runMiddleware(requireOrderAccess(idFrom.param('id')), { ...acting, params: { id: 'abc' } }, orderPool(null));
+  assert.strictEqual(invalid.res.statusCode, 400);
+});
+
+test('requireOrderAccess resolves child rows to their order', async () => {
+  const pool = createFakePool([
+    [/FROM poinvoice/, ([key]) => (key === '5' ? [{ orderid: 12 }] : [])],
+    [/FROM orders o/, () => [{ inscope: true }]]
+  ]);
+  const resolver = idFrom.orderOf('poinvoice', 'poinvoiceid', req => req.params.invoiceId);
+
+  const found = await runMiddleware(requireOrderAccess(resolver), { ...acting, params: { invoiceId: '5' } }, pool);
+  assert.strictEqual(found.passed, true);
+  assert.deepStrictEqual(pool.queries[1].params, [12, [7]]);
+
+  const missing = await runMiddleware(requireOrderAccess(resolver), { ...acting, params: { invoiceId: '6' } }, pool);
+  assert.strictEqual(missing.res.statusCode, 404);
+});
+
+test('requireBookingAccess checks bookings against the active company', async () => {
+  const pool = createFakePool([[/FROM pobooking b/, () => [{ inscope: false }]]]);
+  const { res } = await runMiddleware(requireBookingAccess(idFrom.param('bookingId')), { ...acting, params: { bookingId: '3' } }, pool);
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.deepStrictEqual(pool.queries[0].params, ['3', [7]]);
+});
+
+test('requireUserAccess lets users at their own data and checks anyone else', async () => {
+  const self = createFakePool();
+  const own = await runMiddleware(requireUserAccess(idFrom.param('userId')), { ...acting, params: { userId: '1' } }, self);
+  assert.strictEqual(own.passed, true);
+  assert.strictEqual(self.queries.length, 0);
+
+  const colleague = await runMiddleware(requireUserAccess(idFrom.param('userId')), { ...acting, params: { userId: '2' } },
+    createFakePool([[/FROM users u/, () => [{ inscope: true }]]]));
+  assert.strictEqual(colleague.passed, true);
+
+  const stranger = await runMiddleware(requireUserAccess(idFrom.param('userId')), { ...acting, params: { userId: '3' } },
+    createFakePool([[/FROM users u/, () => [{ inscope: false }]]]));
+  assert.strictEqual(stranger.res.statusCode, 403);
+});
+
+test('isUserInScope only looks at the active company', async () => {
+  const pool = createFakePool([[/FROM usercompanyroles/, ([userId, companyIds]) => (userId === 2 && companyIds.includes(7) ? [{}] : [])]]);
+
+  assert.strictEqual(await isUserInScope(pool, acting, 2), true);
+  assert.strictEqual(await isUserInScope(pool, { companyId: 8 }, 2), false);
+  assert.strictEqual(await isUserInScope(pool, {}, 2), false);
+});
+
+test('orderScopeSql hides soft-deleted orders unless asked to include them', () => {
+  assert.match(orderScopeSql('o', 1), /o\.deletedat IS NULL/);
+  assert.doesNotMatch(orderScopeSql('o', 1, { includeDeleted: true }), /deletedat/);
+});
+
+test('exporter partners see orders through an active partnership only', () => {
+  const sql = orderScopeSql('o', 2);
+  assert.match(sql, /o\.exportercompanyid = ANY\(\$2::int\[\]\)/);
+  assert.match(sql, /scope_tp\.status = 'active'/);
+
+  assert.doesNotMatch(orderScopeSql('o', 2, { includePartners: false }), /exportercompanyid|tradingpartners/);
+});
+
+test('owner-only routes leave the partner clause out of the access check', async () => {
+  const pool = orderPool({ inscope: true });
+  await runMiddleware(requireOrderAccess(idFrom.param('id'), { includePartners: false }), { ...acting, params: { id: '12' } }, pool);
+  assert.doesNotMatch(pool.queries[0].sql, /exportercompanyid/);
+
+  const shared = orderPool({ inscope: true });
+  await runMiddleware(requireOrderAccess(idFrom.param('id')), { ...acting, params: { id: '12' } }, shared);
+  assert.match(shared.queries[0].sql, /exportercompanyid/);
+});
+
+test('findOrderAccess reports partner-only orders as out of scope for owner-only checks', async () => {
+  const pool = createFakePool([[/FROM orders o/, (params, sql) => [{ inscope: /exportercompanyid/.test(sql) }]]]);
+
+  assert.deepStrictEqual(await findOrderAccess(pool, acting, 12), { exists: true, inScope: true });
+  assert.deepStrictEqual(await findOrderAccess(pool, acting, 12, { includePartners: false }), { exists: true, inScope: false });
+});
@@ -0,0 +1,102 @@
+const express = require('express');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Stand-in for a pg Pool: each statement is answered by the first handler whose
+// pattern matches its SQL (rows, or a full { rows, rowCount } result); anything
+// else returns no rows. Every statement is recorded in pool.queries.
+const createFakePool = (handlers = []) => {
+  const queries = [];
+
+  const query = async (sql, params = []) => {
+    queries.push({ sql, params });
+    const handler = handlers.find(([pattern]) => pattern.test(sql));
+    const result = handler ? await handler[1](params, sql) : [];
+    return Array.isArray(result) ? { rows: result, rowCount: result.length } : result;
+  };
+
+  return {
+    queries,
+    query,
+    connect: async () => ({ query, release: () => {} }),
+    ran: (pattern) => queries.some(q => pattern.test(q.sql))
+  };
+};
+
+// Minimal Express response double for calling middleware directly
+const createResponse = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    on: () => res,
+    set: (name, value) => { res.headers[name.toLowerCase()] = value; return res; },
+    status: (code) => { res.statusCode = code; return res; },
+    json: (body) => { res.body = body; return res; }
+  };
+  return res;
+};
+
+// Run one middleware and report whether it passed the request on
+const runMiddleware = async (middleware, req, pool = createFakePool()) => {
+  const request = { headers: {}, params: {}, query: {}, body: {}, app: { locals: { dbPool: pool } }, ...req };
+  const res = createResponse();
+  let passed = false;
+
+  await middleware(request, res, () => { passed = true; });
+
+  return { req: request, res, passed };
+};
+
+// Serve a router on a random port with the given pool as app.locals.dbPool
+// (plus any other app.locals, e.g. a mailTransporter)
+const startServer = (mountPath, router, pool, locals = {}) => new Promise(resolve => {
+  const app = express();
+  app.use(express.json());
+  Object.assign(app.locals, locals, { dbPool: pool });
+  app.use(mountPath, router);
+
+  const server = app.listen(0, () => {
+    resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+// JSON request helper; returns status, parsed body and headers
+const request = async (baseUrl, method, path, { body, headers = {} } = {}) => {
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body ? JSON.stringify(body) : undefined,
+    redirect: 'manual'
+  });
+  const text = await response.text();
+  let json;
+  try { json = JSON.parse(text); } catch (error) { json = text; }
+  return { status: response.status, body: json, headers: response.headers };
+};
+
+// loadUserProfile rows: one per company membership
+const profileRows = (userId, memberships) => memberships.map(({ companyId, role, permission = null }) => ({
+  userid: userId,
+  username: `user${userId}`,
+  email: `user${userId}@example.com`,
+  firstname: 'Test',
+  lastname: 'User',
+  companyid: companyId,
+  companyname: `Company ${companyId}`,
+  companytype: 'Importer',
+  Role: role,
+  permissionname: permission
+}));
+
+module.exports = {
+  createFakePool,
+  createResponse,
+  runMiddleware,
+  startServer,
+  request,
+  profileRows
+};
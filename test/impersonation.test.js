@@ -0,0 +1,98 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { createFakePool, startServer, request, profileRows } = require('./helpers');
+
+const authRoutes = require('../routes/auth');
+const adminRoutes = require('../routes/admin');
+
+let authServer;
+let adminServer;
+let pool;
+
+// User 1 is an Admin of company 1 with the support grant, user 2 a Read-Only
+// user of company 1 and user 3 another support user; session 20 is user 1
+// acting as user 2
+const profiles = {
+  1: profileRows(1, [{ companyId: 1, role: 'Admin', permission: 'support.impersonate' }]),
+  2: profileRows(2, [{ companyId: 1, role: 'Read-Only User' }]),
+  3: profileRows(3, [{ companyId: 2, role: 'Read-Only User', permission: 'support.impersonate' }])
+};
+const sessions = {
+  10: { sessionid: 10, revokedat: null, expiresat: new Date(Date.now() + 60000), impersonatorid: null },
+  20: { sessionid: 20, revokedat: null, expiresat: new Date(Date.now() + 60000), impersonatorid: 1 }
+};
+
+before(async () => {
+  pool = createFakePool([
+    [/FROM authsessions/, ([sessionId]) => [sessions[sessionId]]],
+    [/FROM users u/, ([userId]) => profiles[userId] || []],
+    [/INSERT INTO authsessions/, () => [{ sessionid: 20 }]],
+    [/FROM impersonationauditlog ial/, () => [{ auditid: 1, event: 'start' }]]
+  ]);
+  authServer = await startServer('/api/auth', authRoutes, pool);
+  adminServer = await startServer('/api/admin', adminRoutes, pool);
+});
+
+beforeEach(() => { pool.queries.length = 0; });
+
+after(() => {
+  authServer.close();
+  adminServer.close();
+});
+
+const tokenFor = (userId, sid) => ({ authorization: `Bearer ${jwt.sign({ userId, sid, companyId: 1 }, process.env.JWT_SECRET, { expiresIn: '5m' })}` });
+const headers = tokenFor(1, 10);
+const impersonate = (body, as = headers) => request(authServer.url, 'POST', '/api/auth/impersonate', { body, headers: as });
+const auditEvents = () => pool.queries.filter(q => /INSERT INTO impersonationauditlog/.test(q.sql)).map(q => q.params.slice(0, 4));
+
+test('support users open a short, audited session as another user', async () => {
+  const response = await impersonate({ userId: 2, reason: 'Ticket 1234' });
+  assert.strictEqual(response.status, 201);
+
+  const claims = jwt.verify(response.body.token, process.env.JWT_SECRET);
+  assert.deepStrictEqual([claims.userId, claims.sid, claims.impersonatedBy], [2, 20, 1]);
+  assert.strictEqual(claims.exp - claims.iat, 30 * 60);
+
+  const session = pool.queries.find(q => /INSERT INTO authsessions/.test(q.sql));
+  assert.deepStrictEqual([session.params[0], session.params[5], session.params[6]], [2, 1, 'Ticket 1234']);
+  assert.deepStrictEqual(auditEvents(), [[20, 1, 2, 'start']]);
+});
+
+test('impersonation needs the support grant, a reason and a target that is not support staff', async () => {
+  assert.strictEqual((await impersonate({ userId: 1, reason: 'Ticket 1234' }, tokenFor(2, 10))).status, 403);
+  assert.strictEqual((await impersonate({ userId: 2, reason: 'x' })).status, 400);
+  assert.strictEqual((await impersonate({ userId: 1, reason: 'Ticket 1234' })).status, 400);
+  assert.strictEqual((await impersonate({ userId: 9, reason: 'Ticket 1234' })).status, 404);
+  assert.strictEqual((await impersonate({ userId: 3, reason: 'Ticket 1234' })).status, 403);
+  assert.ok(!pool.ran(/INSERT INTO authsessions/));
+});
+
+test('an impersonation session cannot start another and ends on request', async () => {
+  const impersonated = tokenFor(2, 20);
+  assert.strictEqual((await impersonate({ userId: 3, reason: 'Ticket 1234' }, impersonated)).status, 403);
+
+  pool.queries.length = 0;
+  const stopped = await request(authServer.url, 'POST', '/api/auth/impersonate/stop', { headers: impersonated });
+  assert.strictEqual(stopped.status, 200);
+
+  const revoke = pool.queries.find(q => /revokedreason = 'impersonation_ended'/.test(q.sql));
+  assert.deepStrictEqual(revoke.params, [20]);
+  assert.deepStrictEqual(auditEvents().find(event => event[3] === 'end'), [20, 1, 2, 'end']);
+
+  const notImpersonating = await request(authServer.url, 'POST', '/api/auth/impersonate/stop', { headers });
+  assert.strictEqual(notImpersonating.status, 400);
+});
+
+test('company admins see impersonation of their own users only', async () => {
+  const response = await request(adminServer.url, 'GET', '/api/admin/companies/1/impersonations?sessionId=20&limit=1000', { headers });
+  assert.strictEqual(response.status, 200);
+
+  const log = pool.queries.find(q => /FROM impersonationauditlog ial/.test(q.sql));
+  assert.match(log.sql, /usercompanyroles WHERE companyid = \$1/);
+  assert.deepStrictEqual(log.params, ['1', 500, 20]);
+
+  const invalid = await request(adminServer.url, 'GET', '/api/admin/companies/1/impersonations?sessionId=abc', { headers });
+  assert.strictEqual(invalid.status, 400);
+  assert.strictEqual((await request(adminServer.url, 'GET', '/api/admin/companies/2/impersonations', { headers })).status, 403);
+});
@@ -0,0 +1,67 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { createFakePool, startServer, request, profileRows } = require('./helpers');
+const { hashToken } = require('../utils/tokens');
+
+const companyRoutes = require('../routes/companies');
+
+let server;
+let pool;
+let sentMail;
+
+// User 1 is an Admin of company 1, where jane@example.com is already a member
+before(async () => {
+  pool = createFakePool([
+    [/FROM authsessions/, () => [{ sessionid: 10, revokedat: null, expiresat: new Date(Date.now() + 60000), impersonatorid: null }]],
+    [/SELECT 1 FROM users u/, ([email]) => (email === 'jane@example.com' ? [{ '?column?': 1 }] : [])],
+    [/FROM users u/, () => profileRows(1, [{ companyId: 1, role: 'Admin' }])],
+    [/SELECT companyname FROM companies/, () => [{ companyname: 'Company 1' }]],
+    [/INSERT INTO companyinvitations/, () => [{ invitationid: 4, expiresat: new Date() }]],
+    [/WHERE invitationid = \$1/, ([invitationId]) => ({ rows: [], rowCount: invitationId === 4 ? 1 : 0 })]
+  ]);
+
+  const mailTransporter = { sendMail: async (mail) => { sentMail.push(mail); } };
+  server = await startServer('/api/companies', companyRoutes, pool, { mailTransporter });
+});
+
+beforeEach(() => {
+  sentMail = [];
+  pool.queries.length = 0;
+});
+
+after(() => server.close());
+
+const headers = { authorization: `Bearer ${jwt.sign({ userId: 1, sid: 10, companyId: 1 }, process.env.JWT_SECRET, { expiresIn: '5m' })}` };
+const invite = (body) => request(server.url, 'POST', '/api/companies/1/invitations', { body, headers });
+
+test('an invitation replaces the outstanding one and only its hash is stored', async () => {
+  const response = await invite({ email: 'Tom@Example.com', role: 'Read-Only User' });
+  assert.strictEqual(response.status, 201);
+  assert.strictEqual(response.body.invitationId, 4);
+
+  const revoked = pool.queries.findIndex(q => /WHERE companyid = \$1 AND email = \$2/.test(q.sql));
+  const inserted = pool.queries.findIndex(q => /INSERT INTO companyinvitations/.test(q.sql));
+  assert.ok(revoked !== -1 && revoked < inserted);
+
+  const token = sentMail[0].html.match(/accept-invitation\?token=([0-9a-f]+)/)[1];
+  const [companyId, email, role, tokenhash] = pool.queries[inserted].params;
+  assert.deepStrictEqual([companyId, email, role, tokenhash], [1, 'tom@example.com', 'Read-Only User', hashToken(token)]);
+  assert.strictEqual(sentMail[0].to, 'tom@example.com');
+});
+
+test('members and unknown roles cannot be invited', async () => {
+  assert.strictEqual((await invite({ email: 'jane@example.com', role: 'Admin' })).status, 400);
+  assert.strictEqual((await invite({ email: 'tom@example.com', role: 'Owner' })).status, 400);
+  assert.ok(!pool.ran(/INSERT INTO companyinvitations/));
+  assert.strictEqual(sentMail.length, 0);
+});
+
+test('only pending invitations of the company are revoked', async () => {
+  assert.strictEqual((await request(server.url, 'DELETE', '/api/companies/1/invitations/4', { headers })).status, 200);
+  assert.strictEqual((await request(server.url, 'DELETE', '/api/companies/1/invitations/5', { headers })).status, 404);
+
+  const invalid = await request(server.url, 'DELETE', '/api/companies/1/invitations/abc', { headers });
+  assert.strictEqual(invalid.status, 400);
+  assert.deepStrictEqual(invalid.body, { error: 'Invalid invitation ID provided' });
+});
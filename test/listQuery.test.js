@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ListQueryError, buildListQuery, encodeCursor, decodeCursor } = require('../utils/listQuery');
+
+const spec = {
+  filters: {
+    orderstatus: { column: 'o.orderstatus', match: 'in' },
+    exporter: { column: 'o.exporter', match: 'contains' }
+  },
+  ranges: { orderdate: { column: 'o.orderdate' } },
+  sortable: { orderdate: 'o.orderdate', ordernumber: 'o.ordernumber', orderid: 'o.orderid' },
+  defaultSort: '-orderid',
+  tiebreaker: 'orderid'
+};
+
+test('sorting defaults, deduplicates and always ends on the tiebreaker', () => {
+  assert.strictEqual(buildListQuery({}, spec).sort, '-orderid');
+
+  const list = buildListQuery({ sort: '-orderdate, ordernumber,-orderdate' }, spec);
+  assert.strictEqual(list.sort, '-orderdate,ordernumber,-orderid');
+  assert.strictEqual(list.orderBySql, 'o.orderdate DESC NULLS LAST, o.ordernumber ASC NULLS LAST, o.orderid DESC NULLS LAST');
+
+  assert.throws(() => buildListQuery({ sort: 'passwordhash' }, spec), ListQueryError);
+  assert.throws(() => buildListQuery({ sort: '-constructor' }, spec), ListQueryError);
+});
+
+test('filters and date ranges become parameterised conditions', () => {
+  const list = buildListQuery(
+    { orderstatus: 'Open, Booked', exporter: '100%_acme', orderdateFrom: '2025-01-01' },
+    spec,
+    { conditions: ['scope'], params: [[7]] }
+  );
+
+  assert.deepStrictEqual(list.conditions, [
+    'scope',
+    'o.orderstatus = ANY($2)',
+    'o.exporter ILIKE $3',
+    'o.orderdate >= $4'
+  ]);
+  assert.deepStrictEqual(list.params, [[7], ['Open', 'Booked'], '%100\\%\\_acme%', '2025-01-01']);
+
+  assert.throws(() => buildListQuery({ orderdateTo: '2025-02-30' }, spec), /must be a date/);
+});
+
+test('limit is bounded', () => {
+  assert.strictEqual(buildListQuery({}, spec).limit, 50);
+  assert.strictEqual(buildListQuery({ limit: '200' }, spec).limit, 200);
+  for (const limit of ['0', '-5', '201', 'all']) {
+    assert.throws(() => buildListQuery({ limit }, spec), ListQueryError);
+  }
+});
+
+test('repeated query parameters are rejected as client errors', () => {
+  for (const query of [
+    { sort: ['orderid', 'orderdate'] },
+    { cursor: ['a', 'b'] },
+    { orderstatus: ['Open', 'Booked'] },
+    { exporter: { nested: 'x' } },
+    { orderdateFrom: ['2025-01-01'] },
+    { limit: ['10', '20'] }
+  ]) {
+    assert.throws(() => buildListQuery(query, spec), ListQueryError);
+  }
+});
+
+test('cursors round-trip and must match the sort they were issued for', () => {
+  const cursor = encodeCursor('-orderdate,-orderid', ['2025-01-05', 42]);
+  assert.deepStrictEqual(decodeCursor(cursor), { sort: '-orderdate,-orderid', values: ['2025-01-05', 42] });
+
+  assert.strictEqual(decodeCursor('not-a-cursor'), null);
+  assert.strictEqual(decodeCursor(encodeCursor('-orderid', [{ $gt: 1 }])), null);
+
+  assert.throws(() => buildListQuery({ cursor }, spec), /does not match/);
+  assert.throws(() => buildListQuery({ cursor: 'garbage' }, spec), /Invalid cursor/);
+});
+
+test('the keyset condition continues after the cursor with NULLs sorted last', () => {
+  const withValue = buildListQuery({ sort: '-orderdate', cursor: encodeCursor('-orderdate,-orderid', ['2025-01-05', 42]) }, spec);
+  assert.strictEqual(withValue.conditions[0],
+    '(((o.orderdate < $1 OR o.orderdate IS NULL)) OR (o.orderdate = $1 AND (o.orderid < $2 OR o.orderid IS NULL)))');
+  assert.deepStrictEqual(withValue.params, ['2025-01-05', 42]);
+
+  // Once among the trailing NULLs only the tiebreaker can advance
+  const afterNull = buildListQuery({ sort: 'orderdate', cursor: encodeCursor('orderdate,-orderid', [null, 42]) }, spec);
+  assert.strictEqual(afterNull.conditions[0],
+    '((FALSE) OR (o.orderdate IS NULL AND (o.orderid < $1 OR o.orderid IS NULL)))');
+
+  // Totals ignore the cursor
+  assert.deepStrictEqual(afterNull.filterConditions, []);
+});
@@ -0,0 +1,125 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { createFakePool, startServer, request, profileRows } = require('./helpers');
+
+const authRoutes = require('../routes/auth');
+
+let server;
+let pool;
+let state;
+
+const loginAttempts = () => pool.queries.filter(q => /INSERT INTO loginattempts/.test(q.sql)).map(q => q.params[5]);
+
+before(async () => {
+  const passwordHash = await bcrypt.hash('secret123', 4);
+
+  pool = createFakePool([
+    [/identifierfailures/, () => [{ identifierfailures: '0', ipfailures: String(state.ipFailures) }]],
+    [/userfailures/, () => [{ userfailures: String(state.twoFactorFailures), ipfailures: '0' }]],
+    [/SELECT userid, passwordhash/, () => [{ userid: 1, passwordhash: passwordHash, twofactorenabled: state.twoFactorEnabled, lockeduntil: state.lockedUntil }]],
+    [/SELECT username, lockeduntil/, () => [{ username: 'user1', lockeduntil: state.lockedUntil }]],
+    [/SELECT username, passwordhash/, () => [{ username: 'user1', passwordhash: passwordHash, twofactorenabled: true, lockeduntil: state.lockedUntil }]],
+    [/FROM authsessions/, () => [{ sessionid: 20, revokedat: null, expiresat: new Date(Date.now() + 60000), impersonatorid: null }]],
+    [/SET failedattempts = COALESCE/, () => {
+      state.failedAttempts += 1;
+      if (state.failedAttempts >= 5) state.lockedUntil = new Date(Date.now() + 15 * 60000);
+      return [{ failedattempts: state.failedAttempts, lockeduntil: state.lockedUntil }];
+    }],
+    [/INSERT INTO authsessions/, () => [{ sessionid: 20 }]],
+    [/FROM users u/, () => profileRows(1, [{ companyId: 1, role: 'Admin' }])]
+  ]);
+  server = await startServer('/api/auth', authRoutes, pool);
+});
+
+beforeEach(() => {
+  state = { ipFailures: 0, twoFactorFailures: 0, failedAttempts: 0, lockedUntil: null, twoFactorEnabled: false };
+  pool.queries.length = 0;
+});
+
+after(() => server.close());
+
+const login = (password) => request(server.url, 'POST', '/api/auth/login', { body: { username: 'user1', password } });
+
+test('wrong passwords count towards a lockout', async () => {
+  for (let attempt = 1; attempt < 5; attempt++) {
+    const response = await login('wrong');
+    assert.strictEqual(response.status, 401);
+  }
+
+  const locking = await login('wrong');
+  assert.strictEqual(locking.status, 423);
+  assert.ok(parseInt(locking.headers.get('retry-after')) > 0);
+  assert.deepStrictEqual(loginAttempts(), Array(5).fill('invalid_password'));
+});
+
+test('a locked account refuses even the right password', async () => {
+  state.lockedUntil = new Date(Date.now() + 60000);
+
+  const response = await login('secret123');
+  assert.strictEqual(response.status, 423);
+  assert.deepStrictEqual(loginAttempts(), ['account_locked']);
+  assert.ok(!pool.ran(/SET failedattempts = 0/));
+});
+
+test('too many failures from one IP address are throttled before any password check', async () => {
+  state.ipFailures = 20;
+
+  const response = await login('secret123');
+  assert.strictEqual(response.status, 429);
+  assert.ok(response.headers.get('retry-after'));
+  assert.ok(!pool.ran(/SELECT userid, passwordhash/));
+});
+
+test('a successful password login resets the failure counter', async () => {
+  const response = await login('secret123');
+  assert.strictEqual(response.status, 200);
+  assert.ok(response.body.token);
+  assert.ok(pool.ran(/SET failedattempts = 0/));
+});
+
+test('the password step of a 2FA login does not reset the failure counter', async () => {
+  state.twoFactorEnabled = true;
+
+  const response = await login('secret123');
+  assert.strictEqual(response.body.twoFactorRequired, true);
+  assert.ok(!pool.ran(/SET failedattempts = 0/));
+});
+
+test('2FA code guessing is throttled and locks the account', async () => {
+  const challengeToken = jwt.sign({ userId: 1, purpose: '2fa_challenge' }, process.env.JWT_SECRET, { expiresIn: '5m' });
+  const verify = () => request(server.url, 'POST', '/api/auth/2fa/verify', { body: { challengeToken, code: '000000' } });
+
+  state.failedAttempts = 4;
+  const locking = await verify();
+  assert.strictEqual(locking.status, 423);
+  assert.deepStrictEqual(loginAttempts(), ['invalid_2fa_code']);
+
+  state.lockedUntil = null;
+  state.twoFactorFailures = 5;
+  const throttled = await verify();
+  assert.strictEqual(throttled.status, 429);
+});
+
+test('disabling 2FA from a live session is throttled and locks the account', async () => {
+  const headers = { authorization: `Bearer ${jwt.sign({ userId: 1, sid: 20 }, process.env.JWT_SECRET, { expiresIn: '5m' })}` };
+  const disable = (password) => request(server.url, 'POST', '/api/auth/2fa/disable', { body: { password, code: '000000' }, headers });
+
+  const wrongPassword = await disable('wrong');
+  assert.strictEqual(wrongPassword.status, 401);
+
+  state.failedAttempts = 4;
+  const locking = await disable('secret123');
+  assert.strictEqual(locking.status, 423);
+  assert.deepStrictEqual(loginAttempts(), ['invalid_password', 'invalid_2fa_code']);
+
+  const locked = await disable('secret123');
+  assert.strictEqual(locked.status, 423);
+
+  state.lockedUntil = null;
+  state.twoFactorFailures = 5;
+  const throttled = await disable('secret123');
+  assert.strictEqual(throttled.status, 429);
+  assert.ok(!pool.ran(/SET twofactorenabled = false/));
+});
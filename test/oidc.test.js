@@ -0,0 +1,165 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createFakePool, startServer, request, profileRows } = require('./helpers');
+const { createMockOidcProvider } = require('../scripts/mockOidcProvider');
+const oidc = require('../utils/oidc');
+
+// New verified identities are provisioned into company 1
+process.env.OIDC_JIT_COMPANY_ID = '1';
+
+const authRoutes = require('../routes/auth');
+
+let idp;
+let server;
+let pool;
+let loginStates;
+let twoFactorEnabled;
+let takenNames;
+
+// The mock IdP signs in whoever login_hint names; linked-sub is already linked to user 1,
+// jane has no account yet
+before(async () => {
+  idp = http.createServer();
+  await new Promise(resolve => idp.listen(0, '127.0.0.1', resolve));
+
+  process.env.OIDC_ISSUER = `http://127.0.0.1:${idp.address().port}`;
+  process.env.OIDC_CLIENT_ID = 'bluemoon-test';
+  process.env.OIDC_CLIENT_SECRET = 'test-client-secret';
+
+  idp.on('request', createMockOidcProvider({
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    users: [{ sub: 'linked-sub', email: 'user1@example.com' }, { sub: 'new-sub', email: 'Jane@example.com' }]
+  }));
+
+  loginStates = [];
+  pool = createFakePool([
+    [/INSERT INTO oidcloginstates/, ([statehash, nonce, codeverifier, bindinghash]) => {
+      loginStates.push({ statehash, nonce, codeverifier, bindinghash, used: false });
+      return [];
+    }],
+    [/UPDATE oidcloginstates/, ([statehash, bindinghash]) => {
+      const pending = loginStates.find(s => s.statehash === statehash && s.bindinghash === bindinghash && !s.used);
+      if (!pending) return [];
+      pending.used = true;
+      return [{ nonce: pending.nonce, codeverifier: pending.codeverifier }];
+    }],
+    [/UPDATE useridentities/, ([, subject]) => (subject === 'linked-sub' ? [{ userid: 1 }] : [])],
+    [/SELECT LOWER\(username\) as name/, ([candidates]) => candidates.filter(name => takenNames.includes(name)).map(name => ({ name }))],
+    [/INSERT INTO users/, () => [{ userid: 5 }]],
+    [/SELECT twofactorenabled/, () => [{ twofactorenabled: twoFactorEnabled }]],
+    [/INSERT INTO authsessions/, () => [{ sessionid: 30 }]],
+    [/FROM users u/, () => profileRows(1, [{ companyId: 1, role: 'Admin' }])]
+  ]);
+  server = await startServer('/api/auth', authRoutes, pool);
+});
+
+after(async () => {
+  await server.close();
+  await new Promise(resolve => idp.close(resolve));
+});
+
+// Start a login, let the IdP sign the user in and return what the browser would post back
+const signIn = async (loginHint) => {
+  const authorize = await request(server.url, 'GET', '/api/auth/oidc/authorize');
+  assert.strictEqual(authorize.status, 200);
+
+  const cookie = authorize.headers.get('set-cookie').split(';')[0];
+  const authorizationUrl = new URL(authorize.body.authorizationUrl);
+  if (loginHint) authorizationUrl.searchParams.set('login_hint', loginHint);
+  const redirect = await fetch(authorizationUrl, { redirect: 'manual' });
+  const callbackUrl = new URL(redirect.headers.get('location'));
+
+  return {
+    cookie,
+    body: { code: callbackUrl.searchParams.get('code'), state: callbackUrl.searchParams.get('state') }
+  };
+};
+
+test('the OIDC client completes a code flow against the mock IdP', async () => {
+  const { codeVerifier, codeChallenge } = oidc.createPkcePair();
+  const authorizationUrl = await oidc.buildAuthorizationUrl({ state: 'state-1', nonce: 'nonce-1', codeChallenge });
+
+  const redirect = await fetch(authorizationUrl, { redirect: 'manual' });
+  const callbackUrl = new URL(redirect.headers.get('location'));
+  assert.strictEqual(callbackUrl.searchParams.get('state'), 'state-1');
+
+  const tokenSet = await oidc.exchangeCode(callbackUrl.searchParams.get('code'), codeVerifier);
+  const claims = await oidc.verifyIdToken(tokenSet.id_token, 'nonce-1');
+  assert.strictEqual(claims.sub, 'linked-sub');
+  assert.strictEqual(claims.email_verified, true);
+
+  await assert.rejects(oidc.verifyIdToken(tokenSet.id_token, 'another-nonce'), /nonce mismatch/);
+});
+
+test('codes need the matching PKCE verifier and work once', async () => {
+  const { codeVerifier, codeChallenge } = oidc.createPkcePair();
+  const redirect = await fetch(await oidc.buildAuthorizationUrl({ state: 's', nonce: 'n', codeChallenge }), { redirect: 'manual' });
+  const code = new URL(redirect.headers.get('location')).searchParams.get('code');
+
+  await assert.rejects(oidc.exchangeCode(code, oidc.createPkcePair().codeVerifier), /status 400/);
+  await assert.rejects(oidc.exchangeCode(code, codeVerifier), /status 400/);
+});
+
+test('an SSO login issues a session for the linked user', async () => {
+  twoFactorEnabled = false;
+  const { cookie, body } = await signIn();
+
+  const response = await request(server.url, 'POST', '/api/auth/oidc/callback', { body, headers: { cookie } });
+  assert.strictEqual(response.status, 200);
+  assert.ok(response.body.token);
+  assert.strictEqual(response.body.user.userId, 1);
+  assert.strictEqual(response.body.provisioned, false);
+
+  const replay = await request(server.url, 'POST', '/api/auth/oidc/callback', { body, headers: { cookie } });
+  assert.strictEqual(replay.status, 400);
+});
+
+test('the callback only completes in the browser that started the login', async () => {
+  twoFactorEnabled = false;
+  const victim = await signIn();
+  const attacker = await signIn();
+
+  const withoutCookie = await request(server.url, 'POST', '/api/auth/oidc/callback', { body: attacker.body });
+  assert.strictEqual(withoutCookie.status, 400);
+
+  const wrongCookie = await request(server.url, 'POST', '/api/auth/oidc/callback', { body: attacker.body, headers: { cookie: victim.cookie } });
+  assert.strictEqual(wrongCookie.status, 400);
+  assert.deepStrictEqual(wrongCookie.body, { error: 'Invalid or expired login state' });
+});
+
+test('SSO logins still ask for local 2FA', async () => {
+  twoFactorEnabled = true;
+  const { cookie, body } = await signIn();
+
+  const response = await request(server.url, 'POST', '/api/auth/oidc/callback', { body, headers: { cookie } });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.twoFactorRequired, true);
+  assert.ok(response.body.challengeToken);
+  assert.strictEqual(response.body.token, undefined);
+});
+
+test('just-in-time users get a username nobody else holds', async () => {
+  twoFactorEnabled = false;
+  takenNames = ['jane@example.com', 'jane', 'jane2'];
+  const { cookie, body } = await signIn('new-sub');
+
+  const response = await request(server.url, 'POST', '/api/auth/oidc/callback', { body, headers: { cookie } });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.provisioned, true);
+
+  const insert = pool.queries.find(q => /INSERT INTO users/.test(q.sql));
+  assert.deepStrictEqual(insert.params.slice(0, 2), ['jane3', 'jane@example.com']);
+});
+
+test('a just-in-time login with no free username is refused with a clear error', async () => {
+  twoFactorEnabled = false;
+  takenNames = ['jane@example.com', 'jane', ...Array.from({ length: 98 }, (_, i) => `jane${i + 2}`)];
+  const { cookie, body } = await signIn('new-sub');
+
+  const response = await request(server.url, 'POST', '/api/auth/oidc/callback', { body, headers: { cookie } });
+  assert.strictEqual(response.status, 409);
+  assert.match(response.body.error, /username/);
+});
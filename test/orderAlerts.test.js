@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createFakePool } = require('./helpers');
+const { raiseOrderDeadlineAlerts, emailOrderDeadlineAlerts, parseSnooze } = require('../utils/orderAlerts');
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+test('new alerts are posted to the order\'s communications, missed ones with high priority', async () => {
+  const pool = createFakePool([
+    [/INSERT INTO orderalerts/, () => [
+      { alertid: 1, orderid: 12, alerttype: 'missed', duedate: '2025-03-01' },
+      { alertid: 2, orderid: 13, alerttype: 'upcoming', duedate: '2025-03-09' }
+    ]],
+    [/INSERT INTO communications/, ([orderId]) => [{ communicationid: orderId * 10 }]],
+    [/SET resolvedat = NOW\(\)/, () => ({ rows: [], rowCount: 4 })]
+  ]);
+
+  assert.deepStrictEqual(await raiseOrderDeadlineAlerts(pool, 'shipwindowend'), { created: 2, resolved: 4 });
+
+  const insert = pool.queries.find(q => /INSERT INTO orderalerts/.test(q.sql));
+  assert.match(insert.sql, /o\.shipwindowend::date/);
+  assert.deepStrictEqual(insert.params[3], ['Shipped', 'Arrived', 'Completed', 'Cancelled']);
+
+  const posts = pool.queries.filter(q => /INSERT INTO communications/.test(q.sql)).map(q => q.params);
+  assert.deepStrictEqual(posts, [
+    [12, 'Missed: Ship window closes 2025-03-01', 'Ship window closes date 2025-03-01 has passed.', 'high'],
+    [13, 'Upcoming: Ship window closes 2025-03-09', 'Ship window closes date 2025-03-09 is coming up.', 'normal']
+  ]);
+  assert.deepStrictEqual(pool.queries.filter(q => /SET communicationid/.test(q.sql)).map(q => q.params), [[1, 120], [2, 130]]);
+});
+
+test('each owner gets one digest of their alerts, which are then marked as emailed', async () => {
+  const pool = createFakePool([
+    [/FROM orderalerts a/, () => [
+      { alertid: 1, datefield: 'followupdate', alerttype: 'missed', duedate: '2025-03-01', ordernumber: 'PO-1', userid: 1, email: 'ann@example.com', firstname: 'Ann' },
+      { alertid: 2, datefield: 'requiredinstore', alerttype: 'upcoming', duedate: '2025-03-09', ordernumber: 'PO-2', userid: 1, email: 'ann@example.com', firstname: 'Ann' },
+      { alertid: 3, datefield: 'followupdate', alerttype: 'upcoming', duedate: '2025-03-05', ordernumber: 'PO-3', userid: 2, email: 'bob@example.com', username: 'bob' }
+    ]]
+  ]);
+  const sent = [];
+  const transporter = { sendMail: async (mail) => { sent.push(mail); } };
+
+  assert.strictEqual(await emailOrderDeadlineAlerts(pool, transporter), 3);
+  assert.deepStrictEqual(sent.map(mail => [mail.to, mail.subject]), [
+    ['ann@example.com', '2 order deadlines need your attention'],
+    ['bob@example.com', '1 order deadline needs your attention']
+  ]);
+  assert.match(sent[0].html, /PO-1/);
+  assert.match(sent[0].html, /Required in store/);
+  assert.deepStrictEqual(pool.queries.filter(q => /SET emailedat/.test(q.sql)).map(q => q.params[0]), [[1, 2], [3]]);
+});
+
+test('alerts whose email fails stay un-emailed for the next run', async () => {
+  const pool = createFakePool([
+    [/FROM orderalerts a/, () => [{ alertid: 1, datefield: 'followupdate', alerttype: 'missed', duedate: '2025-03-01', ordernumber: 'PO-1', userid: 1, email: 'ann@example.com' }]]
+  ]);
+  const transporter = { sendMail: async () => { throw new Error('SMTP down'); } };
+
+  assert.strictEqual(await emailOrderDeadlineAlerts(pool, transporter), 0);
+  assert.ok(!pool.ran(/SET emailedat/));
+});
+
+test('alerts are snoozed until a future time or for some hours, up to 30 days', () => {
+  const until = hoursFromNow(24);
+  assert.deepStrictEqual(parseSnooze({ until: until.toISOString() }), { snoozeUntil: until });
+
+  const { snoozeUntil } = parseSnooze({ hours: '2' });
+  assert.ok(Math.abs(snoozeUntil - hoursFromNow(2)) < 1000);
+
+  assert.deepStrictEqual(parseSnooze({}), { error: 'Provide either until (a date/time) or hours (a positive number)' });
+  assert.deepStrictEqual(parseSnooze({ until: until.toISOString(), hours: 2 }), { error: 'Provide either until (a date/time) or hours (a positive number)' });
+  assert.deepStrictEqual(parseSnooze({ hours: -1 }), { error: 'Provide either until (a date/time) or hours (a positive number)' });
+  assert.deepStrictEqual(parseSnooze({ until: 'tomorrow' }), { error: 'Snooze must end in the future' });
+  assert.deepStrictEqual(parseSnooze({ until: hoursFromNow(-1).toISOString() }), { error: 'Snooze must end in the future' });
+  assert.deepStrictEqual(parseSnooze({ hours: 31 * 24 }), { error: 'Alerts can be snoozed for at most 30 days' });
+});
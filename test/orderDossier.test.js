@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { selectDossierSections, summarizeDossier } = require('../utils/orderDossier');
+
+const sections = {
+  lines: { permission: 'orders.read' },
+  poInvoices: { permission: 'invoices.read' },
+  bookings: { permission: 'bookings.read' }
+};
+const days = (n) => new Date(Date.now() + n * 86400000).toISOString();
+
+test('by default the dossier has every section the caller may read and names the rest', () => {
+  assert.deepStrictEqual(selectDossierSections(undefined, sections, ['orders.read', 'bookings.read']),
+    { included: ['lines', 'bookings'], omitted: ['poInvoices'] });
+});
+
+test('include picks sections once each, in the order given', () => {
+  assert.deepStrictEqual(selectDossierSections('bookings, lines,bookings', sections, ['orders.read', 'bookings.read']),
+    { included: ['bookings', 'lines'], omitted: [] });
+});
+
+test('unknown sections and sections the caller may not read are refused', () => {
+  assert.deepStrictEqual(selectDossierSections('lines,notes,constructor', sections, ['orders.read']), { unknown: ['notes', 'constructor'] });
+  assert.deepStrictEqual(selectDossierSections('lines,poInvoices', sections, ['orders.read']), { denied: 'poInvoices' });
+});
+
+test('line, invoice and booking roll-ups add up values per currency and the unbooked quantity', () => {
+  const summary = summarizeDossier({
+    lines: [{ quantity: 10, unitprice: '2.50' }, { quantity: 5, unitprice: '0.10' }, { quantity: null, unitprice: null }],
+    poInvoices: [{ currency: 'USD', foreignvalue: '100.10', randamount: '1800' }, { currency: 'EUR', foreignvalue: '50' }, { currency: 'USD', foreignvalue: '0.2' }],
+    bookings: [{ bookedqty: 4 }, { bookedqty: '3' }]
+  }, ['lines', 'poInvoices', 'bookings']);
+
+  assert.deepStrictEqual(summary, {
+    lines: { lineCount: 3, totalQuantity: 15, totalValue: 25.5 },
+    poInvoices: { invoiceCount: 3, foreignValueByCurrency: { USD: 100.3, EUR: 50 }, randAmount: 1800 },
+    bookings: { bookingCount: 2, bookedQuantity: 7, unbookedQuantity: 8 }
+  });
+});
+
+test('milestone progress counts completed and overdue milestones and the next one due', () => {
+  const { milestones } = summarizeDossier({
+    milestones: [
+      { milestoneid: 1, title: 'Booked', status: 'completed', duedate: days(-10) },
+      { milestoneid: 2, title: 'Shipped', status: 'pending', duedate: days(-1) },
+      { milestoneid: 3, title: 'Arrived', status: 'pending', duedate: days(5) },
+      { milestoneid: 4, title: 'Cleared', status: 'pending', duedate: null }
+    ]
+  }, ['milestones']);
+
+  assert.deepStrictEqual({ ...milestones, next: milestones.next.milestoneid }, { total: 4, completed: 1, percentComplete: 25, overdue: 1, next: 2 });
+  assert.deepStrictEqual(summarizeDossier({ milestones: [] }, ['milestones']).milestones,
+    { total: 0, completed: 0, percentComplete: 0, overdue: 0, next: null });
+});
+
+test('only included sections are summarised', () => {
+  assert.deepStrictEqual(Object.keys(summarizeDossier({ bookings: [] }, ['bookings'])), ['bookings']);
+  assert.strictEqual(summarizeDossier({ bookings: [] }, ['bookings']).bookings.unbookedQuantity, undefined);
+});
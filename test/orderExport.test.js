@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Writable } = require('stream');
+const ExcelJS = require('exceljs');
+const { ListQueryError } = require('../utils/listQuery');
+const { SpreadsheetError, createSpreadsheetWriter } = require('../utils/spreadsheet');
+const {
+  ORDER_EXPORT_COLUMNS,
+  ORDER_LINE_EXPORT_COLUMNS,
+  ORDER_EXPORT_DEFAULT_COLUMNS,
+  ORDER_LINE_EXPORT_DEFAULT_COLUMNS,
+  parseExportColumns
+} = require('../utils/orderExport');
+
+// Collects what a writer sends to the HTTP response
+const createDownload = () => {
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    }
+  });
+  res.headers = {};
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.body = () => Buffer.concat(chunks);
+  return res;
+};
+
+const finished = (res) => new Promise(resolve => res.once('finish', resolve));
+
+test('exports use the default columns unless others are listed, in the order given', () => {
+  assert.deepStrictEqual(parseExportColumns(undefined, ORDER_EXPORT_COLUMNS, ORDER_EXPORT_DEFAULT_COLUMNS).map(c => c.key),
+    ORDER_EXPORT_DEFAULT_COLUMNS);
+  assert.deepStrictEqual(parseExportColumns(' exporter, ordernumber ,', ORDER_EXPORT_COLUMNS, ORDER_EXPORT_DEFAULT_COLUMNS), [
+    { key: 'exporter', header: 'Exporter', sql: 'o.exporter', type: 'string' },
+    { key: 'ordernumber', header: 'Order Number', sql: 'o.ordernumber', type: 'string' }
+  ]);
+});
+
+test('only catalogued columns can be exported', () => {
+  for (const columns of ['ordernumber,userid', 'constructor', 'partnumber']) {
+    assert.throws(() => parseExportColumns(columns, ORDER_EXPORT_COLUMNS, ORDER_EXPORT_DEFAULT_COLUMNS), ListQueryError, columns);
+  }
+  assert.strictEqual(parseExportColumns('partnumber', ORDER_LINE_EXPORT_COLUMNS, ORDER_LINE_EXPORT_DEFAULT_COLUMNS)[0].sql, 'ol.partnumber');
+});
+
+test('every column has a Title Case header, a known type and a catalogued default', () => {
+  for (const [key, column] of Object.entries(ORDER_LINE_EXPORT_COLUMNS)) {
+    assert.match(column.header, /^[A-Z][A-Za-z]*( [A-Z][A-Za-z]*)*$/, key);
+    assert.ok(['string', 'date', 'integer', 'number'].includes(column.type), key);
+  }
+  assert.ok(ORDER_EXPORT_DEFAULT_COLUMNS.every(key => ORDER_EXPORT_COLUMNS[key]));
+  assert.ok(ORDER_LINE_EXPORT_DEFAULT_COLUMNS.every(key => ORDER_LINE_EXPORT_COLUMNS[key]));
+});
+
+test('CSV downloads quote special characters and defuse formulas', async () => {
+  const res = createDownload();
+  const columns = [{ header: 'Order Number', type: 'string' }, { header: 'Packs', type: 'integer' }, { header: 'Order Date', type: 'date' }];
+  const writer = await createSpreadsheetWriter(res, 'csv', columns, 'orders-2025-03-01');
+  await writer.writeRow(['PO "1", A', -3, '2025-03-01']);
+  await writer.writeRow(['=HYPERLINK("x")', null, null]);
+  await writer.end();
+
+  assert.strictEqual(res.headers['Content-Type'], 'text/csv; charset=utf-8');
+  assert.strictEqual(res.headers['Content-Disposition'], 'attachment; filename="orders-2025-03-01.csv"');
+  assert.strictEqual(res.body().toString('utf8'),
+    '\uFEFFOrder Number,Packs,Order Date\r\n"PO ""1"", A",-3,2025-03-01\r\n"\'=HYPERLINK(""x"")",,\r\n');
+});
+
+test('XLSX downloads have typed date and number cells', async () => {
+  const res = createDownload();
+  const columns = [{ header: 'Order Date', type: 'date' }, { header: 'Unit Price', type: 'number' }, { header: 'Order Number', type: 'string' }];
+  const writer = await createSpreadsheetWriter(res, 'xlsx', columns, 'orders');
+  await writer.writeRow(['2025-03-01', '12.50', 1001]);
+  await Promise.all([writer.end(), finished(res)]);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(res.body());
+  const row = workbook.worksheets[0].getRow(2);
+  assert.deepStrictEqual(workbook.worksheets[0].getRow(1).values.slice(1), ['Order Date', 'Unit Price', 'Order Number']);
+  assert.deepStrictEqual(row.getCell(1).value, new Date('2025-03-01T00:00:00.000Z'));
+  assert.strictEqual(row.getCell(2).value, 12.5);
+  assert.strictEqual(row.getCell(3).value, '1001');
+});
+
+test('writing stops once the client has gone', async () => {
+  const res = createDownload();
+  const writer = await createSpreadsheetWriter(res, 'csv', [{ header: 'Order Number', type: 'string' }], 'orders');
+  res.destroy();
+  await new Promise(resolve => res.once('close', resolve));
+  await assert.rejects(writer.writeRow(['PO-1']), SpreadsheetError);
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createFakePool } = require('./helpers');
+const { diffSnapshots, recordOrderHistory, recordLineChanges } = require('../utils/orderHistory');
+
+const historyPool = () => createFakePool([[/INSERT INTO orderhistory/, () => [{ version: 3 }]]]);
+const inserts = (pool) => pool.queries.filter(q => /INSERT INTO orderhistory/.test(q.sql));
+const req = { user: { userId: 1 } };
+
+test('diffs list every changed field with its old and new value', () => {
+  assert.deepStrictEqual(
+    diffSnapshots(
+      { orderid: 1, exporter: 'Acme', packs: 2, shipwindowstart: '2025-01-01', updatedat: 'a', rowversion: 1 },
+      { orderid: 1, exporter: 'Globex', packs: 2, shipwindowstart: null, updatedat: 'b', rowversion: 2 }
+    ),
+    { exporter: { old: 'Acme', new: 'Globex' }, shipwindowstart: { old: '2025-01-01', new: null } }
+  );
+});
+
+test('creates and deletes diff against nothing, and missing fields count as null', () => {
+  assert.deepStrictEqual(diffSnapshots(null, { lineid: 4, quantity: 2 }), {
+    lineid: { old: null, new: 4 },
+    quantity: { old: null, new: 2 }
+  });
+  assert.deepStrictEqual(diffSnapshots({ quantity: 2 }, null), { quantity: { old: 2, new: null } });
+  assert.deepStrictEqual(diffSnapshots({ note: null }, {}), {});
+});
+
+test('a version records the diff, the resulting row and who made the change', async () => {
+  const pool = historyPool();
+  const version = await recordOrderHistory(pool, { user: { userId: 1, apiKeyId: 7, impersonatedBy: 9 } }, {
+    orderId: 12, action: 'update', before: { exporter: 'Acme' }, after: { exporter: 'Globex' }, note: 'renamed'
+  });
+
+  assert.strictEqual(version, 3);
+  assert.ok(pool.ran(/pg_advisory_xact_lock/));
+  assert.deepStrictEqual(inserts(pool)[0].params, [
+    12, 'order', 12, 'update', JSON.stringify({ exporter: { old: 'Acme', new: 'Globex' } }),
+    JSON.stringify({ exporter: 'Globex' }), 'renamed', 1, 7, 9
+  ]);
+});
+
+test('updates that change nothing are not recorded', async () => {
+  const pool = historyPool();
+  const version = await recordOrderHistory(pool, req, {
+    orderId: 12, action: 'update', before: { exporter: 'Acme', updatedat: 'a' }, after: { exporter: 'Acme', updatedat: 'b' }
+  });
+
+  assert.strictEqual(version, null);
+  assert.strictEqual(pool.queries.length, 0);
+});
+
+test('deletes keep the last state of the row as their snapshot', async () => {
+  const pool = historyPool();
+  await recordOrderHistory(pool, req, { orderId: 12, action: 'delete', before: { exporter: 'Acme' }, after: null });
+  assert.strictEqual(inserts(pool)[0].params[5], JSON.stringify({ exporter: 'Acme' }));
+});
+
+test('line changes are recorded per line as create, update or delete', async () => {
+  const pool = historyPool();
+  const before = new Map([[1, { lineid: 1, quantity: 5 }], [2, { lineid: 2, quantity: 3 }], [3, { lineid: 3, quantity: 1 }]]);
+  const after = new Map([[1, { lineid: 1, quantity: 4 }], [3, { lineid: 3, quantity: 1 }], [4, { lineid: 4, quantity: 1 }]]);
+
+  await recordLineChanges(pool, req, 12, before, after, 'split');
+
+  assert.deepStrictEqual(inserts(pool).map(q => [q.params[1], q.params[2], q.params[3], q.params[6]]), [
+    ['orderline', 1, 'update', 'split'],
+    ['orderline', 2, 'delete', 'split'],
+    ['orderline', 4, 'create', 'split']
+  ]);
+});
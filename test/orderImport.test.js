@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseImportMapping, buildImportOrders } = require('../utils/orderImport');
+
+const columns = {
+  orderColumns: ['ordernumber', 'exporter', 'orderstatus', 'orderdate', 'packs'],
+  dateColumns: ['orderdate'],
+  parseDate: (text) => (/^\d{4}-\d{2}-\d{2}$/.test(text) ? new Date(text) : null)
+};
+
+const { mapping } = parseImportMapping({ PO: 'ordernumber', Supplier: 'order.exporter', Date: 'orderdate', Part: 'line.partnumber', Qty: 'line.quantity' }, columns);
+const row = (rowNumber, values) => ({ rowNumber, values });
+
+test('mappings are objects or source/target pairs onto order and line fields', () => {
+  assert.deepStrictEqual(mapping.map(m => m.target), ['ordernumber', 'exporter', 'orderdate', 'line.partnumber', 'line.quantity']);
+  assert.deepStrictEqual(parseImportMapping([{ source: 'PO', target: 'ordernumber' }, { source: 'Notes', target: '' }], columns),
+    { mapping: [{ source: 'PO', target: 'ordernumber' }] });
+});
+
+test('mappings onto unknown or repeated fields, or without an order number, are rejected', () => {
+  assert.deepStrictEqual(parseImportMapping('ordernumber', columns), { error: 'Mapping must be an object or an array of { source, target }' });
+  assert.deepStrictEqual(parseImportMapping({ PO: 'ordernumber', Owner: 'userid' }, columns), { error: "Cannot import into 'userid'" });
+  assert.deepStrictEqual(parseImportMapping({ PO: 'ordernumber', Status: 'line.linestatus' }, columns), { error: "Cannot import into 'line.linestatus'" });
+  assert.deepStrictEqual(parseImportMapping({ PO: 'ordernumber', Ref: 'order.ordernumber' }, columns),
+    { error: "More than one column is mapped to 'ordernumber'" });
+  assert.deepStrictEqual(parseImportMapping({ Supplier: 'exporter' }, columns), { error: 'The mapping must map a column to ordernumber' });
+});
+
+test('rows with the same order number become one order with a line per row', () => {
+  const { orders, errors } = buildImportOrders([
+    row(2, { PO: 'PO-1', Supplier: 'Acme', Date: '2025-03-01', Part: 'A1', Qty: '10' }),
+    row(3, { PO: 'PO-1', Supplier: '', Date: '', Part: 'A2', Qty: '5' }),
+    row(5, { PO: 'PO-2', Supplier: 'Globex', Date: '', Part: '', Qty: '' })
+  ], mapping, columns);
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(orders, [
+    { rowNumber: 2, fields: { ordernumber: 'PO-1', exporter: 'Acme', orderdate: '2025-03-01' }, lines: [{ partnumber: 'A1', quantity: 10 }, { partnumber: 'A2', quantity: 5 }] },
+    { rowNumber: 5, fields: { ordernumber: 'PO-2', exporter: 'Globex' }, lines: [] }
+  ]);
+});
+
+test('invalid cells are reported with their file row and column', () => {
+  const { orders, errors } = buildImportOrders([
+    row(2, { PO: 'PO-1', Supplier: 'Acme', Date: '1 March', Part: 'A1', Qty: '2.5' }),
+    row(3, { PO: '', Supplier: 'Acme', Date: '', Part: 'A2', Qty: '1' })
+  ], mapping, columns);
+
+  assert.deepStrictEqual(orders, []);
+  assert.deepStrictEqual(errors, [
+    { row: 2, column: 'Date', field: 'orderdate', error: "'1 March' is not a valid date" },
+    { row: 2, column: 'Qty', field: 'line.quantity', error: "'2.5' is not a whole number" },
+    { row: 3, column: 'PO', field: 'ordernumber', error: 'ordernumber is required' }
+  ]);
+});
+
+test('only creatable statuses can be imported', () => {
+  const statusMapping = parseImportMapping({ PO: 'ordernumber', Status: 'orderstatus' }, columns).mapping;
+  const { errors } = buildImportOrders([row(2, { PO: 'PO-1', Status: 'Delivered' })], statusMapping, columns);
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].field, 'orderstatus');
+});
+
+test('later rows of an order may not contradict its first row', () => {
+  const { orders, errors } = buildImportOrders([
+    row(2, { PO: 'PO-1', Supplier: 'Acme', Date: '', Part: 'A1', Qty: '1' }),
+    row(3, { PO: 'PO-1', Supplier: 'Globex', Date: '', Part: 'A2', Qty: '1' })
+  ], mapping, columns);
+
+  assert.deepStrictEqual(errors, [{ row: 3, column: 'Supplier', field: 'exporter', error: 'Differs from row 2 of order PO-1' }]);
+  assert.strictEqual(orders[0].lines.length, 1);
+});
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ListQueryError } = require('../utils/listQuery');
+const { orderListConditions } = require('../utils/orderLifecycle');
+
+test('order lists leave out deleted and archived orders by default', () => {
+  const [scope, ...filters] = orderListConditions({});
+  assert.match(scope, /o\.deletedat IS NULL/);
+  assert.deepStrictEqual(filters, ['o.archivedat IS NULL']);
+});
+
+test('archived orders can be included or listed on their own', () => {
+  assert.deepStrictEqual(orderListConditions({ archived: 'include' }).slice(1), []);
+  assert.deepStrictEqual(orderListConditions({ archived: 'only' }).slice(1), ['o.archivedat IS NOT NULL']);
+});
+
+test('the trash lists deleted orders whether or not they were archived', () => {
+  const [scope, ...filters] = orderListConditions({ deleted: 'only' });
+  assert.doesNotMatch(scope, /deletedat/);
+  assert.deepStrictEqual(filters, ['o.deletedat IS NOT NULL']);
+  assert.deepStrictEqual(orderListConditions({ deleted: 'only', archived: 'exclude' }).slice(1),
+    ['o.deletedat IS NOT NULL', 'o.archivedat IS NULL']);
+});
+
+test('unknown lifecycle filters are client errors', () => {
+  for (const query of [{ deleted: 'include' }, { deleted: ['only', 'only'] }, { archived: 'all' }, { archived: ['only'] }]) {
+    assert.throws(() => orderListConditions(query), ListQueryError, JSON.stringify(query));
+  }
+});
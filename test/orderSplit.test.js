@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { planOrderSplit } = require('../utils/orderSplit');
+
+// Lines 1 and 2 are billed on invoice 10, line 3 on nothing, line 4 has no quantity
+const lines = [
+  { lineid: 1, quantity: 10, poinvoiceid: 10 },
+  { lineid: 2, quantity: 5, poinvoiceid: 10 },
+  { lineid: 3, quantity: 8, poinvoiceid: null },
+  { lineid: 4, quantity: null, poinvoiceid: null }
+];
+
+test('lines move whole or are partitioned down to what the parent holds', () => {
+  assert.deepStrictEqual(planOrderSplit(lines, [
+    { lines: [{ lineid: 3, quantity: 5 }] },
+    { lines: [{ lineid: 3, quantity: 3 }, { lineid: 4 }] }
+  ]), { invoiceIds: [[], []] });
+
+  assert.deepStrictEqual(planOrderSplit(lines, [{ lines: [{ lineid: 3, quantity: 9 }] }]),
+    { error: 'Invalid quantity for order line 3 (8 available)' });
+  assert.deepStrictEqual(planOrderSplit(lines, [{ lines: [{ lineid: 3, quantity: 5 }] }, { lines: [{ lineid: 3, quantity: 4 }] }]),
+    { error: 'Invalid quantity for order line 3 (3 available)' });
+
+  for (const quantity of [0, -1, 'abc']) {
+    assert.ok(planOrderSplit(lines, [{ lines: [{ lineid: 3, quantity }] }]).error, `quantity ${quantity}`);
+  }
+
+  // A line without a quantity can only move whole
+  assert.ok(planOrderSplit(lines, [{ lines: [{ lineid: 4, quantity: 1 }] }]).error);
+});
+
+test('a line cannot move whole once part of it went elsewhere, or move twice', () => {
+  assert.deepStrictEqual(planOrderSplit(lines, [{ lines: [{ lineid: 3, quantity: 2 }] }, { lines: [{ lineid: 3 }] }]),
+    { error: 'Order line 3 is already partly allocated to another split' });
+  assert.ok(planOrderSplit(lines, [{ lines: [{ lineid: 3 }] }, { lines: [{ lineid: 3 }] }]).error);
+});
+
+test('lines, invoices and booking links must belong to exactly one split', () => {
+  assert.deepStrictEqual(planOrderSplit(lines, [{ lines: [{ lineid: 99 }] }]),
+    { error: 'Order line 99 does not belong to this order' });
+  assert.deepStrictEqual(planOrderSplit(lines, [
+    { lines: [{ lineid: 3, quantity: 1 }], poinvoiceIds: [20] },
+    { lines: [{ lineid: 3, quantity: 1 }], poinvoiceIds: ['20'] }
+  ]), { error: 'Invoice 20 is assigned to more than one split' });
+  assert.deepStrictEqual(planOrderSplit(lines, [
+    { lines: [{ lineid: 3, quantity: 1 }], bookingLinkIds: [7] },
+    { lines: [{ lineid: 3, quantity: 1 }], bookingLinkIds: [7] }
+  ]), { error: 'Booking link 7 is assigned to more than one split' });
+});
+
+test('an invoice follows its lines when they all move to one split', () => {
+  assert.deepStrictEqual(planOrderSplit(lines, [
+    { lines: [{ lineid: 3 }] },
+    { lines: [{ lineid: 1 }, { lineid: 2 }] }
+  ]), { invoiceIds: [[], [10]] });
+
+  // Allocating a line down to nothing also takes it off the parent
+  assert.deepStrictEqual(planOrderSplit(lines, [{ lines: [{ lineid: 1, quantity: 10 }, { lineid: 2 }] }]),
+    { invoiceIds: [[10]] });
+});
+
+test('an invoice whose lines would end up on different orders is rejected', () => {
+  assert.deepStrictEqual(planOrderSplit(lines, [{ lines: [{ lineid: 1 }] }]),
+    { error: 'The lines of invoice 10 would end up on different orders' });
+
+  // Partitioning a billed line leaves part of it, and so the invoice, on the parent
+  assert.deepStrictEqual(planOrderSplit(lines, [{ lines: [{ lineid: 1, quantity: 4 }, { lineid: 2 }] }]),
+    { error: 'The lines of invoice 10 would end up on different orders' });
+});
+
+test('an invoice may not be sent away from the order holding its lines', () => {
+  assert.deepStrictEqual(planOrderSplit(lines, [{ lines: [{ lineid: 3 }], poinvoiceIds: [10] }]),
+    { error: 'Invoice 10 must move with its order lines' });
+  assert.deepStrictEqual(planOrderSplit(lines, [
+    { lines: [{ lineid: 1 }, { lineid: 2 }] },
+    { lines: [{ lineid: 3 }], poinvoiceIds: [10] }
+  ]), { error: 'Invoice 10 must move with its order lines' });
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createFakePool } = require('./helpers');
+const {
+  ORDER_STATUSES,
+  ORDER_STATUS_TRANSITIONS,
+  orderCreateStatusError,
+  allowedOrderTransitions,
+  checkOrderStatusChange
+} = require('../utils/orderStatus');
+
+// History lookup for On Hold: the status the order was held from, if recorded
+const historyPool = (heldFrom) => createFakePool([[/FROM orderhistory/, () => (heldFrom === undefined ? [] : [{ heldfrom: heldFrom }])]]);
+
+test('orders move forward one step, can be cancelled until shipped and never leave a final status', async () => {
+  const pool = historyPool();
+
+  assert.deepStrictEqual(await allowedOrderTransitions(pool, 1, 'Draft'), ['Confirmed', 'Cancelled', 'On Hold']);
+  assert.ok(!(await allowedOrderTransitions(pool, 1, 'Shipped')).includes('Cancelled'));
+  assert.deepStrictEqual(await allowedOrderTransitions(pool, 1, 'Completed'), []);
+  assert.deepStrictEqual(await allowedOrderTransitions(pool, 1, 'Cancelled'), []);
+  assert.strictEqual(pool.queries.length, 0);
+
+  for (const status of ORDER_STATUSES) {
+    for (const next of ORDER_STATUS_TRANSITIONS[status]) {
+      assert.ok(ORDER_STATUSES.includes(next), `${status} -> ${next}`);
+    }
+  }
+});
+
+test('free-text statuses from before the workflow may move to any status', async () => {
+  assert.deepStrictEqual(await allowedOrderTransitions(historyPool(), 1, 'Open'), ORDER_STATUSES);
+});
+
+test('On Hold resumes to the status it was held from', async () => {
+  const pool = historyPool('Ready');
+  assert.deepStrictEqual(await allowedOrderTransitions(pool, 7, 'On Hold'), ['Ready', 'Cancelled']);
+  assert.deepStrictEqual(pool.queries[0].params, [7, 'On Hold']);
+
+  // Held after shipping: it can only resume, not be cancelled
+  assert.deepStrictEqual(await allowedOrderTransitions(historyPool('Shipped'), 7, 'On Hold'), ['Shipped']);
+});
+
+test('On Hold without a usable history falls back to the full list', async () => {
+  for (const heldFrom of [undefined, null, 'On Hold', 'Open']) {
+    assert.deepStrictEqual(await allowedOrderTransitions(historyPool(heldFrom), 7, 'On Hold'), ORDER_STATUS_TRANSITIONS['On Hold']);
+  }
+});
+
+test('checkOrderStatusChange answers 400 for unknown statuses and 409 for illegal moves', async () => {
+  assert.strictEqual(await checkOrderStatusChange(historyPool(), 3, 'Draft', 'Draft'), null);
+  assert.strictEqual(await checkOrderStatusChange(historyPool(), 3, 'Draft', 'Confirmed'), null);
+
+  const unknown = await checkOrderStatusChange(historyPool(), 3, 'Draft', 'Lost');
+  assert.strictEqual(unknown.status, 400);
+  assert.deepStrictEqual(unknown.body.allowedStatuses, ORDER_STATUSES);
+
+  const skipped = await checkOrderStatusChange(historyPool(), '3', 'Draft', 'Shipped');
+  assert.strictEqual(skipped.status, 409);
+  assert.strictEqual(skipped.body.code, 'INVALID_STATUS_TRANSITION');
+  assert.strictEqual(skipped.body.orderId, 3);
+  assert.deepStrictEqual(skipped.body.allowedStatuses, ['Confirmed', 'Cancelled', 'On Hold']);
+
+  const final = await checkOrderStatusChange(historyPool(), 3, 'Completed', 'Draft');
+  assert.match(final.body.error, /it is final/);
+
+  const wrongResume = await checkOrderStatusChange(historyPool('Confirmed'), 3, 'On Hold', 'Arrived');
+  assert.strictEqual(wrongResume.status, 409);
+  assert.deepStrictEqual(wrongResume.body.allowedStatuses, ['Confirmed', 'Cancelled']);
+});
+
+test('new orders explain why they cannot start in a later status', () => {
+  assert.match(orderCreateStatusError('Shipped'), /cannot start as Shipped; create the order as Draft/);
+  assert.match(orderCreateStatusError('Lost'), /is not an order status/);
+});
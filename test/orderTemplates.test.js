@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createFakePool } = require('./helpers');
+const { validateOrderTemplate, findOrderTemplate, isTemplateNameTaken } = require('../utils/orderTemplates');
+
+const templateColumns = ['exporter', 'incoterm', 'currency'];
+const validate = (body, requireName = true) => validateOrderTemplate(body, { requireName, templateColumns });
+
+test('templates need a name when created, and a valid one whenever it is given', () => {
+  assert.strictEqual(validate({ name: 'Spring range', fields: { exporter: 'Acme' }, lines: [{ partnumber: 'A1', quantity: 2 }] }), null);
+  for (const name of [undefined, '  ', 42, 'x'.repeat(256)]) {
+    assert.strictEqual(validate({ name }), 'name is required (up to 255 characters)');
+  }
+
+  assert.strictEqual(validate({ fields: { incoterm: 'FOB' } }, false), null);
+  assert.strictEqual(validate({ name: '' }, false), 'name is required (up to 255 characters)');
+});
+
+test('templates only preset the allowed order columns', () => {
+  assert.strictEqual(validate({ name: 't', fields: { ordernumber: 'PO-1' } }), "Templates cannot set 'ordernumber'");
+  assert.strictEqual(validate({ name: 't', fields: ['exporter'] }), 'fields must be an object');
+  assert.strictEqual(validate({ name: 't', fields: null }), 'fields must be an object');
+});
+
+test('template lines are objects with line input columns only', () => {
+  assert.strictEqual(validate({ name: 't', lines: { partnumber: 'A1' } }), 'lines must be an array of objects');
+  assert.strictEqual(validate({ name: 't', lines: ['A1'] }), 'lines must be an array of objects');
+  assert.strictEqual(validate({ name: 't', lines: [{ partnumber: 'A1', linestatus: 'Shipped' }] }), "Template lines cannot set 'linestatus'");
+});
+
+test('templates are only found in the active company and by numeric id', async () => {
+  const pool = createFakePool([[/FROM ordertemplates/, ([id, companyIds]) => (id === 5 && companyIds.includes(1) ? [{ templateid: 5 }] : [])]]);
+
+  assert.deepStrictEqual(await findOrderTemplate(pool, { companyId: 1 }, '5'), { templateid: 5 });
+  assert.strictEqual(await findOrderTemplate(pool, { companyId: 2 }, '5'), null);
+  assert.strictEqual(await findOrderTemplate(pool, { companyId: 1 }, 'abc'), null);
+  assert.strictEqual(pool.queries.length, 2);
+});
+
+test('template names are unique per company ignoring case, except for the template itself', async () => {
+  const pool = createFakePool([[/FROM ordertemplates/, ([companyId, name, exceptId]) =>
+    (companyId === 1 && name.toLowerCase() === 'spring range' && exceptId !== 5 ? [{ '?column?': 1 }] : [])]]);
+
+  assert.strictEqual(await isTemplateNameTaken(pool, 1, ' Spring Range '), true);
+  assert.strictEqual(await isTemplateNameTaken(pool, 2, 'Spring Range'), false);
+  assert.strictEqual(await isTemplateNameTaken(pool, 1, 'Spring Range', 5), false);
+  assert.strictEqual(pool.queries[0].params[1], 'Spring Range');
+});
@@ -0,0 +1,86 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const { createFakePool, startServer, request } = require('./helpers');
+const { hashToken } = require('../utils/tokens');
+
+const authRoutes = require('../routes/auth');
+
+let server;
+let pool;
+let sentMail;
+let failSending;
+let resetTokens;
+
+// One active account, stored with mixed-case email
+before(async () => {
+  pool = createFakePool([
+    [/FROM users WHERE LOWER\(email\) = LOWER\(\$1\)/, ([email]) => (email.toLowerCase() === 'jane.doe@example.com'
+      ? [{ userid: 1, username: 'jane', email: 'Jane.Doe@example.com', firstname: 'Jane' }]
+      : [])],
+    [/INSERT INTO passwordresettokens/, ([userId, tokenHash]) => {
+      resetTokens.set(tokenHash, { resettokenid: resetTokens.size + 1, userid: userId, used: false });
+      return [];
+    }],
+    [/FROM passwordresettokens/, ([tokenHash]) => {
+      const stored = resetTokens.get(tokenHash);
+      return stored && !stored.used ? [stored] : [];
+    }],
+    [/UPDATE passwordresettokens SET usedat/, ([resetTokenId]) => {
+      for (const stored of resetTokens.values()) {
+        if (stored.resettokenid === resetTokenId) stored.used = true;
+      }
+      return [];
+    }]
+  ]);
+
+  const mailTransporter = {
+    sendMail: async (mail) => {
+      if (failSending) throw new Error('SMTP unavailable');
+      sentMail.push(mail);
+    }
+  };
+  server = await startServer('/api/auth', authRoutes, pool, { mailTransporter });
+});
+
+beforeEach(() => {
+  sentMail = [];
+  failSending = false;
+  resetTokens = new Map();
+});
+
+after(() => server.close());
+
+const forgot = (email) => request(server.url, 'POST', '/api/auth/forgot-password', { body: { email } });
+
+test('reset mail goes to the stored address whatever the case of the request', async () => {
+  const response = await forgot('JANE.DOE@example.com');
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(sentMail.length, 1);
+  assert.strictEqual(sentMail[0].to, 'Jane.Doe@example.com');
+});
+
+test('known, unknown and unsendable addresses get the same answer', async () => {
+  const known = await forgot('jane.doe@example.com');
+  const unknown = await forgot('nobody@example.com');
+  failSending = true;
+  const failed = await forgot('jane.doe@example.com');
+
+  assert.deepStrictEqual([known.status, unknown.status, failed.status], [200, 200, 200]);
+  assert.deepStrictEqual(unknown.body, known.body);
+  assert.deepStrictEqual(failed.body, known.body);
+});
+
+test('a reset token sets the password once and logs out other sessions', async () => {
+  await forgot('jane.doe@example.com');
+  const token = sentMail[0].html.match(/reset-password\?token=([0-9a-f]+)/)[1];
+  assert.ok(resetTokens.has(hashToken(token)));
+
+  const reset = await request(server.url, 'POST', '/api/auth/reset-password', { body: { token, password: 'new-password' } });
+  assert.strictEqual(reset.status, 200);
+  assert.ok(pool.ran(/UPDATE users SET passwordhash/));
+  assert.ok(pool.queries.some(q => /UPDATE authsessions/.test(q.sql) && q.params[1] === 'password_reset'));
+
+  const again = await request(server.url, 'POST', '/api/auth/reset-password', { body: { token, password: 'other-password' } });
+  assert.strictEqual(again.status, 400);
+});
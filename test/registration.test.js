@@ -0,0 +1,140 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcrypt');
+const { createFakePool, startServer, request } = require('./helpers');
+const { hashToken } = require('../utils/tokens');
+
+const authRoutes = require('../routes/auth');
+
+let server;
+let pool;
+let sentMail;
+let users;
+let verificationTokens;
+let invitation;
+let memberships;
+
+const userByEmail = (email) => users.filter(user => user.email === email);
+
+before(async () => {
+  pool = createFakePool([
+    [/SELECT userid FROM users WHERE username = \$1 OR email = \$2/, ([username, email]) =>
+      users.filter(user => user.username === username || user.email === email)],
+    [/SELECT userid FROM users WHERE username = \$1/, ([username, userId]) =>
+      users.filter(user => user.username === username && user.userid !== userId)],
+    [/INSERT INTO users/, ([username, email, passwordhash], sql) => {
+      const user = { userid: users.length + 1, username, email, passwordhash, firstname: '', isactive: /true, NOW\(\)/.test(sql), emailverifiedat: null };
+      if (user.isactive) user.emailverifiedat = new Date();
+      users.push(user);
+      return [user];
+    }],
+    [/INSERT INTO emailverificationtokens/, ([userid, tokenhash]) => {
+      verificationTokens.push({ verificationtokenid: verificationTokens.length + 1, userid, tokenhash, used: false });
+      return [];
+    }],
+    [/FROM emailverificationtokens/, ([tokenhash]) => verificationTokens.filter(t => t.tokenhash === tokenhash && !t.used)],
+    [/UPDATE emailverificationtokens SET usedat = NOW\(\) WHERE verificationtokenid/, ([id]) => {
+      verificationTokens.find(t => t.verificationtokenid === id).used = true;
+      return [];
+    }],
+    [/UPDATE emailverificationtokens SET usedat = NOW\(\) WHERE userid/, ([userid]) => {
+      verificationTokens.filter(t => t.userid === userid).forEach(t => { t.used = true; });
+      return [];
+    }],
+    [/UPDATE users SET isactive = true, emailverifiedat = NOW\(\)/, ([userid]) => {
+      const user = users.find(u => u.userid === userid && !u.emailverifiedat);
+      if (user) Object.assign(user, { isactive: true, emailverifiedat: new Date() });
+      return { rows: [], rowCount: user ? 1 : 0 };
+    }],
+    [/FROM companyinvitations ci/, ([tokenhash]) => (invitation && invitation.tokenhash === tokenhash && !invitation.acceptedat ? [invitation] : [])],
+    [/SELECT userid, username, passwordhash, isactive/, ([email]) => userByEmail(email)],
+    [/SET username = COALESCE/, ([userid, username, passwordhash]) => {
+      Object.assign(users.find(u => u.userid === userid), {
+        username: username || users.find(u => u.userid === userid).username, passwordhash, isactive: true, emailverifiedat: new Date()
+      });
+      return [];
+    }],
+    [/SET failedattempts = COALESCE/, () => [{ failedattempts: 1, lockeduntil: null }]],
+    [/INSERT INTO usercompanyroles/, ([userid, companyid, role]) => { memberships.push({ userid, companyid, role }); return []; }],
+    [/UPDATE companyinvitations SET acceptedat/, () => { invitation.acceptedat = new Date(); return []; }]
+  ]);
+
+  const mailTransporter = { sendMail: async (mail) => { sentMail.push(mail); } };
+  server = await startServer('/api/auth', authRoutes, pool, { mailTransporter });
+});
+
+beforeEach(() => {
+  sentMail = [];
+  users = [];
+  verificationTokens = [];
+  memberships = [];
+  pool.queries.length = 0;
+  invitation = {
+    invitationid: 1, companyid: 3, email: 'jane@example.com', role: 'Admin', companyname: 'Company 3',
+    tokenhash: hashToken('invite-token'), expiresat: new Date(Date.now() + 60000)
+  };
+});
+
+after(() => server.close());
+
+const register = (body) => request(server.url, 'POST', '/api/auth/register', { body });
+const accept = (body) => request(server.url, 'POST', '/api/auth/accept-invitation', { body: { token: 'invite-token', ...body } });
+
+test('registration creates an inactive account that the emailed link activates once', async () => {
+  const registered = await register({ username: 'jane', email: 'Jane@Example.com', password: 'secret123' });
+  assert.strictEqual(registered.status, 201);
+  assert.strictEqual(users[0].isactive, false);
+  assert.strictEqual(users[0].email, 'jane@example.com');
+  assert.ok(!pool.ran(/usercompanyroles/));
+
+  const token = sentMail[0].html.match(/verify-email\?token=([0-9a-f]+)/)[1];
+  const verified = await request(server.url, 'POST', '/api/auth/verify-email', { body: { token } });
+  assert.strictEqual(verified.status, 200);
+  assert.strictEqual(users[0].isactive, true);
+
+  const again = await request(server.url, 'POST', '/api/auth/verify-email', { body: { token } });
+  assert.strictEqual(again.status, 400);
+});
+
+test('registering a taken username or email is refused', async () => {
+  await register({ username: 'jane', email: 'jane@example.com', password: 'secret123' });
+  const duplicate = await register({ username: 'jane', email: 'other@example.com', password: 'secret123' });
+  assert.strictEqual(duplicate.status, 400);
+  assert.strictEqual(users.length, 1);
+});
+
+test('an invitation creates a verified account with the invited role', async () => {
+  const response = await accept({ username: 'jane', password: 'secret123' });
+  assert.strictEqual(response.status, 201);
+  assert.strictEqual(users[0].isactive, true);
+  assert.ok(users[0].emailverifiedat);
+  assert.deepStrictEqual(memberships, [{ userid: 1, companyid: 3, role: 'Admin' }]);
+
+  const reused = await accept({ username: 'jane2', password: 'secret123' });
+  assert.strictEqual(reused.status, 400);
+});
+
+test('an invitation takes over an unverified registration for its email', async () => {
+  await register({ username: 'squatter', email: 'jane@example.com', password: 'squatter-password' });
+
+  const response = await accept({ password: 'jane-password' });
+  assert.strictEqual(response.status, 201);
+  assert.strictEqual(users.length, 1);
+  assert.ok(await bcrypt.compare('jane-password', users[0].passwordhash));
+  assert.ok(users[0].emailverifiedat);
+  assert.ok(verificationTokens.every(t => t.used));
+  assert.ok(pool.queries.some(q => /UPDATE authsessions/.test(q.sql) && q.params[1] === 'account_claimed_by_invitation'));
+  assert.deepStrictEqual(memberships, [{ userid: 1, companyid: 3, role: 'Admin' }]);
+});
+
+test('a verified account joins the invited company only with its own password', async () => {
+  users.push({ userid: 1, username: 'jane', email: 'jane@example.com', passwordhash: await bcrypt.hash('secret123', 4), isactive: true, emailverifiedat: new Date() });
+
+  const wrong = await accept({ password: 'not-her-password' });
+  assert.strictEqual(wrong.status, 401);
+  assert.deepStrictEqual(memberships, []);
+
+  const right = await accept({ password: 'secret123' });
+  assert.strictEqual(right.status, 200);
+  assert.deepStrictEqual(memberships, [{ userid: 1, companyid: 3, role: 'Admin' }]);
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { rowVersionEtag, checkIfMatch } = require('../utils/rowVersion');
+
+const current = { orderid: 12, exporter: 'Acme', rowversion: 3 };
+const withIfMatch = (ifMatch) => ({ get: (name) => (name === 'If-Match' ? ifMatch : undefined) });
+
+test('row versions are sent as strong ETags', () => {
+  assert.strictEqual(rowVersionEtag(3), '"3"');
+});
+
+test('writes without If-Match are refused with 428', () => {
+  const conflict = checkIfMatch(withIfMatch(undefined), current);
+  assert.strictEqual(conflict.status, 428);
+  assert.strictEqual(conflict.body.code, 'PRECONDITION_REQUIRED');
+});
+
+test('writes go ahead when If-Match lists the current version or *', () => {
+  for (const ifMatch of ['"3"', '"2", "3"', '*']) {
+    assert.strictEqual(checkIfMatch(withIfMatch(ifMatch), current), null, ifMatch);
+  }
+});
+
+test('stale or weak tags get 412 with the current record', () => {
+  for (const ifMatch of ['"2"', 'W/"3"', '3']) {
+    assert.deepStrictEqual(checkIfMatch(withIfMatch(ifMatch), current), {
+      status: 412,
+      body: {
+        error: 'The record was changed by someone else since it was loaded; review the current version and try again',
+        code: 'VERSION_CONFLICT',
+        currentVersion: '"3"',
+        current
+      }
+    }, ifMatch);
+  }
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SEARCH_TYPES, SEARCH_VECTORS, SearchQueryError, parseSearchParams, searchHeadlineSql } = require('../utils/search');
+
+test('search defaults to every type and a bounded limit', () => {
+  assert.deepStrictEqual(parseSearchParams({ q: '  acme "blue widget" ' }), { q: 'acme "blue widget"', types: SEARCH_TYPES, limit: 20 });
+  assert.deepStrictEqual(parseSearchParams({ q: 'acme', types: 'orders, products', limit: '500' }),
+    { q: 'acme', types: ['orders', 'products'], limit: 100 });
+  assert.strictEqual(parseSearchParams({ q: 'acme', limit: '-3' }).limit, 1);
+});
+
+test('queries must be 2 to 200 characters', () => {
+  for (const q of [undefined, ' a ', 'x'.repeat(201)]) {
+    assert.throws(() => parseSearchParams({ q }), /between 2 and 200 characters/);
+  }
+});
+
+test('unknown types are rejected with the allowed list', () => {
+  assert.throws(() => parseSearchParams({ q: 'acme', types: 'orders,users' }), (err) => {
+    assert.ok(err instanceof SearchQueryError);
+    assert.strictEqual(err.message, 'Unknown search types: users');
+    assert.deepStrictEqual(err.details, { allowed: SEARCH_TYPES });
+    return true;
+  });
+});
+
+test('repeated parameters are client errors, not crashes', () => {
+  for (const query of [{ q: ['ab', 'cd'] }, { q: { x: 'abc' } }, { q: 'acme', types: ['orders', 'products'] }, { q: 'acme', limit: ['1', '2'] }]) {
+    assert.throws(() => parseSearchParams(query), SearchQueryError);
+  }
+});
+
+test('snippets escape the source text before highlighting it', () => {
+  const sql = searchHeadlineSql('o.goodsdescription', '$1');
+  assert.match(sql, /'&', '&amp;'\), '<', '&lt;'\), '>', '&gt;'/);
+  assert.match(sql, /StartSel=<mark>, StopSel=<\/mark>/);
+});
+
+test('search documents do not stem and can be prefixed with a table alias', () => {
+  for (const type of SEARCH_TYPES) {
+    const vector = SEARCH_VECTORS[type]('t.');
+    assert.doesNotMatch(vector, /'english'/);
+    assert.ok(vector.includes("to_tsvector('simple', coalesce(t."), type);
+  }
+});
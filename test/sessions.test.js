@@ -0,0 +1,61 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { createFakePool, startServer, request, profileRows } = require('./helpers');
+
+const authRoutes = require('../routes/auth');
+
+let server;
+let pool;
+
+// User 1 is signed in on session 10 and also has session 11 open
+before(async () => {
+  pool = createFakePool([
+    [/SELECT sessionid, ipaddress, useragent, createdat/, () => [{ sessionid: 11 }, { sessionid: 10 }]],
+    [/FROM authsessions/, () => [{ sessionid: 10, revokedat: null, expiresat: new Date(Date.now() + 60000), impersonatorid: null }]],
+    [/revokedreason = 'user_revoked'/, ([sessionId, userId]) => ({ rows: [], rowCount: sessionId === '11' && userId === 1 ? 1 : 0 })],
+    [/FROM loginattempts/, () => [{ attemptid: 1, success: true, reason: 'password' }]],
+    [/FROM users u/, () => profileRows(1, [{ companyId: 1, role: 'Read-Only User' }])]
+  ]);
+  server = await startServer('/api/auth', authRoutes, pool);
+});
+
+beforeEach(() => { pool.queries.length = 0; });
+
+after(() => server.close());
+
+const headers = { authorization: `Bearer ${jwt.sign({ userId: 1, sid: 10 }, process.env.JWT_SECRET, { expiresIn: '5m' })}` };
+
+test('users see their own active sessions with the current one marked', async () => {
+  const response = await request(server.url, 'GET', '/api/auth/sessions', { headers });
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(response.body, [{ sessionid: 11, current: false }, { sessionid: 10, current: true }]);
+
+  const listing = pool.queries.find(q => /SELECT sessionid, ipaddress/.test(q.sql));
+  assert.deepStrictEqual(listing.params, [1]);
+});
+
+test('users can only end their own sessions', async () => {
+  const own = await request(server.url, 'DELETE', '/api/auth/sessions/11', { headers });
+  assert.strictEqual(own.status, 200);
+
+  const other = await request(server.url, 'DELETE', '/api/auth/sessions/12', { headers });
+  assert.strictEqual(other.status, 404);
+
+  const invalid = await request(server.url, 'DELETE', '/api/auth/sessions/abc', { headers });
+  assert.strictEqual(invalid.status, 400);
+});
+
+test('login history is the caller\'s own and its limit is bounded', async () => {
+  const response = await request(server.url, 'GET', '/api/auth/login-history?limit=5000', { headers });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.length, 1);
+
+  const history = pool.queries.find(q => /FROM loginattempts/.test(q.sql));
+  assert.deepStrictEqual(history.params, [1, 200]);
+});
+
+test('session endpoints need a signed-in user', async () => {
+  const response = await request(server.url, 'GET', '/api/auth/sessions');
+  assert.strictEqual(response.status, 401);
+});
@@ -0,0 +1,45 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { SpreadsheetError, parseCsv, readSpreadsheet } = require('../utils/spreadsheet');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spreadsheet-test-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const writeFile = (name, contents) => {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+};
+
+test('CSV fields may be quoted around commas, newlines and doubled quotes', () => {
+  assert.deepStrictEqual(parseCsv('a,b\r\n"x, y","say ""hi""\nthere"\n'), [['a', 'b'], ['x, y', 'say "hi"\nthere']]);
+  assert.deepStrictEqual(parseCsv('a,b'), [['a', 'b']]);
+  assert.throws(() => parseCsv('a,"b'), SpreadsheetError);
+});
+
+test('rows are keyed by header and keep the line number users see', async () => {
+  const filePath = writeFile('orders.csv', '\uFEFF\n PO , Qty\nPO-1, 5\n,\nPO-2\n');
+  assert.deepStrictEqual(await readSpreadsheet(filePath, 'orders.csv'), {
+    headers: ['PO', 'Qty'],
+    rows: [{ rowNumber: 3, values: { PO: 'PO-1', Qty: '5' } }, { rowNumber: 5, values: { PO: 'PO-2', Qty: '' } }]
+  });
+
+  await assert.rejects(readSpreadsheet(writeFile('empty.csv', '\n,\n'), 'empty.csv'), /no header row/);
+});
+
+test('workbooks are read from their first sheet with dates as YYYY-MM-DD', async () => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Orders');
+  sheet.addRow(['PO', 'Date', 'Qty']);
+  sheet.addRow(['PO-1', new Date('2025-03-01T00:00:00.000Z'), 5]);
+  const filePath = path.join(dir, 'orders.xlsx');
+  await workbook.xlsx.writeFile(filePath);
+
+  assert.deepStrictEqual((await readSpreadsheet(filePath, 'Orders.XLSX')).rows,
+    [{ rowNumber: 2, values: { PO: 'PO-1', Date: '2025-03-01', Qty: '5' } }]);
+  await assert.rejects(readSpreadsheet(writeFile('fake.xlsx', 'PO,Qty'), 'fake.xlsx'), SpreadsheetError);
+});
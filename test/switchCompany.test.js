@@ -0,0 +1,59 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { createFakePool, startServer, request, profileRows } = require('./helpers');
+const { ROLE_PERMISSIONS } = require('../Middleware/auth');
+
+const authRoutes = require('../routes/auth');
+
+let server;
+let pool;
+
+// User 1 is an Admin of company 1 and Read-Only in company 2, signed in on session 10
+before(async () => {
+  pool = createFakePool([
+    [/FROM authsessions/, () => [{ sessionid: 10, revokedat: null, expiresat: new Date(Date.now() + 60000), impersonatorid: null }]],
+    [/FROM users u/, () => profileRows(1, [{ companyId: 1, role: 'Admin' }, { companyId: 2, role: 'Read-Only User' }])],
+    [/UPDATE apikeys k/, () => [{
+      apikeyid: 7, name: 'erp', permissions: ['orders.read'], createdbyuserid: 1, companyid: 1, companyname: 'Company 1', companytype: 'Importer'
+    }]]
+  ]);
+  server = await startServer('/api/auth', authRoutes, pool);
+});
+
+beforeEach(() => { pool.queries.length = 0; });
+
+after(() => server.close());
+
+const headers = { authorization: `Bearer ${jwt.sign({ userId: 1, sid: 10, companyId: 1 }, process.env.JWT_SECRET, { expiresIn: '5m' })}` };
+const switchCompany = (companyId) => request(server.url, 'POST', '/api/auth/switch-company', { body: { companyId }, headers });
+
+test('switching company pins the session to it and issues a token for it', async () => {
+  const response = await switchCompany(2);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.activeCompany.companyId, 2);
+  assert.deepStrictEqual(response.body.permissions, ROLE_PERMISSIONS['Read-Only User']);
+
+  const claims = jwt.verify(response.body.token, process.env.JWT_SECRET);
+  assert.deepStrictEqual([claims.userId, claims.sid, claims.companyId], [1, 10, 2]);
+
+  const update = pool.queries.find(q => /SET activecompanyid/.test(q.sql));
+  assert.deepStrictEqual(update.params, [2, 10]);
+});
+
+test('users can only switch to their own companies', async () => {
+  const response = await switchCompany(3);
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(response.body.requestedCompany, 3);
+
+  assert.strictEqual((await switchCompany('abc')).status, 400);
+  assert.ok(!pool.ran(/SET activecompanyid/));
+});
+
+test('API keys cannot switch company', async () => {
+  const response = await request(server.url, 'POST', '/api/auth/switch-company', {
+    body: { companyId: 2 }, headers: { 'x-api-key': 'bmk_key' }
+  });
+  assert.strictEqual(response.status, 403);
+  assert.ok(!pool.ran(/SET activecompanyid/));
+});
@@ -0,0 +1,116 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { createFakePool, startServer, request, profileRows } = require('./helpers');
+const { hashToken } = require('../utils/tokens');
+const totp = require('../utils/totp');
+
+const authRoutes = require('../routes/auth');
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('TOTP codes match the RFC 6238 SHA-1 test vectors', () => {
+  assert.strictEqual(totp.generateTotpCode(RFC_SECRET, Math.floor(59 / 30)), '287082');
+  assert.strictEqual(totp.generateTotpCode(RFC_SECRET, Math.floor(1111111109 / 30)), '081804');
+  assert.strictEqual(totp.generateTotpCode(RFC_SECRET, Math.floor(1234567890 / 30)), '005924');
+});
+
+test('verifyTotpCode accepts one step of drift and returns the matched step', () => {
+  const secret = totp.generateTotpSecret();
+  const now = Math.floor(Date.now() / 1000 / 30);
+
+  assert.strictEqual(totp.verifyTotpCode(secret, totp.generateTotpCode(secret, now)), now);
+  assert.strictEqual(totp.verifyTotpCode(secret, totp.generateTotpCode(secret, now - 1)), now - 1);
+  assert.strictEqual(totp.verifyTotpCode(secret, totp.generateTotpCode(secret, now - 3)), null);
+  assert.strictEqual(totp.verifyTotpCode(secret, 'abcdef'), null);
+});
+
+test('TOTP secrets are encrypted at rest and recovery codes normalise', () => {
+  const secret = totp.generateTotpSecret();
+  const encrypted = totp.encryptTotpSecret(secret);
+
+  assert.ok(!encrypted.includes(secret));
+  assert.strictEqual(totp.decryptTotpSecret(encrypted), secret);
+  assert.strictEqual(totp.normalizeRecoveryCode(' AB12C-3D4E5 '), 'ab12c3d4e5');
+  assert.match(totp.generateRecoveryCodes(1)[0], /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+});
+
+let server;
+let pool;
+let account;
+
+// User 1 has 2FA enabled, with one unused recovery code
+before(async () => {
+  account = {
+    secret: totp.generateTotpSecret(),
+    lastStep: null,
+    recoveryCodeHash: hashToken(totp.normalizeRecoveryCode('aaaaa-bbbbb'))
+  };
+
+  const passwordHash = await bcrypt.hash('secret123', 4);
+
+  pool = createFakePool([
+    [/identifierfailures/, () => [{ identifierfailures: '0', ipfailures: '0' }]],
+    [/userfailures/, () => [{ userfailures: '0', ipfailures: '0' }]],
+    [/SELECT userid, passwordhash/, () => [{ userid: 1, passwordhash: passwordHash, twofactorenabled: true, lockeduntil: null }]],
+    [/SELECT username, lockeduntil/, () => [{ username: 'user1', lockeduntil: null }]],
+    [/SELECT twofactorsecret/, () => [{ twofactorsecret: totp.encryptTotpSecret(account.secret), twofactorlaststep: account.lastStep }]],
+    [/SET twofactorlaststep/, ([, step]) => { account.lastStep = String(step); return []; }],
+    [/UPDATE userrecoverycodes/, ([, codeHash]) => {
+      const matched = codeHash === account.recoveryCodeHash;
+      if (matched) account.recoveryCodeHash = null;
+      return matched ? [{ recoverycodeid: 1 }] : [];
+    }],
+    [/SET failedattempts = COALESCE/, () => [{ failedattempts: 1, lockeduntil: null }]],
+    [/INSERT INTO authsessions/, () => [{ sessionid: 20 }]],
+    [/FROM users u/, () => profileRows(1, [{ companyId: 1, role: 'Admin' }])]
+  ]);
+  server = await startServer('/api/auth', authRoutes, pool);
+});
+
+after(() => server.close());
+
+const challenge = async () => {
+  const response = await request(server.url, 'POST', '/api/auth/login', { body: { username: 'user1', password: 'secret123' } });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.twoFactorRequired, true);
+  assert.strictEqual(response.body.token, undefined);
+  return response.body.challengeToken;
+};
+
+test('a correct password only earns a 2FA challenge, and a TOTP code completes the login', async () => {
+  const challengeToken = await challenge();
+  const code = totp.generateTotpCode(account.secret);
+
+  const verified = await request(server.url, 'POST', '/api/auth/2fa/verify', { body: { challengeToken, code } });
+  assert.strictEqual(verified.status, 200);
+  assert.ok(verified.body.token);
+  assert.ok(pool.ran(/SET failedattempts = 0/));
+
+  // The same code cannot be replayed for a second login
+  const replay = await request(server.url, 'POST', '/api/auth/2fa/verify', { body: { challengeToken: await challenge(), code } });
+  assert.strictEqual(replay.status, 401);
+});
+
+test('recovery codes work once', async () => {
+  const first = await request(server.url, 'POST', '/api/auth/2fa/verify', {
+    body: { challengeToken: await challenge(), recoveryCode: 'AAAAA-BBBBB' }
+  });
+  assert.strictEqual(first.status, 200);
+
+  const second = await request(server.url, 'POST', '/api/auth/2fa/verify', {
+    body: { challengeToken: await challenge(), recoveryCode: 'AAAAA-BBBBB' }
+  });
+  assert.strictEqual(second.status, 401);
+});
+
+test('access tokens are not accepted as 2FA challenges', async () => {
+  const accessToken = jwt.sign({ userId: 1, sid: 20 }, process.env.JWT_SECRET);
+  const response = await request(server.url, 'POST', '/api/auth/2fa/verify', {
+    body: { challengeToken: accessToken, code: totp.generateTotpCode(account.secret) }
+  });
+  assert.strictEqual(response.status, 401);
+  assert.deepStrictEqual(response.body, { error: 'Invalid or expired challenge token' });
+});
@@ -0,0 +1,23 @@
+const fs = require('fs');
+const path = require('path');
+const handlebars = require('handlebars');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@example.com';
+
+// Render a Handlebars email template from the templates folder and send it
+// through the given transporter (background jobs have no request to hand)
+const sendTemplatedEmailWith = async (transporter, { to, subject, template, data }) => {
+  const templatePath = path.join(__dirname, '..', 'templates', template);
+  const templateContent = fs.readFileSync(templatePath, 'utf8');
+  const html = handlebars.compile(templateContent)(data);
+
+  return transporter.sendMail({ from: MAIL_FROM, to, subject, html });
+};
+
+// Same, through the transporter shared on app.locals
+const sendTemplatedEmail = (req, options) => sendTemplatedEmailWith(req.app.locals.mailTransporter, options);
+
+module.exports = {
+  sendTemplatedEmail,
+  sendTemplatedEmailWith
+};
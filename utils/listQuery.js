@@ -0,0 +1,216 @@
+// Filtering, multi-column sorting and keyset (cursor) pagination for list
+// endpoints. A spec whitelists what a client may filter and sort on:
+//
+//   {
+//     filters: { orderstatus: { column: 'o.orderstatus', match: 'in' },          // ?orderstatus=Open,Booked
+//                exporter: { column: 'o.exporter', match: 'contains' } },         // ?exporter=acme
+//     ranges: { orderdate: { column: 'o.orderdate' } },                          // ?orderdateFrom=&orderdateTo=
+//     sortable: { orderdate: 'o.orderdate', orderid: 'o.orderid' },              // ?sort=-orderdate,orderid
+//     defaultSort: '-orderid',
+//     tiebreaker: 'orderid'                                                      // unique sortable key
+//   }
+//
+// Sort keys order NULLS LAST in both directions; the cursor carries the last
+// row's sort values so the next page continues strictly after it.
+
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 200;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidDate = (value) => DATE_PATTERN.test(value) && !isNaN(Date.parse(value)) &&
+  new Date(value).toISOString().substring(0, 10) === value;
+
+class ListQueryError extends Error {}
+
+// A repeated query parameter (?sort=a&sort=b) arrives as an array
+const queryValue = (query, name) => {
+  const value = query[name];
+  if (value !== undefined && typeof value !== 'string') {
+    throw new ListQueryError(`${name} must be given once`);
+  }
+  return value;
+};
+
+const isCursorValue = (value) => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+
+const encodeCursor = (sort, values) => Buffer.from(JSON.stringify({ sort, values })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return decoded && typeof decoded.sort === 'string' && Array.isArray(decoded.values) &&
+      decoded.values.every(isCursorValue) ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const parseSort = (sortParam, spec) => {
+  const fields = (sortParam || spec.defaultSort).split(',').map(field => field.trim()).filter(Boolean);
+  const sortKeys = [];
+
+  for (const field of fields) {
+    const desc = field.startsWith('-');
+    const key = desc ? field.substring(1) : field;
+
+    if (!spec.sortable.hasOwnProperty(key)) {
+      throw new ListQueryError(`Cannot sort by '${key}'`);
+    }
+    if (!sortKeys.some(k => k.key === key)) {
+      sortKeys.push({ key, column: spec.sortable[key], desc });
+    }
+  }
+
+  // A unique key last keeps the order (and so the cursor) deterministic
+  if (!sortKeys.some(k => k.key === spec.tiebreaker)) {
+    sortKeys.push({ key: spec.tiebreaker, column: spec.sortable[spec.tiebreaker], desc: true });
+  }
+
+  return sortKeys;
+};
+
+// Rows strictly after the cursor: (k1 after) OR (k1 = AND k2 after) OR ...
+const cursorConditionSql = (sortKeys, values, params) => {
+  const branches = [];
+  const equalities = [];
+
+  sortKeys.forEach((sortKey, index) => {
+    const value = values[index];
+    let after;
+    let equal;
+
+    if (value === null) {
+      // Already among the trailing NULLs - nothing sorts after on this key
+      after = 'FALSE';
+      equal = `${sortKey.column} IS NULL`;
+    } else {
+      params.push(value);
+      const placeholder = `$${params.length}`;
+      after = `(${sortKey.column} ${sortKey.desc ? '<' : '>'} ${placeholder} OR ${sortKey.column} IS NULL)`;
+      equal = `${sortKey.column} = ${placeholder}`;
+    }
+
+    branches.push([...equalities, after].join(' AND '));
+    equalities.push(equal);
+  });
+
+  return `(${branches.map(branch => `(${branch})`).join(' OR ')})`;
+};
+
+// Parse req.query against a spec. `conditions` / `params` carry what the route
+// already applies (e.g. company scope); filters are appended to them.
+// Throws ListQueryError for input the client should fix (400).
+const buildListQuery = (query, spec, { conditions = [], params = [] } = {}) => {
+  conditions = [...conditions];
+  params = [...params];
+
+  for (const [name, filter] of Object.entries(spec.filters || {})) {
+    const value = queryValue(query, name);
+    if (value === undefined || value === '') continue;
+
+    if (filter.match === 'contains') {
+      params.push(`%${value.replace(/[\\%_]/g, '\\$&')}%`);
+      conditions.push(`${filter.column} ILIKE $${params.length}`);
+    } else {
+      params.push(value.split(',').map(v => v.trim()).filter(Boolean));
+      conditions.push(`${filter.column} = ANY($${params.length})`);
+    }
+  }
+
+  for (const [name, range] of Object.entries(spec.ranges || {})) {
+    for (const [suffix, operator] of [['From', '>='], ['To', '<=']]) {
+      const value = queryValue(query, `${name}${suffix}`);
+      if (value === undefined || value === '') continue;
+
+      if (!isValidDate(value)) {
+        throw new ListQueryError(`${name}${suffix} must be a date (YYYY-MM-DD)`);
+      }
+      params.push(value);
+      conditions.push(`${range.column} ${operator} $${params.length}`);
+    }
+  }
+
+  const limitValue = queryValue(query, 'limit');
+  const limit = limitValue === undefined ? LIST_DEFAULT_LIMIT : parseInt(limitValue);
+  if (isNaN(limit) || limit < 1 || limit > LIST_MAX_LIMIT) {
+    throw new ListQueryError(`limit must be between 1 and ${LIST_MAX_LIMIT}`);
+  }
+
+  const sortKeys = parseSort(queryValue(query, 'sort'), spec);
+  const sort = sortKeys.map(k => `${k.desc ? '-' : ''}${k.key}`).join(',');
+
+  // Totals ignore the cursor; the page query adds it
+  const filterConditions = [...conditions];
+  const filterParams = [...params];
+
+  const cursorValue = queryValue(query, 'cursor');
+  if (cursorValue) {
+    const cursor = decodeCursor(cursorValue);
+    if (!cursor) {
+      throw new ListQueryError('Invalid cursor');
+    }
+    if (cursor.sort !== sort || cursor.values.length !== sortKeys.length) {
+      throw new ListQueryError('Cursor does not match the requested sort');
+    }
+    conditions.push(cursorConditionSql(sortKeys, cursor.values, params));
+  }
+
+  return {
+    sort,
+    sortKeys,
+    limit,
+    params,
+    conditions,
+    filterConditions,
+    filterParams,
+    orderBySql: sortKeys.map(k => `${k.column} ${k.desc ? 'DESC' : 'ASC'} NULLS LAST`).join(', ')
+  };
+};
+
+// Run a page query plus its total count and build the response envelope.
+// `from` is the FROM/JOIN clause, `select` the column list.
+const fetchPage = async (db, { select, from }, list) => {
+  const whereSql = (conditions) => (conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '');
+
+  // Cursor values are read back through JSON so dates keep their SQL text form
+  const cursorSql = `json_build_array(${list.sortKeys.map(k => k.column).join(', ')}) AS listcursor`;
+
+  const pageResult = await db.query(`
+    SELECT ${select}, ${cursorSql}
+    ${from}
+    ${whereSql(list.conditions)}
+    ORDER BY ${list.orderBySql}
+    LIMIT ${list.limit + 1}
+  `, list.params);
+
+  const countResult = await db.query(`
+    SELECT COUNT(*) as total
+    ${from}
+    ${whereSql(list.filterConditions)}
+  `, list.filterParams);
+
+  const hasMore = pageResult.rows.length > list.limit;
+  const rows = pageResult.rows.slice(0, list.limit);
+  const lastCursor = rows.length > 0 ? rows[rows.length - 1].listcursor : null;
+
+  return {
+    data: rows.map(({ listcursor, ...row }) => row),
+    pagination: {
+      limit: list.limit,
+      sort: list.sort,
+      total: parseInt(countResult.rows[0].total),
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(list.sort, lastCursor) : null
+    }
+  };
+};
+
+module.exports = {
+  ListQueryError,
+  buildListQuery,
+  encodeCursor,
+  decodeCursor,
+  fetchPage,
+  LIST_DEFAULT_LIMIT,
+  LIST_MAX_LIMIT
+};
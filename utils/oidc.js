@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// OpenID Connect authorization-code flow with PKCE against a single identity
+// provider configured through OIDC_* environment variables
+const getOidcConfig = () => ({
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI || `${process.env.APP_BASE_URL || 'http://localhost:3000'}/auth/oidc/callback`,
+  scopes: process.env.OIDC_SCOPES || 'openid email profile'
+});
+
+const isOidcConfigured = () => {
+  const config = getOidcConfig();
+  return Boolean(config.issuer && config.clientId);
+};
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+let discoveryCache = null;
+let jwksCache = null;
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const payload = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(`OIDC request to ${url} failed with status ${response.status}`);
+    error.details = payload;
+    throw error;
+  }
+
+  return payload;
+};
+
+const getDiscoveryDocument = async () => {
+  const { issuer } = getOidcConfig();
+  if (!discoveryCache || discoveryCache.issuer !== issuer) {
+    discoveryCache = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  }
+  return discoveryCache;
+};
+
+// Signing keys are cached; an unknown kid triggers one refetch (key rotation)
+const getSigningKey = async (kid) => {
+  const discovery = await getDiscoveryDocument();
+
+  const findKey = () => jwksCache && jwksCache.keys.find(k => !kid || k.kid === kid);
+
+  if (!findKey()) {
+    jwksCache = await fetchJson(discovery.jwks_uri);
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw new Error('No matching signing key for ID token');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const base64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+// RFC 7636 S256 code verifier / challenge
+const createPkcePair = () => {
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+  return { codeVerifier, codeChallenge };
+};
+
+const buildAuthorizationUrl = async ({ state, nonce, codeChallenge }) => {
+  const config = getOidcConfig();
+  const discovery = await getDiscoveryDocument();
+
+  const url = new URL(discovery.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', config.clientId);
+  url.searchParams.set('redirect_uri', config.redirectUri);
+  url.searchParams.set('scope', config.scopes);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  return url.toString();
+};
+
+// Exchange the authorization code at the token endpoint (client_secret_basic
+// when a secret is configured, otherwise a public PKCE client)
+const exchangeCode = async (code, codeVerifier) => {
+  const config = getOidcConfig();
+  const discovery = await getDiscoveryDocument();
+
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  if (config.clientSecret) {
+    const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    form.set('client_id', config.clientId);
+  }
+
+  return fetchJson(discovery.token_endpoint, { method: 'POST', headers, body: form.toString() });
+};
+
+// Verify the ID token signature, issuer, audience, expiry and nonce; returns its claims
+const verifyIdToken = async (idToken, expectedNonce) => {
+  const config = getOidcConfig();
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded || !decoded.header) {
+    throw new Error('Malformed ID token');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: config.issuer,
+    audience: config.clientId
+  });
+
+  if (claims.nonce !== expectedNonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+};
+
+module.exports = {
+  getOidcConfig,
+  isOidcConfigured,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken
+};
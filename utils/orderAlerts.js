@@ -0,0 +1,172 @@
+// Order deadline alerts: watched order dates raise an 'upcoming' alert ahead of
+// time and a 'missed' one once passed, each posted to the order's
+// communications and emailed to its owner. The job that runs these and the
+// /api/alerts routes live in index.js; the helpers take a db.
+
+const { ORDER_STATUSES, ORDER_STATUS_TRANSITIONS } = require('./orderStatus');
+const { sendTemplatedEmailWith } = require('./email');
+
+// Dates this many days ahead raise an 'upcoming' alert
+const ALERT_LEAD_DAYS = parseInt(process.env.ALERT_LEAD_DAYS) || 3;
+// Missed dates older than this are ignored, so a first run does not flood old orders
+const ALERT_MISSED_LOOKBACK_DAYS = parseInt(process.env.ALERT_MISSED_LOOKBACK_DAYS) || 30;
+const ALERT_MAX_SNOOZE_DAYS = 30;
+
+// Watched order dates. An order stops raising alerts for a date once it
+// reaches one of `doneStatuses` (or any final status).
+const ORDER_DEADLINE_FIELDS = {
+  followupdate: { label: 'Follow-up', doneStatuses: [] },
+  exworksrequiredby: { label: 'Ex-works required by', doneStatuses: ['Ready', 'Shipped', 'Arrived'] },
+  shipwindowstart: { label: 'Ship window opens', doneStatuses: ['Shipped', 'Arrived'] },
+  shipwindowend: { label: 'Ship window closes', doneStatuses: ['Shipped', 'Arrived'] },
+  requiredinstore: { label: 'Required in store', doneStatuses: ['Arrived'] }
+};
+
+const ORDER_FINAL_STATUSES = ORDER_STATUSES.filter(status => ORDER_STATUS_TRANSITIONS[status].length === 0);
+
+// Raise new alerts for one watched date and post them to the order's communications
+async function raiseOrderDeadlineAlerts(db, field) {
+  const { label, doneStatuses } = ORDER_DEADLINE_FIELDS[field];
+
+  const created = await db.query(`
+    INSERT INTO orderalerts (orderid, datefield, duedate, alerttype)
+    SELECT o.orderid, $1, o.${field}::date,
+           CASE WHEN o.${field}::date < CURRENT_DATE THEN 'missed' ELSE 'upcoming' END
+    FROM orders o
+    WHERE o.${field} IS NOT NULL
+      AND o.${field}::date BETWEEN CURRENT_DATE - $3::int AND CURRENT_DATE + $2::int
+      AND o.deletedat IS NULL AND o.archivedat IS NULL
+      AND o.userid IS NOT NULL
+      AND (o.orderstatus IS NULL OR NOT (o.orderstatus = ANY($4)))
+    ON CONFLICT ON CONSTRAINT uq_orderalerts_date DO NOTHING
+    RETURNING alertid, orderid, alerttype, to_char(duedate, 'YYYY-MM-DD') as duedate
+  `, [field, ALERT_LEAD_DAYS, ALERT_MISSED_LOOKBACK_DAYS, [...doneStatuses, ...ORDER_FINAL_STATUSES]]);
+
+  for (const alert of created.rows) {
+    const missed = alert.alerttype === 'missed';
+    const communication = await db.query(`
+      INSERT INTO communications (orderid, userid, messagetype, subject, messagebody, priority)
+      SELECT o.orderid, o.userid, 'alert', $2, $3, $4 FROM orders o WHERE o.orderid = $1
+      RETURNING communicationid
+    `, [
+      alert.orderid,
+      `${missed ? 'Missed' : 'Upcoming'}: ${label} ${alert.duedate}`,
+      missed
+        ? `${label} date ${alert.duedate} has passed.`
+        : `${label} date ${alert.duedate} is coming up.`,
+      missed ? 'high' : 'normal'
+    ]);
+
+    await db.query('UPDATE orderalerts SET communicationid = $2 WHERE alertid = $1', [
+      alert.alertid, communication.rows[0].communicationid
+    ]);
+  }
+
+  // Close open alerts the order has moved past: the date changed, the status
+  // reached the done point, the order left the active lists, or an upcoming
+  // date has now been missed (that raises its own alert)
+  const resolved = await db.query(`
+    UPDATE orderalerts a SET resolvedat = NOW()
+    FROM orders o
+    WHERE a.orderid = o.orderid AND a.datefield = $1
+      AND a.acknowledgedat IS NULL AND a.resolvedat IS NULL
+      AND (o.${field}::date IS DISTINCT FROM a.duedate
+        OR o.orderstatus = ANY($2)
+        OR o.deletedat IS NOT NULL OR o.archivedat IS NOT NULL
+        OR (a.alerttype = 'upcoming' AND a.duedate < CURRENT_DATE))
+  `, [field, [...doneStatuses, ...ORDER_FINAL_STATUSES]]);
+
+  return { created: created.rows.length, resolved: resolved.rowCount };
+}
+
+// Email each order owner one digest of their open alerts not emailed yet, or
+// whose snooze has run out since they were last emailed
+async function emailOrderDeadlineAlerts(db, transporter) {
+  const result = await db.query(`
+    SELECT a.alertid, a.datefield, a.alerttype, to_char(a.duedate, 'YYYY-MM-DD') as duedate,
+           o.ordernumber, u.userid, u.email, u.firstname, u.username
+    FROM orderalerts a
+    INNER JOIN orders o ON a.orderid = o.orderid
+    INNER JOIN users u ON o.userid = u.userid
+    WHERE a.acknowledgedat IS NULL AND a.resolvedat IS NULL
+      AND (a.snoozeduntil IS NULL OR a.snoozeduntil <= NOW())
+      AND (a.emailedat IS NULL OR (a.snoozeduntil IS NOT NULL AND a.emailedat < a.snoozeduntil))
+      AND u.email IS NOT NULL AND u.isactive = TRUE
+    ORDER BY u.userid, a.duedate, a.alertid
+  `);
+
+  const byUser = new Map();
+  for (const row of result.rows) {
+    if (!byUser.has(row.userid)) byUser.set(row.userid, []);
+    byUser.get(row.userid).push(row);
+  }
+
+  let emailed = 0;
+  for (const alerts of byUser.values()) {
+    const { email, firstname, username } = alerts[0];
+    try {
+      await sendTemplatedEmailWith(transporter, {
+        to: email,
+        subject: `${alerts.length} order ${alerts.length === 1 ? 'deadline needs' : 'deadlines need'} your attention`,
+        template: 'orderDeadlineAlertEmail.html',
+        data: {
+          name: firstname || username,
+          alerts: alerts.map(alert => ({
+            ordernumber: alert.ordernumber,
+            label: ORDER_DEADLINE_FIELDS[alert.datefield] ? ORDER_DEADLINE_FIELDS[alert.datefield].label : alert.datefield,
+            duedate: alert.duedate,
+            missed: alert.alerttype === 'missed'
+          }))
+        }
+      });
+
+      await db.query('UPDATE orderalerts SET emailedat = NOW() WHERE alertid = ANY($1::int[])', [
+        alerts.map(alert => alert.alertid)
+      ]);
+      emailed += alerts.length;
+    } catch (err) {
+      // Left un-emailed, so the next run tries again
+      console.error(`Error emailing deadline alerts to ${email}:`, err.message);
+    }
+  }
+
+  return emailed;
+}
+
+// Which alerts GET /api/alerts lists for each ?state
+const ORDER_ALERT_STATES = {
+  open: 'a.acknowledgedat IS NULL AND a.resolvedat IS NULL AND (a.snoozeduntil IS NULL OR a.snoozeduntil <= NOW())',
+  snoozed: 'a.acknowledgedat IS NULL AND a.resolvedat IS NULL AND a.snoozeduntil > NOW()',
+  acknowledged: 'a.acknowledgedat IS NOT NULL',
+  resolved: 'a.resolvedat IS NOT NULL',
+  all: null
+};
+
+// Snooze until a time ({ until }) or for a number of hours ({ hours }).
+// Returns { snoozeUntil } or { error }.
+function parseSnooze({ until, hours }) {
+  let snoozeUntil;
+  if (until !== undefined && hours === undefined) {
+    snoozeUntil = new Date(until);
+  } else if (hours !== undefined && until === undefined && Number(hours) > 0) {
+    snoozeUntil = new Date(Date.now() + Number(hours) * 60 * 60 * 1000);
+  } else {
+    return { error: 'Provide either until (a date/time) or hours (a positive number)' };
+  }
+
+  if (isNaN(snoozeUntil.getTime()) || snoozeUntil <= new Date()) {
+    return { error: 'Snooze must end in the future' };
+  }
+  if (snoozeUntil > new Date(Date.now() + ALERT_MAX_SNOOZE_DAYS * 24 * 60 * 60 * 1000)) {
+    return { error: `Alerts can be snoozed for at most ${ALERT_MAX_SNOOZE_DAYS} days` };
+  }
+  return { snoozeUntil };
+}
+
+module.exports = {
+  ORDER_DEADLINE_FIELDS,
+  ORDER_ALERT_STATES,
+  raiseOrderDeadlineAlerts,
+  emailOrderDeadlineAlerts,
+  parseSnooze
+};
@@ -0,0 +1,104 @@
+// Order dossier: which sections GET /orders/:id/dossier returns to a caller and
+// the roll-ups computed over them. The section queries stay with the route in
+// index.js; a section is { permission, load }.
+
+const sumOf = (rows, value) => Math.round(rows.reduce((total, row) => total + (Number(value(row)) || 0), 0) * 100) / 100;
+
+// { currency: total } so invoices in different currencies are never added together
+const sumByCurrency = (rows, value) => rows.reduce((totals, row) => {
+  const currency = row.currency || 'Unknown';
+  totals[currency] = Math.round(((totals[currency] || 0) + (Number(value(row)) || 0)) * 100) / 100;
+  return totals;
+}, {});
+
+// Roll-up of each section, computed from the rows it returned
+const DOSSIER_SUMMARIES = {
+  lines: (lines) => ({
+    lineCount: lines.length,
+    totalQuantity: sumOf(lines, line => line.quantity),
+    totalValue: sumOf(lines, line => line.quantity * line.unitprice)
+  }),
+  poInvoices: (invoices) => ({
+    invoiceCount: invoices.length,
+    foreignValueByCurrency: sumByCurrency(invoices, invoice => invoice.foreignvalue),
+    randAmount: sumOf(invoices, invoice => invoice.randamount)
+  }),
+  bookings: (bookings) => ({
+    bookingCount: bookings.length,
+    bookedQuantity: sumOf(bookings, booking => booking.bookedqty)
+  }),
+  milestones: (milestones) => {
+    const open = milestones.filter(milestone => milestone.status !== 'completed');
+    const now = new Date();
+    const next = open
+      .filter(milestone => milestone.duedate)
+      .sort((a, b) => new Date(a.duedate) - new Date(b.duedate))[0];
+
+    return {
+      total: milestones.length,
+      completed: milestones.length - open.length,
+      percentComplete: milestones.length > 0
+        ? Math.round(((milestones.length - open.length) / milestones.length) * 100)
+        : 0,
+      overdue: open.filter(milestone => milestone.duedate && new Date(milestone.duedate) < now).length,
+      next: next ? { milestoneid: next.milestoneid, title: next.title, duedate: next.duedate } : null
+    };
+  },
+  communications: (communications) => ({
+    total: communications.length,
+    unread: communications.filter(communication => !communication.isread).length,
+    lastMessageAt: communications.length > 0 ? communications[communications.length - 1].createdat : null
+  }),
+  documents: (documents) => ({
+    total: documents.length,
+    totalSize: sumOf(documents, document => document.filesize)
+  }),
+  finalInvoices: (invoices) => ({
+    invoiceCount: invoices.length,
+    totalAmountByCurrency: sumByCurrency(invoices, invoice => invoice.totalamount)
+  })
+};
+
+// ?include=lines,bookings limits the sections; by default every section the
+// caller may read is included and the others are listed in `omitted`.
+// Returns { included, omitted }, { unknown: [names] } or { denied: name }.
+function selectDossierSections(includeParam, sections, permissions) {
+  const sectionNames = Object.keys(sections);
+
+  if (!includeParam) {
+    const included = sectionNames.filter(name => permissions.includes(sections[name].permission));
+    return { included, omitted: sectionNames.filter(name => !included.includes(name)) };
+  }
+
+  const included = [...new Set(String(includeParam).split(',').map(name => name.trim()).filter(Boolean))];
+
+  const unknown = included.filter(name => !sections.hasOwnProperty(name));
+  if (unknown.length > 0) {
+    return { unknown };
+  }
+
+  const denied = included.find(name => !permissions.includes(sections[name].permission));
+  if (denied) {
+    return { denied };
+  }
+
+  return { included, omitted: [] };
+}
+
+// Roll-ups of the included sections, plus those that need two sections
+function summarizeDossier(dossier, included) {
+  const summary = {};
+  for (const name of included) {
+    summary[name] = DOSSIER_SUMMARIES[name](dossier[name]);
+  }
+
+  if (summary.lines && summary.bookings) {
+    summary.bookings.unbookedQuantity = Math.max(summary.lines.totalQuantity - summary.bookings.bookedQuantity, 0);
+  }
+  return summary;
+}
+
+module.exports = {
+  selectDossierSections,
+  summarizeDossier
+};
@@ -0,0 +1,96 @@
+// Order exports: the columns orders and order lines can be exported with and
+// how ?columns is read. Querying and streaming the rows stays with the routes.
+
+const { ListQueryError } = require('./listQuery');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Exportable columns: API field name -> spreadsheet header, SQL and cell type.
+// Headers are Title Case with words spelled out; acronyms stay upper case.
+const ORDER_EXPORT_COLUMNS = {
+  orderid: { header: 'Order ID', sql: 'o.orderid', type: 'integer' },
+  ordernumber: { header: 'Order Number', sql: 'o.ordernumber', type: 'string' },
+  splitnumber: { header: 'Split Number', sql: 'o.splitnumber', type: 'string' },
+  orderstatus: { header: 'Order Status', sql: 'o.orderstatus', type: 'string' },
+  ordertype: { header: 'Order Type', sql: 'o.ordertype', type: 'string' },
+  orderdate: { header: 'Order Date', sql: 'o.orderdate', type: 'date' },
+  goodsdescription: { header: 'Goods Description', sql: 'o.goodsdescription', type: 'string' },
+  exporter: { header: 'Exporter', sql: 'o.exporter', type: 'string' },
+  exportercontact: { header: 'Exporter Contact', sql: 'o.exportercontact', type: 'string' },
+  shipmentconsignee: { header: 'Shipment Consignee', sql: 'o.shipmentconsignee', type: 'string' },
+  shipmentconsigneecontact: { header: 'Shipment Consignee Contact', sql: 'o.shipmentconsigneecontact', type: 'string' },
+  confirmationdate: { header: 'Confirmation Date', sql: 'o.confirmationdate', type: 'date' },
+  followupdate: { header: 'Follow Up Date', sql: 'o.followupdate', type: 'date' },
+  exworksrequiredby: { header: 'Ex Works Required By', sql: 'o.exworksrequiredby', type: 'date' },
+  requiredinstore: { header: 'Required In Store', sql: 'o.requiredinstore', type: 'date' },
+  shipwindowstart: { header: 'Ship Window Start', sql: 'o.shipwindowstart', type: 'date' },
+  shipwindowend: { header: 'Ship Window End', sql: 'o.shipwindowend', type: 'date' },
+  apn: { header: 'APN', sql: 'o.apn', type: 'string' },
+  currency: { header: 'Currency', sql: 'o.currency', type: 'string' },
+  incoterm: { header: 'Incoterm', sql: 'o.incoterm', type: 'string' },
+  packs: { header: 'Packs', sql: 'o.packs', type: 'integer' },
+  packtype: { header: 'Pack Type', sql: 'o.packtype', type: 'string' },
+  actualweightmeasure: { header: 'Actual Weight', sql: 'o.actualweightmeasure', type: 'number' },
+  actualvolumemeasure: { header: 'Actual Volume', sql: 'o.actualvolumemeasure', type: 'number' },
+  invoicenumber: { header: 'Invoice Number', sql: 'o.invoicenumber', type: 'string' },
+  invoicedate: { header: 'Invoice Date', sql: 'o.invoicedate', type: 'date' },
+  transportmode: { header: 'Transport Mode', sql: 'o.transportmode', type: 'string' },
+  servicelevel: { header: 'Service Level', sql: 'o.servicelevel', type: 'string' },
+  containermode: { header: 'Container Mode', sql: 'o.containermode', type: 'string' },
+  origin: { header: 'Origin', sql: 'o.origin', type: 'string' },
+  portofloading: { header: 'Port Of Loading', sql: 'o.portofloading', type: 'string' },
+  portofdischarge: { header: 'Port Of Discharge', sql: 'o.portofdischarge', type: 'string' },
+  destination: { header: 'Destination', sql: 'o.destination', type: 'string' },
+  additionaldetails: { header: 'Additional Details', sql: 'o.additionaldetails', type: 'string' }
+};
+
+// Line exports may use any order column as well
+const ORDER_LINE_EXPORT_COLUMNS = {
+  ...ORDER_EXPORT_COLUMNS,
+  lineid: { header: 'Line ID', sql: 'ol.lineid', type: 'integer' },
+  linenumber: { header: 'Line Number', sql: 'ol.linenumber', type: 'integer' },
+  partnumber: { header: 'Part Number', sql: 'ol.partnumber', type: 'string' },
+  description: { header: 'Description', sql: 'ol.description', type: 'string' },
+  productid: { header: 'Product ID', sql: 'ol.productid', type: 'integer' },
+  quantity: { header: 'Quantity', sql: 'ol.quantity', type: 'integer' },
+  uom: { header: 'UOM', sql: 'ol.uom', type: 'string' },
+  unitprice: { header: 'Unit Price', sql: 'ol.unitprice', type: 'number' },
+  linetotal: { header: 'Line Total', sql: '(ol.quantity * ol.unitprice)', type: 'number' },
+  weight: { header: 'Weight', sql: 'ol.weight', type: 'number' },
+  volume: { header: 'Volume', sql: 'ol.volume', type: 'number' },
+  linestatus: { header: 'Line Status', sql: 'ol.linestatus', type: 'string' }
+};
+
+const ORDER_EXPORT_DEFAULT_COLUMNS = [
+  'ordernumber', 'splitnumber', 'orderstatus', 'orderdate', 'exporter', 'shipmentconsignee',
+  'currency', 'incoterm', 'transportmode', 'portofloading', 'portofdischarge',
+  'shipwindowstart', 'shipwindowend', 'requiredinstore'
+];
+
+const ORDER_LINE_EXPORT_DEFAULT_COLUMNS = [
+  'ordernumber', 'splitnumber', 'orderstatus', 'exporter', 'linenumber', 'partnumber',
+  'description', 'quantity', 'uom', 'unitprice', 'linetotal', 'linestatus'
+];
+
+// ?columns=ordernumber,exporter (comma separated, in output order)
+function parseExportColumns(columnsParam, catalog, defaults) {
+  const keys = columnsParam
+    ? String(columnsParam).split(',').map(key => key.trim()).filter(Boolean)
+    : defaults;
+
+  return keys.map(key => {
+    if (!catalog.hasOwnProperty(key)) {
+      throw new ListQueryError(`Cannot export column '${key}'`);
+    }
+    return { key, ...catalog[key] };
+  });
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  ORDER_EXPORT_COLUMNS,
+  ORDER_LINE_EXPORT_COLUMNS,
+  ORDER_EXPORT_DEFAULT_COLUMNS,
+  ORDER_LINE_EXPORT_DEFAULT_COLUMNS,
+  parseExportColumns
+};
@@ -0,0 +1,92 @@
+// Order history: every change to an order or its lines is appended to
+// orderhistory as a numbered version holding the field-level diff and the
+// resulting row. The helpers take a db so they run inside the caller's
+// transaction.
+
+// Bookkeeping columns that would otherwise show up in every diff
+const HISTORY_IGNORED_FIELDS = ['createdat', 'updatedat', 'rowversion'];
+
+// Advisory lock namespace serialising version numbers per order
+const ORDER_HISTORY_LOCK_KEY = 4101;
+
+// Rows are captured with to_jsonb so dates keep their SQL text form
+async function fetchOrderSnapshot(db, orderId) {
+  const result = await db.query('SELECT to_jsonb(o) as snapshot FROM orders o WHERE o.orderid = $1', [orderId]);
+  return result.rows.length > 0 ? result.rows[0].snapshot : null;
+}
+
+async function fetchLineSnapshots(db, orderId) {
+  const result = await db.query('SELECT ol.lineid, to_jsonb(ol) as snapshot FROM orderlines ol WHERE ol.orderid = $1', [orderId]);
+  return new Map(result.rows.map(row => [row.lineid, row.snapshot]));
+}
+
+// { field: { old, new } } for every field that differs
+function diffSnapshots(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (HISTORY_IGNORED_FIELDS.includes(field)) continue;
+
+    const oldValue = before && before[field] !== undefined ? before[field] : null;
+    const newValue = after && after[field] !== undefined ? after[field] : null;
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes[field] = { old: oldValue, new: newValue };
+    }
+  }
+
+  return changes;
+}
+
+// Append a version to an order's history. Must run inside the transaction
+// making the change; updates that change nothing are not recorded.
+async function recordOrderHistory(db, req, { orderId, entityType = 'order', entityId, action, before, after, note }) {
+  const changes = diffSnapshots(before, after);
+  if (action === 'update' && Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  await db.query('SELECT pg_advisory_xact_lock($1, $2)', [ORDER_HISTORY_LOCK_KEY, orderId]);
+
+  const result = await db.query(`
+    INSERT INTO orderhistory (
+      orderid, version, entitytype, entityid, action, changes, snapshot, note,
+      changedbyuserid, apikeyid, impersonatedby, changedat
+    )
+    SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW()
+    FROM orderhistory WHERE orderid = $1
+    RETURNING version
+  `, [
+    orderId, entityType, entityId || orderId, action, JSON.stringify(changes),
+    JSON.stringify(after || before), note || null,
+    req.user.userId, req.user.apiKeyId || null, req.user.impersonatedBy || null
+  ]);
+
+  return result.rows[0].version;
+}
+
+// Record every line created, changed or removed between two fetchLineSnapshots results
+async function recordLineChanges(db, req, orderId, beforeLines, afterLines, note) {
+  for (const [lineId, before] of beforeLines) {
+    const after = afterLines.get(lineId) || null;
+    await recordOrderHistory(db, req, {
+      orderId, entityType: 'orderline', entityId: lineId, action: after ? 'update' : 'delete', before, after, note
+    });
+  }
+
+  for (const [lineId, after] of afterLines) {
+    if (!beforeLines.has(lineId)) {
+      await recordOrderHistory(db, req, {
+        orderId, entityType: 'orderline', entityId: lineId, action: 'create', before: null, after, note
+      });
+    }
+  }
+}
+
+module.exports = {
+  fetchOrderSnapshot,
+  fetchLineSnapshots,
+  diffSnapshots,
+  recordOrderHistory,
+  recordLineChanges
+};
@@ -0,0 +1,141 @@
+// Order imports: turning the rows of an uploaded CSV / XLSX file into orders
+// and lines through a saved mapping. Which order columns exist and how dates
+// are parsed is passed in as `columns`: { orderColumns, dateColumns, parseDate }.
+
+const { ORDER_CREATE_STATUSES, orderCreateStatusError } = require('./orderStatus');
+const { ORDER_LINE_INPUT_COLUMNS, isPlainObject } = require('./orderTemplates');
+
+// Data rows one import job accepts
+const IMPORT_MAX_ROWS = 5000;
+
+const IMPORT_FILE_EXTENSIONS = ['.csv', '.txt', '.xlsx'];
+
+const IMPORT_INTEGER_FIELDS = ['packs', 'line.linenumber', 'line.quantity', 'line.productid'];
+const IMPORT_DECIMAL_FIELDS = ['actualweightmeasure', 'actualvolumemeasure', 'line.unitprice', 'line.weight', 'line.volume'];
+
+// Saved mappings are { "<file column>": "<field>" } or [{ source, target }].
+// Fields are order columns (optionally "order.<column>") or "line.<column>";
+// blank targets leave a column unmapped. Returns { mapping } or { error }.
+function parseImportMapping(mappings, { orderColumns }) {
+  let pairs;
+  if (Array.isArray(mappings)) {
+    pairs = mappings.map(entry => [entry && entry.source, entry && entry.target]);
+  } else if (isPlainObject(mappings)) {
+    pairs = Object.entries(mappings);
+  } else {
+    return { error: 'Mapping must be an object or an array of { source, target }' };
+  }
+
+  const mapping = [];
+  for (const [source, rawTarget] of pairs) {
+    if (!source || !rawTarget) continue;
+
+    const target = String(rawTarget).replace(/^order\./, '');
+    const known = target.startsWith('line.')
+      ? ORDER_LINE_INPUT_COLUMNS.includes(target.substring(5))
+      : orderColumns.includes(target);
+    if (!known) {
+      return { error: `Cannot import into '${rawTarget}'` };
+    }
+    if (mapping.some(m => m.target === target)) {
+      return { error: `More than one column is mapped to '${target}'` };
+    }
+    mapping.push({ source: String(source), target });
+  }
+
+  if (!mapping.some(m => m.target === 'ordernumber')) {
+    return { error: 'The mapping must map a column to ordernumber' };
+  }
+
+  return { mapping };
+}
+
+// Convert one mapped cell; returns { value } or { error }
+function convertImportValue(target, text, { dateColumns, parseDate }) {
+  if (target === 'orderstatus') {
+    return ORDER_CREATE_STATUSES.includes(text) ? { value: text } : { error: orderCreateStatusError(text) };
+  }
+  if (dateColumns.includes(target)) {
+    return parseDate(text) ? { value: text } : { error: `'${text}' is not a valid date` };
+  }
+  if (IMPORT_INTEGER_FIELDS.includes(target)) {
+    return /^-?\d+$/.test(text) ? { value: parseInt(text) } : { error: `'${text}' is not a whole number` };
+  }
+  if (IMPORT_DECIMAL_FIELDS.includes(target)) {
+    const number = Number(text);
+    return Number.isFinite(number) ? { value: number } : { error: `'${text}' is not a number` };
+  }
+  return { value: text };
+}
+
+// Group rows into orders by ordernumber. The first row of an order supplies
+// its fields (later rows must not contradict it); each row with line values
+// adds a line. Errors are { row, column, field, error } with file row numbers.
+function buildImportOrders(rows, mapping, columns) {
+  const orders = new Map();
+  const errors = [];
+
+  for (const { rowNumber, values } of rows) {
+    const orderFields = {};
+    const line = {};
+    const rowErrors = [];
+
+    for (const { source, target } of mapping) {
+      const text = values[source];
+      if (text === undefined || text === '') continue;
+
+      const converted = convertImportValue(target, text, columns);
+      if (converted.error) {
+        rowErrors.push({ row: rowNumber, column: source, field: target, error: converted.error });
+      } else if (target.startsWith('line.')) {
+        line[target.substring(5)] = converted.value;
+      } else {
+        orderFields[target] = converted.value;
+      }
+    }
+
+    if (!orderFields.ordernumber) {
+      const source = mapping.find(m => m.target === 'ordernumber').source;
+      rowErrors.push({ row: rowNumber, column: source, field: 'ordernumber', error: 'ordernumber is required' });
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors);
+      continue;
+    }
+
+    const existing = orders.get(orderFields.ordernumber);
+    if (!existing) {
+      orders.set(orderFields.ordernumber, { rowNumber, fields: orderFields, lines: [] });
+    } else {
+      const conflicts = Object.keys(orderFields).filter(field =>
+        existing.fields[field] !== undefined && String(existing.fields[field]) !== String(orderFields[field])
+      );
+      if (conflicts.length > 0) {
+        for (const field of conflicts) {
+          errors.push({
+            row: rowNumber,
+            column: mapping.find(m => m.target === field).source,
+            field,
+            error: `Differs from row ${existing.rowNumber} of order ${orderFields.ordernumber}`
+          });
+        }
+        continue;
+      }
+      Object.assign(existing.fields, { ...orderFields, ...existing.fields });
+    }
+
+    if (Object.keys(line).length > 0) {
+      orders.get(orderFields.ordernumber).lines.push(line);
+    }
+  }
+
+  return { orders: [...orders.values()], errors };
+}
+
+module.exports = {
+  IMPORT_MAX_ROWS,
+  IMPORT_FILE_EXTENSIONS,
+  parseImportMapping,
+  buildImportOrders
+};
@@ -0,0 +1,35 @@
+// Order lifecycle: deleted orders sit in the trash until restored or purged,
+// archived orders stay readable but leave the default lists. Routes doing the
+// moves live in index.js; this builds the list filters for both states.
+
+const { ListQueryError } = require('./listQuery');
+const { orderScopeSql } = require('../Middleware/companyScope');
+
+// Company scope ($1) plus the lifecycle filters order lists accept:
+// ?archived=exclude (default) | include | only, and ?deleted=only for the trash
+function orderListConditions(query) {
+  const deletedOnly = query.deleted === 'only';
+  if (query.deleted !== undefined && !deletedOnly) {
+    throw new ListQueryError("deleted only accepts 'only'");
+  }
+
+  const conditions = [orderScopeSql('o', 1, { includeDeleted: deletedOnly })];
+  if (deletedOnly) {
+    conditions.push('o.deletedat IS NOT NULL');
+  }
+
+  const archived = query.archived || (deletedOnly ? 'include' : 'exclude');
+  if (archived === 'exclude') {
+    conditions.push('o.archivedat IS NULL');
+  } else if (archived === 'only') {
+    conditions.push('o.archivedat IS NOT NULL');
+  } else if (archived !== 'include') {
+    throw new ListQueryError('archived must be one of: exclude, include, only');
+  }
+
+  return conditions;
+}
+
+module.exports = {
+  orderListConditions
+};
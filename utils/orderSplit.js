@@ -0,0 +1,83 @@
+// Planning an order split (POST /orders/:id/split) before anything is changed.
+// Each split lists order lines to move: whole when no quantity is given, else
+// partitioned so the parent keeps the rest. A line and the invoice it is
+// billed on must end up on the same order, so invoices follow their lines.
+
+// Checks the splits against the parent's order lines. Returns { error }, or
+// { invoiceIds } with the invoices moving into each split - the requested
+// ones plus any whose lines all go there.
+function planOrderSplit(lines, splits) {
+  const linesById = new Map(lines.map(line => [line.lineid, line]));
+  const invoiceIds = splits.map(split => (split.poinvoiceIds || []).map(id => parseInt(id)));
+
+  const remaining = new Map(lines.map(line => [line.lineid, line.quantity || 0]));
+  const partlyAllocated = new Set();
+  const lineHolders = new Map(lines.map(line => [line.lineid, new Set()]));
+  const invoiceTargets = new Map();
+  const movedLinks = new Set();
+
+  // A line without a quantity can only move whole
+  for (const [index, split] of splits.entries()) {
+    for (const allocation of split.lines) {
+      const line = linesById.get(parseInt(allocation && allocation.lineid));
+      if (!line) {
+        return { error: `Order line ${allocation && allocation.lineid} does not belong to this order` };
+      }
+      lineHolders.get(line.lineid).add(index);
+      if (allocation.quantity === undefined) {
+        if (remaining.get(line.lineid) !== (line.quantity || 0) || remaining.get(line.lineid) < 0) {
+          return { error: `Order line ${line.lineid} is already partly allocated to another split` };
+        }
+        remaining.set(line.lineid, -1);
+        continue;
+      }
+      const quantity = parseInt(allocation.quantity);
+      if (isNaN(quantity) || quantity <= 0 || quantity > remaining.get(line.lineid)) {
+        return { error: `Invalid quantity for order line ${line.lineid} (${Math.max(remaining.get(line.lineid), 0)} available)` };
+      }
+      remaining.set(line.lineid, remaining.get(line.lineid) - quantity);
+      partlyAllocated.add(line.lineid);
+    }
+    for (const id of invoiceIds[index]) {
+      if (invoiceTargets.has(id)) return { error: `Invoice ${id} is assigned to more than one split` };
+      invoiceTargets.set(id, index);
+    }
+    for (const id of split.bookingLinkIds || []) {
+      if (movedLinks.has(id)) return { error: `Booking link ${id} is assigned to more than one split` };
+      movedLinks.add(id);
+    }
+  }
+
+  // Where each invoice's lines end up: the splits they move to, plus the
+  // parent for any line it keeps some of
+  const invoiceHolders = new Map();
+  for (const line of lines) {
+    if (!line.poinvoiceid) continue;
+    const left = remaining.get(line.lineid);
+    if (left > 0 || (left === 0 && !partlyAllocated.has(line.lineid))) {
+      lineHolders.get(line.lineid).add('parent');
+    }
+    const holders = invoiceHolders.get(line.poinvoiceid) || new Set();
+    lineHolders.get(line.lineid).forEach(holder => holders.add(holder));
+    invoiceHolders.set(line.poinvoiceid, holders);
+  }
+
+  for (const [invoiceId, holders] of invoiceHolders) {
+    if (holders.size > 1) {
+      return { error: `The lines of invoice ${invoiceId} would end up on different orders` };
+    }
+    const [holder] = holders;
+    const target = invoiceTargets.has(invoiceId) ? invoiceTargets.get(invoiceId) : 'parent';
+    if (target === 'parent' && holder !== 'parent') {
+      invoiceIds[holder].push(invoiceId);
+    } else if (target !== holder) {
+      return { error: `Invoice ${invoiceId} must move with its order lines` };
+    }
+  }
+
+  return { invoiceIds };
+}
+
+module.exports = {
+  planOrderSplit
+};
@@ -0,0 +1,98 @@
+// The order status workflow: which statuses exist, which an order may move
+// to next and which a new order may start in. Resuming from On Hold reads the
+// order's history, so the checks take a db (pool or transaction client).
+
+const ORDER_INITIAL_STATUS = 'Draft';
+const ORDER_ON_HOLD_STATUS = 'On Hold';
+
+// The forward path plus Cancelled / On Hold; Completed and Cancelled are final.
+// On Hold resumes to the status it was held from (the list here is the
+// fallback when that cannot be found in the order's history).
+const ORDER_STATUS_TRANSITIONS = {
+  'Draft': ['Confirmed', 'Cancelled', 'On Hold'],
+  'Confirmed': ['Ready', 'Cancelled', 'On Hold'],
+  'Ready': ['Shipped', 'Cancelled', 'On Hold'],
+  'Shipped': ['Arrived', 'On Hold'],
+  'Arrived': ['Completed', 'On Hold'],
+  'Completed': [],
+  'Cancelled': [],
+  'On Hold': ['Draft', 'Confirmed', 'Ready', 'Shipped', 'Arrived', 'Cancelled']
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+async function allowedOrderTransitions(db, orderId, fromStatus) {
+  // Free-text statuses from before the state machine may move to any status once
+  if (!ORDER_STATUSES.includes(fromStatus)) {
+    return ORDER_STATUSES;
+  }
+  if (fromStatus !== ORDER_ON_HOLD_STATUS) {
+    return ORDER_STATUS_TRANSITIONS[fromStatus];
+  }
+
+  const result = await db.query(`
+    SELECT changes->'orderstatus'->>'old' as heldfrom FROM orderhistory
+    WHERE orderid = $1 AND entitytype = 'order' AND changes->'orderstatus'->>'new' = $2
+    ORDER BY version DESC
+    LIMIT 1
+  `, [orderId, ORDER_ON_HOLD_STATUS]);
+  const heldFrom = result.rows.length > 0 ? result.rows[0].heldfrom : null;
+
+  if (!ORDER_STATUSES.includes(heldFrom) || heldFrom === ORDER_ON_HOLD_STATUS) {
+    return ORDER_STATUS_TRANSITIONS[ORDER_ON_HOLD_STATUS];
+  }
+  return ORDER_STATUS_TRANSITIONS[heldFrom].includes('Cancelled') ? [heldFrom, 'Cancelled'] : [heldFrom];
+}
+
+const unknownOrderStatusError = (status) => ({
+  error: `Unknown order status '${status}'`,
+  allowedStatuses: ORDER_STATUSES
+});
+
+// New orders (created or imported) start at the beginning of the workflow;
+// every later status is reached through the transitions above
+const ORDER_CREATE_STATUSES = [ORDER_INITIAL_STATUS];
+
+const orderCreateStatusError = (status) => (ORDER_STATUSES.includes(status)
+  ? `New orders cannot start as ${status}; create the order as ${ORDER_CREATE_STATUSES.join(' or ')} and change its status afterwards`
+  : `'${status}' is not an order status`);
+
+// Returns { status, body } to respond with when the change is not allowed, or null
+async function checkOrderStatusChange(db, orderId, fromStatus, toStatus) {
+  if (toStatus === fromStatus) {
+    return null;
+  }
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    return { status: 400, body: unknownOrderStatusError(toStatus) };
+  }
+
+  const allowed = await allowedOrderTransitions(db, orderId, fromStatus);
+  if (!allowed.includes(toStatus)) {
+    return {
+      status: 409,
+      body: {
+        error: allowed.length > 0
+          ? `Cannot change order status from ${fromStatus} to ${toStatus}; allowed next: ${allowed.join(', ')}`
+          : `Cannot change order status from ${fromStatus}: it is final`,
+        code: 'INVALID_STATUS_TRANSITION',
+        orderId: parseInt(orderId),
+        currentStatus: fromStatus,
+        requestedStatus: toStatus,
+        allowedStatuses: allowed
+      }
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  ORDER_INITIAL_STATUS,
+  ORDER_ON_HOLD_STATUS,
+  ORDER_STATUS_TRANSITIONS,
+  ORDER_STATUSES,
+  ORDER_CREATE_STATUSES,
+  orderCreateStatusError,
+  allowedOrderTransitions,
+  checkOrderStatusChange
+};
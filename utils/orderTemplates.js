@@ -0,0 +1,75 @@
+// Order templates: saved order defaults and lines per company. The order
+// columns a template may preset are derived from the order insert columns in
+// index.js and passed in; the db helpers take a db like the other utils.
+
+const { scopedCompanyIds } = require('../Middleware/companyScope');
+
+// Line columns clients supply when lines are created in bulk (templates, imports)
+const ORDER_LINE_INPUT_COLUMNS = [
+  'linenumber', 'partnumber', 'description', 'quantity', 'uom', 'productid', 'unitprice', 'weight', 'volume'
+];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Returns an error message for an invalid template body, or null
+function validateOrderTemplate({ name, fields, lines }, { requireName, templateColumns }) {
+  if (requireName || name !== undefined) {
+    if (typeof name !== 'string' || name.trim() === '' || name.length > 255) {
+      return 'name is required (up to 255 characters)';
+    }
+  }
+
+  if (fields !== undefined) {
+    if (!isPlainObject(fields)) {
+      return 'fields must be an object';
+    }
+    const unknown = Object.keys(fields).find(column => !templateColumns.includes(column));
+    if (unknown) {
+      return `Templates cannot set '${unknown}'`;
+    }
+  }
+
+  if (lines !== undefined) {
+    if (!Array.isArray(lines) || !lines.every(isPlainObject)) {
+      return 'lines must be an array of objects';
+    }
+    for (const line of lines) {
+      const unknown = Object.keys(line).find(column => !ORDER_LINE_INPUT_COLUMNS.includes(column));
+      if (unknown) {
+        return `Template lines cannot set '${unknown}'`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// A template in the caller's active company, or null
+async function findOrderTemplate(db, req, templateId) {
+  const id = parseInt(templateId);
+  if (isNaN(id)) {
+    return null;
+  }
+
+  const result = await db.query(
+    'SELECT * FROM ordertemplates WHERE templateid = $1 AND companyid = ANY($2)',
+    [id, scopedCompanyIds(req)]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+async function isTemplateNameTaken(db, companyId, name, exceptTemplateId = null) {
+  const result = await db.query(
+    'SELECT 1 FROM ordertemplates WHERE companyid = $1 AND LOWER(name) = LOWER($2) AND templateid IS DISTINCT FROM $3',
+    [companyId, name.trim(), exceptTemplateId]
+  );
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  ORDER_LINE_INPUT_COLUMNS,
+  isPlainObject,
+  validateOrderTemplate,
+  findOrderTemplate,
+  isTemplateNameTaken
+};
@@ -0,0 +1,43 @@
+// Optimistic concurrency: versioned tables carry a rowversion that a trigger
+// bumps on every real change. Reads send it as the ETag; writes must send it
+// back in If-Match and are checked against the row they locked.
+
+// Strong ETag: If-Match compares it byte for byte
+const rowVersionEtag = (rowversion) => `"${rowversion}"`;
+
+// Checks the request's If-Match header against the locked row. Returns
+// { status, body } to respond with (428 without the header, 412 with the
+// current record when it is stale), or null when the write may go ahead.
+function checkIfMatch(req, current) {
+  const ifMatch = req.get('If-Match');
+  if (!ifMatch) {
+    return {
+      status: 428,
+      body: {
+        error: 'If-Match header is required; send the ETag returned when the record was loaded',
+        code: 'PRECONDITION_REQUIRED'
+      }
+    };
+  }
+
+  const etag = rowVersionEtag(current.rowversion);
+  const tags = ifMatch.split(',').map(tag => tag.trim());
+  if (tags.includes('*') || tags.includes(etag)) {
+    return null;
+  }
+
+  return {
+    status: 412,
+    body: {
+      error: 'The record was changed by someone else since it was loaded; review the current version and try again',
+      code: 'VERSION_CONFLICT',
+      currentVersion: etag,
+      current
+    }
+  };
+}
+
+module.exports = {
+  rowVersionEtag,
+  checkIfMatch
+};
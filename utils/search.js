@@ -0,0 +1,74 @@
+// Full-text search over orders, order lines and products: the weighted search
+// documents, the snippet expression and the checks on GET /api/search's
+// query string (?q=...&types=orders,orderlines&limit=20).
+
+// Weighted search documents. The same expressions back the GIN indexes, so
+// they must stay identical between ensureSearchIndexes and the queries. The
+// 'simple' configuration is used because part numbers, SKUs and company names
+// must not be stemmed.
+const SEARCH_VECTORS = {
+  orders: (p) => `(
+    setweight(to_tsvector('simple', coalesce(${p}ordernumber, '')), 'A') ||
+    setweight(to_tsvector('simple', coalesce(${p}exporter, '') || ' ' || coalesce(${p}shipmentconsignee, '')), 'B') ||
+    setweight(to_tsvector('simple', coalesce(${p}goodsdescription, '')), 'C')
+  )`,
+  orderlines: (p) => `(
+    setweight(to_tsvector('simple', coalesce(${p}partnumber, '')), 'A') ||
+    setweight(to_tsvector('simple', coalesce(${p}description, '')), 'C')
+  )`,
+  products: (p) => `(
+    setweight(to_tsvector('simple', coalesce(${p}sku, '')), 'A') ||
+    setweight(to_tsvector('simple', coalesce(${p}name, '')), 'B')
+  )`
+};
+
+const SEARCH_TYPES = Object.keys(SEARCH_VECTORS);
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 100;
+
+class SearchQueryError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.details = details;
+  }
+}
+
+// Returns { q, types, limit }; throws SearchQueryError for anything a client
+// should fix. Repeated parameters arrive as arrays (and q[a]=b as objects).
+const parseSearchParams = (query) => {
+  const repeated = ['q', 'types', 'limit'].find(name => query[name] !== undefined && typeof query[name] !== 'string');
+  if (repeated) {
+    throw new SearchQueryError(`${repeated} must be given once`);
+  }
+
+  const q = (query.q || '').trim();
+  if (q.length < 2 || q.length > 200) {
+    throw new SearchQueryError('Search query must be between 2 and 200 characters');
+  }
+
+  const types = query.types ? query.types.split(',').map(t => t.trim()) : SEARCH_TYPES;
+  const unknownTypes = types.filter(t => !SEARCH_TYPES.includes(t));
+  if (unknownTypes.length > 0) {
+    throw new SearchQueryError(`Unknown search types: ${unknownTypes.join(', ')}`, { allowed: SEARCH_TYPES });
+  }
+
+  const limit = Math.max(1, Math.min(parseInt(query.limit) || SEARCH_DEFAULT_LIMIT, SEARCH_MAX_LIMIT));
+  return { q, types, limit };
+};
+
+// Snippets are HTML: the source text is escaped, matches are wrapped in <mark>
+const searchHeadlineSql = (text, queryParam) => `ts_headline('simple',
+  replace(replace(replace(coalesce(${text}, ''), '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+  ${queryParam},
+  'StartSel=<mark>, StopSel=</mark>, MaxWords=25, MinWords=8, MaxFragments=2, FragmentDelimiter=" ... "'
+)`;
+
+module.exports = {
+  SEARCH_VECTORS,
+  SEARCH_TYPES,
+  SEARCH_DEFAULT_LIMIT,
+  SEARCH_MAX_LIMIT,
+  SearchQueryError,
+  parseSearchParams,
+  searchHeadlineSql
+};
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+
+// Reading uploaded CSV / XLSX files as { headers, rows } where each row maps
+// header -> cell text (only the first worksheet of a workbook is read), and
+// writing spreadsheets straight to an HTTP response.
+
+class SpreadsheetError extends Error {}
+
+const isXlsx = (fileName) => path.extname(fileName || '').toLowerCase() === '.xlsx';
+
+// RFC 4180: quoted fields may contain commas, newlines and "" escapes
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new SpreadsheetError('CSV has an unterminated quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+};
+
+// Cell values come back as dates, numbers, rich text, formulas or hyperlinks
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().substring(0, 10);
+  if (typeof value !== 'object') return String(value);
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if (value.result !== undefined) return cellText(value.result);
+  if (value.text !== undefined) return cellText(value.text);
+  return '';
+};
+
+const readXlsxRecords = async (filePath) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.readFile(filePath);
+  } catch (error) {
+    throw new SpreadsheetError('File is not a readable XLSX workbook');
+  }
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    return [];
+  }
+
+  const records = [];
+  worksheet.eachRow({ includeEmpty: true }, (row) => {
+    // row.values is 1-based
+    records.push(row.values.slice(1).map(cellText));
+  });
+  return records;
+};
+
+// Parse an uploaded file. The first non-empty line is the header row; blank
+// rows are skipped but `rowNumber` keeps the line number users see in the file.
+const readSpreadsheet = async (filePath, originalName) => {
+  const records = isXlsx(originalName)
+    ? await readXlsxRecords(filePath)
+    : parseCsv(fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''));
+
+  const isBlank = (record) => record.every(value => String(value).trim() === '');
+  const headerIndex = records.findIndex(record => !isBlank(record));
+  if (headerIndex === -1) {
+    throw new SpreadsheetError('File has no header row');
+  }
+
+  const headers = records[headerIndex].map(header => String(header).trim());
+  const rows = [];
+
+  records.slice(headerIndex + 1).forEach((record, index) => {
+    if (isBlank(record)) return;
+
+    const values = {};
+    headers.forEach((header, column) => {
+      if (header) {
+        values[header] = record[column] === undefined ? '' : String(record[column]).trim();
+      }
+    });
+    rows.push({ rowNumber: headerIndex + index + 2, values });
+  });
+
+  return { headers, rows };
+};
+
+const SPREADSHEET_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const XLSX_NUMBER_FORMATS = {
+  date: 'yyyy-mm-dd',
+  integer: '0',
+  number: '#,##0.00'
+};
+
+// Text cells starting with these would run as formulas when the CSV is opened
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvField = (value, type) => {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (type === 'string' && CSV_FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Dates arrive as YYYY-MM-DD text and numerics as strings (pg DECIMAL)
+const xlsxValue = (value, type) => {
+  if (value === null || value === undefined) return null;
+  if (type === 'date') return new Date(`${value}T00:00:00.000Z`);
+  if (type === 'number' || type === 'integer') return Number(value);
+  return String(value);
+};
+
+// Start a spreadsheet download on `res`. columns: [{ header, type }] with type
+// string | date | integer | number. Rows are written as arrays in column order;
+// for CSV, writeRow waits when the client is slower than the database. The XLSX
+// writer buffers the zipped workbook in memory whatever the client does, so
+// callers must cap XLSX row counts. Both throw a SpreadsheetError once the
+// client has disconnected, so callers stop reading.
+const createSpreadsheetWriter = async (res, format, columns, fileName) => {
+  res.setHeader('Content-Type', SPREADSHEET_CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${format}"`);
+
+  let clientGone = false;
+  const disconnected = new Promise((resolve, reject) => {
+    res.once('close', () => {
+      if (!res.writableFinished) {
+        clientGone = true;
+        reject(new SpreadsheetError('Client disconnected during download'));
+      }
+    });
+  });
+  disconnected.catch(() => {});
+
+  // A 'drain' that never comes must not hold the caller (and its database cursor) forever
+  const untilWritable = async () => {
+    if (clientGone) {
+      await disconnected;
+    }
+    if (format === 'csv' && res.writableNeedDrain) {
+      await Promise.race([once(res, 'drain'), disconnected]);
+    }
+  };
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const worksheet = workbook.addWorksheet('Export');
+    worksheet.columns = columns.map(column => ({
+      header: column.header,
+      width: Math.max(12, column.header.length + 2),
+      style: XLSX_NUMBER_FORMATS[column.type] ? { numFmt: XLSX_NUMBER_FORMATS[column.type] } : {}
+    }));
+
+    return {
+      writeRow: async (values) => {
+        await untilWritable();
+        worksheet.addRow(values.map((value, i) => xlsxValue(value, columns[i].type))).commit();
+      },
+      end: async () => {
+        worksheet.commit();
+        await Promise.race([workbook.commit(), disconnected]);
+      }
+    };
+  }
+
+  const write = async (values) => {
+    await untilWritable();
+    res.write(`${values.map((value, i) => csvField(value, columns[i].type)).join(',')}\r\n`);
+  };
+
+  // BOM so Excel opens the UTF-8 file with the right encoding
+  res.write('\uFEFF');
+  await write(columns.map(column => column.header));
+
+  return {
+    writeRow: write,
+    end: async () => {
+      res.end();
+    }
+  };
+};
+
+module.exports = {
+  SpreadsheetError,
+  SPREADSHEET_CONTENT_TYPES,
+  parseCsv,
+  readSpreadsheet,
+  createSpreadsheetWriter
+};
@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+// Opaque tokens (refresh, reset, invitation...) are random hex strings;
+// only their SHA-256 hash is ever stored in the database
+const generateOpaqueToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = {
+  generateOpaqueToken,
+  hashToken
+};